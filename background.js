@@ -1,24 +1,75 @@
 /**
  * @fileoverview Background script for the Fact Checker extension.
- * Handles context menu creation, content script injection, and API communication.
+ * Handles context menu creation, keyboard shortcuts, content script injection, and dispatching fact checks.
  */
 
+import { loadKeys, hasUsableProvider, getMissingKeysMessage, loadCheckOptions, runFactCheck, checkClaim } from './factcheck.js';
+import { loadSettings, migrateSettings } from './settings.js';
+import { getAvailableProviders } from './providers/index.js';
+import { ERROR_KINDS } from './providers/http.js';
+import { CONTEXT_TOKEN_BUDGET } from './page-context.js';
+import { recordCheck, getCheck, getRecentChecks } from './history.js';
+import { chunkTranscript } from './transcript.js';
+import { parseCaptionFile } from './captions.js';
+import { recognizeImage } from './ocr.js';
+import { inspectImage } from './provenance.js';
+
 // Constants
 const MENU_ID = 'factCheckAI';
-const API_URL = 'https://api.perplexity.ai/chat/completions';
-const MODEL = 'sonar';
-const TOKEN_LIMIT = 2048;
-const TEMP = 0.1;
+const SCAN_MENU_ID = 'scanPageAI';
+const IMAGE_MENU_ID = 'factCheckImage';
+const PROVENANCE_MENU_ID = 'imageProvenance';
+// Images with less recognized text than this hold no claim to check
+const MIN_IMAGE_TEXT_LENGTH = 20;
+const SCAN_BATCH_SIZE = 4;
+const FACT_CHECK_PORT = 'factCheck';
+// Keyboard shortcuts, see "commands" in manifest.json; the command palette in
+// content.js runs them too, along with CHECK_VIDEO, which has no shortcut
+const COMMANDS = {
+  FACT_CHECK: 'fact-check-selection',
+  SCAN: 'scan-page',
+  TOGGLE_BOX: 'toggle-result-box',
+  PALETTE: 'open-command-palette',
+  CHECK_VIDEO: 'check-video'
+};
+// How many past checks the command palette lists
+const RECENT_CHECK_LIMIT = 8;
+
+// The running selection check of each tab, by tab id
+const activeChecks = new Map();
+// The running page scan of each tab, by tab id, see startRun()
+const activeScans = new Map();
+// The running video check of each tab, by tab id
+const activeVideoChecks = new Map();
 
 /**
- * Creates the context menu item when the extension is installed.
+ * Creates the context menu items when the extension is installed, and brings
+ * the settings of an earlier version up to date.
  */
 chrome.runtime.onInstalled.addListener(() => {
+  migrateSettings().catch(error => {
+    console.error('Error migrating settings:', error);
+  });
   chrome.contextMenus.create({
     id: MENU_ID,
     title: 'Fact check with AI',
     contexts: ['selection']
   });
+  chrome.contextMenus.create({
+    id: IMAGE_MENU_ID,
+    title: 'Fact check text in image',
+    contexts: ['image']
+  });
+  chrome.contextMenus.create({
+    id: PROVENANCE_MENU_ID,
+    title: 'Check image provenance',
+    contexts: ['image']
+  });
+  chrome.contextMenus.create({
+    id: SCAN_MENU_ID,
+    title: 'Scan this page',
+    contexts: ['page']
+  });
 });
 
 /**
@@ -29,22 +80,170 @@ chrome.runtime.onInstalled.addListener(() => {
  */
 chrome.contextMenus.onClicked.addListener((info, tab) => {
   if (info.menuItemId === MENU_ID) {
-    verifyScriptInjection(tab, info.selectionText);
+    verifyScriptInjection(tab, () => initiateFactCheck(tab.id, info.selectionText, tab.url));
+  } else if (info.menuItemId === SCAN_MENU_ID) {
+    verifyScriptInjection(tab, () => initiatePageScan(tab.id, tab.url));
+  } else if (info.menuItemId === IMAGE_MENU_ID || info.menuItemId === PROVENANCE_MENU_ID) {
+    // Must run first: host permissions can only be requested while handling the click
+    const access = requestImageAccess(info.srcUrl);
+    const initiate = info.menuItemId === IMAGE_MENU_ID ? initiateImageCheck : initiateProvenanceCheck;
+    verifyScriptInjection(tab, () => initiate(tab.id, info.srcUrl, tab.url, access));
+  }
+});
+
+/**
+ * Handles the keyboard shortcuts.
+ * 
+ * @param {string} command - The name of the command, see COMMANDS
+ * @param {Object} tab - Information about the current tab
+ */
+chrome.commands.onCommand.addListener((command, tab) => {
+  verifyScriptInjection(tab, () => runCommand(command, tab));
+});
+
+/**
+ * Cancels the page scan and the video check of a tab that navigates or
+ * closes; their results would land on another page.
+ */
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading') {
+    cancelRun(activeScans, tabId);
+    cancelRun(activeVideoChecks, tabId);
+  }
+});
+chrome.tabs.onRemoved.addListener((tabId) => {
+  cancelRun(activeScans, tabId);
+  cancelRun(activeVideoChecks, tabId);
+});
+
+/**
+ * Handles requests from the popup, the side panel and the content script.
+ */
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'scanPage') {
+    chrome.tabs.get(request.tabId, (tab) => {
+      verifyScriptInjection(tab, () => initiatePageScan(tab.id, tab.url));
+    });
+    sendResponse({ started: true });
+  } else if (request.action === 'checkVideo') {
+    chrome.tabs.get(request.tabId, (tab) => {
+      verifyScriptInjection(tab, () => initiateVideoCheck(tab.id, tab.url));
+    });
+    sendResponse({ started: true });
+  } else if (request.action === 'checkCaptions') {
+    // A caption file dropped into the popup, already parsed into segments
+    chrome.tabs.get(request.tabId, (tab) => {
+      verifyScriptInjection(tab, () => initiateVideoCheck(tab.id, tab.url, {
+        segments: request.segments,
+        captions: request.captions
+      }));
+    });
+    sendResponse({ started: true });
+  } else if (request.action === 'cancelScan' && sender.tab) {
+    // The box was closed or the page is going away
+    cancelRun(activeScans, sender.tab.id, request.scanId);
+    sendResponse({ cancelled: true });
+  } else if (request.action === 'cancelVideoCheck' && sender.tab) {
+    // The video panel was closed or the page is going away
+    cancelRun(activeVideoChecks, sender.tab.id, request.videoCheckId);
+    sendResponse({ cancelled: true });
+  } else if (request.action === 'recheck' && sender.tab) {
+    initiateFactCheck(sender.tab.id, request.text, sender.tab.url, { bypassCache: true });
+    sendResponse({ started: true });
+  } else if (request.action === 'runCommand' && sender.tab) {
+    // From the command palette
+    runCommand(request.command, sender.tab, request.text);
+    sendResponse({ started: true });
+  } else if (request.action === 'getRecentChecks') {
+    getRecentChecks(RECENT_CHECK_LIMIT)
+      .then(checks => sendResponse({ checks }))
+      .catch(error => {
+        console.error('Error loading recent checks:', error);
+        sendResponse({ checks: [] });
+      });
+    return true; // Indicates we'll respond asynchronously
+  } else if (request.action === 'openHistoryEntry') {
+    // The side panel names the tab; the command palette is in it
+    openHistoryEntry(request.tabId || (sender.tab && sender.tab.id), request.id)
+      .then(() => sendResponse({ opened: true }))
+      .catch(error => {
+        console.error('Error opening the history entry:', error);
+        sendResponse({ opened: false, error: error.message });
+      });
+    return true; // Indicates we'll respond asynchronously
+  } else if (request.action === 'openSettings') {
+    openSettings();
+    sendResponse({ opened: true });
   }
 });
 
+/**
+ * Runs a keyboard shortcut or a command picked in the command palette. The
+ * content script must be injected already.
+ * 
+ * @param {string} command - The name of the command, see COMMANDS
+ * @param {Object} tab - Information about the current tab
+ * @param {string} [text] - The text to check; by default the selection on the page
+ */
+function runCommand(command, tab, text = null) {
+  switch (command) {
+    case COMMANDS.FACT_CHECK:
+      checkSelection(tab, text);
+      break;
+    case COMMANDS.SCAN:
+      initiatePageScan(tab.id, tab.url);
+      break;
+    case COMMANDS.CHECK_VIDEO:
+      initiateVideoCheck(tab.id, tab.url);
+      break;
+    case COMMANDS.TOGGLE_BOX:
+      chrome.tabs.sendMessage(tab.id, { action: 'toggleResultBox' });
+      break;
+    case COMMANDS.PALETTE:
+      chrome.tabs.sendMessage(tab.id, { action: 'openCommandPalette' });
+      break;
+    default:
+      console.log('Unknown command:', command);
+  }
+}
+
+/**
+ * Fact checks the text selected on the page, like the context menu does.
+ * 
+ * @param {Object} tab - Information about the current tab
+ * @param {string|null} text - The text to check, if already known
+ */
+async function checkSelection(tab, text) {
+  let selection = text;
+  if (!selection) {
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'getSelectionText' });
+      selection = response && response.text;
+    } catch (error) {
+      console.error('Error reading the selection:', error);
+      reportError(tab.id, `Could not read the selected text: ${error.message}`);
+      return;
+    }
+  }
+  if (!selection) {
+    reportError(tab.id, 'Select the text to fact check first.');
+    return;
+  }
+  initiateFactCheck(tab.id, selection, tab.url);
+}
+
 /**
  * Checks if the content script is already injected, injects if needed.
  * 
  * @param {Object} tab - Information about the current tab
- * @param {string} selectedText - The text selected by the user
+ * @param {Function} onReady - Called once the content script is available
  */
-function verifyScriptInjection(tab, selectedText) {
+function verifyScriptInjection(tab, onReady) {
   chrome.tabs.sendMessage(tab.id, { action: 'checkInjection' }, (response) => {
     if (chrome.runtime.lastError || !response || !response.injected) {
-      injectScript(tab, selectedText);
+      injectScript(tab, onReady);
     } else {
-      initiateFactCheck(tab.id, selectedText, tab.url);
+      onReady();
     }
   });
 }
@@ -53,9 +252,9 @@ function verifyScriptInjection(tab, selectedText) {
  * Injects the content script into the tab.
  * 
  * @param {Object} tab - Information about the current tab
- * @param {string} selectedText - The text selected by the user
+ * @param {Function} onReady - Called once the content script is injected
  */
-function injectScript(tab, selectedText) {
+function injectScript(tab, onReady) {
   chrome.scripting.executeScript({
     target: { tabId: tab.id },
     files: ['content.js']
@@ -64,438 +263,474 @@ function injectScript(tab, selectedText) {
       console.error('Error injecting script:', chrome.runtime.lastError.message);
       return;
     }
-    initiateFactCheck(tab.id, selectedText, tab.url);
+    onReady();
   });
 }
 
 /**
- * Sends a message to the content script to show loading and initiates fact checking.
+ * Fact checks the text and streams the progress to the content script over a
+ * long-lived port, so the box can show each provider's verdict as it arrives.
+ * Each check has an id and an AbortController. The content script cancels it
+ * by closing the port (the box was closed, the selection changed or the page
+ * went away); starting another check in the same tab cancels it too.
  * 
  * @param {number} tabId - The ID of the current tab
  * @param {string} text - The text selected by the user
  * @param {string} url - The URL of the current page
+ * @param {Object} [options={}] - Check options
+ * @param {boolean} [options.bypassCache=false] - Re-check even if cached verdicts exist
+ * @param {Object} [options.image] - The image the text was read from, shown in the box with its text regions
  */
-function initiateFactCheck(tabId, text, url) {
-  chrome.tabs.sendMessage(tabId, { action: 'showLoading' });
+async function initiateFactCheck(tabId, text, url, { bypassCache = false, image = null } = {}) {
+  cancelCheck(tabId);
+  const check = { id: crypto.randomUUID(), controller: new AbortController() };
+  activeChecks.set(tabId, check);
+
+  const port = chrome.tabs.connect(tabId, { name: FACT_CHECK_PORT });
+  let connected = true;
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    check.controller.abort();
+  });
+  const post = (message) => {
+    if (connected) {
+      port.postMessage(message);
+    }
+  };
 
-  chrome.storage.sync.get(['apiKey', 'groqApiKey', 'toolhouseApiKey'], async (data) => {
-    if (!data.apiKey && !data.groqApiKey) {
-      reportError(tabId, 'No API Keys found. Please set at least one API Key in the extension popup.');
+  const keys = await loadKeys();
+  if (!hasUsableProvider(keys)) {
+    // Reported like a rejected key, so the box offers to open the settings
+    post({ type: 'error', error: await getMissingKeysMessage(), kind: ERROR_KINDS.AUTH });
+    activeChecks.delete(tabId);
+    port.disconnect();
+    return;
+  }
+
+  post({
+    type: 'start',
+    id: check.id,
+    text,
+    image,
+    providers: getAvailableProviders(keys).map(({ id, name }) => ({ id, name }))
+  });
+
+  try {
+    const pageContent = await getPageContent(tabId, text);
+    const options = await loadCheckOptions({
+      bypassCache,
+      onProgress: post,
+      signal: check.controller.signal
+    });
+    const checkResult = await runFactCheck(text, pageContent, url, keys, options);
+    const aggregatedResult = image ? { ...checkResult, image } : checkResult;
+    
+    console.log('Sending fact check result to content script:', aggregatedResult);
+    post({ type: 'result', data: aggregatedResult });
+    
+    recordCheck(text, url, aggregatedResult).catch(error => {
+      console.error('Error saving fact check to history:', error);
+    });
+  } catch (error) {
+    if (check.controller.signal.aborted) {
+      console.log(`Fact check ${check.id} cancelled`);
       return;
     }
-
-    try {
-      const pageContent = await getPageContent(tabId);
-      
-      let perplexityResult = null;
-      let groqResult = null;
-
-      // Run API calls in parallel if both keys are available
-      const promises = [];
-      
-      if (data.apiKey) {
-        promises.push(
-          queryPerplexityAI(text, pageContent, url, data.apiKey)
-            .then(result => { perplexityResult = result; })
-            .catch(error => { console.error('Perplexity API error:', error); })
-        );
-      }
-      
-      if (data.groqApiKey && data.toolhouseApiKey) {
-        promises.push(
-          queryGroqWithToolhouse(text, data.groqApiKey, data.toolhouseApiKey)
-            .then(result => { groqResult = result; })
-            .catch(error => { console.error('Groq/Toolhouse API error:', error); })
-        );
-      }
-      
-      await Promise.all(promises);
-      
-      // Aggregate results
-      const aggregatedResult = aggregateResults(perplexityResult, groqResult);
-      
-      console.log('Sending fact check result to content script:', aggregatedResult);
-      chrome.tabs.sendMessage(tabId, {
-        action: 'factCheckResult',
-        data: aggregatedResult
-      });
-    } catch (error) {
-      console.error('Error in fact checking:', error);
-      reportError(tabId, error.message);
+    console.error('Error in fact checking:', error);
+    post({ type: 'error', error: error.message, kind: error.kind || null });
+  } finally {
+    if (activeChecks.get(tabId) === check) {
+      activeChecks.delete(tabId);
     }
-  });
+    port.disconnect();
+  }
 }
 
 /**
- * Handles fact check errors by sending an error message to the content script.
+ * Fact checks the text in an image: reads it with on-device OCR, then checks
+ * it like a selection. The box shows the image with the recognized lines
+ * outlined.
  * 
  * @param {number} tabId - The ID of the current tab
- * @param {string} errorMessage - The error message to display
+ * @param {string} src - The URL of the image
+ * @param {string} url - The URL of the current page
+ * @param {Promise<boolean>} access - Whether access to the image's site was granted, see requestImageAccess()
  */
-function reportError(tabId, errorMessage) {
-  chrome.tabs.sendMessage(tabId, {
-    action: 'factCheckError',
-    error: errorMessage
+async function initiateImageCheck(tabId, src, url, access) {
+  cancelCheck(tabId);
+  chrome.tabs.sendMessage(tabId, { action: 'imageCheckStart' });
+
+  let ocr;
+  try {
+    await ensureImageAccess(src, access);
+    ocr = await recognizeImage(src, tabId);
+  } catch (error) {
+    console.error('Error reading the image:', error);
+    reportError(tabId, `Could not read the text in the image: ${error.message}`);
+    return;
+  }
+
+  // Rejoin words hyphenated across line breaks
+  const text = ocr.lines.map(line => line.text).join(' ').replace(/(\p{L})- (\p{Ll})/gu, '$1$2');
+  if (text.length < MIN_IMAGE_TEXT_LENGTH) {
+    reportError(tabId, 'No text to check was found in the image.');
+    return;
+  }
+  initiateFactCheck(tabId, text, url, {
+    image: {
+      src,
+      width: ocr.width,
+      height: ocr.height,
+      regions: ocr.lines.map(line => ({ text: line.text, ...line.bbox }))
+    }
   });
 }
 
 /**
- * Fetches the content of the current page.
+ * Inspects where an image comes from: its metadata, Content Credentials and
+ * earlier sightings in the local image library. The report is shown in the
+ * fact check box.
  * 
  * @param {number} tabId - The ID of the current tab
- * @returns {Promise<string>} The text content of the page
+ * @param {string} src - The URL of the image
+ * @param {string} url - The URL of the current page
+ * @param {Promise<boolean>} access - Whether access to the image's site was granted, see requestImageAccess()
  */
-async function getPageContent(tabId) {
+async function initiateProvenanceCheck(tabId, src, url, access) {
+  cancelCheck(tabId);
+  chrome.tabs.sendMessage(tabId, { action: 'provenanceStart' });
   try {
-    const [{ result }] = await chrome.scripting.executeScript({
-      target: { tabId: tabId },
-      func: () => document.body.innerText
-    });
-    return result;
+    await ensureImageAccess(src, access);
+    const { rememberImages } = await loadSettings();
+    const report = await inspectImage(src, url, { remember: rememberImages });
+    chrome.tabs.sendMessage(tabId, { action: 'provenanceResult', report });
   } catch (error) {
-    console.error('Error fetching page content:', error);
-    return '';
+    console.error('Error inspecting the image:', error);
+    reportError(tabId, `Could not inspect the image: ${error.message}`);
   }
 }
 
 /**
- * Performs fact checking using the Perplexity AI API.
+ * Asks for access to the site an image is served from. Images mostly come
+ * from another host than the page, such as a CDN, and without access the
+ * extension may not read them. Must be called while handling the click.
  * 
- * @param {string} text - The text to fact check
- * @param {string} contextText - The surrounding context from the page
- * @param {string} url - The URL of the current page
- * @param {string} apiKey - The Perplexity API key
- * @returns {Promise<string>} The fact check result
+ * @param {string} src - The URL of the image
+ * @returns {Promise<boolean>} Whether access was granted; always true for data: URLs
  */
-async function queryPerplexityAI(text, contextText, url, apiKey) {
-  const systemPrompt = `You are a multilingual fact-checking assistant. Your primary tasks are:
-
-1. Detect the language of the given text.
-2. Respond in the same language as the detected language of the input text.
-3. Focus specifically on fact-checking the given selected text, not the entire article or page.
-4. Find and provide reliable sources for the claims in the selected text, ensuring they are from different domains and strictly related to the subject.
-5. Aim to provide 5-10 sources, prioritizing diversity of domains. Do not invent sources or include unrelated sources.
-6. Provide a truth percentage based on the reliability and consensus of the sources. The percentage should reflect how well the selected text is supported by the sources, not the number of sources found.
-7. Write a fact check (3-4 concise sentences) that directly addresses the claims in the selected text.
-8. Provide context (3-4 concise sentences) that places the selected text within the broader topic or article it's from.
-
-Format your response EXACTLY as follows, in the detected language:
-
-Sources:
-1. [source 1 title](URL)
-2. [source 2 title](URL)
-...
-
-Truth: [percentage]
-
-Fact Check: [your fact check with inline source references, e.g. [1], [2], etc.]
-
-Context: [your context with inline source references, e.g. [1], [2], etc.]
-
-If you cannot find enough reliable sources to fact-check the statement, say so explicitly and explain why. If a claim is widely accepted as common knowledge, state this and provide general reference sources.`;
-
-  const userPrompt = `Fact check the following selected text: "${text}"\n\nBroader context from the page:\n${contextText}\n\nPage URL: ${url}`;
-
-  const options = {
-    method: 'POST',
-    headers: {
-      'accept': 'application/json',
-      'content-type': 'application/json',
-      'authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      model: MODEL,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      max_tokens: TOKEN_LIMIT,
-      temperature: TEMP,
-      return_citations: true
-    })
-  };
+function requestImageAccess(src) {
+  const origin = getImageOrigin(src);
+  if (!origin) {
+    return Promise.resolve(true);
+  }
+  return chrome.permissions.request({ origins: [`${origin}/*`] }).catch(error => {
+    console.error('Error requesting access to the image:', error);
+    return false;
+  });
+}
 
-  const response = await fetch(API_URL, options);
-  const result = await response.json();
+/**
+ * Waits for the answer to requestImageAccess().
+ * 
+ * @param {string} src - The URL of the image
+ * @param {Promise<boolean>} access - The answer
+ * @returns {Promise<void>}
+ * @throws {Error} If access was not granted
+ */
+async function ensureImageAccess(src, access) {
+  if (!(await access)) {
+    throw new Error(`access to ${getImageOrigin(src)} was not granted.`);
+  }
+}
 
-  console.log('Perplexity API response:', result);
+/**
+ * Returns the origin of an http(s) image URL.
+ * 
+ * @param {string} src - The URL of the image
+ * @returns {string|null} The origin, or null for other URLs such as data: URLs
+ */
+function getImageOrigin(src) {
+  try {
+    const parsed = new URL(src);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.origin : null;
+  } catch (error) {
+    return null;
+  }
+}
 
-  if (result.choices && result.choices.length > 0) {
-    return result.choices[0].message.content;
-  } else {
-    throw new Error('Invalid response from Perplexity API');
+/**
+ * Cancels the running selection check of a tab, if there is one.
+ * 
+ * @param {number} tabId - The ID of the tab
+ */
+function cancelCheck(tabId) {
+  const check = activeChecks.get(tabId);
+  if (check) {
+    check.controller.abort();
+    activeChecks.delete(tabId);
   }
 }
 
 /**
- * Performs fact checking using Groq API with Toolhouse for web search.
+ * Starts a run that reports to a tab over several messages, such as a page
+ * scan. The run gets an id, which tags its messages, and an AbortController;
+ * the run it replaces in the same tab is cancelled.
  * 
- * @param {string} text - The text to fact check
- * @param {string} groqApiKey - The Groq API key
- * @param {string} toolhouseApiKey - The Toolhouse API key
- * @returns {Promise<string>} The fact check result
+ * @param {Map<number, Object>} runs - The running runs of this kind, by tab id
+ * @param {number} tabId - The ID of the tab
+ * @returns {{id: string, controller: AbortController}} The run
  */
-async function queryGroqWithToolhouse(text, groqApiKey, toolhouseApiKey) {
-  // First, use Toolhouse to perform a web search
-  const searchResults = await performToolhouseSearch(text, toolhouseApiKey);
-  
-  // Then, use Groq to analyze the search results and fact check
-  return queryGroqAI(text, searchResults, groqApiKey);
+function startRun(runs, tabId) {
+  cancelRun(runs, tabId);
+  const run = { id: crypto.randomUUID(), controller: new AbortController() };
+  runs.set(tabId, run);
+  return run;
 }
 
 /**
- * Performs a web search using the Toolhouse API.
+ * Cancels the run of a tab, if there is one.
  * 
- * @param {string} query - The search query
- * @param {string} apiKey - The Toolhouse API key
- * @returns {Promise<string>} The search results
+ * @param {Map<number, Object>} runs - The running runs of this kind, by tab id
+ * @param {number} tabId - The ID of the tab
+ * @param {string} [id] - Only cancel the run with this id
  */
-async function performToolhouseSearch(query, apiKey) {
-  const TOOLHOUSE_API_URL = 'https://api.toolhouse.ai/v1/search';
-  
-  const options = {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      query: `Find reliable sources to fact check: ${query}`,
-      num_results: 5,
-      include_domains: [],
-      exclude_domains: [],
-      time_period: 'any'
-    })
-  };
+function cancelRun(runs, tabId, id) {
+  const run = runs.get(tabId);
+  if (run && (!id || run.id === id)) {
+    run.controller.abort();
+    runs.delete(tabId);
+  }
+}
 
-  try {
-    const response = await fetch(TOOLHOUSE_API_URL, options);
-    const data = await response.json();
-    
-    console.log('Toolhouse API response:', data);
-    
-    if (data.results && data.results.length > 0) {
-      // Format the search results for Groq
-      return data.results.map((result, index) => {
-        return `Source ${index + 1}: ${result.title}\nURL: ${result.url}\nSnippet: ${result.snippet}\n\n`;
-      }).join('');
-    } else {
-      return 'No search results found.';
-    }
-  } catch (error) {
-    console.error('Error with Toolhouse API:', error);
-    throw new Error('Failed to perform web search with Toolhouse');
+/**
+ * Forgets a run that has ended, unless another run has replaced it.
+ * 
+ * @param {Map<number, Object>} runs - The running runs of this kind, by tab id
+ * @param {number} tabId - The ID of the tab
+ * @param {Object} run - The run, see startRun()
+ */
+function finishRun(runs, tabId, run) {
+  if (runs.get(tabId) === run) {
+    runs.delete(tabId);
   }
 }
 
 /**
- * Performs fact checking using the Groq API.
+ * Scans the page: asks the content script for its check-worthy sentences and
+ * fact checks them in batches, reporting each result as soon as it is ready.
+ * Every message carries the scan's id, so the content script can ignore
+ * those of a scan that was replaced. A new scan, closing the box and leaving
+ * the page cancel it.
  * 
- * @param {string} text - The text to fact check
- * @param {string} searchResults - The search results from Toolhouse
- * @param {string} apiKey - The Groq API key
- * @returns {Promise<string>} The fact check result
+ * @param {number} tabId - The ID of the current tab
+ * @param {string} url - The URL of the current page
  */
-async function queryGroqAI(text, searchResults, apiKey) {
-  const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions';
-  const GROQ_MODEL = 'llama3-70b-8192';
-  
-  const systemPrompt = `You are a multilingual fact-checking assistant. Your primary tasks are:
-
-1. Detect the language of the given text.
-2. Respond in the same language as the detected language of the input text.
-3. Focus specifically on fact-checking the given selected text, not the entire article or page.
-4. Analyze the provided search results to find reliable sources for the claims in the selected text.
-5. Provide a truth percentage based on the reliability and consensus of the sources. The percentage should reflect how well the selected text is supported by the sources.
-6. Write a fact check (3-4 concise sentences) that directly addresses the claims in the selected text.
-7. Provide context (3-4 concise sentences) that places the selected text within the broader topic.
-
-Format your response EXACTLY as follows, in the detected language:
-
-Sources:
-1. [source 1 title](URL)
-2. [source 2 title](URL)
-...
-
-Truth: [percentage]
-
-Fact Check: [your fact check with inline source references, e.g. [1], [2], etc.]
-
-Context: [your context with inline source references, e.g. [1], [2], etc.]
-
-If you cannot find enough reliable sources to fact-check the statement, say so explicitly and explain why. If a claim is widely accepted as common knowledge, state this and provide general reference sources.`;
-
-  const userPrompt = `Fact check the following selected text: "${text}"\n\nSearch results:\n${searchResults}`;
-
-  const options = {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      model: GROQ_MODEL,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      max_tokens: 2048,
-      temperature: 0.1
-    })
-  };
+async function initiatePageScan(tabId, url) {
+  const scan = startRun(activeScans, tabId);
+  const { signal } = scan.controller;
+  const send = message => chrome.tabs.sendMessage(tabId, { ...message, scanId: scan.id });
 
   try {
-    const response = await fetch(GROQ_API_URL, options);
-    const result = await response.json();
-    
-    console.log('Groq API response:', result);
-    
-    if (result.choices && result.choices.length > 0) {
-      return result.choices[0].message.content;
-    } else {
-      throw new Error('Invalid response from Groq API');
+    const keys = await loadKeys();
+    if (!hasUsableProvider(keys)) {
+      reportError(tabId, await getMissingKeysMessage(), ERROR_KINDS.AUTH);
+      return;
+    }
+
+    const response = await send({ action: 'collectScanSentences' });
+    const sentences = (response && response.sentences) || [];
+    if (sentences.length === 0) {
+      reportError(tabId, 'No check-worthy sentences found on this page.');
+      return;
     }
+
+    // Fetching every cited page of every sentence would flood the network, so scans skip it
+    const options = await loadCheckOptions({ verifier: null, signal });
+    let done = 0;
+    send({ action: 'scanProgress', done, total: sentences.length });
+
+    for (let start = 0; start < sentences.length; start += SCAN_BATCH_SIZE) {
+      const batch = sentences.slice(start, start + SCAN_BATCH_SIZE);
+      await Promise.all(batch.map(async (sentence, offset) => {
+        const pageContent = await getPageContent(tabId, sentence);
+        signal.throwIfAborted();
+        const result = await checkClaim(sentence, pageContent, url, keys, options);
+        signal.throwIfAborted();
+        done++;
+        send({ action: 'scanResult', index: start + offset, data: result });
+        send({ action: 'scanProgress', done, total: sentences.length });
+      }));
+    }
+
+    send({ action: 'scanComplete' });
   } catch (error) {
-    console.error('Error with Groq API:', error);
-    throw new Error('Failed to perform fact check with Groq');
+    if (signal.aborted) {
+      console.log(`Page scan ${scan.id} cancelled`);
+      return;
+    }
+    console.error('Error scanning page:', error);
+    reportError(tabId, error.message);
+  } finally {
+    finishRun(activeScans, tabId, scan);
   }
 }
 
 /**
- * Aggregates results from Perplexity and Groq.
+ * Fact checks a video: asks the content script for the timed transcript,
+ * groups it into claim-sized chunks and checks them in batches. The content
+ * script shows each result as a marker on the video's timeline. Like a page
+ * scan, the check has an id that tags its messages, and a new check, closing
+ * the panel and leaving the page cancel it.
  * 
- * @param {string} perplexityResult - The result from Perplexity API
- * @param {string} groqResult - The result from Groq API
- * @returns {string} The aggregated result
+ * @param {number} tabId - The ID of the current tab
+ * @param {string} url - The URL of the current page
+ * @param {Object} [transcript] - A transcript from elsewhere, e.g. a caption file, with segments and captions;
+ *     by default it is read from the page
  */
-function aggregateResults(perplexityResult, groqResult) {
-  // If only one result is available, return it
-  if (!perplexityResult && groqResult) return groqResult;
-  if (perplexityResult && !groqResult) return perplexityResult;
-  if (!perplexityResult && !groqResult) return 'No results available from either API.';
-  
-  // Parse both results
-  const perplexityData = parseResult(perplexityResult);
-  const groqData = parseResult(groqResult);
-  
-  // Combine sources (removing duplicates)
-  const combinedSources = [...perplexityData.sources];
-  
-  groqData.sources.forEach(groqSource => {
-    // Check if this source URL already exists in the combined sources
-    const exists = combinedSources.some(source => source.url === groqSource.url);
-    if (!exists) {
-      // Add with a new index
-      combinedSources.push({
-        index: (combinedSources.length + 1).toString(),
-        title: groqSource.title,
-        url: groqSource.url
-      });
-    }
-  });
-  
-  // Calculate average truth percentage
-  let avgTruth = 'N/A';
-  if (perplexityData.truthPercentage !== 'N/A' && groqData.truthPercentage !== 'N/A') {
-    const perplexityTruth = parseInt(perplexityData.truthPercentage);
-    const groqTruth = parseInt(groqData.truthPercentage);
-    
-    if (!isNaN(perplexityTruth) && !isNaN(groqTruth)) {
-      avgTruth = Math.round((perplexityTruth + groqTruth) / 2) + '%';
-    }
-  } else if (perplexityData.truthPercentage !== 'N/A') {
-    avgTruth = perplexityData.truthPercentage;
-  } else if (groqData.truthPercentage !== 'N/A') {
-    avgTruth = groqData.truthPercentage;
-  }
-  
-  // Format the aggregated result
-  return `Sources:
-${combinedSources.map((source, i) => `${i + 1}. [${source.title}](${source.url})`).join('\n')}
-
-Truth: ${avgTruth}
+async function initiateVideoCheck(tabId, url, transcript = null) {
+  const videoCheck = startRun(activeVideoChecks, tabId);
+  const { signal } = videoCheck.controller;
+  const send = message => chrome.tabs.sendMessage(tabId, { ...message, videoCheckId: videoCheck.id });
 
-Fact Check (Perplexity): ${perplexityData.factCheck}
+  try {
+    const keys = await loadKeys();
+    if (!hasUsableProvider(keys)) {
+      reportError(tabId, await getMissingKeysMessage(), ERROR_KINDS.AUTH);
+      return;
+    }
 
-Fact Check (Groq): ${groqData.factCheck}
+    const { segments, captions } = transcript || await getTranscript(tabId);
+    signal.throwIfAborted();
+    const chunks = chunkTranscript(segments);
+    if (chunks.length === 0) {
+      reportError(tabId, 'The transcript of this video has nothing to check.');
+      return;
+    }
 
-Context: ${perplexityData.context}
+    // Like page scans, video checks skip source verification
+    const options = await loadCheckOptions({ verifier: null, signal });
+    send({ action: 'videoCheckStart', chunks, captions: captions || null });
+
+    for (let start = 0; start < chunks.length; start += SCAN_BATCH_SIZE) {
+      const batch = chunks.slice(start, start + SCAN_BATCH_SIZE);
+      await Promise.all(batch.map(async (chunk, offset) => {
+        const pageContent = await getPageContent(tabId, chunk.text);
+        signal.throwIfAborted();
+        const result = await checkClaim(chunk.text, pageContent, url, keys, options);
+        signal.throwIfAborted();
+        send({ action: 'videoCheckResult', index: start + offset, data: result });
+      }));
+    }
 
-Additional Context: ${groqData.context}`;
+    send({ action: 'videoCheckComplete' });
+  } catch (error) {
+    if (signal.aborted) {
+      console.log(`Video check ${videoCheck.id} cancelled`);
+      return;
+    }
+    console.error('Error checking video:', error);
+    reportError(tabId, error.message);
+  } finally {
+    finishRun(activeVideoChecks, tabId, videoCheck);
+  }
 }
 
 /**
- * Parses the raw fact check result into a structured object.
+ * Asks the content script for the timed transcript of the page's video. A
+ * caption file the page could not load, typically a cross-origin <track>
+ * without CORS headers, is fetched and parsed here instead.
  * 
- * @param {string} result - The raw fact check result from the API
- * @returns {Object} The parsed result with truthPercentage, factCheck, context, and sources
+ * @param {number} tabId - The ID of the tab
+ * @returns {Promise<{segments: Array, captions: Object|null}>} The transcript
  */
-function parseResult(result) {
-  if (!result) {
-    return {
-      truthPercentage: 'N/A',
-      factCheck: 'No fact check provided.',
-      context: 'No context provided.',
-      sources: []
-    };
+async function getTranscript(tabId) {
+  const { transcriptLanguage } = await loadSettings();
+  const response = await chrome.tabs.sendMessage(tabId, { action: 'getTranscript', language: transcriptLanguage });
+  if (!response || !response.success) {
+    throw new Error((response && response.error) || 'Could not get the transcript of this video.');
   }
-  
-  console.log('Parsing raw result:', result);
-
-  const sections = result.split('\n\n');
-  const data = {
-    truthPercentage: 'N/A',
-    factCheck: 'No fact check provided.',
-    context: 'No context provided.',
-    sources: []
-  };
-
-  let currentSection = '';
-
-  sections.forEach(section => {
-    if (section.startsWith('Sources:')) {
-      currentSection = 'sources';
-      extractSources(section, data);
-    } else if (section.startsWith('Truth:')) {
-      currentSection = 'truth';
-      data.truthPercentage = section.split(':')[1].trim();
-    } else if (section.startsWith('Fact Check:')) {
-      currentSection = 'factCheck';
-      data.factCheck = section.split(':').slice(1).join(':').trim();
-    } else if (section.startsWith('Context:')) {
-      currentSection = 'context';
-      data.context = section.split(':').slice(1).join(':').trim();
-    } else if (currentSection === 'factCheck') {
-      data.factCheck += ' ' + section.trim();
-    } else if (currentSection === 'context') {
-      data.context += ' ' + section.trim();
+  if (response.segments.length === 0 && response.trackUrl) {
+    const file = await fetch(response.trackUrl, { credentials: 'omit' });
+    if (!file.ok) {
+      throw new Error(`Could not load the captions (HTTP ${file.status}).`);
     }
+    return { segments: parseCaptionFile(await file.text()), captions: response.captions };
+  }
+  return { segments: response.segments, captions: response.captions };
+}
+
+/**
+ * Re-opens a past fact check in the card on the given tab.
+ * 
+ * @param {number|undefined} tabId - The ID of the tab to show the result in; the
+ *     active tab if not given, e.g. for a request from an extension page
+ * @param {string} id - The id of the history entry
+ * @returns {Promise<void>}
+ * @throws {Error} If the entry or the tab cannot be found
+ */
+async function openHistoryEntry(tabId, id) {
+  const entry = await getCheck(id);
+  if (!entry) {
+    throw new Error('This check is no longer in the history.');
+  }
+  let tab;
+  if (tabId) {
+    tab = await chrome.tabs.get(tabId);
+  } else {
+    [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  }
+  if (!tab) {
+    throw new Error('No tab to show the check in.');
+  }
+  verifyScriptInjection(tab, () => {
+    chrome.tabs.sendMessage(tab.id, { action: 'showSecondaryResult', data: entry.result });
   });
+}
 
-  console.log('Parsed result:', data);
-  return data;
+/**
+ * Opens the extension options page, e.g. after a provider rejected a key.
+ */
+function openSettings() {
+  chrome.runtime.openOptionsPage();
 }
 
 /**
- * Parses the sources section of the fact check result.
+ * Handles fact check errors by sending an error message to the content script.
  * 
- * @param {string} section - The sources section text
- * @param {Object} data - The result object to update with sources
+ * @param {number} tabId - The ID of the current tab
+ * @param {string} errorMessage - The error message to display
+ * @param {string|null} [kind=null] - The error kind, see ERROR_KINDS in providers/http.js
  */
-function extractSources(section, data) {
-  const sourceLines = section.split('\n').slice(1);
-  console.log('Source lines:', sourceLines);
-  
-  sourceLines.forEach(line => {
-    const match = line.match(/(\d+)\.\s+(.+)/);
-    if (match) {
-      const [, index, content] = match;
-      const urlMatch = content.match(/\[(.+?)\]\((.+?)\)/);
-      if (urlMatch) {
-        data.sources.push({ index, title: urlMatch[1], url: urlMatch[2] });
-      } else {
-        data.sources.push({ index, title: content, url: '#' });
-      }
-    }
+function reportError(tabId, errorMessage, kind = null) {
+  chrome.tabs.sendMessage(tabId, {
+    action: 'factCheckError',
+    error: errorMessage,
+    kind
   });
 }
+
+/**
+ * Asks the content script for the article metadata and an excerpt of the
+ * article around the given text.
+ * 
+ * @param {number} tabId - The ID of the current tab
+ * @param {string} selection - The text being checked
+ * @returns {Promise<Object|null>} The page context, or null if it could not be extracted or
+ *     the user does not share it with the providers
+ */
+async function getPageContent(tabId, selection) {
+  const { sendPageContext } = await loadSettings();
+  if (!sendPageContext) {
+    return null;
+  }
+  try {
+    return await chrome.tabs.sendMessage(tabId, {
+      action: 'getPageContext',
+      selection,
+      tokenBudget: CONTEXT_TOKEN_BUDGET
+    });
+  } catch (error) {
+    console.error('Error fetching page content:', error);
+    return null;
+  }
+}
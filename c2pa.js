@@ -0,0 +1,522 @@
+/**
+ * @fileoverview Reads C2PA Content Credentials.
+ * The manifest store is a tree of JUMBF boxes. The active (last) manifest
+ * holds a claim, the assertions it lists (actions, the hash of the image
+ * data) and a COSE signature over the claim. The signature is verified with
+ * the signer's certificate and the data hash is recomputed, which tells
+ * whether the image changed since it was signed. The certificate is not
+ * checked against a list of trusted signers.
+ */
+
+import { ascii, concatBytes } from './image-metadata.js';
+
+// Constants
+const TEXT_DECODER = new TextDecoder();
+const TEXT_ENCODER = new TextEncoder();
+// COSE algorithm ids and their WebCrypto parameters
+const COSE_ALGORITHMS = {
+  '-7': { key: { name: 'ECDSA', namedCurve: 'P-256' }, verify: { name: 'ECDSA', hash: 'SHA-256' } },
+  '-35': { key: { name: 'ECDSA', namedCurve: 'P-384' }, verify: { name: 'ECDSA', hash: 'SHA-384' } },
+  '-36': { key: { name: 'ECDSA', namedCurve: 'P-521' }, verify: { name: 'ECDSA', hash: 'SHA-512' } },
+  '-37': { key: { name: 'RSA-PSS', hash: 'SHA-256' }, verify: { name: 'RSA-PSS', saltLength: 32 } },
+  '-38': { key: { name: 'RSA-PSS', hash: 'SHA-384' }, verify: { name: 'RSA-PSS', saltLength: 48 } },
+  '-39': { key: { name: 'RSA-PSS', hash: 'SHA-512' }, verify: { name: 'RSA-PSS', saltLength: 64 } },
+  '-8': { key: { name: 'Ed25519' }, verify: { name: 'Ed25519' } }
+};
+const HASH_ALGORITHMS = { sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' };
+// COSE header labels
+const COSE_ALG = '1';
+const COSE_X5CHAIN = '33';
+// Digital source types of pictures made or changed by generative AI
+const AI_SOURCE_TYPES = ['trainedAlgorithmicMedia', 'compositeWithTrainedAlgorithmicMedia'];
+// X.509 name attribute OIDs, DER-encoded
+const OID_COMMON_NAME = '550403';
+const OID_ORGANIZATION = '55040a';
+
+/**
+ * Signature states of a manifest.
+ */
+export const SIGNATURE_STATUSES = {
+  valid: { label: 'Valid signature' },
+  invalid: { label: 'Invalid signature' },
+  unsupported: { label: 'Signature could not be checked' }
+};
+
+/**
+ * @typedef {Object} ContentCredentials
+ * @property {string|null} title - The title in the claim
+ * @property {string|null} claimGenerator - The app that wrote the manifest
+ * @property {string|null} signer - Who signed it, from the certificate subject
+ * @property {string|null} issuer - Who issued the signer's certificate
+ * @property {string|null} validFrom - Start of the certificate's validity, ISO 8601
+ * @property {string|null} validUntil - End of the certificate's validity, ISO 8601
+ * @property {string} signatureStatus - One of the SIGNATURE_STATUSES keys
+ * @property {string} hashStatus - 'match' if the image is unchanged since signing,
+ *     'mismatch' if it changed, 'unchecked' if the manifest has no data hash
+ * @property {boolean} aiGenerated - Whether an action says the picture was made with generative AI
+ * @property {Array<{action: string, softwareAgent: string|null, when: string|null}>} actions - The signed edit actions
+ * @property {number} manifestCount - How many manifests the store holds; earlier ones are the ingredients' history
+ */
+
+/**
+ * Reads and verifies the active manifest of a C2PA manifest store.
+ * 
+ * @param {Uint8Array} jumbf - The manifest store, see readImageMetadata() in image-metadata.js
+ * @param {Uint8Array} bytes - The whole image file, for the data hash
+ * @returns {Promise<ContentCredentials|null>} The credentials, or null if the store is unreadable
+ */
+export async function readContentCredentials(jumbf, bytes) {
+  let manifest;
+  let manifestCount;
+  try {
+    const store = readBoxes(jumbf).map(readSuperbox).find(box => box && box.label === 'c2pa');
+    const manifests = store ? store.children.filter(child => child.superbox) : [];
+    if (manifests.length === 0) {
+      return null;
+    }
+    manifestCount = manifests.length;
+    manifest = readManifest(manifests[manifests.length - 1].superbox);
+  } catch (error) {
+    console.warn('Could not read the C2PA manifest store:', error);
+    return null;
+  }
+
+  const { claim, claimBytes, signature, assertions } = manifest;
+  const actions = findAssertions(assertions, 'c2pa.actions')
+    .flatMap(assertion => assertion.actions || [])
+    .map(action => ({
+      action: String(action.action || '').replace(/^c2pa\./, ''),
+      softwareAgent: typeof action.softwareAgent === 'object' && action.softwareAgent
+        ? action.softwareAgent.name || null
+        : action.softwareAgent || null,
+      when: action.when || null,
+      digitalSourceType: action.digitalSourceType || null
+    }));
+  const generatorInfo = [].concat(claim.claim_generator_info || [])[0];
+  const verification = await verifySignature(signature, claimBytes);
+  const dataHash = findAssertions(assertions, 'c2pa.hash.data')[0];
+
+  return {
+    title: claim['dc:title'] || null,
+    claimGenerator: claim.claim_generator || (generatorInfo && generatorInfo.name) || null,
+    signer: verification.certificate ? verification.certificate.subject : null,
+    issuer: verification.certificate ? verification.certificate.issuer : null,
+    validFrom: verification.certificate ? verification.certificate.notBefore : null,
+    validUntil: verification.certificate ? verification.certificate.notAfter : null,
+    signatureStatus: verification.status,
+    hashStatus: dataHash ? await checkDataHash(dataHash, bytes, claim.alg) : 'unchecked',
+    aiGenerated: actions.some(action => AI_SOURCE_TYPES.some(type => (action.digitalSourceType || '').endsWith(type))),
+    actions: actions.map(({ action, softwareAgent, when }) => ({ action, softwareAgent, when })),
+    manifestCount
+  };
+}
+
+/**
+ * Reads the claim, its signature and the assertions of one manifest.
+ * 
+ * @param {Object} manifest - The manifest superbox
+ * @returns {{claim: Object, claimBytes: Uint8Array, signature: Array, assertions: Array<{label: string, value: *}>}}
+ *     The manifest parts
+ */
+function readManifest(manifest) {
+  const child = prefix => manifest.children
+    .map(box => box.superbox)
+    .find(box => box && box.label && box.label.startsWith(prefix));
+  const claimBox = child('c2pa.claim');
+  const signatureBox = child('c2pa.signature');
+  if (!claimBox || !signatureBox) {
+    throw new Error('The manifest has no claim or no signature');
+  }
+  const claimBytes = readContent(claimBox).data;
+  const assertionStore = child('c2pa.assertions');
+  const assertions = assertionStore
+    ? assertionStore.children
+      .map(box => box.superbox)
+      .filter(Boolean)
+      .map(box => {
+        const content = readContent(box);
+        return { label: box.label, value: content.type === 'json' ? JSON.parse(TEXT_DECODER.decode(content.data)) : decodeCbor(content.data) };
+      })
+    : [];
+  return {
+    claim: decodeCbor(claimBytes),
+    claimBytes,
+    signature: decodeCbor(readContent(signatureBox).data),
+    assertions
+  };
+}
+
+/**
+ * Finds the assertions with a label, including versioned and numbered
+ * variants such as 'c2pa.actions.v2' or 'c2pa.hash.data__1'.
+ * 
+ * @param {Array<{label: string, value: *}>} assertions - The assertions
+ * @param {string} label - The base label
+ * @returns {Array<Object>} The assertion values
+ */
+function findAssertions(assertions, label) {
+  const pattern = new RegExp(`^${label.replace(/\./g, '\\.')}(\\.v\\d+)?(__\\d+)?$`);
+  return assertions.filter(assertion => pattern.test(assertion.label)).map(assertion => assertion.value);
+}
+
+/**
+ * Verifies the COSE_Sign1 signature over the claim with the public key of
+ * the first certificate in its chain.
+ * 
+ * @param {Array} cose - The decoded COSE_Sign1 structure: protected header, unprotected header, payload, signature
+ * @param {Uint8Array} claimBytes - The claim, the detached payload
+ * @returns {Promise<{status: string, certificate: Object|null}>} One of the SIGNATURE_STATUSES keys and the signer's certificate
+ */
+async function verifySignature(cose, claimBytes) {
+  try {
+    const [protectedBytes, unprotected, , signature] = cose;
+    const headers = protectedBytes.length > 0 ? decodeCbor(protectedBytes) : {};
+    const chain = headers[COSE_X5CHAIN] || unprotected[COSE_X5CHAIN] || unprotected.x5chain;
+    const leaf = chain instanceof Uint8Array ? chain : (chain || [])[0];
+    if (!leaf) {
+      return { status: 'invalid', certificate: null };
+    }
+    const certificate = readCertificate(leaf);
+    const algorithm = COSE_ALGORITHMS[headers[COSE_ALG]];
+    if (!algorithm) {
+      return { status: 'unsupported', certificate };
+    }
+
+    let key;
+    try {
+      key = await crypto.subtle.importKey('spki', certificate.publicKey, algorithm.key, false, ['verify']);
+    } catch (error) {
+      console.warn('Could not import the C2PA signing key:', error);
+      return { status: 'unsupported', certificate };
+    }
+    const signed = encodeSigStructure(protectedBytes, claimBytes);
+    const valid = await crypto.subtle.verify(algorithm.verify, key, signature, signed);
+    return { status: valid ? 'valid' : 'invalid', certificate };
+  } catch (error) {
+    console.warn('Could not verify the C2PA signature:', error);
+    return { status: 'unsupported', certificate: null };
+  }
+}
+
+/**
+ * Recomputes the hash of the image data, leaving out the excluded ranges
+ * (the manifest itself), and compares it with the signed one.
+ * 
+ * @param {Object} assertion - The c2pa.hash.data assertion
+ * @param {Uint8Array} bytes - The image file
+ * @param {string} [defaultAlgorithm] - The claim's hash algorithm, used if the assertion names none
+ * @returns {Promise<string>} 'match', 'mismatch' or 'unchecked'
+ */
+async function checkDataHash(assertion, bytes, defaultAlgorithm) {
+  const algorithm = HASH_ALGORITHMS[String(assertion.alg || defaultAlgorithm || 'sha256').toLowerCase()];
+  if (!algorithm || !(assertion.hash instanceof Uint8Array)) {
+    return 'unchecked';
+  }
+  const parts = [];
+  let position = 0;
+  (assertion.exclusions || [])
+    .slice()
+    .sort((a, b) => a.start - b.start)
+    .forEach(({ start, length }) => {
+      parts.push(bytes.subarray(position, start));
+      position = start + length;
+    });
+  parts.push(bytes.subarray(position));
+  const digest = new Uint8Array(await crypto.subtle.digest(algorithm, concatBytes(parts)));
+  return digest.length === assertion.hash.length && digest.every((byte, i) => byte === assertion.hash[i])
+    ? 'match'
+    : 'mismatch';
+}
+
+/**
+ * Splits bytes into ISO BMFF-style boxes: a 4-byte length, a 4-byte type and
+ * the content; a length of 1 means a 64-bit length follows the type.
+ * 
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {Array<{type: string, data: Uint8Array}>} The boxes
+ */
+function readBoxes(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const boxes = [];
+  let offset = 0;
+  while (offset + 8 <= bytes.length) {
+    let size = view.getUint32(offset);
+    let headerLength = 8;
+    if (size === 1) {
+      size = Number(view.getBigUint64(offset + 8));
+      headerLength = 16;
+    } else if (size === 0) {
+      size = bytes.length - offset;
+    }
+    if (size < headerLength || offset + size > bytes.length) {
+      break;
+    }
+    boxes.push({ type: ascii(bytes, offset + 4, 4), data: bytes.subarray(offset + headerLength, offset + size) });
+    offset += size;
+  }
+  return boxes;
+}
+
+/**
+ * Reads a JUMBF superbox: its label from the description box and its children.
+ * 
+ * @param {{type: string, data: Uint8Array}} box - A box
+ * @returns {Object|null} The label and children, each child with its superbox if it is one;
+ *     null if the box is not a superbox
+ */
+function readSuperbox(box) {
+  if (box.type !== 'jumb') {
+    return null;
+  }
+  const [description, ...children] = readBoxes(box.data);
+  let label = null;
+  // The description is a 16-byte type UUID, a toggle byte and, if bit 2 is set, a NUL-terminated label
+  if (description && description.type === 'jumd' && description.data[16] & 2) {
+    const end = description.data.indexOf(0, 17);
+    label = TEXT_DECODER.decode(description.data.subarray(17, end === -1 ? undefined : end));
+  }
+  return { label, children: children.map(child => ({ ...child, superbox: readSuperbox(child) })) };
+}
+
+/**
+ * Gets the content box of a superbox.
+ * 
+ * @param {Object} superbox - The superbox
+ * @returns {{type: string, data: Uint8Array}} The first content box
+ */
+function readContent(superbox) {
+  const content = superbox.children.find(child => !child.superbox);
+  if (!content) {
+    throw new Error(`The ${superbox.label} box is empty`);
+  }
+  return content;
+}
+
+/**
+ * Decodes CBOR. Maps become objects with their keys as strings, byte strings
+ * stay Uint8Arrays and tags are dropped.
+ * 
+ * @param {Uint8Array} bytes - The CBOR data
+ * @returns {*} The decoded value
+ */
+export function decodeCbor(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+
+  const readArgument = info => {
+    let value;
+    switch (info) {
+      case 24: value = view.getUint8(offset); offset += 1; return value;
+      case 25: value = view.getUint16(offset); offset += 2; return value;
+      case 26: value = view.getUint32(offset); offset += 4; return value;
+      case 27: value = Number(view.getBigUint64(offset)); offset += 8; return value;
+      default:
+        if (info < 24) {
+          return info;
+        }
+        throw new Error('Indefinite-length CBOR is not supported');
+    }
+  };
+
+  const readItem = () => {
+    const initial = view.getUint8(offset++);
+    const major = initial >> 5;
+    const info = initial & 31;
+    if (major === 7) {
+      return readSimple(info);
+    }
+    const argument = readArgument(info);
+    switch (major) {
+      case 0: return argument;
+      case 1: return -1 - argument;
+      case 2: offset += argument; return bytes.subarray(offset - argument, offset);
+      case 3: offset += argument; return TEXT_DECODER.decode(bytes.subarray(offset - argument, offset));
+      case 4: return Array.from({ length: argument }, () => readItem());
+      case 5: {
+        const map = {};
+        for (let i = 0; i < argument; i++) {
+          const key = readItem();
+          map[String(key)] = readItem();
+        }
+        return map;
+      }
+      default: return readItem(); // Tag: the tagged value follows
+    }
+  };
+
+  const readSimple = info => {
+    let value;
+    switch (info) {
+      case 20: return false;
+      case 21: return true;
+      case 22: return null;
+      case 23: return undefined;
+      case 25: value = decodeHalf(view.getUint16(offset)); offset += 2; return value;
+      case 26: value = view.getFloat32(offset); offset += 4; return value;
+      case 27: value = view.getFloat64(offset); offset += 8; return value;
+      default: throw new Error(`Unsupported CBOR simple value ${info}`);
+    }
+  };
+
+  return readItem();
+}
+
+/**
+ * Decodes a half-precision float.
+ * 
+ * @param {number} half - The 16 bits
+ * @returns {number} The value
+ */
+function decodeHalf(half) {
+  const sign = half & 0x8000 ? -1 : 1;
+  const exponent = (half >> 10) & 0x1F;
+  const fraction = half & 0x3FF;
+  if (exponent === 0) {
+    return sign * 2 ** -14 * (fraction / 1024);
+  }
+  if (exponent === 31) {
+    return fraction ? NaN : sign * Infinity;
+  }
+  return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+}
+
+/**
+ * Encodes the COSE Sig_structure, the bytes a COSE_Sign1 signature covers:
+ * ["Signature1", protected header, empty external data, payload].
+ * 
+ * @param {Uint8Array} protectedBytes - The serialized protected header
+ * @param {Uint8Array} payload - The signed payload
+ * @returns {Uint8Array} The CBOR-encoded structure
+ */
+function encodeSigStructure(protectedBytes, payload) {
+  const context = TEXT_ENCODER.encode('Signature1');
+  return concatBytes([
+    encodeHead(4, 4),
+    encodeHead(3, context.length), context,
+    encodeHead(2, protectedBytes.length), protectedBytes,
+    encodeHead(2, 0),
+    encodeHead(2, payload.length), payload
+  ]);
+}
+
+/**
+ * Encodes the head of a CBOR item.
+ * 
+ * @param {number} major - The major type
+ * @param {number} length - The length or count
+ * @returns {Uint8Array} The head
+ */
+function encodeHead(major, length) {
+  const type = major << 5;
+  if (length < 24) {
+    return Uint8Array.of(type | length);
+  }
+  if (length < 0x100) {
+    return Uint8Array.of(type | 24, length);
+  }
+  if (length < 0x10000) {
+    return Uint8Array.of(type | 25, length >> 8, length & 0xFF);
+  }
+  return Uint8Array.of(type | 26, length >>> 24, (length >> 16) & 0xFF, (length >> 8) & 0xFF, length & 0xFF);
+}
+
+/**
+ * Reads the parts of an X.509 certificate the report shows, and its public key.
+ * 
+ * @param {Uint8Array} der - The DER-encoded certificate
+ * @returns {{subject: string|null, issuer: string|null, notBefore: string|null, notAfter: string|null, publicKey: Uint8Array}}
+ *     The certificate fields
+ */
+function readCertificate(der) {
+  const certificate = readDer(der, 0);
+  const tbs = readDerChildren(der, certificate)[0];
+  const fields = readDerChildren(der, tbs);
+  // The version is an optional explicitly tagged first field
+  const first = fields[0].tag === 0xA0 ? 1 : 0;
+  const [, , issuer, validity, subject, publicKey] = fields.slice(first);
+  const [notBefore, notAfter] = readDerChildren(der, validity).map(time => readDerTime(der, time));
+  return {
+    subject: readDerName(der, subject),
+    issuer: readDerName(der, issuer),
+    notBefore,
+    notAfter,
+    publicKey: der.slice(publicKey.start, publicKey.end)
+  };
+}
+
+/**
+ * Reads the header of a DER element.
+ * 
+ * @param {Uint8Array} der - The DER data
+ * @param {number} start - Where the element starts
+ * @returns {{tag: number, start: number, contentStart: number, end: number}} The element's position
+ */
+function readDer(der, start) {
+  let length = der[start + 1];
+  let headerLength = 2;
+  if (length & 0x80) {
+    const lengthBytes = length & 0x7F;
+    length = 0;
+    for (let i = 0; i < lengthBytes; i++) {
+      length = length * 256 + der[start + 2 + i];
+    }
+    headerLength += lengthBytes;
+  }
+  return { tag: der[start], start, contentStart: start + headerLength, end: start + headerLength + length };
+}
+
+/**
+ * Reads the children of a constructed DER element.
+ * 
+ * @param {Uint8Array} der - The DER data
+ * @param {Object} element - The element, see readDer()
+ * @returns {Array<Object>} The children
+ */
+function readDerChildren(der, element) {
+  const children = [];
+  let offset = element.contentStart;
+  while (offset < element.end) {
+    const child = readDer(der, offset);
+    children.push(child);
+    offset = child.end;
+  }
+  return children;
+}
+
+/**
+ * Reads a certificate name as its organization, or else its common name.
+ * 
+ * @param {Uint8Array} der - The DER data
+ * @param {Object} name - The Name element
+ * @returns {string|null} The name
+ */
+function readDerName(der, name) {
+  const attributes = {};
+  readDerChildren(der, name).forEach(set => {
+    readDerChildren(der, set).forEach(sequence => {
+      const [oid, value] = readDerChildren(der, sequence);
+      const oidHex = Array.from(der.subarray(oid.contentStart, oid.end), byte => byte.toString(16).padStart(2, '0')).join('');
+      attributes[oidHex] = TEXT_DECODER.decode(der.subarray(value.contentStart, value.end));
+    });
+  });
+  return attributes[OID_ORGANIZATION] || attributes[OID_COMMON_NAME] || null;
+}
+
+/**
+ * Reads a UTCTime or GeneralizedTime.
+ * 
+ * @param {Uint8Array} der - The DER data
+ * @param {Object} time - The time element
+ * @returns {string|null} The time in ISO 8601
+ */
+function readDerTime(der, time) {
+  const text = ascii(der, time.contentStart, time.end - time.contentStart);
+  const match = text.match(/^(\d{2}|\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?Z$/);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour, minute, second = '00'] = match;
+  // UTCTime has two-digit years: 50 to 99 are 1950 to 1999
+  const fullYear = year.length === 4 ? year : `${Number(year) >= 50 ? '19' : '20'}${year}`;
+  return `${fullYear}-${month}-${day}T${hour}:${minute}:${second}Z`;
+}
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Cache of provider verdicts, keyed by normalized claim text,
+ * provider, model and prompt version, so the same quote seen on several
+ * sites is only checked once.
+ */
+
+import { STORES, withStore } from './db.js';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Normalizes claim text so trivial differences (case, whitespace, quote
+ * styles, trailing punctuation) map to the same cache entry.
+ * 
+ * @param {string} text - The claim text
+ * @returns {string} The normalized text
+ */
+export function normalizeClaimText(text) {
+  return text
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[‘’‚‛]/g, "'")
+    .replace(/[“”„‟«»]/g, '"')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s"'.,;:!?…-]+|[\s"'.,;:!?…-]+$/g, '');
+}
+
+/**
+ * Builds the cache key of a claim for a provider.
+ * 
+ * @param {string} text - The claim text
+ * @param {Object} provider - The provider
+ * @param {Object} [config] - The model settings, see provider-config.js; the
+ *     provider's built-in prompt version if omitted
+ * @returns {string} The cache key
+ */
+function getCacheKey(text, provider, config) {
+  const model = config && config.model ? `${config.model}|` : '';
+  const version = config ? config.promptVersion : provider.promptVersion || 1;
+  return `${provider.id}|${model}v${version}|${normalizeClaimText(text)}`;
+}
+
+export const verdictCache = {
+  /**
+   * Looks up a verdict, dropping it if it is older than the TTL.
+   * 
+   * @param {string} text - The claim text
+   * @param {Object} provider - The provider
+   * @param {number} ttlHours - How long entries stay valid
+   * @param {Object} [config] - The model settings the verdict must have been made with
+   * @returns {Promise<Object|null>} The cached verdict marked with cachedAt, or null
+   */
+  async get(text, provider, ttlHours, config) {
+    const key = getCacheKey(text, provider, config);
+    const entry = await withStore(STORES.CACHE, 'readonly', store => store.get(key));
+    if (!entry) {
+      return null;
+    }
+    if (Date.now() - entry.createdAt > ttlHours * HOUR) {
+      await withStore(STORES.CACHE, 'readwrite', store => store.delete(key));
+      return null;
+    }
+    return { ...entry.verdict, cachedAt: entry.createdAt };
+  },
+
+  /**
+   * Stores a verdict.
+   * 
+   * @param {string} text - The claim text
+   * @param {Object} provider - The provider
+   * @param {Object} verdict - The provider verdict
+   * @param {Object} [config] - The model settings the verdict was made with
+   * @returns {Promise<void>}
+   */
+  async set(text, provider, verdict, config) {
+    await withStore(STORES.CACHE, 'readwrite', store => store.put({
+      key: getCacheKey(text, provider, config),
+      createdAt: Date.now(),
+      verdict
+    }));
+  },
+
+  /**
+   * Removes every cached verdict.
+   * 
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await withStore(STORES.CACHE, 'readwrite', store => store.clear());
+  }
+};
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Parses WebVTT and SubRip (SRT) caption files into timed
+ * transcript segments, see transcript.js. Used for caption files dropped into
+ * the popup and for caption tracks the page itself could not load.
+ */
+
+// Constants
+export const CAPTION_FILE_EXTENSIONS = ['.vtt', '.srt'];
+// Caption files are text; anything larger is not one
+export const MAX_CAPTION_FILE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Parses a WebVTT or SRT file. Both are blocks separated by blank lines, and
+ * a cue block has a timing line with "-->", so one parser reads both; header,
+ * NOTE and STYLE blocks have no timing line and are skipped.
+ * 
+ * @param {string} text - The file contents
+ * @returns {Array<{start: number, end: number, text: string}>} The segments in time order
+ */
+export function parseCaptionFile(text) {
+  const blocks = text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n[ \t]*\n/);
+
+  const segments = [];
+  blocks.forEach(block => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) {
+      return;
+    }
+    const [startText, rest] = lines[timingIndex].split('-->');
+    // WebVTT cue settings such as "align:start" follow the end time
+    const start = parseCaptionTime(startText);
+    const end = parseCaptionTime(rest.trim().split(/\s+/)[0]);
+    const cueText = cleanCueText(lines.slice(timingIndex + 1).join(' '));
+    if (start !== null && end !== null && cueText) {
+      segments.push({ start, end, text: cueText });
+    }
+  });
+  return segments.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Parses a caption timestamp: "01:02:03.456" or "02:03.456" in WebVTT,
+ * "01:02:03,456" in SRT.
+ * 
+ * @param {string} value - The timestamp
+ * @returns {number|null} The time in seconds, or null if it is not a timestamp
+ */
+export function parseCaptionTime(value) {
+  const match = (value || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/);
+  if (!match) {
+    return null;
+  }
+  const [, hours = '0', minutes, seconds, fraction = '0'] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+}
+
+/**
+ * Reduces cue text to plain text.
+ * 
+ * @param {string} text - The cue text
+ * @returns {string} The text without markup
+ */
+function cleanCueText(text) {
+  return text
+    // WebVTT voice and class tags, SRT <i> and <font> tags
+    .replace(/<[^>]+>/g, '')
+    // SSA-style positioning such as {\an8}, which some SRT files carry
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Splits a selection into atomic, individually checkable claims.
+ * The first provider that supports plain completions does the splitting; if
+ * none does, or its reply cannot be used, the text is split into sentences.
+ */
+
+import { getAvailableProviders } from './providers/index.js';
+
+// Constants
+const MAX_CLAIMS = 6;
+const MIN_CLAIM_LENGTH = 12;
+const SINGLE_CLAIM_LENGTH = 120;
+
+const DECOMPOSE_PROMPT = `You prepare text for fact-checking. Split the user's text into atomic factual claims:
+
+1. Each claim must state exactly one checkable fact (a statistic, a quote, an event, an attribution...).
+2. Each claim must stand on its own: replace pronouns and references with the names they refer to.
+3. Keep the original language and wording as far as possible. Do not add facts or correct the text.
+4. Leave out opinions, predictions and rhetorical questions.
+5. Return at most ${MAX_CLAIMS} claims, most important first.
+
+Respond with a single JSON object and nothing else: {"claims": ["<claim 1>", "<claim 2>", ...]}`;
+
+/**
+ * Splits the text into atomic claims.
+ * Short single-sentence selections are returned as they are without a model call.
+ * 
+ * @param {string} text - The selected text
+ * @param {Object} keys - The stored API keys
+ * @param {Object} [options={}] - Run options
+ * @param {AbortSignal} [options.signal] - Cancels the decomposition request
+ * @param {Object<string, Object>} [options.providerConfigs] - Model settings by provider id, see provider-config.js
+ * @returns {Promise<string[]>} The claims, at least one
+ */
+export async function decomposeClaims(text, keys, { signal, providerConfigs } = {}) {
+  const trimmed = text.trim();
+  const sentences = splitSentences(trimmed);
+
+  if (sentences.length <= 1 && trimmed.length <= SINGLE_CLAIM_LENGTH) {
+    return [trimmed];
+  }
+
+  const provider = getAvailableProviders(keys).find(candidate => typeof candidate.complete === 'function');
+  if (provider) {
+    try {
+      const config = providerConfigs && providerConfigs[provider.id];
+      const raw = await provider.complete(DECOMPOSE_PROMPT, trimmed, { keys, signal, config });
+      const claims = parseClaimList(raw);
+      if (claims.length > 0) {
+        return claims.slice(0, MAX_CLAIMS);
+      }
+    } catch (error) {
+      console.error(`Claim decomposition with ${provider.name} failed:`, error);
+    }
+  }
+
+  const fallback = sentences.slice(0, MAX_CLAIMS);
+  return fallback.length > 0 ? fallback : [trimmed];
+}
+
+/**
+ * Reads the claim list out of a decomposition reply.
+ * 
+ * @param {string} raw - The raw model output
+ * @returns {string[]} The claims, empty if the reply was unusable
+ */
+function parseClaimList(raw) {
+  const start = (raw || '').indexOf('{');
+  const end = (raw || '').lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return [];
+  }
+  try {
+    const { claims } = JSON.parse(raw.slice(start, end + 1));
+    if (!Array.isArray(claims)) {
+      return [];
+    }
+    return claims
+      .filter(claim => typeof claim === 'string')
+      .map(claim => claim.trim())
+      .filter(claim => claim.length >= MIN_CLAIM_LENGTH);
+  } catch (error) {
+    console.warn('Could not parse claim list:', error);
+    return [];
+  }
+}
+
+/**
+ * Splits text into sentences, dropping fragments too short to be a claim.
+ * 
+ * @param {string} text - The text to split
+ * @returns {string[]} The sentences
+ */
+export function splitSentences(text) {
+  let sentences;
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+    sentences = Array.from(segmenter.segment(text), segment => segment.segment);
+  } else {
+    sentences = text.match(/[^.!?。！？]+[.!?。！？]*/g) || [text];
+  }
+  return sentences
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length >= MIN_CLAIM_LENGTH);
+}
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Weighted consensus across provider verdicts.
+ * Each provider's score counts in proportion to how well it is sourced, and
+ * strong disagreement is flagged as contested rather than averaged away.
+ */
+
+import { REPUTATION_CATEGORIES, UNRATED } from './reputation.js';
+import { VERIFICATION_STATUSES } from './source-verification.js';
+
+// Constants
+// Weight of a verdict that cites no sources at all
+const BASE_WEIGHT = 0.5;
+// Providers further apart than this many points contest each other
+const CONTESTED_SPREAD = 40;
+// Sources below this quality count as low credibility
+const LOW_QUALITY = 0.5;
+
+/**
+ * @typedef {Object} Consensus
+ * @property {number|null} score - The weighted score, or null if no provider gave one
+ * @property {number|null} spread - Points between the lowest and highest score, null with fewer than two scores
+ * @property {boolean} contested - True if the providers disagree too strongly to summarise in one score
+ * @property {Object<string, number>} weights - The weight of each provider by provider id
+ */
+
+/**
+ * Rates how much a single source adds to a verdict's weight, from 0 to 1,
+ * using the credibility category from reputation.js, reduced for dead links
+ * and pages that do not back the claim, see source-verification.js.
+ * 
+ * @param {Object} source - A source from the verdict schema
+ * @returns {number} The quality of the source
+ */
+export function getSourceQuality(source) {
+  if (!source || !/^https?:\/\//i.test(source.url || '')) {
+    return 0;
+  }
+  const category = (source.credibility && source.credibility.category) || UNRATED;
+  const verification = source.verification && VERIFICATION_STATUSES[source.verification.status];
+  return REPUTATION_CATEGORIES[category].quality * (verification ? verification.weight : 1);
+}
+
+/**
+ * Pulls a verdict's score towards 50% by the share of its sources that have
+ * low credibility: a verdict resting only on tabloids says little either way.
+ * 
+ * @param {Object} verdict - A provider verdict with a numeric score
+ * @returns {number} The adjusted score
+ */
+function adjustForSourceQuality(verdict) {
+  const sources = verdict.sources || [];
+  if (sources.length === 0) {
+    return verdict.score;
+  }
+  const lowShare = sources.filter(source => getSourceQuality(source) < LOW_QUALITY).length / sources.length;
+  return 50 + (verdict.score - 50) * (1 - lowShare / 2);
+}
+
+/**
+ * Weighs a verdict by its sources. Only the best source of each domain
+ * counts, so ten links to one site do not outweigh three independent ones,
+ * and the weight grows logarithmically with the number of sources.
+ * 
+ * @param {Object} verdict - A provider verdict
+ * @returns {number} The weight of the verdict
+ */
+export function getVerdictWeight(verdict) {
+  const bestByDomain = new Map();
+  (verdict.sources || []).forEach(source => {
+    const domain = source.domain || source.url;
+    const quality = getSourceQuality(source);
+    bestByDomain.set(domain, Math.max(bestByDomain.get(domain) || 0, quality));
+  });
+  const total = Array.from(bestByDomain.values()).reduce((sum, quality) => sum + quality, 0);
+  return BASE_WEIGHT + Math.log2(1 + total);
+}
+
+/**
+ * Combines the scores of any number of provider verdicts. Each score is
+ * adjusted for source quality before weighting; the spread and the
+ * contested flag use the providers' own scores.
+ * 
+ * @param {Object[]} verdicts - Provider verdicts, tagged with provider
+ * @param {number} [contestedSpread=CONTESTED_SPREAD] - How many points apart the providers are
+ *     contested, see contestedSpread in settings.js
+ * @returns {Consensus} The weighted score, the spread and the weights
+ */
+export function computeConsensus(verdicts, contestedSpread = CONTESTED_SPREAD) {
+  const weights = {};
+  verdicts.forEach(verdict => {
+    weights[verdict.provider] = Math.round(getVerdictWeight(verdict) * 100) / 100;
+  });
+
+  const scored = verdicts.filter(verdict => typeof verdict.score === 'number');
+  if (scored.length === 0) {
+    return { score: null, spread: null, contested: false, weights };
+  }
+
+  const totalWeight = scored.reduce((sum, verdict) => sum + weights[verdict.provider], 0);
+  const score = Math.round(
+    scored.reduce((sum, verdict) => sum + adjustForSourceQuality(verdict) * weights[verdict.provider], 0) / totalWeight
+  );
+
+  if (scored.length < 2) {
+    return { score, spread: null, contested: false, weights };
+  }
+
+  const scores = scored.map(verdict => verdict.score);
+  const spread = Math.max(...scores) - Math.min(...scores);
+  return { score, spread, contested: spread >= contestedSpread, weights };
+}
@@ -8,13 +8,84 @@
   const CONTAINER_ID = 'perplexity-fact-check-box';
   const CLOSE_BTN_ID = 'close-fact-check';
   const COPY_BTN_ID = 'copy-result';
+  const RECHECK_BTN_ID = 'recheck-result';
+  const OPEN_SETTINGS_CLASS = 'fact-check-open-settings';
   const TRUTH_METER_ID = 'truth-percentage';
+  const CONTESTED_COLOR = 'purple';
+  // The font size the styles are written for; they are scaled to the fontSize setting
+  const BASE_FONT_SIZE = 14;
+  // The settings the result box uses, see DEFAULT_SETTINGS in settings.js; kept up to date by watchSettings()
+  const settings = {
+    scoreThresholds: { high: 80, medium: 60, low: 40 },
+    theme: 'system',
+    fontSize: BASE_FONT_SIZE
+  };
+  // Badge text by verification status, see source-verification.js; unlisted statuses get no badge
+  const VERIFICATION_LABELS = {
+    supported: 'Verified',
+    unsupported: 'Does not mention the claim',
+    dead: 'Dead link',
+    unreachable: 'Unreachable',
+    private: 'Private address'
+  };
+  // Colours of the quote verdicts, see quotes.js, on the truth meter scale
+  const QUOTE_VERDICT_COLORS = {
+    'exact': 'green',
+    'paraphrased': 'goldenrod',
+    'truncated-out-of-context': 'orange',
+    'fabricated': 'red'
+  };
+  // Colours of the figure statuses, see figures.js
+  const FIGURE_STATUS_COLORS = {
+    'accurate': 'green',
+    'inaccurate': 'orange',
+    'order-of-magnitude': 'red',
+    'unverified': 'gray'
+  };
+  // Labels and colours of the Content Credentials signature states, see SIGNATURE_STATUSES in c2pa.js
+  const SIGNATURE_STATUS_LABELS = {
+    valid: { label: 'Valid signature', color: 'green' },
+    invalid: { label: 'Invalid signature', color: 'red' },
+    unsupported: { label: 'Signature could not be checked', color: 'goldenrod' }
+  };
+  // Where an edit history entry was read from, see provenance.js
+  const EDIT_SOURCE_LABELS = {
+    c2pa: 'signed',
+    xmp: 'XMP, unsigned',
+    exif: 'EXIF, unsigned'
+  };
+  const PALETTE_ID = 'fact-check-command-palette';
+  const PALETTE_INPUT_ID = 'fact-check-palette-input';
+  const PALETTE_LIST_ID = 'fact-check-palette-list';
+  // Commands the background script runs for the palette, see COMMANDS in background.js
+  const COMMANDS = {
+    FACT_CHECK: 'fact-check-selection',
+    SCAN: 'scan-page',
+    CHECK_VIDEO: 'check-video'
+  };
+  // Longest excerpt of a selection or past check shown in the palette
+  const PALETTE_TEXT_LENGTH = 80;
   const SECONDARY_CONTAINER_ID = 'perplexity-secondary-box';
   const SECONDARY_CLOSE_BTN_ID = 'close-secondary';
+  const VIDEO_PANEL_ID = 'fact-check-video-panel';
+  const VIDEO_PANEL_WIDTH = 320;
+  // Text track kinds that hold what is said, as opposed to chapters or metadata
+  const CAPTION_TRACK_KINDS = ['captions', 'subtitles'];
+  // How long to wait for a <track> file to load before reading its cues
+  const TRACK_LOAD_TIMEOUT_MS = 5000;
+  const FACT_CHECK_PORT = 'factCheck';
   const MIN_SIZE = 200;
   const EDGE_MARGIN = 10;
   const BTN_DELAY = 100;
   const COPY_RESET_DELAY = 2000;
+  const SCAN_HIGHLIGHT_CLASS = 'fact-check-underline';
+  const SCAN_BLOCK_SELECTOR = 'p, li, blockquote, dd, figcaption, h1, h2, h3, h4, h5, h6';
+  const MAX_SCAN_SENTENCES = 30;
+  const MIN_SCAN_SENTENCE_LENGTH = 40;
+  const MAX_SCAN_SENTENCE_LENGTH = 400;
+  const CHARS_PER_TOKEN = 4;
+  const UNLIKELY_CONTENT = /comment|meta|footer|footnote|nav|menu|sidebar|banner|cookie|consent|popup|modal|ad-|ads|advert|promo|sponsor|related|recommend|share|social|subscribe|newsletter|breadcrumb/i;
+  const LIKELY_CONTENT = /article|body|content|entry|main|page|post|story|text/i;
   
   // Prevent multiple injections
   if (window.perplexityFactCheckerInjected) {
@@ -25,6 +96,25 @@
   // State variables
   let resultContainer = null;
   let secondaryContainer = null;
+  let scanItems = [];
+  // The id of the page scan the underlines belong to, while it runs
+  let activeScanId = null;
+  let videoPanel = null;
+  let videoItems = [];
+  // The id of the video check the markers belong to, while it runs
+  let activeVideoCheckId = null;
+  let videoCaptions = null;
+  // The media element the transcript was read from, if it came from a <track>
+  let videoMedia = null;
+  let lastCheckedText = null;
+  let streamState = null;
+  let activeCheck = null;
+  // Where the keyboard focus was before the box or a card took it, to give it back on closing
+  let focusBeforeBox = null;
+  // Set while the box is hidden with the toggle shortcut; updates of the running
+  // check then stay hidden until it is shown again or another check starts
+  let resultBoxHidden = false;
+  let commandPalette = null;
   
   // Track mouse position for context menu positioning
   window.lastMousePosition = { x: 100, y: 100 };
@@ -43,36 +133,91 @@
           console.log('Responding to checkInjection');
           sendResponse({ injected: true });
           break;
-        case 'showLoading':
-          console.log('Showing loader');
-          displayLoader();
+        case 'imageCheckStart':
+          console.log('Reading the text in an image');
+          cancelActiveCheck();
+          displayLoader('Reading the text in the image…');
           break;
-        case 'factCheckResult':
-          console.log('Displaying fact check result');
-          displayResult(request.data);
+        case 'provenanceStart':
+          console.log('Inspecting image provenance');
+          cancelActiveCheck();
+          displayLoader('Inspecting the image…');
+          break;
+        case 'provenanceResult':
+          console.log('Displaying image provenance');
+          displayProvenanceReport(request.report);
           break;
         case 'factCheckError':
           console.log('Displaying error');
-          displayError(request.error);
+          displayError(request.error, request.kind);
+          break;
+        case 'getSelectionText':
+          sendResponse({ text: getSelectedText() });
+          break;
+        case 'toggleResultBox':
+          toggleResultBox();
+          break;
+        case 'openCommandPalette':
+          openCommandPalette();
           break;
         case 'showSecondaryResult':
           console.log('Showing secondary result');
           showSecondaryResult(request.data);
           sendResponse({ success: true });
           break;
-        case 'scrapeYouTubeTranscript':
-          console.log('Scraping YouTube transcript');
-          scrapeYouTubeTranscript()
-            .then(transcript => {
-              console.log('Transcript scraped successfully');
-              sendResponse({ success: true, transcript });
+        case 'getPageContext':
+          console.log('Extracting page context');
+          sendResponse(buildPageContext(request.selection, request.tokenBudget));
+          break;
+        case 'collectScanSentences':
+          console.log('Collecting sentences to scan');
+          sendResponse({ sentences: collectScanSentences(request.scanId) });
+          break;
+        case 'scanProgress':
+          if (request.scanId === activeScanId) {
+            displayScanProgress(request.done, request.total);
+          }
+          break;
+        case 'scanResult':
+          if (request.scanId === activeScanId) {
+            applyScanResult(request.index, request.data);
+          }
+          break;
+        case 'scanComplete':
+          if (request.scanId === activeScanId) {
+            console.log('Page scan complete');
+            activeScanId = null;
+            displayScanSummary();
+          }
+          break;
+        case 'getTranscript':
+          console.log('Reading transcript');
+          getTranscript(request.language)
+            .then(({ segments, captions, trackUrl }) => {
+              console.log('Transcript read successfully');
+              sendResponse({ success: true, segments, captions, trackUrl });
             })
             .catch(error => {
-              console.error('Error scraping transcript:', error);
+              console.error('Error reading transcript:', error);
               sendResponse({ success: false, error: error.message });
             });
           return true; // Indicates we'll respond asynchronously
           break;
+        case 'videoCheckStart':
+          displayVideoCheckStart(request.videoCheckId, request.chunks, request.captions);
+          break;
+        case 'videoCheckResult':
+          if (request.videoCheckId === activeVideoCheckId) {
+            applyVideoResult(request.index, request.data);
+          }
+          break;
+        case 'videoCheckComplete':
+          if (request.videoCheckId === activeVideoCheckId) {
+            console.log('Video check complete');
+            activeVideoCheckId = null;
+            renderVideoPanel();
+          }
+          break;
         default:
           console.log('Unknown action:', request.action);
       }
@@ -85,36 +230,248 @@
   });
 
   /**
-   * Shows loading indicator in the fact check box.
+   * Listens for fact checks streamed from the background script.
+   * Each check gets its own port, which closes once the final result is sent.
+   */
+  chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== FACT_CHECK_PORT) {
+      return;
+    }
+    port.onMessage.addListener((message) => {
+      if (message.type === 'start') {
+        cancelActiveCheck();
+        activeCheck = { id: message.id, port };
+      }
+      // Ignore stragglers from a check that was replaced
+      if (!activeCheck || activeCheck.port !== port) {
+        return;
+      }
+      handleStreamMessage(message);
+    });
+    port.onDisconnect.addListener(() => {
+      if (activeCheck && activeCheck.port === port) {
+        activeCheck = null;
+      }
+    });
+  });
+
+  /**
+   * Cancels the running fact check by closing its port; the background script
+   * aborts the provider requests when the port closes.
+   */
+  function cancelActiveCheck() {
+    if (!activeCheck) {
+      return;
+    }
+    console.log('Cancelling fact check:', activeCheck.id);
+    activeCheck.port.disconnect();
+    activeCheck = null;
+    streamState = null;
+  }
+
+  /**
+   * Cancels the running fact check when the user selects other text on the page.
+   */
+  function cancelOnNewSelection() {
+    if (!activeCheck) {
+      return;
+    }
+    const selection = window.getSelection();
+    const text = selection ? selection.toString().trim() : '';
+    if (!text || text === (lastCheckedText || '').trim()) {
+      return;
+    }
+    // Selecting inside the box, e.g. to copy part of it, keeps the check going
+    if (resultContainer && resultContainer.contains(selection.anchorNode)) {
+      return;
+    }
+    cancelActiveCheck();
+    if (resultContainer) {
+      hideContainer();
+    }
+  }
+
+  document.addEventListener('mouseup', cancelOnNewSelection);
+  document.addEventListener('keyup', cancelOnNewSelection);
+  // Navigating away closes the port anyway; cancel explicitly for pages kept in the back/forward cache
+  window.addEventListener('pagehide', cancelActiveCheck);
+  window.addEventListener('pagehide', cancelActiveScan);
+  window.addEventListener('pagehide', cancelActiveVideoCheck);
+
+  /**
+   * Applies one progress message of a streamed fact check to the box.
+   * 
+   * @param {Object} message - The progress message, see FactCheckOptions in factcheck.js
+   */
+  function handleStreamMessage(message) {
+    switch (message.type) {
+      case 'start':
+        lastCheckedText = message.text;
+        resultBoxHidden = false;
+        streamState = {
+          providers: message.providers,
+          claims: [message.text],
+          image: message.image || null,
+          parts: [createStreamPart()],
+          quote: null,
+          figures: null
+        };
+        renderStream();
+        break;
+      case 'claims':
+        if (!streamState) return;
+        streamState.claims = message.claims;
+        streamState.parts = message.claims.map(() => createStreamPart());
+        renderStream();
+        break;
+      case 'sources': {
+        const part = streamState && streamState.parts[message.claimIndex];
+        if (!part) return;
+        message.sources.forEach(source => {
+          if (!part.sources.some(existing => existing.url === source.url)) {
+            part.sources.push(source);
+          }
+        });
+        renderStream();
+        break;
+      }
+      case 'verdict': {
+        const part = streamState && streamState.parts[message.claimIndex];
+        if (!part) return;
+        part.verdicts[message.verdict.provider] = message.verdict;
+        renderStream();
+        break;
+      }
+      case 'aggregate': {
+        const part = streamState && streamState.parts[message.claimIndex];
+        if (!part) return;
+        part.aggregate = message.result;
+        renderStream();
+        break;
+      }
+      case 'quote':
+        if (!streamState) return;
+        streamState.quote = message.quote;
+        renderStream();
+        break;
+      case 'figures':
+        if (!streamState) return;
+        streamState.figures = message.figures;
+        renderStream();
+        break;
+      case 'result':
+        streamState = null;
+        displayResult(message.data);
+        break;
+      case 'error':
+        streamState = null;
+        displayError(message.error, message.kind);
+        break;
+      default:
+        console.log('Unknown progress message:', message.type);
+    }
+  }
+
+  /**
+   * Creates the streaming state of one claim.
+   * 
+   * @returns {Object} Sources found so far, verdicts by provider id and the latest aggregate
+   */
+  function createStreamPart() {
+    return { sources: [], verdicts: {}, aggregate: null };
+  }
+
+  /**
+   * Renders a fact check that is still running: the score so far, the status
+   * of each provider and the sources found so far.
    */
-  function displayLoader() {
+  function renderStream() {
     if (!resultContainer) {
       resultContainer = createContainer();
     }
-    resultContainer.innerHTML = `
+    const { claims, parts } = streamState;
+    const scores = parts
+      .map(part => part.aggregate && part.aggregate.score)
+      .filter(score => typeof score === 'number');
+    // Like the final roll-up, several claims are only as strong as the weakest
+    const score = scores.length === 0 ? null : Math.min(...scores);
+    const hasClaims = claims.length > 1;
+    const contested = !hasClaims && parts[0].aggregate && isContested(parts[0].aggregate);
+    let meter = scores.length > 0 ? formatTruth(score) : '…';
+    if (contested) {
+      meter = 'Contested';
+    }
+
+    renderContainer(`
       <div class="fact-check-header">
         <h2>Fact Checker</h2>
-        <button id="${CLOSE_BTN_ID}">×</button>
+        <button id="${CLOSE_BTN_ID}" aria-label="Close">×</button>
       </div>
-      <p>Loading... This may take a few moments.</p>
+      <h3 id="${TRUTH_METER_ID}">${hasClaims ? 'Overall Truth' : 'Truth Percentage'}: <span style="color: ${contested ? CONTESTED_COLOR : getColorForTruth(score)} !important;">${meter}</span> <small class="fact-check-updating">updating</small></h3>
+      ${renderImageRegions(streamState.image)}
+      ${renderQuoteCheck(streamState.quote)}
+      ${renderFigureChecks(streamState.figures)}
+      ${hasClaims
+        ? parts.map((part, i) => `
+          <h4>Claim ${i + 1}: ${escapeHtml(claims[i])}</h4>
+          ${renderStreamPart(part)}
+        `).join('')
+        : renderStreamPart(parts[0])}
       <div class="loader"></div>
-    `;
-    resultContainer.style.display = 'block';
+    `);
     setupCloseButton();
   }
 
+  /**
+   * Renders the progress of one claim.
+   * 
+   * @param {Object} part - The streaming state of the claim
+   * @returns {string} The HTML for the claim's progress
+   */
+  function renderStreamPart(part) {
+    // Once a provider has answered its renumbered sources supersede the early ones
+    const sources = part.aggregate && part.aggregate.sources.length > 0 ? part.aggregate.sources : part.sources;
+    const answered = part.aggregate ? part.aggregate.providers : [];
+
+    const providerRows = streamState.providers.map(provider => {
+      const verdict = part.verdicts[provider.id];
+      if (!verdict) {
+        return `<li><strong>${escapeHtml(provider.name)}:</strong> <span class="fact-check-pending">checking…</span></li>`;
+      }
+      if (verdict.failed) {
+        return `<li><strong>${escapeHtml(provider.name)}:</strong> <span class="fact-check-pending">${verdict.timedOut ? 'timed out' : escapeHtml(verdict.error || 'failed')}</span></li>`;
+      }
+      const renumbered = answered.find(candidate => candidate.provider === provider.id) || verdict;
+      return `
+        <li>
+          <strong>${escapeHtml(provider.name)}: <span style="color: ${getColorForTruth(verdict.score)} !important;">${formatTruth(verdict.score)}</span></strong>
+          <p>${linkifyReferences(escapeHtml(renumbered.summary), sources)}</p>
+        </li>
+      `;
+    }).join('');
+
+    return `
+      <ul class="fact-check-stream">${providerRows}</ul>
+      ${sources.length > 0 ? `
+        <h4>Sources:</h4>
+        <ol>
+          ${sources.map(renderSourceItem).join('')}
+        </ol>
+      ` : ''}
+    `;
+  }
+
   /**
    * Shows fact check result in the fact check box.
    * 
-   * @param {string} result - The raw fact check result from the API
+   * @param {Object} result - The aggregated fact check result
    */
   function displayResult(result) {
     console.log('Showing fact check result:', result);
     if (!resultContainer) {
       resultContainer = createContainer();
     }
-    const parsedData = parseResult(result);
-    updateContainer(parsedData);
+    updateContainer(result);
   }
 
   /**
@@ -125,654 +482,2669 @@
   function createContainer() {
     const box = document.createElement('div');
     box.id = CONTAINER_ID;
+    box.setAttribute('role', 'dialog');
+    box.setAttribute('aria-label', 'Fact Checker');
+    // Focusable, so the keyboard can reach the box and scroll it
+    box.tabIndex = -1;
+    box.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        closeContainer();
+      }
+    });
     document.body.appendChild(box);
     makeInteractive(box);
     return box;
   }
 
   /**
-   * Updates the fact check box with the parsed result.
+   * Replaces the content of the fact check box and shows it. The focus stays
+   * in the box when the content is replaced, on the element with the same id
+   * if there still is one.
+   * 
+   * @param {string} html - The new content
+   */
+  function renderContainer(html) {
+    const focused = resultContainer.contains(document.activeElement) ? document.activeElement : null;
+    resultContainer.innerHTML = html;
+    showContainer();
+    if (focused && !resultContainer.contains(focused)) {
+      const replacement = focused.id ? resultContainer.querySelector(`#${CSS.escape(focused.id)}`) : null;
+      (replacement || resultContainer).focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Shows the fact check box, unless it was hidden with the toggle shortcut.
+   * A box that appears takes the keyboard focus, so it can be read and closed
+   * without a mouse.
+   */
+  function showContainer() {
+    if (resultBoxHidden || resultContainer.style.display === 'block') {
+      return;
+    }
+    focusBeforeBox = document.activeElement;
+    resultContainer.style.display = 'block';
+    resultContainer.focus({ preventScroll: true });
+  }
+
+  /**
+   * Hides the fact check box, giving the focus back to where it was before
+   * the box took it.
+   */
+  function hideContainer() {
+    const hadFocus = resultContainer.contains(document.activeElement);
+    resultContainer.style.display = 'none';
+    if (hadFocus && focusBeforeBox && focusBeforeBox.isConnected) {
+      focusBeforeBox.focus({ preventScroll: true });
+    }
+    focusBeforeBox = null;
+  }
+
+  /**
+   * Closes the fact check box and cancels the running check.
+   */
+  function closeContainer() {
+    cancelActiveCheck();
+    cancelActiveScan();
+    if (resultContainer) {
+      hideContainer();
+    }
+  }
+
+  /**
+   * Shows or hides the fact check box, for the toggle shortcut. An open box
+   * the focus has left gets it back instead. Without a box yet, the command
+   * palette opens, with the recent checks to choose from.
+   */
+  function toggleResultBox() {
+    if (!resultContainer) {
+      openCommandPalette();
+      return;
+    }
+    setResultBoxShown(resultContainer.style.display !== 'block' || !resultContainer.contains(document.activeElement));
+  }
+
+  /**
+   * Shows the fact check box and moves the focus into it, or hides it. A
+   * hidden box stays hidden while its check runs on.
+   * 
+   * @param {boolean} shown - Whether to show the box
+   */
+  function setResultBoxShown(shown) {
+    resultBoxHidden = !shown;
+    if (shown) {
+      showContainer();
+      resultContainer.focus({ preventScroll: true });
+    } else {
+      hideContainer();
+    }
+  }
+
+  /**
+   * Updates the fact check box with the aggregated result.
    * 
-   * @param {Object} data - The parsed fact check result
+   * @param {Object} data - The aggregated fact check result
    */
   function updateContainer(data) {
     console.log('Updating fact check box with:', data);
-    const colorCode = getColorForTruth(data.truthPercentage);
+    const colorCode = getColorOf(data);
     console.log('Truth color:', colorCode);
     
-    // Check if we have both Perplexity and Groq results
-    const hasMultipleResults = data.factCheck.includes('(Perplexity)') && data.factCheck.includes('(Groq)');
+    const hasClaims = data.claims && data.claims.length > 0;
     
-    let factCheckContent = '';
-    let contextContent = '';
-    
-    if (hasMultipleResults) {
-      // Split the fact check and context sections
-      const perplexityFactCheck = data.factCheck.split('Fact Check (Groq)')[0].replace('Fact Check (Perplexity):', '').trim();
-      const groqFactCheck = data.factCheck.split('Fact Check (Groq):')[1].trim();
-      
-      factCheckContent = `
-        <h4>Fact Check (Perplexity):</h4>
-        <p>${perplexityFactCheck}</p>
-        <h4>Fact Check (Groq):</h4>
-        <p>${groqFactCheck}</p>
-      `;
-      
-      if (data.context.includes('Additional Context')) {
-        const mainContext = data.context.split('Additional Context')[0].trim();
-        const additionalContext = data.context.split('Additional Context:')[1].trim();
-        
-        contextContent = `
-          <h4>Context:</h4>
-          <p>${mainContext}</p>
-          <h4>Additional Context:</h4>
-          <p>${additionalContext}</p>
-        `;
-      } else {
-        contextContent = `
-          <h4>Context:</h4>
-          <p>${data.context}</p>
-        `;
-      }
-    } else {
-      // Single result format
-      factCheckContent = `
-        <h4>Fact Check:</h4>
-        <p>${data.factCheck}</p>
-      `;
-      
-      contextContent = `
-        <h4>Context:</h4>
-        <p>${data.context}</p>
-      `;
-    }
-    
-    resultContainer.innerHTML = `
+    renderContainer(`
       <div class="fact-check-header">
         <h2>Fact Checker</h2>
-        <button id="${CLOSE_BTN_ID}">×</button>
+        <button id="${CLOSE_BTN_ID}" aria-label="Close">×</button>
       </div>
-      <h3 id="${TRUTH_METER_ID}">Truth Percentage: <span style="color: ${colorCode} !important;">${data.truthPercentage}</span></h3>
-      ${factCheckContent}
-      ${contextContent}
-      <h4>Sources:</h4>
-      <ol>
-        ${data.sources.map(source => `<li value="${source.index}"><a href="${source.url}" target="_blank">${source.title}</a></li>`).join('')}
-      </ol>
+      <h3 id="${TRUTH_METER_ID}">${hasClaims ? 'Overall Truth' : 'Truth Percentage'}: <span style="color: ${colorCode} !important;">${formatTruthOf(data)}</span></h3>
+      ${renderContestedNotice(data)}
+      ${renderCachedNotice(data)}
+      ${renderImageRegions(data.image, data)}
+      ${renderQuoteCheck(data.quote)}
+      ${renderFigureChecks(data.figures)}
+      ${hasClaims ? renderClaimResults(data) : renderSingleResult(data)}
       <button id="${COPY_BTN_ID}">Copy Result</button>
-    `;
-    
-    resultContainer.style.display = 'block';
+    `);
     setupCloseButton();
     setupCopyButton(data);
+    setupRecheckButton();
+    setupSettingsButtons();
   }
 
   /**
-   * Parses the raw fact check result into a structured object.
+   * Renders the notice shown when a result (partly) came from the cache.
    * 
-   * @param {string} result - The raw fact check result from the API
-   * @returns {Object} The parsed result with truthPercentage, factCheck, context, and sources
+   * @param {Object} data - The aggregated fact check result
+   * @returns {string} The HTML for the notice, or an empty string
    */
-  function parseResult(result) {
-    console.log('Parsing raw result:', result);
-
-    const sections = result.split('\n\n');
-    const data = {
-      truthPercentage: 'N/A',
-      factCheck: 'No fact check provided.',
-      context: 'No context provided.',
-      sources: []
-    };
-
-    let currentSection = '';
-
-    sections.forEach(section => {
-      if (section.startsWith('Sources:')) {
-        currentSection = 'sources';
-        extractSources(section, data);
-      } else if (section.startsWith('Truth:')) {
-        currentSection = 'truth';
-        data.truthPercentage = section.split(':')[1].trim();
-      } else if (section.startsWith('Fact Check:')) {
-        currentSection = 'factCheck';
-        data.factCheck = section.split(':').slice(1).join(':').trim();
-      } else if (section.startsWith('Context:')) {
-        currentSection = 'context';
-        data.context = section.split(':').slice(1).join(':').trim();
-      } else if (currentSection === 'factCheck') {
-        data.factCheck += ' ' + section.trim();
-      } else if (currentSection === 'context') {
-        data.context += ' ' + section.trim();
-      }
-    });
-
-    console.log('Parsed result:', data);
-
-    // Replace source references with hyperlinks
-    data.factCheck = linkifyReferences(data.factCheck, data.sources);
-    data.context = linkifyReferences(data.context, data.sources);
-
-    return data;
+  function renderCachedNotice(data) {
+    if (!data.cachedAt) {
+      return '';
+    }
+    return `
+      <p class="fact-check-cached">
+        Cached result from ${escapeHtml(new Date(data.cachedAt).toLocaleString())}.
+        ${lastCheckedText ? `<button id="${RECHECK_BTN_ID}">Re-check now</button>` : ''}
+      </p>
+    `;
   }
 
   /**
-   * Parses the sources section of the fact check result.
+   * Renders the fact checks, context and sources of a single aggregated result.
    * 
-   * @param {string} section - The sources section text
-   * @param {Object} data - The result object to update with sources
+   * @param {Object} data - The aggregated result of the whole text or of one claim
+   * @returns {string} The HTML for the result
    */
-  function extractSources(section, data) {
-    const sourceLines = section.split('\n').slice(1);
-    console.log('Source lines:', sourceLines);
+  function renderSingleResult(data) {
+    // Label each section with its provider when several providers answered
+    const labelled = data.providers.length > 1;
     
-    sourceLines.forEach(line => {
-      const match = line.match(/(\d+)\.\s+(.+)/);
-      if (match) {
-        const [, index, content] = match;
-        const urlMatch = content.match(/\[(.+?)\]\((.+?)\)/);
-        if (urlMatch) {
-          data.sources.push({ index, title: urlMatch[1], url: urlMatch[2] });
-        } else {
-          data.sources.push({ index, title: content, url: '#' });
-        }
-      }
-    });
-  }
-
-  /**
-   * Replaces source references in text with hyperlinks.
-   * 
-   * @param {string} text - The text containing source references
-   * @param {Array} sources - The array of source objects
-   * @returns {string} The text with source references replaced with hyperlinks
-   */
-  function linkifyReferences(text, sources) {
-    return text.replace(/\[(\d+(?:,\s*\d+)*)\]/g, (match, p1) => {
-      const indices = p1.split(',').map(s => s.trim());
-      const links = indices.map(index => {
-        const source = sources.find(s => s.index === index);
-        if (source) {
-          return `<a href="${source.url}" target="_blank">[${index}]</a>`;
-        }
-        return `[${index}]`;
-      });
-      return links.join(', ');
-    });
+    const weights = (data.consensus && data.consensus.weights) || {};
+    const factCheckContent = data.providers.length > 0
+      ? data.providers.map(verdict => `
+        <h4>Fact Check${labelled ? ` (${escapeHtml(verdict.providerName)} · ${formatTruth(verdict.score)}${weights[verdict.provider] ? ` · weight ${weights[verdict.provider]}` : ''})` : ''}:</h4>
+        <p>${linkifyReferences(escapeHtml(verdict.summary), data.sources)}</p>
+        ${renderFindings(verdict.findings, data.sources)}
+      `).join('')
+      : '<h4>Fact Check:</h4><p>No results available from any API.</p>';
+    
+    const contextContent = data.providers.map((verdict, i) => `
+        <h4>${i === 0 ? 'Context' : 'Additional Context'}${labelled ? ` (${escapeHtml(verdict.providerName)})` : ''}:</h4>
+        <p>${linkifyReferences(escapeHtml(verdict.context), data.sources)}</p>
+      `).join('');
+    
+    return `
+      ${factCheckContent}
+      ${renderProviderProblems(data)}
+      ${contextContent}
+      <h4>Sources:</h4>
+      <ol>
+        ${data.sources.map(renderSourceItem).join('')}
+      </ol>
+    `;
   }
 
   /**
-   * Gets the color for the truth percentage.
+   * Renders the checked image with the recognized lines of text outlined.
+   * Once the result is in, each line is outlined in the colour of the claim
+   * it belongs to.
    * 
-   * @param {string} percentage - The truth percentage
-   * @returns {string} The color for the truth percentage
+   * @param {Object|null|undefined} image - The image, see initiateImageCheck in background.js
+   * @param {Object} [data] - The aggregated fact check result, if the check is done
+   * @returns {string} The HTML for the image, or an empty string
    */
-  function getColorForTruth(percentage) {
-    console.log('Received percentage:', percentage);
-    const value = parseInt(percentage);
-    console.log('Parsed value:', value);
-    
-    if (isNaN(value)) {
-      console.log('Returning black due to NaN');
-      return 'black';
+  function renderImageRegions(image, data) {
+    if (!image || !image.width || !image.height) {
+      return '';
     }
+    const percent = (value, total) => `${Math.round((value / total) * 1000) / 10}%`;
+    const regions = image.regions.map(region => {
+      let color = 'gray';
+      if (data && data.claims && data.claims.length > 0) {
+        const claim = findClaimOfRegion(region.text, data.claims);
+        color = claim ? getColorOf(claim) : color;
+      } else if (data) {
+        color = getColorOf(data);
+      }
+      return `<span class="fact-check-image-region" title="${escapeHtml(region.text)}" style="left: ${percent(region.x0, image.width)}; top: ${percent(region.y0, image.height)}; width: ${percent(region.x1 - region.x0, image.width)}; height: ${percent(region.y1 - region.y0, image.height)}; border-color: ${color} !important;"></span>`;
+    }).join('');
     
-    if (value >= 80) return 'green';
-    if (value >= 60) return 'goldenrod';
-    if (value >= 40) return 'orange';
-    return 'red';
+    return `
+      <figure class="fact-check-image">
+        <div class="fact-check-image-frame">
+          <img src="${escapeHtml(image.src)}" alt="The checked image">
+          ${regions}
+        </div>
+        <figcaption>The outlined text was read from the image and checked.</figcaption>
+      </figure>
+    `;
   }
 
   /**
-   * Shows an error message in the fact check box using the same window and formatting as displayResult().
+   * Shows the provenance report of an image in the fact check box.
    * 
-   * @param {string} message - The error message to display
+   * @param {Object} report - The report, see ProvenanceReport in provenance.js
    */
-  function displayError(message) {
-    console.error('Showing error:', message);
+  function displayProvenanceReport(report) {
     if (!resultContainer) {
       resultContainer = createContainer();
     }
     
-    // Create a data object similar to what parseResult() would return
-    const data = {
-      truthPercentage: 'N/A',
-      factCheck: message,
-      context: 'An error occurred while processing your request.',
-      sources: []
-    };
+    const credentials = report.credentials;
+    let summary = 'No provenance data';
+    let summaryColor = 'gray';
+    if (credentials) {
+      const status = SIGNATURE_STATUS_LABELS[credentials.signatureStatus] || SIGNATURE_STATUS_LABELS.unsupported;
+      const changed = credentials.hashStatus === 'mismatch';
+      summary = changed ? 'Changed after signing' : `Content Credentials, ${status.label.toLowerCase()}`;
+      summaryColor = changed ? 'red' : status.color;
+    } else if (report.capture || report.editHistory.length > 0) {
+      summary = 'Unsigned metadata only';
+      summaryColor = 'goldenrod';
+    }
     
-    // Use the same updateContainer function as displayResult
-    updateContainer(data);
+    renderContainer(`
+      <div class="fact-check-header">
+        <h2>Fact Checker</h2>
+        <button id="${CLOSE_BTN_ID}" aria-label="Close">×</button>
+      </div>
+      <h3 id="${TRUTH_METER_ID}">Image Provenance: <span style="color: ${summaryColor} !important;">${escapeHtml(summary)}</span></h3>
+      <figure class="fact-check-image">
+        <img src="${escapeHtml(report.src)}" alt="The inspected image">
+        <figcaption>${[
+          report.format !== 'unknown' && escapeHtml(report.format.toUpperCase()),
+          report.width && `${report.width} × ${report.height} pixels`
+        ].filter(Boolean).join(', ')}</figcaption>
+      </figure>
+      ${renderCredentials(credentials)}
+      ${renderCapture(report.capture)}
+      ${renderEditHistory(report.editHistory)}
+      ${renderSightings(report)}
+    `);
+    setupCloseButton();
   }
 
   /**
-   * Adds a click listener to the close button.
+   * Renders the Content Credentials of an image.
+   * 
+   * @param {Object|null} credentials - The credentials, see ContentCredentials in c2pa.js
+   * @returns {string} The HTML for the credentials
    */
-  function setupCloseButton() {
-    setTimeout(() => {
-      const closeBtn = document.getElementById(CLOSE_BTN_ID);
-      if (closeBtn) {
-        console.log('Close button found, adding event listener');
-        closeBtn.addEventListener('click', () => {
-          console.log('Close button clicked');
-          if (resultContainer) {
-            resultContainer.style.display = 'none';
-          }
-        });
-      } else {
-        console.log('Close button not found');
-      }
-    }, BTN_DELAY);
+  function renderCredentials(credentials) {
+    if (!credentials) {
+      return `
+        <h4>Content Credentials:</h4>
+        <p>None. Most images have none, so their absence proves nothing.</p>
+      `;
+    }
+    const status = SIGNATURE_STATUS_LABELS[credentials.signatureStatus] || SIGNATURE_STATUS_LABELS.unsupported;
+    const hashLabels = {
+      match: 'The image is unchanged since it was signed.',
+      mismatch: 'The image was changed after it was signed.',
+      unchecked: 'The credentials do not say which image they were signed for.'
+    };
+    const details = [
+      `<li><strong style="color: ${status.color} !important;">${status.label}</strong>${credentials.signer ? ` by ${escapeHtml(credentials.signer)}` : ''}${credentials.issuer ? `, certificate issued by ${escapeHtml(credentials.issuer)}` : ''}</li>`,
+      `<li${credentials.hashStatus === 'mismatch' ? ' style="color: red !important;"' : ''}>${hashLabels[credentials.hashStatus] || hashLabels.unchecked}</li>`
+    ];
+    if (credentials.aiGenerated) {
+      details.push('<li><strong>Made or changed with generative AI</strong>, according to the credentials.</li>');
+    }
+    if (credentials.claimGenerator) {
+      details.push(`<li>Written by ${escapeHtml(credentials.claimGenerator)}</li>`);
+    }
+    if (credentials.title) {
+      details.push(`<li>Title: ${escapeHtml(credentials.title)}</li>`);
+    }
+    if (credentials.manifestCount > 1) {
+      details.push(`<li>Made from ${credentials.manifestCount - 1} earlier signed ${credentials.manifestCount === 2 ? 'image' : 'images'}</li>`);
+    }
+    return `
+      <h4>Content Credentials:</h4>
+      <ul>${details.join('')}</ul>
+      <p class="fact-check-note">The signer is not checked against a list of trusted signers; anyone can sign an image.</p>
+    `;
   }
 
   /**
-   * Adds a click listener to the copy button.
+   * Renders the capture details of an image.
    * 
-   * @param {Object} data - The parsed fact check result
+   * @param {Object|null} capture - The capture details from EXIF, see provenance.js
+   * @returns {string} The HTML for the capture details
    */
-  function setupCopyButton(data) {
-    const copyBtn = document.getElementById(COPY_BTN_ID);
-    if (copyBtn) {
-      copyBtn.addEventListener('click', () => {
-        const formattedText = formatForClipboard(data);
-        navigator.clipboard.writeText(formattedText).then(() => {
-          copyBtn.textContent = 'Copied!';
-          setTimeout(() => {
-            copyBtn.textContent = 'Copy Result';
-          }, COPY_RESET_DELAY);
-        });
-      });
+  function renderCapture(capture) {
+    if (!capture) {
+      return `
+        <h4>Capture:</h4>
+        <p>No camera data. Most sites remove it when images are uploaded.</p>
+      `;
     }
+    const device = [capture.make, capture.model].filter(Boolean).join(' ');
+    const details = [
+      device && `Camera: ${escapeHtml(device)}`,
+      capture.lens && `Lens: ${escapeHtml(capture.lens)}`,
+      capture.takenAt && `Taken: ${escapeHtml(formatExifDate(capture.takenAt))}`,
+      capture.software && `Software: ${escapeHtml(capture.software)}`,
+      capture.artist && `Artist: ${escapeHtml(capture.artist)}`,
+      capture.copyright && `Copyright: ${escapeHtml(capture.copyright)}`,
+      capture.gps && `Location: <a href="https://www.openstreetmap.org/?mlat=${capture.gps.latitude}&amp;mlon=${capture.gps.longitude}&amp;zoom=14" target="_blank">${capture.gps.latitude.toFixed(5)}, ${capture.gps.longitude.toFixed(5)}</a>`
+    ].filter(Boolean);
+    return `
+      <h4>Capture:</h4>
+      <ul>${details.map(detail => `<li>${detail}</li>`).join('')}</ul>
+    `;
   }
 
   /**
-   * Formats the result for copying to clipboard.
+   * Renders the edit history of an image.
    * 
-   * @param {Object} data - The parsed fact check result
-   * @returns {string} The formatted text for copying
+   * @param {Array<Object>} history - The edits, see provenance.js
+   * @returns {string} The HTML for the edit history, or an empty string
+   */
+  function renderEditHistory(history) {
+    if (history.length === 0) {
+      return '';
+    }
+    return `
+      <h4>Edit History:</h4>
+      <ol>
+        ${history.map(edit => `
+          <li>
+            ${escapeHtml(edit.action)}${edit.softwareAgent ? ` with ${escapeHtml(edit.softwareAgent)}` : ''}${edit.when ? `, ${escapeHtml(formatExifDate(edit.when))}` : ''}
+            <small>(${EDIT_SOURCE_LABELS[edit.source] || escapeHtml(edit.source)})</small>
+          </li>
+        `).join('')}
+      </ol>
+    `;
+  }
+
+  /**
+   * Renders the earlier sightings of an image from the local image library.
+   * 
+   * @param {Object} report - The provenance report
+   * @returns {string} The HTML for the sightings
+   */
+  function renderSightings(report) {
+    if (!report.hash) {
+      return `
+        <h4>Earlier Sightings:</h4>
+        <p>The image could not be decoded, so it cannot be compared with images you inspected before.</p>
+      `;
+    }
+    const earlier = report.matches.filter(match => match.src !== report.src || match.pageUrl !== report.pageUrl);
+    if (earlier.length === 0) {
+      return `
+        <h4>Earlier Sightings:</h4>
+        <p>None. This is the first time you inspected this picture; it is remembered to recognize later copies.</p>
+      `;
+    }
+    return `
+      <h4>Earlier Sightings:</h4>
+      <ol>
+        ${earlier.map(match => `
+          <li>
+            ${escapeHtml(new Date(match.firstSeen).toLocaleString())}:
+            <a href="${safeUrl(match.pageUrl)}" target="_blank">${escapeHtml(match.pageUrl)}</a>
+            <small>(${match.distance === 0 ? 'identical' : 'similar'}${match.width ? `, ${match.width} × ${match.height}` : ''})</small>
+          </li>
+        `).join('')}
+      </ol>
+    `;
+  }
+
+  /**
+   * Formats an EXIF or XMP date for display. EXIF writes dates as
+   * 'YYYY:MM:DD HH:MM:SS' without a time zone, so they are shown as written.
+   * 
+   * @param {string} value - The date
+   * @returns {string} The formatted date
+   */
+  function formatExifDate(value) {
+    const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}:\d{2})/.exec(value);
+    return match ? `${match[1]}-${match[2]}-${match[3]} ${match[4]}` : value;
+  }
+
+  /**
+   * Finds the claim a line of image text belongs to: the claim sharing the
+   * largest part of the line's words, if it shares at least half of them.
+   * 
+   * @param {string} text - The line of text
+   * @param {Array<Object>} claims - The claim results
+   * @returns {Object|null} The claim, or null if none matches
+   */
+  function findClaimOfRegion(text, claims) {
+    const words = value => (value.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []);
+    const lineWords = words(text);
+    if (lineWords.length === 0) {
+      return null;
+    }
+    let best = null;
+    let bestShare = 0.5;
+    claims.forEach(claim => {
+      const claimWords = new Set(words(claim.text));
+      const share = lineWords.filter(word => claimWords.has(word)).length / lineWords.length;
+      if (share >= bestShare) {
+        best = claim;
+        bestShare = share;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Renders the provenance of a quoted selection: the verdict, the speaker,
+   * the original and a word diff between the quote and the original.
+   * 
+   * @param {Object|null|undefined} quote - The quote check, see quotes.js
+   * @returns {string} The HTML for the quote check, or an empty string
+   */
+  function renderQuoteCheck(quote) {
+    if (!quote) {
+      return '';
+    }
+    const origin = [quote.speaker, quote.occasion, quote.date].filter(Boolean).map(escapeHtml).join(', ');
+    return `
+      <div class="fact-check-quote">
+        <h4>Quote: <span style="color: ${QUOTE_VERDICT_COLORS[quote.verdict] || 'black'} !important;">${escapeHtml(quote.label)}</span></h4>
+        ${origin ? `<p>Attributed to ${origin}.</p>` : ''}
+        ${quote.diff.length > 0 ? `
+          <p class="fact-check-quote-diff">${quote.diff.map(renderDiffPart).join(' ')}</p>
+          <p class="fact-check-quote-legend"><ins>Only in the quote</ins> <del>Only in the original</del></p>
+        ` : '<p>No original wording was found.</p>'}
+        ${quote.explanation ? `<p>${escapeHtml(quote.explanation)}</p>` : ''}
+        ${quote.source ? `<p>Original: <a href="${safeUrl(quote.source.url)}" target="_blank">${escapeHtml(quote.source.title)}</a> <span class="source-domain">${escapeHtml(quote.source.domain)}</span></p>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Renders one run of words of a quote diff.
+   * 
+   * @param {{type: string, words: string[]}} part - The run, see diffWords() in quotes.js
+   * @returns {string} The HTML for the run
+   */
+  function renderDiffPart(part) {
+    const text = escapeHtml(part.words.join(' '));
+    if (part.type === 'added') return `<ins>${text}</ins>`;
+    if (part.type === 'removed') return `<del>${text}</del>`;
+    return text;
+  }
+
+  /**
+   * Renders the figure checks as a "claimed vs. reported" table. Figures off
+   * by an order of magnitude are flagged above the table.
+   * 
+   * @param {Array|null|undefined} figures - The figure checks, see figures.js
+   * @returns {string} The HTML for the table, or an empty string
+   */
+  function renderFigureChecks(figures) {
+    if (!figures || figures.length === 0) {
+      return '';
+    }
+    const flagged = figures.filter(figure => figure.status === 'order-of-magnitude');
+    return `
+      <div class="fact-check-figures">
+        <h4>Figures:</h4>
+        ${flagged.length > 0 ? `
+          <p class="fact-check-magnitude-flag">
+            ${flagged.map(figure => escapeHtml(figure.claimed.text)).join(', ')}
+            ${flagged.length === 1 ? 'is' : 'are'} off by an order of magnitude.
+          </p>
+        ` : ''}
+        <table class="fact-check-claims">
+          <thead>
+            <tr><th>Claimed</th><th>Reported</th><th>Error</th><th>Verdict</th></tr>
+          </thead>
+          <tbody>
+            ${figures.map(figure => `
+              <tr>
+                <td>${escapeHtml([figure.claimed.comparison, figure.claimed.text].filter(Boolean).join(' '))}${figure.claimed.date ? ` <small>(${escapeHtml(figure.claimed.date)})</small>` : ''}</td>
+                <td>${figure.reportedText ? escapeHtml(figure.reportedText) : '–'}${figure.date ? ` <small>(${escapeHtml(figure.date)})</small>` : ''}${figure.source ? ` <a href="${safeUrl(figure.source.url)}" target="_blank" title="${escapeHtml(figure.source.title)}">${escapeHtml(figure.source.domain)}</a>` : ''}</td>
+                <td>${formatRelativeError(figure.relativeError)}</td>
+                <td><span style="color: ${FIGURE_STATUS_COLORS[figure.status] || 'black'} !important;" title="${escapeHtml(figure.note)}">${escapeHtml(figure.label)}</span></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Formats the relative error of a figure, e.g. "+25%".
+   * 
+   * @param {number|null} relativeError - The relative error, see figures.js
+   * @returns {string} The formatted error, or "–" if it is unknown
+   */
+  function formatRelativeError(relativeError) {
+    if (typeof relativeError !== 'number') {
+      return '–';
+    }
+    const percent = Math.round(relativeError * 100);
+    return `${percent > 0 ? '+' : ''}${percent}%`;
+  }
+
+  /**
+   * Renders one entry of a sources list, with its domain and credibility badge.
+   * 
+   * @param {Object} source - A source from the result
+   * @returns {string} The HTML for the list item
+   */
+  function renderSourceItem(source) {
+    return `
+      <li value="${source.index}" class="${isBrokenSource(source) ? 'source-broken' : ''}">
+        <a href="${safeUrl(source.url)}" target="_blank">${escapeHtml(source.title)}</a>
+        <span class="source-domain">${escapeHtml(source.domain || '')}</span>
+        ${renderCredibilityBadge(source)}
+        ${renderVerificationBadge(source)}
+      </li>
+    `;
+  }
+
+  /**
+   * Renders the credibility badge of a source, see reputation.js.
+   * 
+   * @param {Object} source - A source from the result
+   * @returns {string} The HTML for the badge, or an empty string for unannotated sources
+   */
+  function renderCredibilityBadge(source) {
+    if (!source.credibility) {
+      return '';
+    }
+    return `<span class="credibility-badge credibility-${escapeHtml(source.credibility.category)}">${escapeHtml(source.credibility.label)}</span>`;
+  }
+
+  /**
+   * Renders the verification badge of a source, see source-verification.js.
+   * Sources that could not be checked get no badge.
+   * 
+   * @param {Object} source - A source from the result
+   * @returns {string} The HTML for the badge, or an empty string
+   */
+  function renderVerificationBadge(source) {
+    const verification = source.verification;
+    if (!verification || !VERIFICATION_LABELS[verification.status]) {
+      return '';
+    }
+    const title = verification.httpStatus ? `HTTP ${verification.httpStatus}` : '';
+    return `<span class="verification-badge verification-${verification.status}" title="${title}">${VERIFICATION_LABELS[verification.status]}</span>`;
+  }
+
+  /**
+   * Checks whether a source's link is dead or its page does not back the claim.
+   * 
+   * @param {Object} source - A source from the result
+   * @returns {boolean} True if the source failed verification
+   */
+  function isBrokenSource(source) {
+    return Boolean(source.verification) && ['dead', 'unreachable', 'unsupported', 'private'].includes(source.verification.status);
+  }
+
+  /**
+   * Renders the notes for providers that timed out or failed, with a
+   * settings button where a key was rejected.
+   * 
+   * @param {Object} data - The aggregated result of the whole text or of one claim
+   * @returns {string} The HTML for the notes, or an empty string
+   */
+  function renderProviderProblems(data) {
+    const timedOut = data.timedOut || [];
+    const errors = data.errors || [];
+    const notes = [];
+    if (timedOut.length > 0) {
+      notes.push(`<p class="fact-check-timed-out">${timedOut.map(entry => escapeHtml(entry.providerName)).join(', ')} timed out.</p>`);
+    }
+    errors.forEach(error => {
+      notes.push(`
+        <p class="fact-check-provider-error">
+          ${escapeHtml(error.message)}
+          ${error.kind === 'auth' ? renderSettingsButton() : ''}
+        </p>
+      `);
+    });
+    return notes.join('');
+  }
+
+  /**
+   * Renders a button that opens the extension settings.
+   * 
+   * @returns {string} The HTML for the button
+   */
+  function renderSettingsButton() {
+    return `<button class="${OPEN_SETTINGS_CLASS}">Open settings</button>`;
+  }
+
+  /**
+   * Renders a decomposed result: a roll-up line, a per-claim table and the
+   * full breakdown of each claim in a collapsible section.
+   * 
+   * @param {Object} data - The rolled-up result with its claims
+   * @returns {string} The HTML for the claims
+   */
+  function renderClaimResults(data) {
+    const { rollup } = data;
+    const rollupParts = [`${rollup.supported} of ${rollup.total} claims supported`];
+    if (rollup.mixed > 0) rollupParts.push(`${rollup.mixed} mixed`);
+    if (rollup.refuted > 0) rollupParts.push(`${rollup.refuted} refuted`);
+    if (rollup.unverified > 0) rollupParts.push(`${rollup.unverified} unverified`);
+    if (rollup.contested > 0) rollupParts.push(`${rollup.contested} contested`);
+    
+    return `
+      <p class="fact-check-rollup">${rollupParts.join(' · ')}. The overall score is that of the weakest claim.</p>
+      <table class="fact-check-claims">
+        <thead>
+          <tr><th>Claim</th><th>Score</th><th>Verdict</th><th>Sources</th></tr>
+        </thead>
+        <tbody>
+          ${data.claims.map(claim => `
+            <tr>
+              <td>${escapeHtml(claim.text)}</td>
+              <td><span style="color: ${getColorOf(claim)} !important;">${formatTruthOf(claim)}</span></td>
+              <td>${escapeHtml(formatFindingVerdict(claim.verdict))}</td>
+              <td>${claim.sources.map(source => `<a href="${safeUrl(source.url)}" target="_blank" title="${escapeHtml(source.title)}">[${source.index}]</a>`).join(' ')}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ${data.claims.map((claim, i) => `
+        <details class="fact-check-claim-details">
+          <summary>Claim ${i + 1}: ${escapeHtml(claim.text)}</summary>
+          ${renderSingleResult(claim)}
+        </details>
+      `).join('')}
+    `;
+  }
+
+  /**
+   * Renders a provider's per-claim findings as a list.
+   * 
+   * @param {Array} findings - The findings of one provider verdict
+   * @param {Array} sources - The merged sources the findings refer to
+   * @returns {string} The HTML for the findings, or an empty string
+   */
+  function renderFindings(findings, sources) {
+    if (!findings || findings.length === 0) {
+      return '';
+    }
+    return `
+      <ul class="fact-check-findings">
+        ${findings.map(finding => `
+          <li>
+            <strong>${escapeHtml(formatFindingVerdict(finding.verdict))}:</strong>
+            ${escapeHtml(finding.claim)}
+            ${finding.explanation ? `– ${escapeHtml(finding.explanation)}` : ''}
+            ${linkifyReferences(finding.sources && finding.sources.length > 0 ? `[${finding.sources.join(', ')}]` : '', sources)}
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * Formats a finding verdict such as "mostly-true" for display.
+   * 
+   * @param {string} verdict - The finding verdict
+   * @returns {string} The verdict with spaces and a capital letter
+   */
+  function formatFindingVerdict(verdict) {
+    const label = (verdict || 'unverifiable').replace(/-/g, ' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+  }
+
+  /**
+   * Formats a truth score for display.
+   * 
+   * @param {number|null} score - The truth score from 0 to 100
+   * @returns {string} The score as a percentage, or "N/A"
+   */
+  function formatTruth(score) {
+    return typeof score === 'number' ? `${score}%` : 'N/A';
+  }
+
+  /**
+   * Checks whether the providers strongly disagree about a result.
+   * 
+   * @param {Object} data - An aggregated result
+   * @returns {boolean} True if the result is contested
+   */
+  function isContested(data) {
+    return Boolean(data.consensus && data.consensus.contested);
+  }
+
+  /**
+   * Formats the truth meter value of a result: "Contested" when the providers
+   * strongly disagree, the score otherwise.
+   * 
+   * @param {Object} data - An aggregated result
+   * @returns {string} The formatted value
+   */
+  function formatTruthOf(data) {
+    return isContested(data) ? 'Contested' : formatTruth(data.score);
+  }
+
+  /**
+   * Gets the truth meter color of a result.
+   * 
+   * @param {Object} data - An aggregated result
+   * @returns {string} The color
+   */
+  function getColorOf(data) {
+    return isContested(data) ? CONTESTED_COLOR : getColorForTruth(data.score);
+  }
+
+  /**
+   * Renders the explanation shown under the meter of a contested result.
+   * 
+   * @param {Object} data - An aggregated result
+   * @returns {string} The HTML for the notice, or an empty string
+   */
+  function renderContestedNotice(data) {
+    if (!isContested(data)) {
+      return '';
+    }
+    return `
+      <p class="fact-check-contested">
+        The providers disagree by ${data.consensus.spread} points, so no single score is shown
+        (weighted by sources it would be ${formatTruth(data.score)}). Read each verdict below.
+      </p>
+    `;
+  }
+
+  /**
+   * Escapes text for safe insertion into HTML.
+   * 
+   * @param {string} text - The text to escape
+   * @returns {string} The escaped text
+   */
+  function escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Makes a URL safe for an href attribute. Source URLs come from the
+   * providers and the page, so only http(s) links are kept; anything else,
+   * such as a javascript: URL, becomes a blank page.
+   * 
+   * @param {string} url - The URL to link to
+   * @returns {string} The escaped URL, or 'about:blank'
+   */
+  function safeUrl(url) {
+    return /^https?:\/\//i.test(String(url ?? '').trim()) ? escapeHtml(String(url).trim()) : 'about:blank';
+  }
+
+  /**
+   * Replaces source references in text with hyperlinks.
+   * 
+   * @param {string} text - The text containing source references
+   * @param {Array} sources - The array of source objects
+   * @returns {string} The text with source references replaced with hyperlinks
+   */
+  function linkifyReferences(text, sources) {
+    return text.replace(/\[(\d+(?:,\s*\d+)*)\]/g, (match, p1) => {
+      const indices = p1.split(',').map(s => s.trim());
+      const links = indices.map(index => {
+        const source = sources.find(s => String(s.index) === index);
+        if (source) {
+          return `<a href="${safeUrl(source.url)}" target="_blank">[${index}]</a>`;
+        }
+        return `[${index}]`;
+      });
+      return links.join(', ');
+    });
+  }
+
+  /**
+   * Gets the color for the truth percentage.
+   * 
+   * @param {number|string} percentage - The truth percentage
+   * @returns {string} The color for the truth percentage
+   */
+  function getColorForTruth(percentage) {
+    console.log('Received percentage:', percentage);
+    const value = parseInt(percentage);
+    console.log('Parsed value:', value);
+    
+    if (isNaN(value)) {
+      console.log('Returning black due to NaN');
+      return 'black';
+    }
+    
+    const { high, medium, low } = settings.scoreThresholds;
+    if (value >= high) return 'green';
+    if (value >= medium) return 'goldenrod';
+    if (value >= low) return 'orange';
+    return 'red';
+  }
+
+  /**
+   * Builds a result object that carries an error message, so errors can be
+   * shown with the same formatting as regular results.
+   * 
+   * @param {string} message - The error message
+   * @returns {Object} A result with a single message-only verdict
+   */
+  function createErrorResult(message) {
+    return {
+      score: null,
+      providers: [{
+        providerName: 'Error',
+        summary: message,
+        context: 'An error occurred while processing your request.',
+        findings: [],
+        sources: []
+      }],
+      sources: []
+    };
+  }
+
+  /**
+   * Shows the fact check box with a loader, for checks that have nothing to
+   * show until they are done.
+   * 
+   * @param {string} message - What is being done
+   */
+  function displayLoader(message) {
+    if (!resultContainer) {
+      resultContainer = createContainer();
+    }
+    resultBoxHidden = false;
+    renderContainer(`
+      <div class="fact-check-header">
+        <h2>Fact Checker</h2>
+        <button id="${CLOSE_BTN_ID}" aria-label="Close">×</button>
+      </div>
+      <p>${escapeHtml(message)}</p>
+      <div class="loader"></div>
+    `);
+    setupCloseButton();
+  }
+
+  /**
+   * Shows an error message in the fact check box using the same window and formatting as displayResult().
+   * 
+   * @param {string} message - The error message to display
+   * @param {string|null} [kind] - The error kind; 'auth' adds a button that opens the settings
+   */
+  function displayError(message, kind) {
+    console.error('Showing error:', message);
+    if (!resultContainer) {
+      resultContainer = createContainer();
+    }
+    resultBoxHidden = false;
+    
+    // Use the same updateContainer function as displayResult
+    updateContainer(createErrorResult(message));
+    
+    // A rejected key can only be fixed in the settings
+    if (kind === 'auth') {
+      document.getElementById(COPY_BTN_ID).insertAdjacentHTML('beforebegin', renderSettingsButton());
+      setupSettingsButtons();
+    }
+  }
+
+
+  /**
+   * Adds a click listener to the close button.
+   */
+  function setupCloseButton() {
+    setTimeout(() => {
+      const closeBtn = document.getElementById(CLOSE_BTN_ID);
+      if (closeBtn) {
+        console.log('Close button found, adding event listener');
+        closeBtn.addEventListener('click', () => {
+          console.log('Close button clicked');
+          closeContainer();
+        });
+      } else {
+        console.log('Close button not found');
+      }
+    }, BTN_DELAY);
+  }
+
+  /**
+   * Adds a click listener to the re-check button, which repeats the last
+   * check without using cached verdicts.
+   */
+  function setupRecheckButton() {
+    const recheckBtn = document.getElementById(RECHECK_BTN_ID);
+    if (recheckBtn) {
+      recheckBtn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ action: 'recheck', text: lastCheckedText });
+      });
+    }
+  }
+
+  /**
+   * Sets up the buttons that open the extension settings.
+   */
+  function setupSettingsButtons() {
+    resultContainer.querySelectorAll(`.${OPEN_SETTINGS_CLASS}`).forEach(button => {
+      button.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ action: 'openSettings' });
+      });
+    });
+  }
+
+  /**
+   * Adds a click listener to the copy button.
+   * 
+   * @param {Object} data - The aggregated fact check result
+   */
+  function setupCopyButton(data) {
+    const copyBtn = document.getElementById(COPY_BTN_ID);
+    if (copyBtn) {
+      copyBtn.addEventListener('click', () => {
+        const formattedText = formatForClipboard(data);
+        navigator.clipboard.writeText(formattedText).then(() => {
+          copyBtn.textContent = 'Copied!';
+          setTimeout(() => {
+            copyBtn.textContent = 'Copy Result';
+          }, COPY_RESET_DELAY);
+        });
+      });
+    }
+  }
+
+  /**
+   * Formats the result for copying to clipboard.
+   * 
+   * @param {Object} data - The aggregated fact check result
+   * @returns {string} The formatted text for copying
    */
   function formatForClipboard(data) {
-    // Check if we have both Perplexity and Groq results
-    const hasMultipleResults = data.factCheck.includes('(Perplexity)') && data.factCheck.includes('(Groq)');
+    const quoteText = (data.quote ? `${formatQuoteForClipboard(data.quote)}\n\n` : '')
+      + (data.figures ? `${formatFiguresForClipboard(data.figures)}\n\n` : '');
+    if (data.claims && data.claims.length > 0) {
+      const claimTexts = data.claims.map((claim, i) =>
+        `Claim ${i + 1}: ${claim.text}\n${formatForClipboard(claim)}`
+      );
+      return `Overall Truth: ${formatTruth(data.score)}\n\n${quoteText}${claimTexts.join('\n\n')}`;
+    }
+    
+    const labelled = data.providers.length > 1;
+    
+    let formattedText = isContested(data)
+      ? `Truth Percentage: Contested (providers ${data.consensus.spread} points apart, weighted ${formatTruth(data.score)})\n\n`
+      : `Truth Percentage: ${formatTruth(data.score)}\n\n`;
+    formattedText += quoteText;
+    
+    data.providers.forEach(verdict => {
+      formattedText += `Fact Check${labelled ? ` (${verdict.providerName}, ${formatTruth(verdict.score)})` : ''}: ${verdict.summary}\n\n`;
+      (verdict.findings || []).forEach(finding => {
+        formattedText += `- ${formatFindingVerdict(finding.verdict)}: ${finding.claim}\n`;
+      });
+      if (verdict.findings && verdict.findings.length > 0) {
+        formattedText += '\n';
+      }
+    });
+    
+    (data.timedOut || []).forEach(entry => {
+      formattedText += `${entry.providerName}: timed out\n\n`;
+    });
+    (data.errors || []).forEach(error => {
+      formattedText += `${error.providerName}: ${error.message}\n\n`;
+    });
+    
+    data.providers.forEach((verdict, i) => {
+      formattedText += `${i === 0 ? 'Context' : 'Additional Context'}${labelled ? ` (${verdict.providerName})` : ''}: ${verdict.context}\n\n`;
+    });
+    
+    formattedText += `Sources:\n${data.sources.map(source => `${source.index}. ${source.title} - ${source.url}${source.credibility ? ` (${source.credibility.label})` : ''}${isBrokenSource(source) ? ` [${VERIFICATION_LABELS[source.verification.status]}]` : ''}`).join('\n')}`;
+    
+    return formattedText.trim();
+  }
+
+  /**
+   * Formats a quote check for copying to clipboard.
+   * 
+   * @param {Object} quote - The quote check, see quotes.js
+   * @returns {string} The formatted text
+   */
+  function formatQuoteForClipboard(quote) {
+    let text = `Quote: ${quote.label}${quote.speaker ? ` (attributed to ${quote.speaker})` : ''}`;
+    if (quote.original) {
+      text += `\nOriginal: ${quote.original}`;
+    }
+    if (quote.explanation) {
+      text += `\n${quote.explanation}`;
+    }
+    if (quote.source) {
+      text += `\n${quote.source.title} - ${quote.source.url}`;
+    }
+    return text;
+  }
+
+  /**
+   * Formats the figure checks for copying to clipboard.
+   * 
+   * @param {Array} figures - The figure checks, see figures.js
+   * @returns {string} The formatted text
+   */
+  function formatFiguresForClipboard(figures) {
+    const lines = figures.map(figure =>
+      `- Claimed ${figure.claimed.text}, reported ${figure.reportedText || 'n/a'}`
+      + `${typeof figure.relativeError === 'number' ? ` (${formatRelativeError(figure.relativeError)})` : ''}: ${figure.label}`
+      + `${figure.source ? ` - ${figure.source.url}` : ''}`
+    );
+    return `Figures:\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Checks if the result box should be dark: the theme setting, or the
+   * user's system when the theme follows it.
+   * 
+   * @returns {boolean} True if the result box should be dark
+   */
+  function isDarkMode() {
+    if (settings.theme !== 'system') {
+      return settings.theme === 'dark';
+    }
+    return Boolean(window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches);
+  }
+
+  /**
+   * Scales a font size of the styles to the fontSize setting.
+   * 
+   * @param {number} px - The font size at the default text size
+   * @returns {string} The CSS font size
+   */
+  function scaleFont(px) {
+    return `${Math.round(px * settings.fontSize / BASE_FONT_SIZE)}px`;
+  }
+
+  /**
+   * Makes an element draggable and resizable.
+   * 
+   * @param {HTMLElement} element - The element to make draggable and resizable
+   */
+  function makeInteractive(element) {
+    let isResizing = false;
+    let isDragging = false;
+    let startX, startY, startWidth, startHeight, startLeft, startTop;
+    let resizeDirection = '';
+
+    element.addEventListener('mousedown', startInteraction);
+    document.addEventListener('mousemove', handleInteraction);
+    document.addEventListener('mouseup', endInteraction);
+    element.addEventListener('mousemove', updateMouseCursor);
+
+    /**
+     * Starts dragging or resizing the element.
+     * 
+     * @param {MouseEvent} e - The mouse event
+     */
+    function startInteraction(e) {
+      if (isNearBorder(e, element)) {
+        isResizing = true;
+        resizeDirection = getDirection(e, element);
+      } else {
+        isDragging = true;
+      }
+      startX = e.clientX;
+      startY = e.clientY;
+      startWidth = element.offsetWidth;
+      startHeight = element.offsetHeight;
+      startLeft = element.offsetLeft;
+      startTop = element.offsetTop;
+      e.preventDefault();
+    }
+
+    /**
+     * Handles dragging or resizing the element.
+     * 
+     * @param {MouseEvent} e - The mouse event
+     */
+    function handleInteraction(e) {
+      if (isResizing) {
+        handleResize(e);
+      } else if (isDragging) {
+        handleDrag(e);
+      }
+    }
+
+    /**
+     * Resizes the element.
+     * 
+     * @param {MouseEvent} e - The mouse event
+     */
+    function handleResize(e) {
+      const dx = e.clientX - startX;
+      const dy = e.clientY - startY;
+
+      if (resizeDirection.includes('w')) {
+        element.style.width = `${Math.max(MIN_SIZE, startWidth - dx)}px`;
+        element.style.left = `${startLeft + dx}px`;
+      } else if (resizeDirection.includes('e')) {
+        element.style.width = `${Math.max(MIN_SIZE, startWidth + dx)}px`;
+      }
+
+      if (resizeDirection.includes('n')) {
+        element.style.height = `${Math.max(MIN_SIZE, startHeight - dy)}px`;
+        element.style.top = `${startTop + dy}px`;
+      } else if (resizeDirection.includes('s')) {
+        element.style.height = `${Math.max(MIN_SIZE, startHeight + dy)}px`;
+      }
+    }
+
+    /**
+     * Drags the element.
+     * 
+     * @param {MouseEvent} e - The mouse event
+     */
+    function handleDrag(e) {
+      const dx = e.clientX - startX;
+      const dy = e.clientY - startY;
+      element.style.left = `${startLeft + dx}px`;
+      element.style.top = `${startTop + dy}px`;
+    }
+
+    /**
+     * Stops dragging or resizing the element.
+     */
+    function endInteraction() {
+      isResizing = false;
+      isDragging = false;
+      resizeDirection = '';
+      element.style.cursor = 'default';
+    }
+
+    /**
+     * Updates the cursor based on the mouse position.
+     * 
+     * @param {MouseEvent} e - The mouse event
+     */
+    function updateMouseCursor(e) {
+      const direction = getDirection(e, element);
+      if (direction) {
+        element.style.cursor = getCursorStyle(direction);
+      } else {
+        element.style.cursor = 'move';
+      }
+    }
+
+    /**
+     * Checks if the mouse is near an edge of the element.
+     * 
+     * @param {MouseEvent} e - The mouse event
+     * @param {HTMLElement} element - The element to check
+     * @returns {boolean} True if the mouse is near an edge
+     */
+    function isNearBorder(e, element) {
+      const rect = element.getBoundingClientRect();
+      return (
+        e.clientX < rect.left + EDGE_MARGIN ||
+        e.clientX > rect.right - EDGE_MARGIN ||
+        e.clientY < rect.top + EDGE_MARGIN ||
+        e.clientY > rect.bottom - EDGE_MARGIN
+      );
+    }
+
+    /**
+     * Gets the resize direction based on the mouse position.
+     * 
+     * @param {MouseEvent} e - The mouse event
+     * @param {HTMLElement} element - The element to check
+     * @returns {string} The resize direction (n, s, e, w, ne, nw, se, sw)
+     */
+    function getDirection(e, element) {
+      const rect = element.getBoundingClientRect();
+      let direction = '';
+
+      if (e.clientY < rect.top + EDGE_MARGIN) direction += 'n';
+      else if (e.clientY > rect.bottom - EDGE_MARGIN) direction += 's';
+
+      if (e.clientX < rect.left + EDGE_MARGIN) direction += 'w';
+      else if (e.clientX > rect.right - EDGE_MARGIN) direction += 'e';
+
+      return direction;
+    }
+
+    /**
+     * Gets the cursor style based on the resize direction.
+     * 
+     * @param {string} direction - The resize direction
+     * @returns {string} The cursor style
+     */
+    function getCursorStyle(direction) {
+      switch (direction) {
+        case 'n':
+        case 's':
+          return 'ns-resize';
+        case 'e':
+        case 'w':
+          return 'ew-resize';
+        case 'nw':
+        case 'se':
+          return 'nwse-resize';
+        case 'ne':
+        case 'sw':
+          return 'nesw-resize';
+        default:
+          return 'move';
+      }
+    }
+  }
+
+  /**
+   * Creates the secondary popup box element.
+   * 
+   * @returns {HTMLElement} The created secondary popup box
+   */
+  function createSecondaryContainer() {
+    const box = document.createElement('div');
+    box.id = SECONDARY_CONTAINER_ID;
+    box.setAttribute('role', 'dialog');
+    box.setAttribute('aria-label', 'Fact check');
+    box.tabIndex = -1;
+    box.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        box.style.display = 'none';
+        if (focusBeforeBox && focusBeforeBox.isConnected) {
+          focusBeforeBox.focus({ preventScroll: true });
+        }
+      }
+    });
+    document.body.appendChild(box);
+    makeInteractive(box);
+    return box;
+  }
+
+  /**
+   * Shows loading indicator in the secondary popup box with context menu styling.
+   */
+  function displaySecondaryLoader() {
+    if (!secondaryContainer) {
+      secondaryContainer = createSecondaryContainer();
+    }
+    
+    // Position near the mouse cursor if possible
+    if (window.lastMousePosition) {
+      secondaryContainer.style.top = `${window.lastMousePosition.y}px`;
+      secondaryContainer.style.left = `${window.lastMousePosition.x}px`;
+    }
+    
+    secondaryContainer.innerHTML = `
+      <div class="context-menu-header">
+        <span class="truth-indicator" style="background-color: gray;"></span>
+        <span class="truth-text">Fact Checking...</span>
+        <button id="${SECONDARY_CLOSE_BTN_ID}" class="context-close" aria-label="Close">×</button>
+      </div>
+      <div class="context-menu-content">
+        <div class="context-section" style="text-align: center;">
+          <p class="context-info">Loading... This may take a few moments.</p>
+          <div class="loader" style="margin: 15px auto;"></div>
+        </div>
+      </div>
+    `;
+    secondaryContainer.style.display = 'block';
+    setupSecondaryCloseButton();
+  }
+
+  /**
+   * Updates the secondary popup box with the result in a context menu style format.
+   * 
+   * @param {Object} data - The aggregated fact check result
+   */
+  function updateSecondaryContainer(data) {
+    console.log('Updating secondary popup box with:', data);
+    const colorCode = getColorOf(data);
+    
+    // Position near the mouse cursor if possible
+    if (window.lastMousePosition) {
+      secondaryContainer.style.top = `${window.lastMousePosition.y}px`;
+      secondaryContainer.style.left = `${window.lastMousePosition.x}px`;
+    }
+    
+    let summaries;
+    let contexts;
+    if (data.claims && data.claims.length > 0) {
+      summaries = data.claims.map(claim => `
+        <span class="truth-indicator claim-indicator" style="background-color: ${getColorOf(claim)};"></span>
+        <strong>${formatTruthOf(claim)}</strong> ${escapeHtml(claim.text)}
+      `).join('<br>');
+      contexts = `${data.rollup.supported} of ${data.rollup.total} claims supported. The overall score is that of the weakest claim.`;
+    } else {
+      summaries = data.providers.length > 0
+        ? data.providers.map(verdict => linkifyReferences(escapeHtml(verdict.summary), data.sources)).join('<br><br>')
+        : 'No results available from any API.';
+      (data.timedOut || []).forEach(entry => {
+        summaries += `<br><br>${escapeHtml(entry.providerName)} timed out.`;
+      });
+      (data.errors || []).forEach(error => {
+        summaries += `<br><br>${escapeHtml(error.message)}`;
+      });
+      contexts = data.providers.map(verdict => linkifyReferences(escapeHtml(verdict.context), data.sources)).join('<br><br>');
+    }
+    
+    secondaryContainer.innerHTML = `
+      <div class="context-menu-header">
+        <span class="truth-indicator" style="background-color: ${colorCode};"></span>
+        <span class="truth-text">Truth: ${formatTruthOf(data)}</span>
+        <button id="${SECONDARY_CLOSE_BTN_ID}" class="context-close" aria-label="Close">×</button>
+      </div>
+      <div class="context-menu-content">
+        <div class="context-section">
+          <p class="context-fact">${summaries}</p>
+        </div>
+        <div class="context-section">
+          <p class="context-info">${contexts}</p>
+        </div>
+        ${data.sources.length > 0 ? `
+        <div class="context-section sources-section">
+          <div class="sources-list">
+            ${data.sources.map(source => `
+              <a href="${safeUrl(source.url)}" target="_blank" class="source-link">
+                <span class="source-number">[${source.index}]</span> ${escapeHtml(source.title)}
+                ${renderCredibilityBadge(source)}
+                ${renderVerificationBadge(source)}
+              </a>
+            `).join('')}
+          </div>
+        </div>
+        ` : ''}
+      </div>
+    `;
+    
+    secondaryContainer.style.display = 'block';
+    setupSecondaryCloseButton();
+  }
+
+  /**
+   * Shows result in the secondary popup box, closing the existing popup first.
+   * Uses the same format as the right-click context menu search result.
+   * 
+   * @param {Object} result - The aggregated fact check result
+   */
+  function showSecondaryResult(result) {
+    console.log('Showing result in secondary window:', result);
+    
+    // Close the existing popup if it exists
+    if (resultContainer) {
+      hideContainer();
+    }
+    focusBeforeBox = document.activeElement;
+    
+    // First show the loader
+    displaySecondaryLoader();
     
-    let formattedText = `Truth Percentage: ${data.truthPercentage}\n\n`;
+    // Then after a delay, show the result
+    setTimeout(() => {
+      if (!secondaryContainer) {
+        secondaryContainer = createSecondaryContainer();
+      }
+      updateSecondaryContainer(result);
+      // Opened on purpose, from the history, so it takes the focus like the box
+      secondaryContainer.focus({ preventScroll: true });
+    }, 1500); // Simulate loading time
+  }
+
+  /**
+   * Adds a click listener to the secondary close button.
+   */
+  function setupSecondaryCloseButton() {
+    setTimeout(() => {
+      const closeBtn = document.getElementById(SECONDARY_CLOSE_BTN_ID);
+      if (closeBtn) {
+        console.log('Secondary close button found, adding event listener');
+        closeBtn.addEventListener('click', () => {
+          console.log('Secondary close button clicked');
+          if (secondaryContainer) {
+            secondaryContainer.style.display = 'none';
+          }
+        });
+      } else {
+        console.log('Secondary close button not found');
+      }
+    }, BTN_DELAY);
+  }
+  
+  /**
+   * Gets the text selected on the page.
+   * 
+   * @returns {string} The selected text, or an empty string
+   */
+  function getSelectedText() {
+    const selection = window.getSelection();
+    return selection ? selection.toString().trim() : '';
+  }
+
+  /**
+   * Opens the command palette: a search field over the actions and the
+   * recent checks. The arrow keys pick an entry, Enter runs it and Escape
+   * closes the palette, giving the focus back to the page.
+   */
+  function openCommandPalette() {
+    if (commandPalette) {
+      document.getElementById(PALETTE_INPUT_ID).focus();
+      return;
+    }
+    // Read before the search field takes the focus, which clears the selection
+    const selection = getSelectedText();
+    const palette = document.createElement('div');
+    palette.id = PALETTE_ID;
+    palette.setAttribute('role', 'dialog');
+    palette.setAttribute('aria-modal', 'true');
+    palette.setAttribute('aria-label', 'Fact Checker commands');
+    palette.innerHTML = `
+      <input id="${PALETTE_INPUT_ID}" type="text" role="combobox" aria-expanded="true" aria-autocomplete="list"
+        aria-controls="${PALETTE_LIST_ID}" placeholder="Type a command or search recent checks" autocomplete="off">
+      <ul id="${PALETTE_LIST_ID}" role="listbox" aria-label="Commands and recent checks"></ul>
+    `;
+    commandPalette = {
+      element: palette,
+      items: getPaletteActions(selection),
+      matches: [],
+      active: 0,
+      returnFocus: document.activeElement
+    };
+    document.body.appendChild(palette);
+
+    const input = document.getElementById(PALETTE_INPUT_ID);
+    const list = document.getElementById(PALETTE_LIST_ID);
+    input.addEventListener('input', () => {
+      commandPalette.active = 0;
+      renderPaletteItems();
+    });
+    input.addEventListener('keydown', handlePaletteKeydown);
+    // Keep the focus in the field when an entry is clicked
+    list.addEventListener('mousedown', e => e.preventDefault());
+    list.addEventListener('click', (e) => {
+      const option = e.target.closest('[data-palette-index]');
+      if (option) {
+        runPaletteItem(commandPalette.matches[parseInt(option.dataset.paletteIndex)]);
+      }
+    });
+    // Leaving the palette, e.g. by clicking the page, closes it
+    input.addEventListener('blur', () => {
+      if (commandPalette && commandPalette.element === palette) {
+        closeCommandPalette(false);
+      }
+    });
+    input.focus();
+    renderPaletteItems();
+
+    chrome.runtime.sendMessage({ action: 'getRecentChecks' }, (response) => {
+      if (chrome.runtime.lastError || !response || !commandPalette || commandPalette.element !== palette) {
+        return;
+      }
+      commandPalette.items = commandPalette.items.concat(response.checks.map(check => ({
+        label: shortenText(check.text),
+        hint: `Recent check · ${formatTruth(check.score)} · ${check.domain}`,
+        run: () => chrome.runtime.sendMessage({ action: 'openHistoryEntry', id: check.id })
+      })));
+      renderPaletteItems();
+    });
+  }
+
+  /**
+   * Lists the actions the command palette offers on this page.
+   * 
+   * @param {string} selection - The text selected when the palette opened
+   * @returns {Array<{label: string, hint?: string, run: Function}>} The actions
+   */
+  function getPaletteActions(selection) {
+    const runCommand = (command, text) => chrome.runtime.sendMessage({ action: 'runCommand', command, text });
+    const actions = [];
+    if (selection) {
+      actions.push({ label: 'Fact check the selection', hint: shortenText(selection), run: () => runCommand(COMMANDS.FACT_CHECK, selection) });
+    }
+    actions.push({ label: 'Scan this page', hint: 'Underline the check-worthy sentences', run: () => runCommand(COMMANDS.SCAN) });
+    if (findMainVideo() || findCaptionedMedia()) {
+      actions.push({ label: 'Check this video', hint: 'Fact check the transcript', run: () => runCommand(COMMANDS.CHECK_VIDEO) });
+    }
+    if (resultContainer) {
+      const shown = resultContainer.style.display === 'block';
+      actions.push({ label: shown ? 'Go to the fact check box' : 'Show the fact check box', run: () => setResultBoxShown(true) });
+      if (shown) {
+        actions.push({ label: 'Hide the fact check box', run: () => setResultBoxShown(false) });
+      }
+    }
+    actions.push({ label: 'Open settings', run: () => chrome.runtime.sendMessage({ action: 'openSettings' }) });
+    return actions;
+  }
+
+  /**
+   * Lists the palette entries that match the search field.
+   */
+  function renderPaletteItems() {
+    const query = document.getElementById(PALETTE_INPUT_ID).value.trim().toLowerCase();
+    commandPalette.matches = commandPalette.items
+      .filter(item => `${item.label} ${item.hint || ''}`.toLowerCase().includes(query));
+    commandPalette.active = Math.min(commandPalette.active, Math.max(commandPalette.matches.length - 1, 0));
+
+    document.getElementById(PALETTE_LIST_ID).innerHTML = commandPalette.matches.length > 0
+      ? commandPalette.matches.map((item, i) => `
+        <li id="${PALETTE_LIST_ID}-${i}" role="option" data-palette-index="${i}">
+          <span class="fact-check-palette-label">${escapeHtml(item.label)}</span>
+          ${item.hint ? `<span class="fact-check-palette-hint">${escapeHtml(item.hint)}</span>` : ''}
+        </li>
+      `).join('')
+      : '<li class="fact-check-palette-empty">No matching commands or checks</li>';
+    updatePaletteSelection();
+  }
+
+  /**
+   * Marks the active palette entry, for the eye and for screen readers.
+   */
+  function updatePaletteSelection() {
+    const input = document.getElementById(PALETTE_INPUT_ID);
+    const options = document.querySelectorAll(`#${PALETTE_LIST_ID} [role="option"]`);
+    options.forEach((option, i) => {
+      option.setAttribute('aria-selected', String(i === commandPalette.active));
+    });
+    const active = options[commandPalette.active];
+    if (active) {
+      input.setAttribute('aria-activedescendant', active.id);
+      active.scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  /**
+   * Handles the keys of the palette's search field.
+   * 
+   * @param {KeyboardEvent} e - The keydown event
+   */
+  function handlePaletteKeydown(e) {
+    const { matches } = commandPalette;
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        e.preventDefault();
+        if (matches.length > 0) {
+          const step = e.key === 'ArrowDown' ? 1 : -1;
+          commandPalette.active = (commandPalette.active + step + matches.length) % matches.length;
+          updatePaletteSelection();
+        }
+        break;
+      case 'Enter':
+        e.preventDefault();
+        runPaletteItem(matches[commandPalette.active]);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        closeCommandPalette(true);
+        break;
+      case 'Tab':
+        // The field is the palette's only stop; Tab would leave it for the page behind
+        e.preventDefault();
+        break;
+    }
+    // Typing here must not trigger the page's own shortcuts
+    e.stopPropagation();
+  }
+
+  /**
+   * Closes the palette and runs an entry.
+   * 
+   * @param {Object|undefined} item - The entry, see getPaletteActions()
+   */
+  function runPaletteItem(item) {
+    if (!item) {
+      return;
+    }
+    closeCommandPalette(true);
+    item.run();
+  }
+
+  /**
+   * Closes the command palette.
+   * 
+   * @param {boolean} restoreFocus - Give the focus back to where it was before the palette opened
+   */
+  function closeCommandPalette(restoreFocus) {
+    const { element, returnFocus } = commandPalette;
+    commandPalette = null;
+    element.remove();
+    if (restoreFocus && returnFocus && returnFocus.isConnected) {
+      returnFocus.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Shortens text for a palette entry.
+   * 
+   * @param {string} text - The text
+   * @returns {string} The text, cut at PALETTE_TEXT_LENGTH characters
+   */
+  function shortenText(text) {
+    const flat = text.replace(/\s+/g, ' ');
+    return flat.length > PALETTE_TEXT_LENGTH ? `${flat.slice(0, PALETTE_TEXT_LENGTH - 1)}…` : flat;
+  }
+
+  /**
+   * Finds the article body in the style of Readability: every paragraph adds
+   * a score to its parent and grandparent based on its length and commas,
+   * class names and ids hint at content or boilerplate, and links lower the
+   * score of link-heavy blocks such as navigation.
+   * 
+   * @returns {HTMLElement} The highest scoring element, or the body
+   */
+  function findArticleBody() {
+    const scores = new Map();
+    const addScore = (element, value) => {
+      if (!element || element === document.documentElement) return;
+      if (!scores.has(element)) {
+        scores.set(element, getClassWeight(element));
+      }
+      scores.set(element, scores.get(element) + value);
+    };
     
-    if (hasMultipleResults) {
-      // Split the fact check and context sections
-      const perplexityFactCheck = data.factCheck.split('Fact Check (Groq)')[0].replace('Fact Check (Perplexity):', '').trim();
-      const groqFactCheck = data.factCheck.split('Fact Check (Groq):')[1].trim();
-      
-      formattedText += `Fact Check (Perplexity): ${perplexityFactCheck}\n\n`;
-      formattedText += `Fact Check (Groq): ${groqFactCheck}\n\n`;
+    document.querySelectorAll('p, pre, td, blockquote').forEach(paragraph => {
+      if (paragraph.closest(`#${CONTAINER_ID}, #${SECONDARY_CONTAINER_ID}`) || isUnlikelyContent(paragraph)) return;
+      const text = paragraph.textContent.trim();
+      if (text.length < 25) return;
       
-      if (data.context.includes('Additional Context')) {
-        const mainContext = data.context.split('Additional Context')[0].trim();
-        const additionalContext = data.context.split('Additional Context:')[1].trim();
+      const value = 1 + text.split(/[,，、]/).length + Math.min(Math.floor(text.length / 100), 3);
+      addScore(paragraph.parentElement, value);
+      addScore(paragraph.parentElement && paragraph.parentElement.parentElement, value / 2);
+    });
+    
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, element) => {
+      const adjusted = score * (1 - getLinkDensity(element));
+      if (adjusted > bestScore) {
+        best = element;
+        bestScore = adjusted;
+      }
+    });
+    
+    return best || document.querySelector('article, main, [role="main"]') || document.body;
+  }
+
+  /**
+   * Scores an element's class name and id as content (+25) or boilerplate (-25).
+   * 
+   * @param {HTMLElement} element - The element to score
+   * @returns {number} The weight
+   */
+  function getClassWeight(element) {
+    const names = `${element.className} ${element.id}`;
+    let weight = 0;
+    if (/^(article|main)$/i.test(element.tagName)) weight += 25;
+    if (LIKELY_CONTENT.test(names)) weight += 25;
+    if (UNLIKELY_CONTENT.test(names)) weight -= 25;
+    return weight;
+  }
+
+  /**
+   * Checks whether an element sits inside navigation, comments, ads or similar.
+   * 
+   * @param {HTMLElement} element - The element to check
+   * @returns {boolean} True if the element is probably boilerplate
+   */
+  function isUnlikelyContent(element) {
+    for (let node = element; node && node !== document.body; node = node.parentElement) {
+      if (/^(nav|footer|aside|header|form)$/i.test(node.tagName)) return true;
+      if (node.getAttribute('role') === 'navigation' || node.getAttribute('aria-hidden') === 'true') return true;
+      if (UNLIKELY_CONTENT.test(`${node.className} ${node.id}`) && !LIKELY_CONTENT.test(`${node.className} ${node.id}`)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Returns the share of an element's text that sits inside links.
+   * 
+   * @param {HTMLElement} element - The element to measure
+   * @returns {number} The link density from 0 to 1
+   */
+  function getLinkDensity(element) {
+    const textLength = element.textContent.length || 1;
+    let linkLength = 0;
+    element.querySelectorAll('a').forEach(link => {
+      linkLength += link.textContent.length;
+    });
+    return Math.min(linkLength / textLength, 1);
+  }
+
+  /**
+   * Reads the article metadata from JSON-LD, Open Graph and common markup.
+   * 
+   * @returns {Object} The title, byline, publishedAt, canonicalUrl and siteName
+   */
+  function extractArticleMetadata() {
+    const meta = (selector) => {
+      const element = document.querySelector(selector);
+      return element ? (element.getAttribute('content') || element.getAttribute('datetime') || element.textContent || '').trim() : '';
+    };
+    
+    // JSON-LD is the most reliable source when the site provides it
+    let jsonLd = {};
+    document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+      try {
+        const parsed = JSON.parse(script.textContent);
+        const items = [].concat(parsed, parsed['@graph'] || []);
+        const article = items.find(item => item && /Article|Posting|Report/.test([].concat(item['@type']).join(' ')));
+        if (article && !jsonLd.headline) {
+          jsonLd = article;
+        }
+      } catch (error) {
+        // Ignore malformed JSON-LD blocks
+      }
+    });
+    const jsonLdAuthor = [].concat(jsonLd.author || [])
+      .map(author => (typeof author === 'string' ? author : author.name))
+      .filter(Boolean)
+      .join(', ');
+    
+    const canonicalLink = document.querySelector('link[rel="canonical"]');
+    
+    return {
+      title: jsonLd.headline ||
+        meta('meta[property="og:title"]') ||
+        meta('article h1, main h1, h1') ||
+        document.title,
+      byline: jsonLdAuthor ||
+        meta('meta[name="author"]') ||
+        meta('meta[property="article:author"]') ||
+        meta('[rel="author"], [itemprop="author"], .byline, .author'),
+      publishedAt: jsonLd.datePublished ||
+        meta('meta[property="article:published_time"]') ||
+        meta('[itemprop="datePublished"]') ||
+        meta('article time[datetime], time[datetime]'),
+      canonicalUrl: (canonicalLink && canonicalLink.href) ||
+        meta('meta[property="og:url"]') ||
+        window.location.href,
+      siteName: meta('meta[property="og:site_name"]') || window.location.hostname
+    };
+  }
+
+  /**
+   * Extracts the article and trims its text to a token budget centred on the
+   * selection, so the models get the relevant part of the page only.
+   * 
+   * @param {string} selection - The selected text
+   * @param {number} tokenBudget - The maximum number of tokens of article text
+   * @returns {Object} The article metadata plus an excerpt of its text
+   */
+  function buildPageContext(selection, tokenBudget) {
+    const root = findArticleBody();
+    const paragraphs = Array.from(root.querySelectorAll('p, li, blockquote, pre, h2, h3, h4'))
+      .filter(element => !isUnlikelyContent(element) && !element.closest(`#${CONTAINER_ID}, #${SECONDARY_CONTAINER_ID}`))
+      .map(element => element.textContent.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+    const text = paragraphs.length > 0 ? paragraphs.join('\n') : root.innerText;
+    
+    return {
+      ...extractArticleMetadata(),
+      excerpt: trimAroundSelection(text, selection, tokenBudget * CHARS_PER_TOKEN)
+    };
+  }
+
+  /**
+   * Cuts a window of at most maxChars out of the text, centred on the selection
+   * (or from the start when the selection is not found).
+   * 
+   * @param {string} text - The full article text
+   * @param {string} selection - The selected text
+   * @param {number} maxChars - The maximum length of the window
+   * @returns {string} The excerpt, with ellipses where text was cut
+   */
+  function trimAroundSelection(text, selection, maxChars) {
+    if (text.length <= maxChars) {
+      return text;
+    }
+    
+    const needle = (selection || '').replace(/\s+/g, ' ').trim().slice(0, 200);
+    const position = needle ? text.indexOf(needle) : -1;
+    const centre = position === -1 ? 0 : position + Math.min(needle.length, maxChars) / 2;
+    const start = Math.max(0, Math.min(Math.round(centre - maxChars / 2), text.length - maxChars));
+    const end = start + maxChars;
+    
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+  }
+
+  /**
+   * Picks the check-worthy sentences from the main content and marks each one
+   * with a pending underline. Any previous scan is cleared first; from now on
+   * only messages of the new scan are applied.
+   * 
+   * @param {string} scanId - The id of the scan, see initiatePageScan in background.js
+   * @returns {string[]} The sentences to check, in document order
+   */
+  function collectScanSentences(scanId) {
+    clearScanHighlights();
+    activeScanId = scanId;
+    
+    const root = findArticleBody();
+    const blocks = Array.from(root.querySelectorAll(SCAN_BLOCK_SELECTOR)).filter(block =>
+      !block.querySelector(SCAN_BLOCK_SELECTOR) &&
+      !block.closest(`#${CONTAINER_ID}, #${SECONDARY_CONTAINER_ID}`) &&
+      block.offsetParent !== null
+    );
+    
+    for (const block of blocks) {
+      for (const { text, start, end } of segmentSentences(block.textContent)) {
+        if (scanItems.length >= MAX_SCAN_SENTENCES) break;
+        if (!isCheckworthy(text)) continue;
         
-        formattedText += `Context: ${mainContext}\n\n`;
-        formattedText += `Additional Context: ${additionalContext}\n\n`;
-      } else {
-        formattedText += `Context: ${data.context}\n\n`;
+        const spans = wrapTextRange(block, start, end, scanItems.length);
+        if (spans.length > 0) {
+          scanItems.push({ text, spans, result: null });
+        }
+      }
+    }
+    
+    return scanItems.map(item => item.text);
+  }
+
+  /**
+   * Splits text into sentences, keeping each sentence's offsets.
+   * 
+   * @param {string} text - The text to split
+   * @returns {Array<{text: string, start: number, end: number}>} The sentences
+   */
+  function segmentSentences(text) {
+    const sentences = [];
+    if (window.Intl && Intl.Segmenter) {
+      const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+      for (const { segment, index } of segmenter.segment(text)) {
+        sentences.push({ raw: segment, index });
       }
     } else {
-      formattedText += `Fact Check: ${data.factCheck}\n\n`;
-      formattedText += `Context: ${data.context}\n\n`;
+      const pattern = /[^.!?]+[.!?]*/g;
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        sentences.push({ raw: match[0], index: match.index });
+      }
+    }
+    
+    // Trim whitespace without losing the offsets
+    return sentences.map(({ raw, index }) => {
+      const leading = raw.length - raw.trimStart().length;
+      const trimmed = raw.trim();
+      return { text: trimmed, start: index + leading, end: index + leading + trimmed.length };
+    }).filter(sentence => sentence.text.length > 0);
+  }
+
+  /**
+   * Decides whether a sentence makes a factual claim worth checking: numbers,
+   * quotes, attributions and named entities count for it; questions and
+   * first-person opinions count against it.
+   * 
+   * @param {string} sentence - The sentence
+   * @returns {boolean} True if the sentence should be checked
+   */
+  function isCheckworthy(sentence) {
+    if (sentence.length < MIN_SCAN_SENTENCE_LENGTH || sentence.length > MAX_SCAN_SENTENCE_LENGTH) {
+      return false;
+    }
+    if (/\?\s*$/.test(sentence) || /\b(I think|I believe|in my opinion|we feel)\b/i.test(sentence)) {
+      return false;
+    }
+    
+    let weight = 0;
+    if (/\d/.test(sentence)) weight += 2;
+    if (/["“”«»„]/.test(sentence)) weight += 2;
+    if (/\b(said|says|according to|reported|announced|claimed|found|shows?|percent|million|billion|record|first|largest|most)\b/i.test(sentence)) weight += 1;
+    if (/\s[A-Z][a-z]+/.test(sentence.slice(1))) weight += 1;
+    return weight >= 2;
+  }
+
+  /**
+   * Wraps the characters between two textContent offsets of an element in
+   * underline spans. A range crossing element boundaries gets one span per
+   * text node.
+   * 
+   * @param {HTMLElement} element - The element containing the text
+   * @param {number} start - Start offset within element.textContent
+   * @param {number} end - End offset within element.textContent
+   * @param {number} index - The scan item index stored on the spans
+   * @returns {HTMLElement[]} The created spans
+   */
+  function wrapTextRange(element, start, end, index) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const targets = [];
+    let offset = 0;
+    let node;
+    
+    while ((node = walker.nextNode())) {
+      const nodeStart = offset;
+      const nodeEnd = offset + node.textContent.length;
+      offset = nodeEnd;
+      if (nodeEnd <= start) continue;
+      if (nodeStart >= end) break;
+      targets.push({ node, from: Math.max(start, nodeStart) - nodeStart, to: Math.min(end, nodeEnd) - nodeStart });
+    }
+    
+    return targets.filter(({ from, to }) => to > from).map(({ node, from, to }) => {
+      const middle = node.splitText(from);
+      middle.splitText(to - from);
+      
+      const span = document.createElement('span');
+      span.className = `${SCAN_HIGHLIGHT_CLASS} pending`;
+      span.dataset.factCheckIndex = String(index);
+      // Reachable with Tab, so the cards open without a mouse too
+      span.tabIndex = 0;
+      middle.parentNode.insertBefore(span, middle);
+      span.appendChild(middle);
+      span.addEventListener('mouseenter', showScanCard);
+      span.addEventListener('focus', showScanCard);
+      return span;
+    });
+  }
+
+  /**
+   * Colours the underline of a scanned sentence once its result arrives.
+   * 
+   * @param {number} index - The scan item index
+   * @param {Object} result - The aggregated fact check result
+   */
+  function applyScanResult(index, result) {
+    const item = scanItems[index];
+    if (!item) return;
+    
+    item.result = result;
+    const color = getColorOf(result);
+    item.spans.forEach(span => {
+      span.classList.remove('pending');
+      span.style.textDecorationColor = color;
+      span.title = `Truth: ${formatTruthOf(result)}`;
+    });
+  }
+
+  /**
+   * Opens the secondary card for the hovered or focused sentence.
+   * 
+   * @param {Event} e - The mouseenter or focus event
+   */
+  function showScanCard(e) {
+    const item = scanItems[parseInt(e.currentTarget.dataset.factCheckIndex)];
+    if (!item || !item.result) return;
+    
+    const rect = e.currentTarget.getBoundingClientRect();
+    window.lastMousePosition = { x: rect.left, y: rect.bottom + 4 };
+    if (!secondaryContainer) {
+      secondaryContainer = createSecondaryContainer();
+    }
+    updateSecondaryContainer(item.result);
+  }
+
+  /**
+   * Stops the running page scan, if there is one. The sentences checked so
+   * far keep their underlines; the pending ones lose theirs.
+   */
+  function cancelActiveScan() {
+    if (!activeScanId) {
+      return;
+    }
+    console.log('Cancelling page scan:', activeScanId);
+    chrome.runtime.sendMessage({ action: 'cancelScan', scanId: activeScanId });
+    activeScanId = null;
+    scanItems.filter(item => !item.result).forEach(item => {
+      item.spans.forEach(removeScanHighlight);
+      item.spans = [];
+    });
+  }
+
+  /**
+   * Removes the underlines of a previous scan.
+   */
+  function clearScanHighlights() {
+    document.querySelectorAll(`.${SCAN_HIGHLIGHT_CLASS}`).forEach(removeScanHighlight);
+    scanItems = [];
+  }
+
+  /**
+   * Replaces an underline span with its text.
+   * 
+   * @param {HTMLElement} span - The span added by wrapTextRange()
+   */
+  function removeScanHighlight(span) {
+    const parent = span.parentNode;
+    if (!parent) return;
+    span.replaceWith(...span.childNodes);
+    parent.normalize();
+  }
+
+  /**
+   * Shows the scan progress in the fact check box.
+   * 
+   * @param {number} done - The number of sentences checked so far
+   * @param {number} total - The number of sentences to check
+   */
+  function displayScanProgress(done, total) {
+    if (!resultContainer) {
+      resultContainer = createContainer();
+    }
+    if (done === 0) {
+      resultBoxHidden = false;
+    }
+    renderContainer(`
+      <div class="fact-check-header">
+        <h2>Fact Checker</h2>
+        <button id="${CLOSE_BTN_ID}" aria-label="Close">×</button>
+      </div>
+      <p>Scanning page: ${done} of ${total} sentences checked.</p>
+      <div class="loader"></div>
+    `);
+    setupCloseButton();
+  }
+
+  /**
+   * Lists the dubious sentences of the finished scan in the fact check box.
+   * Clicking one scrolls to it.
+   */
+  function displayScanSummary() {
+    if (!resultContainer) {
+      resultContainer = createContainer();
+    }
+    
+    const flagged = scanItems
+      .map((item, index) => ({ ...item, index }))
+      .filter(item => item.result && isDubious(item.result));
+    
+    renderContainer(`
+      <div class="fact-check-header">
+        <h2>Fact Checker</h2>
+        <button id="${CLOSE_BTN_ID}" aria-label="Close">×</button>
+      </div>
+      <h3 id="${TRUTH_METER_ID}">Page Scan</h3>
+      <p>${scanItems.length} sentences checked, ${flagged.length} flagged. Hover or focus an underlined sentence to see its fact check.</p>
+      <ol class="fact-check-scan-list">
+        ${flagged.map(item => `
+          <li><a href="#" data-fact-check-index="${item.index}">
+            <span style="color: ${getColorOf(item.result)} !important;">${formatTruthOf(item.result)}</span>
+            ${escapeHtml(item.text)}
+          </a></li>
+        `).join('')}
+      </ol>
+    `);
+    setupCloseButton();
+    
+    resultContainer.querySelectorAll('.fact-check-scan-list a').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        const item = scanItems[parseInt(link.dataset.factCheckIndex)];
+        if (item && item.spans[0]) {
+          item.spans[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+          // Focusing it opens its card, and Tab continues from there
+          item.spans[0].focus({ preventScroll: true });
+        }
+      });
+    });
+  }
+
+  /**
+   * Checks whether a result should be flagged in a scan: unverified, weakly
+   * supported or contested.
+   * 
+   * @param {Object} result - An aggregated result
+   * @returns {boolean} True if the result is dubious
+   */
+  function isDubious(result) {
+    return result.score === null || result.score < settings.scoreThresholds.medium || isContested(result);
+  }
+
+  /**
+   * Opens the video panel with a pending marker for every transcript chunk.
+   * From now on only messages of this check are applied.
+   * 
+   * @param {string} videoCheckId - The id of the check, see initiateVideoCheck in background.js
+   * @param {Array} chunks - The chunks being checked, with start, end and text, see transcript.js
+   * @param {Object|null} [captions] - The caption track the transcript came from
+   */
+  function displayVideoCheckStart(videoCheckId, chunks, captions) {
+    activeVideoCheckId = videoCheckId;
+    videoItems = chunks.map(chunk => ({ ...chunk, result: null }));
+    videoCaptions = captions || null;
+    renderVideoPanel();
+  }
+
+  /**
+   * Stops the running video check, if there is one. The markers of the
+   * chunks checked so far stay.
+   */
+  function cancelActiveVideoCheck() {
+    if (!activeVideoCheckId) {
+      return;
+    }
+    console.log('Cancelling video check:', activeVideoCheckId);
+    chrome.runtime.sendMessage({ action: 'cancelVideoCheck', videoCheckId: activeVideoCheckId });
+    activeVideoCheckId = null;
+  }
+
+  /**
+   * Colours the marker of a chunk once its result arrives.
+   * 
+   * @param {number} index - The index of the chunk
+   * @param {Object} result - The aggregated result of the chunk
+   */
+  function applyVideoResult(index, result) {
+    const item = videoItems[index];
+    if (!item) return;
+    item.result = result;
+    renderVideoPanel();
+  }
+
+  /**
+   * Renders the video panel: the progress, a timeline with a coloured marker
+   * per checked chunk and the list of flagged claims. Clicking a marker or a
+   * claim seeks the video to it and opens its fact check.
+   */
+  function renderVideoPanel() {
+    const video = getCheckedMedia();
+    if (!videoPanel) {
+      videoPanel = createVideoPanel(video);
     }
+    const duration = getVideoDuration(video);
+    const done = videoItems.filter(item => item.result).length;
+    const flagged = videoItems
+      .map((item, index) => ({ ...item, index }))
+      .filter(item => item.result && isDubious(item.result));
     
-    formattedText += `Sources:\n${data.sources.map(source => `${source.index}. ${source.title} - ${source.url}`).join('\n')}`;
+    videoPanel.innerHTML = `
+      <div class="fact-check-header">
+        <h2>Video Fact Check</h2>
+        <button class="fact-check-video-close">×</button>
+      </div>
+      <p>${done < videoItems.length
+        ? `Checking: ${done} of ${videoItems.length} claims checked.`
+        : `${videoItems.length} claims checked, ${flagged.length} flagged.`} Click a marker to jump to its claim.</p>
+      ${videoCaptions ? `<p class="fact-check-captions">Captions: ${escapeHtml(videoCaptions.label)}</p>` : ''}
+      <div class="fact-check-timeline">
+        ${videoItems.map((item, index) => `
+          <button class="fact-check-marker" data-video-index="${index}"
+            style="left: ${duration ? Math.min(100, (item.start / duration) * 100) : 0}%; background-color: ${item.result ? getColorOf(item.result) : 'lightgray'} !important;"
+            title="${formatTime(item.start)} · ${item.result ? formatTruthOf(item.result) : 'checking…'}"></button>
+        `).join('')}
+      </div>
+      <ol class="fact-check-video-list">
+        ${flagged.map(item => `
+          <li><a href="#" data-video-index="${item.index}">
+            <span class="fact-check-time">${formatTime(item.start)}</span>
+            <span style="color: ${getColorOf(item.result)} !important;">${formatTruthOf(item.result)}</span>
+            ${escapeHtml(item.text)}
+          </a></li>
+        `).join('')}
+      </ol>
+      ${done < videoItems.length ? '<div class="loader"></div>' : ''}
+    `;
+    videoPanel.style.display = 'block';
     
-    return formattedText.trim();
+    videoPanel.querySelector('.fact-check-video-close').addEventListener('click', () => {
+      cancelActiveVideoCheck();
+      videoPanel.style.display = 'none';
+    });
+    videoPanel.querySelectorAll('[data-video-index]').forEach(element => {
+      element.addEventListener('click', (e) => {
+        e.preventDefault();
+        const item = videoItems[parseInt(element.dataset.videoIndex)];
+        if (!item) return;
+        seekVideo(item.start);
+        if (item.result) {
+          const rect = element.getBoundingClientRect();
+          window.lastMousePosition = { x: rect.left, y: rect.bottom + 4 };
+          if (!secondaryContainer) {
+            secondaryContainer = createSecondaryContainer();
+          }
+          updateSecondaryContainer(item.result);
+        }
+      });
+    });
   }
 
   /**
-   * Checks if the user's system is in dark mode.
+   * Creates the video panel. On YouTube it goes at the top of the column
+   * next to the player; elsewhere it floats to the right of the video.
    * 
-   * @returns {boolean} True if the system is in dark mode
+   * @param {HTMLVideoElement|null} video - The video being checked
+   * @returns {HTMLElement} The created panel
    */
-  function isDarkMode() {
-    return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+  function createVideoPanel(video) {
+    const panel = document.createElement('div');
+    panel.id = VIDEO_PANEL_ID;
+    const column = document.querySelector('ytd-watch-flexy #secondary-inner') || document.querySelector('ytd-watch-flexy #secondary');
+    if (column) {
+      column.prepend(panel);
+      return panel;
+    }
+    
+    panel.classList.add('fact-check-video-floating');
+    document.body.appendChild(panel);
+    if (video) {
+      const rect = video.getBoundingClientRect();
+      const fitsRight = rect.right + EDGE_MARGIN + VIDEO_PANEL_WIDTH <= window.innerWidth;
+      panel.style.left = `${fitsRight ? rect.right + EDGE_MARGIN : Math.max(EDGE_MARGIN, window.innerWidth - VIDEO_PANEL_WIDTH - EDGE_MARGIN)}px`;
+      panel.style.top = `${Math.max(EDGE_MARGIN, rect.top)}px`;
+    }
+    makeInteractive(panel);
+    return panel;
   }
 
   /**
-   * Makes an element draggable and resizable.
+   * Finds the video being watched: the largest video element on the page.
    * 
-   * @param {HTMLElement} element - The element to make draggable and resizable
+   * @returns {HTMLVideoElement|null} The video, or null if the page has none
    */
-  function makeInteractive(element) {
-    let isResizing = false;
-    let isDragging = false;
-    let startX, startY, startWidth, startHeight, startLeft, startTop;
-    let resizeDirection = '';
+  function findMainVideo() {
+    const videos = Array.from(document.querySelectorAll('video'));
+    if (videos.length === 0) {
+      return null;
+    }
+    const area = video => video.clientWidth * video.clientHeight;
+    return videos.reduce((largest, video) => area(video) > area(largest) ? video : largest);
+  }
 
-    element.addEventListener('mousedown', startInteraction);
-    document.addEventListener('mousemove', handleInteraction);
-    document.addEventListener('mouseup', endInteraction);
-    element.addEventListener('mousemove', updateMouseCursor);
+  /**
+   * Gets the media being checked: the one whose captions were read, or else
+   * the largest video, e.g. for a caption file dropped into the popup.
+   * 
+   * @returns {HTMLMediaElement|null} The video or audio element
+   */
+  function getCheckedMedia() {
+    return videoMedia && videoMedia.isConnected ? videoMedia : findMainVideo();
+  }
 
-    /**
-     * Starts dragging or resizing the element.
-     * 
-     * @param {MouseEvent} e - The mouse event
-     */
-    function startInteraction(e) {
-      if (isNearBorder(e, element)) {
-        isResizing = true;
-        resizeDirection = getDirection(e, element);
-      } else {
-        isDragging = true;
-      }
-      startX = e.clientX;
-      startY = e.clientY;
-      startWidth = element.offsetWidth;
-      startHeight = element.offsetHeight;
-      startLeft = element.offsetLeft;
-      startTop = element.offsetTop;
-      e.preventDefault();
+  /**
+   * Gets the length of the video, falling back to the end of the last chunk
+   * while the video's metadata is not loaded.
+   * 
+   * @param {HTMLVideoElement|null} video - The video
+   * @returns {number} The duration in seconds, 0 if unknown
+   */
+  function getVideoDuration(video) {
+    if (video && Number.isFinite(video.duration) && video.duration > 0) {
+      return video.duration;
     }
+    return videoItems.reduce((end, item) => Math.max(end, item.end || item.start), 0);
+  }
 
-    /**
-     * Handles dragging or resizing the element.
-     * 
-     * @param {MouseEvent} e - The mouse event
-     */
-    function handleInteraction(e) {
-      if (isResizing) {
-        handleResize(e);
-      } else if (isDragging) {
-        handleDrag(e);
-      }
+  /**
+   * Seeks the video to the given time.
+   * 
+   * @param {number} seconds - The time in seconds
+   */
+  function seekVideo(seconds) {
+    const video = getCheckedMedia();
+    if (video) {
+      video.currentTime = seconds;
     }
+  }
 
-    /**
-     * Resizes the element.
-     * 
-     * @param {MouseEvent} e - The mouse event
-     */
-    function handleResize(e) {
-      const dx = e.clientX - startX;
-      const dy = e.clientY - startY;
-
-      if (resizeDirection.includes('w')) {
-        element.style.width = `${Math.max(MIN_SIZE, startWidth - dx)}px`;
-        element.style.left = `${startLeft + dx}px`;
-      } else if (resizeDirection.includes('e')) {
-        element.style.width = `${Math.max(MIN_SIZE, startWidth + dx)}px`;
-      }
+  /**
+   * Formats a time in seconds as "m:ss" or "h:mm:ss".
+   * 
+   * @param {number} seconds - The time in seconds
+   * @returns {string} The formatted time
+   */
+  function formatTime(seconds) {
+    const total = Math.floor(seconds || 0);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+  }
 
-      if (resizeDirection.includes('n')) {
-        element.style.height = `${Math.max(MIN_SIZE, startHeight - dy)}px`;
-        element.style.top = `${startTop + dy}px`;
-      } else if (resizeDirection.includes('s')) {
-        element.style.height = `${Math.max(MIN_SIZE, startHeight + dy)}px`;
-      }
+  /**
+   * Parses a transcript timestamp such as "1:02:03" or "2:03".
+   * 
+   * @param {string} timestamp - The timestamp
+   * @returns {number|null} The time in seconds, or null if it is not a timestamp
+   */
+  function parseTimestamp(timestamp) {
+    const parts = (timestamp || '').trim().split(':').map(Number);
+    if (parts.length < 2 || parts.length > 3 || parts.some(part => !Number.isFinite(part))) {
+      return null;
     }
+    return parts.reduce((total, part) => total * 60 + part, 0);
+  }
 
-    /**
-     * Drags the element.
-     * 
-     * @param {MouseEvent} e - The mouse event
-     */
-    function handleDrag(e) {
-      const dx = e.clientX - startX;
-      const dy = e.clientY - startY;
-      element.style.left = `${startLeft + dx}px`;
-      element.style.top = `${startTop + dy}px`;
+  /**
+   * Caption sources, in the order they are tried. The first whose matches()
+   * is true reads the transcript; read() rejects if it cannot.
+   */
+  const CAPTION_SOURCES = [
+    {
+      id: 'youtube',
+      matches: () => window.location.href.includes('youtube.com/watch'),
+      read: language => scrapeYouTubeTranscript(language)
+    },
+    {
+      id: 'track',
+      matches: () => findCaptionedMedia() !== null,
+      read: language => readTrackCaptions(language)
     }
+  ];
 
-    /**
-     * Stops dragging or resizing the element.
-     */
-    function endInteraction() {
-      isResizing = false;
-      isDragging = false;
-      resizeDirection = '';
-      element.style.cursor = 'default';
+  /**
+   * Gets the timed transcript of the video or audio on the page.
+   * 
+   * @param {string} [language] - The preferred caption language, e.g. "en"; defaults to the browser language
+   * @returns {Promise<{segments: Array, captions: Object|null, trackUrl?: string}>} The segments, the
+   *     caption track they came from and, if the page could not load the track, its URL
+   */
+  async function getTranscript(language) {
+    const source = CAPTION_SOURCES.find(candidate => candidate.matches());
+    if (!source) {
+      throw new Error('No video or audio with captions found on this page');
     }
+    console.log(`Reading transcript from caption source: ${source.id}`);
+    return source.read(language);
+  }
 
-    /**
-     * Updates the cursor based on the mouse position.
-     * 
-     * @param {MouseEvent} e - The mouse event
-     */
-    function updateMouseCursor(e) {
-      const direction = getDirection(e, element);
-      if (direction) {
-        element.style.cursor = getCursorStyle(direction);
-      } else {
-        element.style.cursor = 'move';
+  /**
+   * Reads the transcript from a <track> of the captioned video or audio
+   * through the TextTrack API. Cues only load while a track is not disabled,
+   * so a disabled track is switched to hidden for the read.
+   * 
+   * @param {string} [language] - The preferred caption language
+   * @returns {Promise<{segments: Array, captions: Object, trackUrl?: string}>} The segments and the track used
+   */
+  async function readTrackCaptions(language) {
+    const media = findCaptionedMedia();
+    const track = pickTextTrack(getCaptionTracks(media), language || navigator.language);
+    const element = Array.from(media.querySelectorAll('track')).find(candidate => candidate.track === track);
+    const previousMode = track.mode;
+    if (previousMode === 'disabled') {
+      track.mode = 'hidden';
+    }
+    
+    let cues;
+    try {
+      cues = await loadTrackCues(track, element);
+    } finally {
+      track.mode = previousMode;
+    }
+    videoMedia = media;
+    const captions = { language: track.language, label: track.label || track.language || 'Captions', autoGenerated: false };
+    
+    if (cues.length === 0) {
+      // Cross-origin tracks without CORS headers never load in the page; the background worker can fetch them
+      if (element && element.src) {
+        return { segments: [], captions, trackUrl: element.src };
       }
+      throw new Error('The caption track is empty');
     }
+    
+    const segments = cues
+      .map(cue => ({ start: cue.startTime, end: cue.endTime, text: getCueText(cue) }))
+      .filter(segment => segment.text);
+    console.log(`Read ${segments.length} cues from the ${captions.label} track`);
+    return { segments, captions };
+  }
 
-    /**
-     * Checks if the mouse is near an edge of the element.
-     * 
-     * @param {MouseEvent} e - The mouse event
-     * @param {HTMLElement} element - The element to check
-     * @returns {boolean} True if the mouse is near an edge
-     */
-    function isNearBorder(e, element) {
-      const rect = element.getBoundingClientRect();
-      return (
-        e.clientX < rect.left + EDGE_MARGIN ||
-        e.clientX > rect.right - EDGE_MARGIN ||
-        e.clientY < rect.top + EDGE_MARGIN ||
-        e.clientY > rect.bottom - EDGE_MARGIN
-      );
-    }
+  /**
+   * Waits for a track's cues. Tracks from a <track> element load its file
+   * first; tracks added by a script player already hold their cues.
+   * 
+   * @param {TextTrack} track - The text track
+   * @param {HTMLTrackElement} [element] - The <track> element it comes from
+   * @returns {Promise<Array<TextTrackCue>>} The cues, empty if the file did not load
+   */
+  function loadTrackCues(track, element) {
+    return new Promise(resolve => {
+      const done = () => resolve(Array.from(track.cues || []));
+      // 2 is LOADED and 3 is ERROR
+      if (!element || element.readyState >= 2) {
+        done();
+        return;
+      }
+      const timer = setTimeout(done, TRACK_LOAD_TIMEOUT_MS);
+      const finish = () => {
+        clearTimeout(timer);
+        done();
+      };
+      element.addEventListener('load', finish, { once: true });
+      element.addEventListener('error', finish, { once: true });
+    });
+  }
 
-    /**
-     * Gets the resize direction based on the mouse position.
-     * 
-     * @param {MouseEvent} e - The mouse event
-     * @param {HTMLElement} element - The element to check
-     * @returns {string} The resize direction (n, s, e, w, ne, nw, se, sw)
-     */
-    function getDirection(e, element) {
-      const rect = element.getBoundingClientRect();
-      let direction = '';
+  /**
+   * Gets the plain text of a cue, without voice and styling tags.
+   * 
+   * @param {TextTrackCue} cue - The cue
+   * @returns {string} The text
+   */
+  function getCueText(cue) {
+    const text = typeof cue.getCueAsHTML === 'function'
+      ? cue.getCueAsHTML().textContent
+      : new DOMParser().parseFromString(cue.text || '', 'text/html').body.textContent;
+    return text.replace(/\s+/g, ' ').trim();
+  }
 
-      if (e.clientY < rect.top + EDGE_MARGIN) direction += 'n';
-      else if (e.clientY > rect.bottom - EDGE_MARGIN) direction += 's';
+  /**
+   * Gets the caption and subtitle tracks of a media element.
+   * 
+   * @param {HTMLMediaElement} media - The video or audio element
+   * @returns {Array<TextTrack>} The tracks
+   */
+  function getCaptionTracks(media) {
+    return Array.from(media.textTracks || []).filter(track => CAPTION_TRACK_KINDS.includes(track.kind));
+  }
 
-      if (e.clientX < rect.left + EDGE_MARGIN) direction += 'w';
-      else if (e.clientX > rect.right - EDGE_MARGIN) direction += 'e';
+  /**
+   * Finds the video or audio to read captions from: the largest media
+   * element with a caption or subtitle track.
+   * 
+   * @returns {HTMLMediaElement|null} The media element, or null if none has captions
+   */
+  function findCaptionedMedia() {
+    const media = Array.from(document.querySelectorAll('video, audio'))
+      .filter(element => getCaptionTracks(element).length > 0);
+    if (media.length === 0) {
+      return null;
+    }
+    const area = element => element.clientWidth * element.clientHeight;
+    return media.reduce((largest, element) => area(element) > area(largest) ? element : largest);
+  }
 
-      return direction;
+  /**
+   * Picks the text track to read: one in the preferred language, then the
+   * one showing, then the first.
+   * 
+   * @param {Array<TextTrack>} tracks - The caption and subtitle tracks
+   * @param {string} language - The preferred language, e.g. "en" or "en-GB"
+   * @returns {TextTrack} The track
+   */
+  function pickTextTrack(tracks, language) {
+    return tracks.find(track => isLanguage(track.language, language))
+      || tracks.find(track => track.mode === 'showing')
+      || tracks[0];
+  }
+
+  /**
+   * Checks whether a language code is the wanted language, ignoring regions.
+   * 
+   * @param {string} code - The language code, e.g. "en-GB"
+   * @param {string} wanted - The wanted language, e.g. "en"
+   * @returns {boolean} Whether the primary languages match
+   */
+  function isLanguage(code, wanted) {
+    const primary = value => (value || '').toLowerCase().split('-')[0];
+    return primary(code) !== '' && primary(code) === primary(wanted);
+  }
+
+  /**
+   * Gets the timed transcript of a YouTube video. The caption tracks listed
+   * in the player response are read first; opening the transcript panel by
+   * clicking through the page is only the last resort.
+   * 
+   * @param {string} [language] - The preferred caption language, e.g. "en"; defaults to the browser language
+   * @returns {Promise<{segments: Array<{start: number, end?: number, text: string}>, captions: Object|null}>}
+   *     The segments and the caption track they came from, null for the transcript panel
+   */
+  async function scrapeYouTubeTranscript(language) {
+    // Check if we're on a YouTube video page
+    if (!window.location.href.includes('youtube.com/watch')) {
+      throw new Error('Not a YouTube video page');
+    }
+    
+    try {
+      return await fetchCaptionTrackTranscript(language || navigator.language);
+    } catch (error) {
+      console.warn('Could not read the caption tracks, opening the transcript panel instead:', error);
     }
+    
+    const segments = await scrapeTranscriptPanel();
+    return { segments, captions: null };
+  }
 
-    /**
-     * Gets the cursor style based on the resize direction.
-     * 
-     * @param {string} direction - The resize direction
-     * @returns {string} The cursor style
-     */
-    function getCursorStyle(direction) {
-      switch (direction) {
-        case 'n':
-        case 's':
-          return 'ns-resize';
-        case 'e':
-        case 'w':
-          return 'ew-resize';
-        case 'nw':
-        case 'se':
-          return 'nwse-resize';
-        case 'ne':
-        case 'sw':
-          return 'nesw-resize';
-        default:
-          return 'move';
-      }
+  /**
+   * Reads the transcript from the video's caption tracks.
+   * 
+   * @param {string} language - The preferred caption language
+   * @returns {Promise<{segments: Array, captions: Object}>} The segments and the caption track used
+   */
+  async function fetchCaptionTrackTranscript(language) {
+    const playerResponse = await getPlayerResponse();
+    const renderer = playerResponse.captions && playerResponse.captions.playerCaptionsTracklistRenderer;
+    const tracks = (renderer && renderer.captionTracks) || [];
+    if (tracks.length === 0) {
+      throw new Error('This video has no captions');
+    }
+    
+    const track = pickCaptionTrack(tracks, language);
+    const url = new URL(track.baseUrl, window.location.origin);
+    url.searchParams.set('fmt', 'json3');
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`Caption track request failed with HTTP ${response.status}`);
+    }
+    const segments = parseJson3Captions(await response.json());
+    if (segments.length === 0) {
+      throw new Error('The caption track is empty');
     }
+    
+    console.log(`Read ${segments.length} caption segments in ${track.languageCode}`);
+    return {
+      segments,
+      captions: { language: track.languageCode, label: getCaptionTrackLabel(track), autoGenerated: track.kind === 'asr' }
+    };
   }
 
   /**
-   * Checks if the user's system is in dark mode.
+   * Gets the player response of the current video. YouTube navigates between
+   * videos without reloading, leaving the first video's player response in the
+   * page's scripts, so the watch page is fetched again when the ids differ.
    * 
-   * @returns {boolean} True if the system is in dark mode
+   * @returns {Promise<Object>} The player response
    */
-  function isDarkMode() {
-    return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+  async function getPlayerResponse() {
+    const videoId = new URL(window.location.href).searchParams.get('v');
+    const fromScripts = Array.from(document.scripts)
+      .map(script => extractPlayerResponse(script.textContent))
+      .find(Boolean);
+    if (fromScripts && fromScripts.videoDetails && fromScripts.videoDetails.videoId === videoId) {
+      return fromScripts;
+    }
+    
+    const response = await fetch(window.location.href, { credentials: 'include' });
+    const fromHtml = extractPlayerResponse(await response.text());
+    if (!fromHtml) {
+      throw new Error('No player response found');
+    }
+    return fromHtml;
   }
 
   /**
-   * Creates the secondary popup box element.
+   * Finds the ytInitialPlayerResponse object in a script or an HTML page.
    * 
-   * @returns {HTMLElement} The created secondary popup box
+   * @param {string} text - The script or page source
+   * @returns {Object|null} The player response, or null if there is none
    */
-  function createSecondaryContainer() {
-    const box = document.createElement('div');
-    box.id = SECONDARY_CONTAINER_ID;
-    document.body.appendChild(box);
-    makeInteractive(box);
-    return box;
+  function extractPlayerResponse(text) {
+    const pattern = /ytInitialPlayerResponse\s*=\s*\{/g;
+    let match;
+    while ((match = pattern.exec(text || ''))) {
+      const json = readJsonObject(text, match.index + match[0].length - 1);
+      if (json) {
+        try {
+          return JSON.parse(json);
+        } catch (error) {
+          console.warn('Could not parse player response:', error);
+        }
+      }
+    }
+    return null;
   }
 
   /**
-   * Shows loading indicator in the secondary popup box with context menu styling.
+   * Reads a JSON object literal out of a script by matching its braces,
+   * skipping braces inside strings.
+   * 
+   * @param {string} text - The script
+   * @param {number} start - The index of the opening brace
+   * @returns {string|null} The object's source, or null if it is not closed
    */
-  function displaySecondaryLoader() {
-    if (!secondaryContainer) {
-      secondaryContainer = createSecondaryContainer();
-    }
-    
-    // Position near the mouse cursor if possible
-    if (window.lastMousePosition) {
-      secondaryContainer.style.top = `${window.lastMousePosition.y}px`;
-      secondaryContainer.style.left = `${window.lastMousePosition.x}px`;
+  function readJsonObject(text, start) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0) {
+          return text.slice(start, i + 1);
+        }
+      }
     }
-    
-    secondaryContainer.innerHTML = `
-      <div class="context-menu-header">
-        <span class="truth-indicator" style="background-color: gray;"></span>
-        <span class="truth-text">Fact Checking...</span>
-        <button id="${SECONDARY_CLOSE_BTN_ID}" class="context-close">×</button>
-      </div>
-      <div class="context-menu-content">
-        <div class="context-section" style="text-align: center;">
-          <p class="context-info">Loading... This may take a few moments.</p>
-          <div class="loader" style="margin: 15px auto;"></div>
-        </div>
-      </div>
-    `;
-    secondaryContainer.style.display = 'block';
-    setupSecondaryCloseButton();
+    return null;
   }
 
   /**
-   * Updates the secondary popup box with the parsed result in a context menu style format.
+   * Picks the caption track to check: a manual track in the preferred
+   * language, then an auto-generated one in that language, then any manual
+   * track and finally any auto-generated track.
    * 
-   * @param {Object} data - The parsed result data
+   * @param {Array<Object>} tracks - The caption tracks from the player response
+   * @param {string} language - The preferred language, e.g. "en" or "en-GB"
+   * @returns {Object} The caption track
    */
-  function updateSecondaryContainer(data) {
-    console.log('Updating secondary popup box with:', data);
-    const colorCode = getColorForTruth(data.truthPercentage);
-    
-    // Position near the mouse cursor if possible
-    if (window.lastMousePosition) {
-      secondaryContainer.style.top = `${window.lastMousePosition.y}px`;
-      secondaryContainer.style.left = `${window.lastMousePosition.x}px`;
-    }
-    
-    secondaryContainer.innerHTML = `
-      <div class="context-menu-header">
-        <span class="truth-indicator" style="background-color: ${colorCode};"></span>
-        <span class="truth-text">Truth: ${data.truthPercentage}</span>
-        <button id="${SECONDARY_CLOSE_BTN_ID}" class="context-close">×</button>
-      </div>
-      <div class="context-menu-content">
-        <div class="context-section">
-          <p class="context-fact">${data.factCheck}</p>
-        </div>
-        <div class="context-section">
-          <p class="context-info">${data.context}</p>
-        </div>
-        ${data.sources.length > 0 ? `
-        <div class="context-section sources-section">
-          <div class="sources-list">
-            ${data.sources.map(source => `
-              <a href="${source.url}" target="_blank" class="source-link">
-                <span class="source-number">[${source.index}]</span> ${source.title}
-              </a>
-            `).join('')}
-          </div>
-        </div>
-        ` : ''}
-      </div>
-    `;
-    
-    secondaryContainer.style.display = 'block';
-    setupSecondaryCloseButton();
+  function pickCaptionTrack(tracks, language) {
+    const matches = track => isLanguage(track.languageCode, language);
+    const manual = tracks.filter(track => track.kind !== 'asr');
+    const generated = tracks.filter(track => track.kind === 'asr');
+    return manual.find(matches) || generated.find(matches) || manual[0] || generated[0];
   }
 
   /**
-   * Shows result in the secondary popup box, closing the existing popup first.
-   * Uses the same format as the right-click context menu search result.
+   * Gets the display name of a caption track, e.g. "English".
    * 
-   * @param {string} result - The raw result data
+   * @param {Object} track - The caption track
+   * @returns {string} The name, or the language code if the track has none
    */
-  function showSecondaryResult(result) {
-    console.log('Showing result in secondary window:', result);
-    
-    // Close the existing popup if it exists
-    if (resultContainer) {
-      resultContainer.style.display = 'none';
-    }
-    
-    // First show the loader
-    displaySecondaryLoader();
-    
-    // Then after a delay, show the result
-    setTimeout(() => {
-      if (!secondaryContainer) {
-        secondaryContainer = createSecondaryContainer();
-      }
-      const parsedData = parseResult(result);
-      updateSecondaryContainer(parsedData);
-    }, 1500); // Simulate loading time
+  function getCaptionTrackLabel(track) {
+    const name = track.name || {};
+    return name.simpleText || (name.runs || []).map(run => run.text).join('') || track.languageCode;
   }
 
   /**
-   * Adds a click listener to the secondary close button.
+   * Turns a json3 caption track into timed segments.
+   * 
+   * @param {Object} data - The caption track in YouTube's json3 format
+   * @returns {Array<{start: number, end: number, text: string}>} The segments in time order
    */
-  function setupSecondaryCloseButton() {
-    setTimeout(() => {
-      const closeBtn = document.getElementById(SECONDARY_CLOSE_BTN_ID);
-      if (closeBtn) {
-        console.log('Secondary close button found, adding event listener');
-        closeBtn.addEventListener('click', () => {
-          console.log('Secondary close button clicked');
-          if (secondaryContainer) {
-            secondaryContainer.style.display = 'none';
-          }
-        });
-      } else {
-        console.log('Secondary close button not found');
-      }
-    }, BTN_DELAY);
+  function parseJson3Captions(data) {
+    return (data.events || [])
+      .filter(event => Array.isArray(event.segs))
+      .map(event => ({
+        start: event.tStartMs / 1000,
+        end: (event.tStartMs + (event.dDurationMs || 0)) / 1000,
+        text: event.segs.map(seg => seg.utf8 || '').join('').replace(/\s+/g, ' ').trim()
+      }))
+      .filter(segment => segment.text);
   }
-  
+
   /**
-   * Scrapes the transcript from a YouTube video page.
+   * Scrapes the transcript by opening YouTube's transcript panel. This clicks
+   * through the page, so it is only used when the caption tracks cannot be read.
    * 
-   * @returns {Promise<string>} The transcript text
+   * @returns {Promise<Array<{start: number, text: string}>>} The timed transcript segments
    */
-  async function scrapeYouTubeTranscript() {
+  function scrapeTranscriptPanel() {
     return new Promise((resolve, reject) => {
-      // Check if we're on a YouTube video page
-      if (!window.location.href.includes('youtube.com/watch')) {
-        reject(new Error('Not a YouTube video page'));
-        return;
-      }
-      
-      console.log('Attempting to scrape YouTube transcript');
+      console.log('Attempting to scrape YouTube transcript panel');
       
       // First, try to find an already open transcript panel
       let transcriptPanel = document.querySelector('ytd-transcript-renderer, ytd-transcript-search-panel-renderer');
       
       if (transcriptPanel) {
         console.log('Transcript panel already open, extracting text');
-        extractTranscriptText(transcriptPanel)
+        extractTranscriptSegments(transcriptPanel)
           .then(resolve)
           .catch(reject);
         return;
@@ -822,7 +3194,7 @@
             
             if (transcriptPanel) {
               console.log('Transcript panel found after clicking direct button, extracting text');
-              extractTranscriptText(transcriptPanel)
+              extractTranscriptSegments(transcriptPanel)
                 .then(resolve)
                 .catch(reject);
             } else {
@@ -1030,7 +3402,7 @@
       const transcriptPanel = findTranscriptPanelInPage();
       if (transcriptPanel) {
         console.log('Found transcript panel directly in page, extracting text');
-        extractTranscriptText(transcriptPanel)
+        extractTranscriptSegments(transcriptPanel)
           .then(resolve)
           .catch(reject);
         return;
@@ -1088,7 +3460,7 @@
         const transcriptPanel = findTranscriptPanelInPage();
         if (transcriptPanel) {
           console.log('Found transcript panel directly in page, extracting text');
-          extractTranscriptText(transcriptPanel)
+          extractTranscriptSegments(transcriptPanel)
             .then(resolve)
             .catch(reject);
           return;
@@ -1111,7 +3483,7 @@
           const directPanel = findTranscriptPanelInPage();
           if (directPanel) {
             console.log('Found transcript panel directly in page after clicking, extracting text');
-            extractTranscriptText(directPanel)
+            extractTranscriptSegments(directPanel)
               .then(resolve)
               .catch(reject);
             return;
@@ -1122,7 +3494,7 @@
         }
         
         console.log('Transcript panel found, extracting text');
-        extractTranscriptText(transcriptPanel)
+        extractTranscriptSegments(transcriptPanel)
           .then(resolve)
           .catch(reject);
       }, 1500);
@@ -1166,12 +3538,12 @@
   }
   
   /**
-   * Extracts the transcript text from the transcript panel.
+   * Extracts the timed segments from the transcript panel.
    * 
    * @param {HTMLElement} transcriptPanel - The transcript panel element
-   * @returns {Promise<string>} The transcript text
+   * @returns {Promise<Array<{start: number, text: string}>>} The segments in time order
    */
-  async function extractTranscriptText(transcriptPanel) {
+  async function extractTranscriptSegments(transcriptPanel) {
     return new Promise((resolve, reject) => {
       // Wait a bit for the transcript content to fully load
       setTimeout(() => {
@@ -1186,17 +3558,18 @@
           
           console.log(`Found ${segments.length} transcript segments`);
           
-          // Extract text from each segment
-          const transcriptLines = Array.from(segments).map(segment => {
+          // Extract the start time and text of each segment
+          const transcriptSegments = Array.from(segments).map(segment => {
             const textElement = segment.querySelector('.segment-text');
-            return textElement ? textElement.textContent.trim() : '';
-          }).filter(text => text); // Remove empty lines
+            const timeElement = segment.querySelector('.segment-timestamp');
+            return {
+              start: parseTimestamp(timeElement ? timeElement.textContent : '') ?? 0,
+              text: textElement ? textElement.textContent.trim() : ''
+            };
+          }).filter(segment => segment.text); // Remove empty lines
           
-          // Join the lines into a single text
-          const transcriptText = transcriptLines.join(' ');
-          
-          console.log('Extracted transcript text:', transcriptText.substring(0, 100) + '...');
-          resolve(transcriptText);
+          console.log(`Extracted ${transcriptSegments.length} timed transcript segments`);
+          resolve(transcriptSegments);
         } catch (error) {
           console.error('Error extracting transcript text:', error);
           reject(error);
@@ -1206,10 +3579,12 @@
   }
 
   /**
-   * Creates and appends the styles for the fact check box.
+   * Builds the styles for the fact check box from the appearance settings.
+   * 
+   * @returns {string} The CSS
    */
-  const style = document.createElement('style');
-  style.textContent = `
+  function renderStyles() {
+    return `
     @import url('https://fonts.googleapis.com/css2?family=Satoshi:wght@400;700&display=swap');
 
     /* Context menu styles for secondary container */
@@ -1247,9 +3622,16 @@
       margin-right: 8px;
     }
     
+    .claim-indicator {
+      display: inline-block;
+      width: 8px;
+      height: 8px;
+      margin-right: 4px;
+    }
+    
     .truth-text {
       font-weight: 600;
-      font-size: 14px;
+      font-size: ${scaleFont(14)};
       flex-grow: 1;
       color: ${isDarkMode() ? '#eee' : '#333'} !important;
     }
@@ -1257,7 +3639,7 @@
     .context-close {
       background: none;
       border: none;
-      font-size: 18px;
+      font-size: ${scaleFont(18)};
       cursor: pointer;
       color: ${isDarkMode() ? '#aaa' : '#666'} !important;
       padding: 0;
@@ -1278,14 +3660,14 @@
     }
     
     .context-fact {
-      font-size: 14px;
+      font-size: ${scaleFont(14)};
       line-height: 1.5;
       margin: 0 0 8px 0;
       color: ${isDarkMode() ? '#eee' : '#333'} !important;
     }
     
     .context-info {
-      font-size: 13px;
+      font-size: ${scaleFont(13)};
       line-height: 1.5;
       margin: 0;
       color: ${isDarkMode() ? '#ccc' : '#666'} !important;
@@ -1303,7 +3685,7 @@
     }
     
     .source-link {
-      font-size: 13px;
+      font-size: ${scaleFont(13)};
       color: ${isDarkMode() ? '#add8e6' : '#0066cc'} !important;
       text-decoration: none;
       display: block;
@@ -1321,6 +3703,147 @@
       margin-right: 4px;
     }
 
+    #${VIDEO_PANEL_ID} {
+      box-sizing: border-box;
+      width: 100%;
+      max-height: 450px;
+      overflow-y: auto;
+      margin-bottom: 12px;
+      padding: 12px 16px;
+      background-color: ${isDarkMode() ? '#222' : '#fff'};
+      color: ${isDarkMode() ? '#eee' : '#333'} !important;
+      border: 1px solid ${isDarkMode() ? '#444' : '#ddd'};
+      border-radius: 8px;
+      font-family: 'Satoshi', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif !important;
+      font-size: ${scaleFont(14)};
+    }
+    #${VIDEO_PANEL_ID}.fact-check-video-floating {
+      position: fixed;
+      width: ${VIDEO_PANEL_WIDTH}px;
+      z-index: 9999;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+    }
+    #${VIDEO_PANEL_ID} .fact-check-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+    }
+    #${VIDEO_PANEL_ID} h2 {
+      font-size: ${scaleFont(16)};
+      margin: 0;
+    }
+    #${VIDEO_PANEL_ID} .fact-check-video-close {
+      background: none;
+      border: none;
+      font-size: ${scaleFont(18)};
+      cursor: pointer;
+      color: inherit !important;
+    }
+    #${VIDEO_PANEL_ID} .fact-check-timeline {
+      position: relative;
+      height: 16px;
+      margin: 10px 6px;
+      border-radius: 4px;
+      background-color: ${isDarkMode() ? '#444' : '#eee'};
+    }
+    #${VIDEO_PANEL_ID} .fact-check-marker {
+      position: absolute;
+      top: 2px;
+      width: 8px;
+      height: 12px;
+      margin-left: -4px;
+      padding: 0;
+      border: none;
+      border-radius: 2px;
+      cursor: pointer;
+    }
+    #${VIDEO_PANEL_ID} .fact-check-video-list {
+      padding-left: 18px;
+      font-size: ${scaleFont(13)};
+    }
+    #${VIDEO_PANEL_ID} .fact-check-video-list a {
+      color: inherit !important;
+      text-decoration: none;
+    }
+    #${VIDEO_PANEL_ID} .fact-check-captions {
+      font-size: ${scaleFont(12)};
+      opacity: 0.7;
+    }
+    #${VIDEO_PANEL_ID} .fact-check-time {
+      font-variant-numeric: tabular-nums;
+      opacity: 0.7;
+    }
+
+    .${SCAN_HIGHLIGHT_CLASS} {
+      text-decoration-line: underline;
+      text-decoration-style: wavy;
+      text-decoration-thickness: 2px;
+      text-underline-offset: 3px;
+      cursor: help;
+    }
+    .${SCAN_HIGHLIGHT_CLASS}.pending {
+      text-decoration-style: dotted;
+      text-decoration-color: gray;
+    }
+    .${SCAN_HIGHLIGHT_CLASS}:focus-visible,
+    #${CONTAINER_ID}:focus-visible,
+    #${CONTAINER_ID} :focus-visible,
+    #${SECONDARY_CONTAINER_ID}:focus-visible {
+      outline: 2px solid #3498db;
+      outline-offset: 2px;
+    }
+
+    #${PALETTE_ID} {
+      position: fixed;
+      top: 15vh;
+      left: 50%;
+      transform: translateX(-50%);
+      width: min(560px, 90vw);
+      background-color: ${isDarkMode() ? '#333' : 'white'};
+      color: ${isDarkMode() ? 'white' : 'black'} !important;
+      border: 1px solid ${isDarkMode() ? '#555' : '#ccc'};
+      border-radius: 10px;
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.25);
+      z-index: 10000;
+      font-family: 'Satoshi', sans-serif !important;
+      font-size: ${scaleFont(14)};
+      overflow: hidden;
+    }
+    #${PALETTE_INPUT_ID} {
+      box-sizing: border-box;
+      width: 100%;
+      padding: 12px 16px;
+      border: none;
+      border-bottom: 1px solid ${isDarkMode() ? '#555' : '#eee'};
+      outline: none;
+      background: transparent;
+      color: inherit !important;
+      font: inherit;
+      font-size: ${scaleFont(16)};
+    }
+    #${PALETTE_LIST_ID} {
+      list-style: none;
+      margin: 0;
+      padding: 4px 0;
+      max-height: 50vh;
+      overflow-y: auto;
+    }
+    #${PALETTE_LIST_ID} li {
+      display: flex;
+      flex-direction: column;
+      padding: 8px 16px;
+      cursor: pointer;
+      color: inherit !important;
+    }
+    #${PALETTE_LIST_ID} li[aria-selected="true"] {
+      background-color: ${isDarkMode() ? '#444' : '#eef5fb'};
+    }
+    #${PALETTE_LIST_ID} .fact-check-palette-hint,
+    #${PALETTE_LIST_ID} .fact-check-palette-empty {
+      font-size: ${scaleFont(12)};
+      opacity: 0.7;
+    }
+
     #${CONTAINER_ID} {
       position: fixed;
       top: 20px;
@@ -1355,21 +3878,21 @@
       margin: 0;
       text-align: center;
       width: 100%;
-      font-size: 24px;
+      font-size: ${scaleFont(24)};
     }
     #${CONTAINER_ID} h3 {
       text-align: center;
-      font-size: 20px;
+      font-size: ${scaleFont(20)};
       margin-top: 0;
       margin-bottom: 25px;
     }
     #${CONTAINER_ID} h4 {
       margin-top: 20px;
       margin-bottom: 10px;
-      font-size: 18px;
+      font-size: ${scaleFont(18)};
     }
     #${CONTAINER_ID} p, #${CONTAINER_ID} li {
-      font-size: 14px;
+      font-size: ${scaleFont(14)};
       line-height: 1.4;
     }
     #${CONTAINER_ID} a {
@@ -1379,10 +3902,151 @@
     #${CONTAINER_ID} a:hover {
       text-decoration: underline;
     }
+    #${CONTAINER_ID} .fact-check-findings {
+      padding-left: 18px;
+      margin: 0 0 10px 0;
+    }
+    #${CONTAINER_ID} .fact-check-cached {
+      text-align: center;
+      font-size: ${scaleFont(12)};
+      opacity: 0.8;
+    }
+
+    #${CONTAINER_ID} .fact-check-stream {
+      list-style: none;
+      padding-left: 0;
+    }
+
+    #${CONTAINER_ID} .fact-check-stream li {
+      margin-bottom: 8px;
+    }
+
+    #${CONTAINER_ID} .fact-check-pending,
+    #${CONTAINER_ID} .fact-check-updating,
+    #${CONTAINER_ID} .fact-check-contested {
+      text-align: center;
+      font-size: ${scaleFont(12)};
+      color: ${CONTESTED_COLOR} !important;
+    }
+
+    #${CONTAINER_ID} .fact-check-timed-out,
+    #${CONTAINER_ID} .fact-check-provider-error {
+      font-style: italic;
+      font-weight: normal;
+      opacity: 0.7;
+    }
+    #${RECHECK_BTN_ID} {
+      background: none;
+      border: 1px solid #ccc;
+      border-radius: 5px;
+      padding: 2px 6px;
+      margin-left: 4px;
+      cursor: pointer;
+      font-size: ${scaleFont(12)};
+    }
+    #${CONTAINER_ID} .fact-check-rollup {
+      text-align: center;
+      font-size: ${scaleFont(13)};
+      opacity: 0.8;
+    }
+    #${CONTAINER_ID} .fact-check-claims {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: ${scaleFont(13)};
+      margin-bottom: 10px;
+    }
+    #${CONTAINER_ID} .fact-check-claims th,
+    #${CONTAINER_ID} .fact-check-claims td {
+      border-bottom: 1px solid ${isDarkMode() ? '#555' : '#ddd'};
+      padding: 4px;
+      text-align: left;
+      vertical-align: top;
+    }
+    #${CONTAINER_ID} .fact-check-claim-details summary {
+      cursor: pointer;
+      font-weight: bold;
+      font-size: ${scaleFont(14)};
+      margin-top: 10px;
+    }
+    #${CONTAINER_ID} .source-domain {
+      font-size: ${scaleFont(12)};
+      opacity: 0.7;
+    }
+    .credibility-badge {
+      display: inline-block;
+      padding: 0 6px;
+      border-radius: 8px;
+      font-size: ${scaleFont(11)};
+      color: white !important;
+      background-color: gray;
+    }
+    .credibility-peer-reviewed { background-color: green; }
+    .credibility-government { background-color: steelblue; }
+    .credibility-wire-service { background-color: teal; }
+    .credibility-user-generated { background-color: goldenrod; }
+    .credibility-tabloid { background-color: orange; }
+    .credibility-known-misinformation { background-color: red; }
+    .verification-badge {
+      display: inline-block;
+      padding: 0 6px;
+      border-radius: 8px;
+      font-size: ${scaleFont(11)};
+      border: 1px solid currentColor;
+    }
+    .verification-supported { color: green !important; }
+    .verification-unsupported { color: darkorange !important; }
+    .verification-dead,
+    .verification-unreachable,
+    .verification-private { color: red !important; }
+    #${CONTAINER_ID} .fact-check-image {
+      margin: 0 0 10px;
+    }
+    #${CONTAINER_ID} .fact-check-image-frame {
+      position: relative;
+    }
+    #${CONTAINER_ID} .fact-check-image img {
+      display: block;
+      width: 100%;
+      height: auto;
+    }
+    #${CONTAINER_ID} .fact-check-image-region {
+      position: absolute;
+      box-sizing: border-box;
+      border: 2px solid;
+    }
+    #${CONTAINER_ID} .fact-check-image figcaption,
+    #${CONTAINER_ID} .fact-check-note {
+      font-size: ${scaleFont(12)};
+      opacity: 0.7;
+    }
+    #${CONTAINER_ID} .fact-check-quote {
+      border-left: 3px solid ${isDarkMode() ? '#555' : '#ddd'};
+      padding-left: 8px;
+      margin-bottom: 10px;
+    }
+    #${CONTAINER_ID} .fact-check-quote ins {
+      background-color: rgba(255, 165, 0, 0.3);
+      text-decoration: none;
+    }
+    #${CONTAINER_ID} .fact-check-quote del {
+      opacity: 0.6;
+    }
+    #${CONTAINER_ID} .fact-check-quote-legend {
+      font-size: ${scaleFont(12)};
+    }
+    #${CONTAINER_ID} .fact-check-magnitude-flag {
+      color: red !important;
+      font-weight: bold;
+      font-size: ${scaleFont(13)};
+    }
+    .source-broken > a {
+      text-decoration: line-through !important;
+      opacity: 0.7;
+    }
     #${CLOSE_BTN_ID} {
       background: none;
       border: none;
-      font-size: 20px;
+      font-size: ${scaleFont(20)};
       cursor: pointer;
       color: ${isDarkMode() ? 'white' : 'black'} !important;
       position: absolute;
@@ -1398,7 +4062,7 @@
       border: none;
       border-radius: 5px;
       cursor: pointer;
-      font-size: 14px;
+      font-size: ${scaleFont(14)};
     }
     #${COPY_BTN_ID}:hover {
       background-color: #45a049;
@@ -1417,5 +4081,54 @@
       100% { transform: rotate(360deg); }
     }
   `;
+  }
+
+  /**
+   * Copies the settings the result box uses from the stored settings,
+   * skipping any that are missing or malformed.
+   * 
+   * @param {Object} [stored] - The stored settings
+   */
+  function applySettings(stored) {
+    if (!stored) {
+      return;
+    }
+    const thresholds = stored.scoreThresholds;
+    if (thresholds && thresholds.high > thresholds.medium && thresholds.medium > thresholds.low) {
+      settings.scoreThresholds = thresholds;
+    }
+    if (['system', 'light', 'dark'].includes(stored.theme)) {
+      settings.theme = stored.theme;
+    }
+    if (Number.isFinite(stored.fontSize)) {
+      settings.fontSize = stored.fontSize;
+    }
+  }
+
+  /**
+   * Loads the settings the result box uses and renders the styles again
+   * whenever they change on the options page.
+   * 
+   * @param {HTMLStyleElement} styleElement - The element holding the styles
+   */
+  function watchSettings(styleElement) {
+    chrome.storage.sync.get('settings', (data) => {
+      applySettings(data.settings);
+      styleElement.textContent = renderStyles();
+    });
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'sync' && changes.settings) {
+        applySettings(changes.settings.newValue);
+        styleElement.textContent = renderStyles();
+      }
+    });
+  }
+
+  /**
+   * Creates and appends the styles for the fact check box.
+   */
+  const style = document.createElement('style');
+  style.textContent = renderStyles();
   document.head.appendChild(style);
+  watchSettings(style);
 })();
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview IndexedDB access shared by the extension pages and the service worker.
+ */
+
+// Constants
+const DB_NAME = 'factChecker';
+const DB_VERSION = 3;
+
+export const STORES = {
+  CHECKS: 'checks',
+  CACHE: 'cache',
+  IMAGES: 'images'
+};
+
+let databasePromise = null;
+
+/**
+ * Opens the database, creating or upgrading its stores as needed.
+ * 
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+export function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORES.CHECKS)) {
+          const checks = db.createObjectStore(STORES.CHECKS, { keyPath: 'id' });
+          checks.createIndex('createdAt', 'createdAt');
+        }
+        if (!db.objectStoreNames.contains(STORES.CACHE)) {
+          db.createObjectStore(STORES.CACHE, { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains(STORES.IMAGES)) {
+          const images = db.createObjectStore(STORES.IMAGES, { keyPath: 'src' });
+          images.createIndex('lastSeen', 'lastSeen');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Runs a single request against an object store.
+ * 
+ * @param {string} storeName - The object store to use
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} operation - Creates the request
+ * @returns {Promise<*>} The result of the request
+ */
+export async function withStore(storeName, mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Reads records through an index in key order, stopping at the limit, so
+ * only the records needed are loaded.
+ * 
+ * @param {string} storeName - The object store to use
+ * @param {string} indexName - The index to walk
+ * @param {Object} [options={}] - Cursor options
+ * @param {IDBCursorDirection} [options.direction='next'] - 'prev' walks from the highest key down
+ * @param {number} [options.limit=Infinity] - The most records read
+ * @returns {Promise<Array<*>>} The records, in index order
+ */
+export async function readIndex(storeName, indexName, { direction = 'next', limit = Infinity } = {}) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const records = [];
+    const transaction = db.transaction(storeName, 'readonly');
+    const request = transaction.objectStore(storeName).index(indexName).openCursor(null, direction);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor && records.length < limit) {
+        records.push(cursor.value);
+        cursor.continue();
+      }
+    };
+    transaction.oncomplete = () => resolve(records);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
@@ -0,0 +1,592 @@
+/**
+ * @fileoverview Fact check orchestration shared by the background worker and the popup.
+ * Splits the text into claims, runs every available provider on each claim in
+ * parallel and aggregates their verdicts.
+ */
+
+import { getAvailableProviders, getKeyNames, getProviders } from './providers/index.js';
+import { VERDICT_SCHEMA_VERSION, scoreToVerdict } from './verdict.js';
+import { decomposeClaims } from './claims.js';
+import { ERROR_KINDS } from './providers/http.js';
+import { computeConsensus } from './consensus.js';
+import { verdictCache } from './cache.js';
+import { loadSettings, getProviderTimeouts } from './settings.js';
+import { loadReputation } from './reputation.js';
+import { createSourceVerifier, collectCitations, SOURCE_PERMISSION } from './source-verification.js';
+import { extractQuote, checkQuote } from './quotes.js';
+import { extractFigures, checkFigures } from './figures.js';
+import { getProviderConfig, getProviderConfigs } from './provider-config.js';
+import { loadStoredKeys, getKeyProtection, KEY_PROTECTION, KeysLockedError } from './keystore.js';
+
+/**
+ * Loads the API keys needed by the registered providers.
+ * 
+ * @returns {Promise<Object>} The stored keys; empty if they are locked, see keystore.js
+ */
+export async function loadKeys() {
+  const keys = await loadStoredKeys();
+  const known = {};
+  getKeyNames().forEach(name => {
+    if (keys[name]) {
+      known[name] = keys[name];
+    }
+  });
+  return known;
+}
+
+/**
+ * Explains why no provider can run: the keys are missing or locked.
+ * 
+ * @returns {Promise<string>} The message for the user
+ */
+export async function getMissingKeysMessage() {
+  if (await getKeyProtection() === KEY_PROTECTION.LOCKED) {
+    return new KeysLockedError().message;
+  }
+  return 'No API Keys found. Please set at least one API Key in the extension options.';
+}
+
+/**
+ * Checks whether at least one provider can run with the given keys.
+ * 
+ * @param {Object} keys - The stored API keys
+ * @returns {boolean} True if a fact check can be performed
+ */
+export function hasUsableProvider(keys) {
+  return getAvailableProviders(keys).length > 0;
+}
+
+/**
+ * @typedef {Object} FactCheckOptions
+ * @property {Object} [cache] - Verdict cache with get/set, see cache.js; omit to disable caching
+ * @property {number} [cacheTtlHours=0] - How long cached verdicts stay valid
+ * @property {boolean} [bypassCache=false] - Ignore cached verdicts but still refresh the cache
+ * @property {AbortSignal} [signal] - Cancels the whole check
+ * @property {Object<string, number>} [timeouts] - Timeout in milliseconds by provider id,
+ *     overriding the provider's own timeoutMs
+ * @property {Object<string, Object>} [providerConfigs] - Model settings by provider id, see
+ *     provider-config.js; providers not listed run with their built-in settings
+ * @property {Object} [reputation] - Domain reputation lookup, see reputation.js; annotates
+ *     sources with their credibility and steers the providers' searches
+ * @property {Object} [verifier] - Source verifier, see source-verification.js; omit to
+ *     leave cited URLs unchecked
+ * @property {number} [contestedSpread] - How many points apart the providers are contested,
+ *     see consensus.js
+ * @property {function(Object): void} [onProgress] - Receives progress events while the check runs:
+ *     { type: 'claims', claims }, { type: 'sources', claimIndex, provider, sources },
+ *     { type: 'verdict', claimIndex, verdict }, { type: 'aggregate', claimIndex, result }
+ *     and { type: 'quote', quote } and { type: 'figures', figures } for selections that quote
+ *     someone or contain figures
+ */
+
+/**
+ * Builds the run options from the stored settings: the verdict cache, the
+ * provider timeouts and model settings, the domain reputation list and the
+ * source verifier.
+ * 
+ * @param {FactCheckOptions} [overrides={}] - Options that take precedence over the settings
+ * @returns {Promise<FactCheckOptions>} The options for runFactCheck()
+ */
+export async function loadCheckOptions(overrides = {}) {
+  const settings = await loadSettings();
+  return {
+    cache: verdictCache,
+    cacheTtlHours: settings.cacheTtlHours,
+    timeouts: getProviderTimeouts(settings),
+    providerConfigs: getProviderConfigs(getProviders(), settings),
+    reputation: await loadReputation(settings),
+    // Without access to all sites no cited page can be opened
+    verifier: settings.verifySourcesLimit > 0 && await chrome.permissions.contains(SOURCE_PERMISSION)
+      ? createSourceVerifier({ maxSources: settings.verifySourcesLimit })
+      : null,
+    contestedSpread: settings.contestedSpread,
+    ...overrides
+  };
+}
+
+/**
+ * Fact checks the text. The text is first split into atomic claims; each
+ * claim is checked on its own and the results are rolled up. If the text
+ * quotes someone, the quote's provenance is checked alongside, see quotes.js,
+ * and so are its figures, see figures.js.
+ * 
+ * @param {string} text - The text to fact check
+ * @param {Object|null} context - The page context from the content script, see page-context.js
+ * @param {string} url - The URL of the current page
+ * @param {Object} keys - The stored API keys
+ * @param {FactCheckOptions} [options={}] - Run options
+ * @returns {Promise<Object>} The aggregated result, with the quote check in quote and the
+ *     figure checks in figures if there are any
+ * @throws {DOMException} An AbortError if the check was cancelled through options.signal
+ * @throws {FactCheckFailedError} If every provider failed
+ */
+export async function runFactCheck(text, context, url, keys, options = {}) {
+  // The quote and figure checks only add to the verdict; their failures must not sink it
+  const quoteCheck = runQuoteCheck(text, context, url, keys, options).catch(error => {
+    console.error('Error checking the quote:', error);
+    return null;
+  });
+  const figureCheck = runFigureCheck(text, context, url, keys, options).catch(error => {
+    console.error('Error checking the figures:', error);
+    return null;
+  });
+  const result = await checkText(text, context, url, keys, options);
+  const [quote, figures] = await Promise.all([quoteCheck, figureCheck]);
+  options.signal?.throwIfAborted();
+  return {
+    ...result,
+    ...(quote && { quote }),
+    ...(figures && { figures })
+  };
+}
+
+/**
+ * Checks the provenance of the quote in the text, if it has one.
+ * 
+ * @param {string} text - The text to fact check
+ * @param {Object|null} context - The page context
+ * @param {string} url - The URL of the current page
+ * @param {Object} keys - The stored API keys
+ * @param {FactCheckOptions} options - Run options
+ * @returns {Promise<Object|null>} The quote check, or null
+ */
+async function runQuoteCheck(text, context, url, keys, options) {
+  const quote = extractQuote(text);
+  if (!quote) {
+    return null;
+  }
+  const result = await checkQuote(quote, text, context, url, keys, options);
+  if (result) {
+    emitProgress(options, { type: 'quote', quote: result });
+  }
+  return result;
+}
+
+/**
+ * Checks the figures in the text against the values the sources report, if it has any.
+ * 
+ * @param {string} text - The text to fact check
+ * @param {Object|null} context - The page context
+ * @param {string} url - The URL of the current page
+ * @param {Object} keys - The stored API keys
+ * @param {FactCheckOptions} options - Run options
+ * @returns {Promise<Object[]|null>} The figure checks, or null
+ */
+async function runFigureCheck(text, context, url, keys, options) {
+  const figures = extractFigures(text);
+  if (figures.length === 0) {
+    return null;
+  }
+  const result = await checkFigures(figures, text, context, url, keys, options);
+  if (result) {
+    emitProgress(options, { type: 'figures', figures: result });
+  }
+  return result;
+}
+
+/**
+ * Splits the text into claims, checks each and rolls the results up.
+ * 
+ * @param {string} text - The text to fact check
+ * @param {Object|null} context - The page context
+ * @param {string} url - The URL of the current page
+ * @param {Object} keys - The stored API keys
+ * @param {FactCheckOptions} options - Run options
+ * @returns {Promise<Object>} The aggregated result
+ */
+async function checkText(text, context, url, keys, options) {
+  const { signal } = options;
+  const claims = await decomposeClaims(text, keys, { signal, providerConfigs: options.providerConfigs });
+  signal?.throwIfAborted();
+
+  if (claims.length <= 1) {
+    emitProgress(options, { type: 'claims', claims: [text] });
+    const result = await checkClaim(text, context, url, keys, options);
+    signal?.throwIfAborted();
+    assertAnswered([result]);
+    return result;
+  }
+
+  emitProgress(options, { type: 'claims', claims });
+  const claimResults = await Promise.all(claims.map((claim, claimIndex) =>
+    checkClaim(claim, context, url, keys, { ...options, claimIndex })
+      .then(result => ({ ...result, text: claim }))
+  ));
+  signal?.throwIfAborted();
+  assertAnswered(claimResults);
+  return rollUpClaims(claimResults);
+}
+
+/**
+ * Error thrown when no provider could answer because every request failed.
+ */
+export class FactCheckFailedError extends Error {
+  /**
+   * @param {string} message - What went wrong, written for the user
+   * @param {string|null} kind - The error kind, see ERROR_KINDS in providers/http.js
+   */
+  constructor(message, kind) {
+    super(message);
+    this.name = 'FactCheckFailedError';
+    this.kind = kind;
+  }
+}
+
+/**
+ * Throws if no provider answered for any claim and there are errors to
+ * report, so the user sees why instead of an empty result. A rejected key
+ * is the most actionable problem, so its kind wins.
+ * 
+ * @param {Object[]} results - The aggregated result of each claim
+ * @throws {FactCheckFailedError} If every provider failed
+ */
+function assertAnswered(results) {
+  if (results.some(result => result.providers.length > 0)) {
+    return;
+  }
+  const errors = results.flatMap(result => result.errors);
+  if (errors.length === 0) {
+    return;
+  }
+  const messages = [...new Set(errors.map(error => error.message))];
+  const kind = errors.some(error => error.kind === ERROR_KINDS.AUTH) ? ERROR_KINDS.AUTH : errors[0].kind;
+  throw new FactCheckFailedError(messages.join(' '), kind);
+}
+
+/**
+ * Fact checks one claim with every provider whose keys are set.
+ * A provider that fails or runs past its timeout is listed in the aggregate's
+ * errors or timedOut instead of its verdicts.
+ * Once all providers are done, the cited sources are verified if options.verifier is set.
+ * 
+ * @param {string} text - The claim to fact check
+ * @param {Object|null} context - The page context from the content script, see page-context.js
+ * @param {string} url - The URL of the current page
+ * @param {Object} keys - The stored API keys
+ * @param {FactCheckOptions & { claimIndex: number }} [options={}] - Run options; claimIndex
+ *     identifies the claim in progress events
+ * @returns {Promise<Object>} The aggregated result for the claim
+ */
+export async function checkClaim(text, context, url, keys, options = {}) {
+  const providers = getAvailableProviders(keys);
+  const claimIndex = options.claimIndex || 0;
+  const arrived = [];
+
+  const verdicts = await Promise.all(providers.map(provider => {
+    const onSources = options.onProgress
+      ? sources => emitProgress(options, { type: 'sources', claimIndex, provider: provider.id, sources: annotate(sources, options) })
+      : undefined;
+    return runProvider(provider, text, context, url, keys, options, onSources)
+      .then(verdict => {
+        const config = getConfigOf(provider, options, keys);
+        const tagged = {
+          ...verdict,
+          sources: annotate(verdict.sources, options),
+          provider: provider.id,
+          providerName: provider.name,
+          model: config.model,
+          promptVersion: config.promptVersion
+        };
+        arrived.push(tagged);
+        emitProgress(options, { type: 'verdict', claimIndex, verdict: tagged });
+        emitProgress(options, { type: 'aggregate', claimIndex, result: aggregateResults(arrived, options) });
+        return tagged;
+      })
+      .catch(error => {
+        if (options.signal && options.signal.aborted) {
+          return null;
+        }
+        const failure = { provider: provider.id, providerName: provider.name, failed: true };
+        if (error instanceof ProviderTimeoutError) {
+          console.warn(error.message);
+          failure.timedOut = true;
+        } else {
+          console.error(`${provider.name} API error:`, error);
+          failure.error = error.message;
+          failure.kind = error.kind || null;
+        }
+        arrived.push(failure);
+        emitProgress(options, { type: 'verdict', claimIndex, verdict: failure });
+        emitProgress(options, { type: 'aggregate', claimIndex, result: aggregateResults(arrived, options) });
+        return failure;
+      });
+  }));
+
+  const results = await verifySources(verdicts.filter(Boolean), options);
+  const result = aggregateResults(results, options);
+  if (options.verifier) {
+    emitProgress(options, { type: 'aggregate', claimIndex, result });
+  }
+  return result;
+}
+
+/**
+ * Fetches the cited URLs and records on each source whether it works and
+ * backs the passage citing it; the consensus then discounts bad sources.
+ * 
+ * @param {Object[]} results - The provider verdicts and failures
+ * @param {FactCheckOptions} options - Run options
+ * @returns {Promise<Object[]>} The results with verification on every source
+ */
+async function verifySources(results, options) {
+  const answered = results.filter(result => !result.failed);
+  if (!options.verifier || answered.length === 0) {
+    return results;
+  }
+  try {
+    const verifications = await options.verifier.verify(collectCitations(answered), options.signal);
+    return results.map(result => result.failed ? result : {
+      ...result,
+      sources: result.sources.map(source => ({ ...source, verification: verifications.get(source.url) }))
+    });
+  } catch (error) {
+    if (!(options.signal && options.signal.aborted)) {
+      console.error('Error verifying sources:', error);
+    }
+    return results;
+  }
+}
+
+/**
+ * Adds the credibility of each source when a reputation lookup is set.
+ * Cached verdicts are annotated again, so edited overrides apply at once.
+ * 
+ * @param {Object[]} sources - Sources in the verdict schema shape
+ * @param {FactCheckOptions} options - Run options
+ * @returns {Object[]} The sources
+ */
+function annotate(sources, options) {
+  return options.reputation ? options.reputation.annotateSources(sources) : sources;
+}
+
+/**
+ * Passes a progress event to the onProgress callback, if there is one.
+ * 
+ * @param {FactCheckOptions} options - Run options
+ * @param {Object} event - The progress event
+ */
+function emitProgress(options, event) {
+  if (options.onProgress) {
+    options.onProgress(event);
+  }
+}
+
+/**
+ * Error thrown when a provider does not answer within its timeout.
+ */
+export class ProviderTimeoutError extends Error {
+  /**
+   * @param {Object} provider - The provider that timed out
+   * @param {number} timeoutMs - The timeout that was exceeded
+   */
+  constructor(provider, timeoutMs) {
+    super(`${provider.name} timed out after ${Math.round(timeoutMs / 1000)} seconds`);
+    this.name = 'ProviderTimeoutError';
+    this.provider = provider.id;
+  }
+}
+
+/**
+ * Runs one provider, answering from the cache when a fresh verdict exists.
+ * The provider gets a signal that aborts on cancellation or when its
+ * timeout runs out; the call is abandoned then even if the provider ignores it.
+ * 
+ * @param {Object} provider - The provider to run
+ * @param {string} text - The claim to fact check
+ * @param {Object|null} context - The page context
+ * @param {string} url - The URL of the current page
+ * @param {Object} keys - The stored API keys
+ * @param {FactCheckOptions} options - Run options
+ * @param {function(Object[]): void} [onSources] - Called with sources found before the verdict is ready
+ * @returns {Promise<Object>} The provider verdict
+ */
+async function runProvider(provider, text, context, url, keys, options, onSources) {
+  const { cache, cacheTtlHours = 0, bypassCache = false } = options;
+  const useCache = Boolean(cache) && cacheTtlHours > 0;
+  const config = getConfigOf(provider, options, keys);
+
+  if (useCache && !bypassCache) {
+    const cached = await cache.get(text, provider, cacheTtlHours, config).catch(error => {
+      console.error('Error reading verdict cache:', error);
+      return null;
+    });
+    if (cached) {
+      return cached;
+    }
+  }
+
+  const timeoutMs = (options.timeouts && options.timeouts[provider.id]) || provider.timeoutMs;
+  const timeout = AbortSignal.timeout(timeoutMs);
+  const signal = options.signal ? AbortSignal.any([options.signal, timeout]) : timeout;
+
+  let verdict;
+  try {
+    verdict = await abortable(provider.check(text, context, url, { keys, config, onSources, signal, reputation: options.reputation }), signal);
+  } catch (error) {
+    if (timeout.aborted && !(options.signal && options.signal.aborted)) {
+      throw new ProviderTimeoutError(provider, timeoutMs);
+    }
+    throw error;
+  }
+
+  if (useCache) {
+    cache.set(text, provider, verdict, config).catch(error => {
+      console.error('Error writing verdict cache:', error);
+    });
+  }
+  return verdict;
+}
+
+/**
+ * Returns the model settings to run a provider with. For a provider whose
+ * model is set with its keys, the model is the one the keys select, so
+ * that it keys the cache and is recorded with the verdict.
+ * 
+ * @param {Object} provider - The provider
+ * @param {FactCheckOptions} options - Run options
+ * @param {Object} keys - The stored API keys
+ * @returns {Object} The model settings, see provider-config.js
+ */
+function getConfigOf(provider, options, keys) {
+  const config = (options.providerConfigs && options.providerConfigs[provider.id]) || getProviderConfig(provider);
+  return provider.describeModel ? { ...config, model: provider.describeModel(keys) } : config;
+}
+
+/**
+ * Rejects as soon as the signal aborts, without waiting for the promise.
+ * 
+ * @param {Promise} promise - The promise to race
+ * @param {AbortSignal} signal - The signal to race it against
+ * @returns {Promise} The promise's outcome, or the signal's abort reason
+ */
+function abortable(promise, signal) {
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Rolls the per-claim results up into one result.
+ * The overall score is that of the weakest scored claim, since a text is
+ * only as reliable as its least supported claim.
+ * 
+ * @param {Object[]} claimResults - The aggregated result of each claim, with its text
+ * @returns {Object} The rolled-up result, with the claims in claims[]
+ */
+export function rollUpClaims(claimResults) {
+  const claims = claimResults.map(result => ({
+    ...result,
+    verdict: result.consensus && result.consensus.contested ? 'contested' : scoreToVerdict(result.score)
+  }));
+  const scores = claims.map(claim => claim.score).filter(score => typeof score === 'number');
+
+  return {
+    schemaVersion: VERDICT_SCHEMA_VERSION,
+    score: scores.length > 0 ? Math.min(...scores) : null,
+    language: claims[0].language,
+    providers: [],
+    sources: [],
+    claims,
+    cachedAt: getEarliestCachedAt(claims),
+    rollup: {
+      total: claims.length,
+      supported: scores.filter(score => score >= 60).length,
+      mixed: scores.filter(score => score >= 40 && score < 60).length,
+      refuted: scores.filter(score => score < 40).length,
+      unverified: claims.length - scores.length,
+      contested: claims.filter(claim => claim.consensus && claim.consensus.contested).length
+    }
+  };
+}
+
+/**
+ * Aggregates the verdicts of several providers into one result.
+ * The score is the consensus of the providers weighted by their sources, see
+ * consensus.js. Sources are merged by URL and every provider's inline references are
+ * renumbered to point into the merged list. Providers that timed out are
+ * listed in timedOut, providers that failed in errors.
+ * 
+ * @param {Object[]} results - The provider verdicts, tagged with provider and providerName,
+ *     and { provider, providerName, failed: true } with timedOut or error and kind for
+ *     providers that did not answer
+ * @param {FactCheckOptions} [options={}] - Run options; only contestedSpread is used
+ * @returns {Object} The aggregated result
+ */
+export function aggregateResults(results, options = {}) {
+  const verdicts = results.filter(result => !result.failed);
+  const failures = results.filter(result => result.failed);
+
+  // Combine sources (removing duplicates)
+  const combinedSources = [];
+  const renumbered = verdicts.map(verdict => {
+    const indexMap = new Map();
+    verdict.sources.forEach(source => {
+      let existing = combinedSources.find(combined => combined.url === source.url);
+      if (!existing) {
+        existing = { ...source, index: combinedSources.length + 1 };
+        combinedSources.push(existing);
+      }
+      indexMap.set(source.index, existing.index);
+    });
+    return renumberReferences(verdict, indexMap);
+  });
+  
+  const { score, spread, contested, weights } = computeConsensus(verdicts, options.contestedSpread);
+
+  return {
+    schemaVersion: VERDICT_SCHEMA_VERSION,
+    score,
+    consensus: { spread, contested, weights },
+    language: verdicts.length > 0 ? verdicts[0].language : 'und',
+    providers: renumbered,
+    sources: combinedSources,
+    timedOut: failures
+      .filter(failure => failure.timedOut)
+      .map(({ provider, providerName }) => ({ provider, providerName })),
+    errors: failures
+      .filter(failure => !failure.timedOut)
+      .map(({ provider, providerName, error, kind }) => ({ provider, providerName, message: error, kind })),
+    cachedAt: getEarliestCachedAt(verdicts)
+  };
+}
+
+/**
+ * Returns when the oldest cached part of a result was checked.
+ * 
+ * @param {Object[]} parts - Provider verdicts or claim results
+ * @returns {number|null} The earliest cachedAt, or null if nothing came from the cache
+ */
+function getEarliestCachedAt(parts) {
+  const times = parts.map(part => part.cachedAt).filter(Boolean);
+  return times.length > 0 ? Math.min(...times) : null;
+}
+
+/**
+ * Rewrites a verdict's source references using the given index map.
+ * 
+ * @param {Object} verdict - The provider verdict
+ * @param {Map<number, number>} indexMap - Maps provider source indices to merged indices
+ * @returns {Object} The verdict with renumbered references
+ */
+function renumberReferences(verdict, indexMap) {
+  const remapText = text => (text || '').replace(/\[(\d+(?:,\s*\d+)*)\]/g, (match, p1) => {
+    const indices = p1.split(',').map(s => indexMap.get(parseInt(s.trim())) || s.trim());
+    return `[${indices.join(', ')}]`;
+  });
+
+  return {
+    ...verdict,
+    summary: remapText(verdict.summary),
+    context: remapText(verdict.context),
+    findings: (verdict.findings || []).map(finding => ({
+      ...finding,
+      sources: (finding.sources || []).map(index => indexMap.get(index) || index)
+    })),
+    sources: verdict.sources.map(source => ({ ...source, index: indexMap.get(source.index) }))
+  };
+}
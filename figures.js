@@ -0,0 +1,310 @@
+/**
+ * @fileoverview Numeric claim checks.
+ * Pulls the figures out of a selection (quantities with their units, the
+ * dates they refer to and the comparison words around them), asks the first
+ * provider that can search the web what the sources report for each, and
+ * compares the claimed and reported values.
+ */
+
+import { getAvailableProviders } from './providers/index.js';
+import { formatPageContext } from './page-context.js';
+import { getDomain } from './verdict.js';
+
+// Constants
+const MAX_FIGURES = 8;
+// Claims are usually rounded, so values this close (relative error) count as accurate
+const ACCURATE_TOLERANCE = 0.1;
+// How many words before a figure may hold its comparison word
+const COMPARISON_WINDOW = 4;
+const SCALES = {
+  thousand: 1e3, k: 1e3,
+  million: 1e6, mn: 1e6, m: 1e6,
+  billion: 1e9, bn: 1e9, b: 1e9,
+  trillion: 1e12, tn: 1e12
+};
+const CURRENCIES = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+const PERCENT_UNITS = /^(?:%|percent|per cent)$/i;
+const PERCENTAGE_POINT_UNITS = /^percentage points?$/i;
+const COMPARISON_WORDS = new Set([
+  'rose', 'risen', 'rise', 'rises', 'increased', 'increase', 'grew', 'grown', 'up', 'gained', 'climbed', 'jumped', 'surged', 'doubled', 'tripled',
+  'fell', 'fallen', 'fall', 'falls', 'dropped', 'declined', 'decreased', 'decrease', 'down', 'cut', 'shrank', 'halved', 'plunged',
+  'more', 'over', 'above', 'exceeded', 'least', 'less', 'fewer', 'under', 'below', 'most', 'nearly', 'almost', 'about', 'around', 'roughly', 'approximately'
+]);
+// Words after a number that are not its unit
+const NOT_UNITS = new Set([
+  'and', 'or', 'in', 'of', 'to', 'the', 'a', 'an', 'by', 'from', 'on', 'at', 'for', 'with', 'than', 'as', 'is', 'was', 'were', 'are', 'that', 'which'
+]);
+const MONTHS = 'january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sep|sept|oct|nov|dec';
+const DATE_PATTERN = new RegExp(`\\b(?:(?:${MONTHS})\\.?\\s+(?:\\d{1,2},?\\s+)?)?(?:18|19|20)\\d{2}s?\\b`, 'gi');
+const NUMBER_PATTERN = /(?<![\p{L}\d.,-])([$€£¥])?\s?(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)(?:\s?(thousand|million|billion|trillion|bn|mn|tn|[kmb])\b)?(?:\s?(%|percent\b|per cent\b|percentage points?\b|[\p{L}]+))?/giu;
+
+/**
+ * How a figure compares to the values its sources report.
+ */
+export const FIGURE_STATUSES = {
+  'accurate': { label: 'Matches the sources' },
+  'inaccurate': { label: 'Differs from the sources' },
+  'order-of-magnitude': { label: 'Off by an order of magnitude' },
+  'unverified': { label: 'No reported value found' }
+};
+
+const FIGURES_PROMPT = `You check numbers against reliable sources. The user gives you a text and a numbered list of the figures in it.
+
+1. For each figure, search for the value that reliable sources (official statistics, studies, reputable news) report for the same quantity, place and time.
+2. Give the reported value as a plain number in the same unit and scale as the claimed value: if the claim is "4 million people", report 3900000, not 3.9; if it is a percentage, report a percentage.
+3. If the sources do not report the quantity, set "reported" to null. Never guess a value.
+4. Write the notes in the language of the text.
+
+Respond with a single JSON object and nothing else:
+{
+  "figures": [
+    { "index": <figure number>, "reported": <number or null>, "reportedText": "<the value as the source gives it>", "date": "<the period the reported value refers to, or null>", "source": { "title": "<source title>", "url": "<source URL>" }, "note": "<one sentence, e.g. what was measured>" }
+  ]
+}`;
+
+/**
+ * @typedef {Object} Figure
+ * @property {string} text - The figure as written, e.g. "$3.2 billion"
+ * @property {number} value - The value with its scale applied, e.g. 3200000000
+ * @property {string|null} unit - The unit: '%', 'percentage points', a currency code or the counted noun
+ * @property {string|null} comparison - The comparison word before the figure, e.g. "fell"
+ * @property {string|null} date - The date in the same sentence, e.g. "2023"
+ * @property {string} sentence - The sentence the figure appears in
+ */
+
+/**
+ * @typedef {Object} FigureCheck
+ * @property {Figure} claimed - The figure from the selection
+ * @property {number|null} reported - The value the sources report, in the same unit and scale
+ * @property {string|null} reportedText - The reported value as the source gives it
+ * @property {number|null} relativeError - (claimed - reported) / reported, null if unknown
+ * @property {string} status - One of the FIGURE_STATUSES keys
+ * @property {string} label - The status's label
+ * @property {string|null} date - The period of the reported value
+ * @property {Object|null} source - The source of the reported value, with title, url and domain
+ * @property {string} note - What was measured
+ */
+
+/**
+ * Extracts the figures from a text. Years count as dates rather than
+ * figures, and numbers inside words such as "COVID-19" are skipped.
+ * 
+ * @param {string} text - The selected text
+ * @returns {Figure[]} The figures, at most MAX_FIGURES
+ */
+export function extractFigures(text) {
+  const figures = [];
+  splitSentences(text).forEach(sentence => {
+    const dates = Array.from(sentence.matchAll(DATE_PATTERN), match => ({ text: match[0], index: match.index }));
+    for (const match of sentence.matchAll(NUMBER_PATTERN)) {
+      const [whole, currency, digits, scale, unitWord] = match;
+      const start = match.index + whole.indexOf(currency || digits);
+      if (!currency && !scale && dates.some(date => start >= date.index && start < date.index + date.text.length)) {
+        continue;
+      }
+      // Words after the number that are not its unit are left out of the figure;
+      // the currency is the unit of an amount of money, so nothing after it is
+      const keepsWord = Boolean(unitWord) && !currency && normalizeUnit(null, unitWord) !== null;
+      figures.push({
+        text: (keepsWord || !unitWord ? whole : whole.slice(0, whole.length - unitWord.length)).trim(),
+        value: parseFloat(digits.replace(/,/g, '')) * (scale ? SCALES[scale.toLowerCase()] : 1),
+        unit: normalizeUnit(currency, unitWord),
+        comparison: findComparison(sentence.slice(0, start)),
+        date: findNearestDate(dates, start),
+        sentence
+      });
+    }
+  });
+  return figures.slice(0, MAX_FIGURES);
+}
+
+/**
+ * Splits text into sentences, keeping decimal points inside numbers.
+ * 
+ * @param {string} text - The text to split
+ * @returns {string[]} The sentences
+ */
+function splitSentences(text) {
+  return text.split(/(?<=[.!?])\s+(?=\S)/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * Works out the unit of a figure from its currency symbol or the word after it.
+ * 
+ * @param {string} [currency] - The currency symbol before the number
+ * @param {string} [word] - The word after the number
+ * @returns {string|null} The unit, or null if the figure is a bare number
+ */
+function normalizeUnit(currency, word) {
+  if (currency) {
+    return CURRENCIES[currency];
+  }
+  if (!word) {
+    return null;
+  }
+  if (PERCENT_UNITS.test(word)) {
+    return '%';
+  }
+  if (PERCENTAGE_POINT_UNITS.test(word)) {
+    return 'percentage points';
+  }
+  const lower = word.toLowerCase();
+  return NOT_UNITS.has(lower) || COMPARISON_WORDS.has(lower) ? null : lower;
+}
+
+/**
+ * Finds the comparison word closest before a figure.
+ * 
+ * @param {string} before - The sentence up to the figure
+ * @returns {string|null} The comparison word, e.g. "fell", or null
+ */
+function findComparison(before) {
+  const words = (before.match(/[\p{L}]+/gu) || []).slice(-COMPARISON_WINDOW).reverse();
+  const word = words.find(candidate => COMPARISON_WORDS.has(candidate.toLowerCase()));
+  return word ? word.toLowerCase() : null;
+}
+
+/**
+ * Finds the date closest to a figure in its sentence.
+ * 
+ * @param {Array<{text: string, index: number}>} dates - The dates in the sentence
+ * @param {number} position - Where the figure starts
+ * @returns {string|null} The date, or null if the sentence has none
+ */
+function findNearestDate(dates, position) {
+  if (dates.length === 0) {
+    return null;
+  }
+  const nearest = dates.reduce((best, date) =>
+    Math.abs(date.index - position) < Math.abs(best.index - position) ? date : best
+  );
+  return nearest.text;
+}
+
+/**
+ * Checks the figures against the values the sources report. Failures are
+ * logged and give null, so they never break the fact check the figures are
+ * part of.
+ * 
+ * @param {Figure[]} figures - The figures, see extractFigures()
+ * @param {string} text - The whole selection
+ * @param {Object|null} context - The page context from the content script, see page-context.js
+ * @param {string} url - The URL of the current page
+ * @param {Object} keys - The stored API keys
+ * @param {Object} [options={}] - Run options
+ * @param {AbortSignal} [options.signal] - Cancels the check
+ * @param {Object<string, number>} [options.timeouts] - Timeout in milliseconds by provider id
+ * @param {Object<string, Object>} [options.providerConfigs] - Model settings by provider id, see provider-config.js
+ * @returns {Promise<FigureCheck[]|null>} A check per figure, or null if no provider could run it
+ */
+export async function checkFigures(figures, text, context, url, keys, { signal, timeouts, providerConfigs } = {}) {
+  const provider = getAvailableProviders(keys).find(candidate => typeof candidate.research === 'function');
+  if (!provider) {
+    return null;
+  }
+
+  const list = figures.map((figure, i) => {
+    const details = [
+      `value ${figure.value}`,
+      figure.unit && `unit ${figure.unit}`,
+      figure.comparison && `comparison "${figure.comparison}"`,
+      figure.date && `date ${figure.date}`
+    ].filter(Boolean).join(', ');
+    return `${i + 1}. "${figure.text}" (${details}) in: "${figure.sentence}"`;
+  }).join('\n');
+  const userPrompt = `Text: "${text}"\n\nFigures:\n${list}\n\nThe page it was selected from:\n${formatPageContext(context)}\n\nPage URL: ${url}`;
+
+  const timeout = AbortSignal.timeout((timeouts && timeouts[provider.id]) || provider.timeoutMs);
+  try {
+    const raw = await provider.research(FIGURES_PROMPT, userPrompt, {
+      keys,
+      config: providerConfigs && providerConfigs[provider.id],
+      query: `official figures: ${text}`,
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    });
+    const reported = parseFiguresReply(raw);
+    if (!reported) {
+      console.warn('Could not parse figure check reply:', raw);
+      return null;
+    }
+    return figures.map((figure, i) => compareFigure(figure, reported.find(entry => entry.index === i + 1)));
+  } catch (error) {
+    if (!(signal && signal.aborted)) {
+      console.error(`Figure check with ${provider.name} failed:`, error);
+    }
+    return null;
+  }
+}
+
+/**
+ * Reads the reported values out of a figure check reply.
+ * 
+ * @param {string} raw - The raw model output
+ * @returns {Object[]|null} The reported values, or null if the reply was unusable
+ */
+function parseFiguresReply(raw) {
+  const start = (raw || '').indexOf('{');
+  const end = (raw || '').lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return null;
+  }
+  try {
+    const { figures } = JSON.parse(raw.slice(start, end + 1));
+    return Array.isArray(figures) ? figures.filter(entry => entry && typeof entry === 'object') : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compares a claimed figure with the value its sources report.
+ * 
+ * @param {Figure} claimed - The claimed figure
+ * @param {Object} [entry] - The provider's entry for the figure
+ * @returns {FigureCheck} The comparison
+ */
+export function compareFigure(claimed, entry = {}) {
+  const reported = typeof entry.reported === 'string' ? parseFloat(entry.reported.replace(/,/g, '')) : entry.reported;
+  const known = typeof reported === 'number' && Number.isFinite(reported);
+  const relativeError = known && reported !== 0
+    ? Math.round(((claimed.value - reported) / Math.abs(reported)) * 1000) / 1000
+    : null;
+  const status = getFigureStatus(claimed.value, known ? reported : null, relativeError);
+  const source = entry.source && entry.source.url
+    ? { title: entry.source.title || getDomain(entry.source.url), url: entry.source.url, domain: getDomain(entry.source.url) }
+    : null;
+  return {
+    claimed,
+    reported: known ? reported : null,
+    reportedText: known ? (entry.reportedText || String(reported)) : null,
+    relativeError,
+    status,
+    label: FIGURE_STATUSES[status].label,
+    date: entry.date || null,
+    source,
+    note: entry.note || ''
+  };
+}
+
+/**
+ * Rates a claimed value against the reported one. A value ten or more times
+ * too large or too small is an order-of-magnitude error, the typical result
+ * of a mixed-up unit, scale or decimal point.
+ * 
+ * @param {number} claimed - The claimed value
+ * @param {number|null} reported - The reported value, null if none was found
+ * @param {number|null} relativeError - The relative error
+ * @returns {string} One of the FIGURE_STATUSES keys
+ */
+function getFigureStatus(claimed, reported, relativeError) {
+  if (reported === null) {
+    return 'unverified';
+  }
+  if (claimed !== 0 && reported !== 0 && Math.abs(Math.log10(Math.abs(claimed / reported))) >= 1) {
+    return 'order-of-magnitude';
+  }
+  if (relativeError === null) {
+    return claimed === reported ? 'accurate' : 'inaccurate';
+  }
+  return Math.abs(relativeError) <= ACCURATE_TOLERANCE ? 'accurate' : 'inaccurate';
+}
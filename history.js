@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Persistent history of completed fact checks.
+ */
+
+import { STORES, withStore, readIndex } from './db.js';
+import { getDomain } from './verdict.js';
+import { loadSettings, DEFAULT_SETTINGS } from './settings.js';
+
+// Constants
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds the score bands used to filter the history, matching the truth meter colours.
+ * 
+ * @param {Object} [thresholds] - The lowest score of the high, medium and low bands, see
+ *     scoreThresholds in settings.js
+ * @returns {Object<string, {label: string, test: function(number|null): boolean}>} The bands by key
+ */
+export function getScoreBands({ high, medium, low } = DEFAULT_SETTINGS.scoreThresholds) {
+  return {
+    all: { label: 'All scores', test: () => true },
+    high: { label: `${high}% and above`, test: score => score >= high },
+    medium: { label: `${medium}–${high - 1}%`, test: score => score >= medium && score < high },
+    low: { label: `${low}–${medium - 1}%`, test: score => score >= low && score < medium },
+    false: { label: `Below ${low}%`, test: score => score !== null && score < low },
+    unscored: { label: 'No score', test: score => score === null }
+  };
+}
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id - Unique id of the entry
+ * @property {string} text - The checked text
+ * @property {string} url - The page the text came from
+ * @property {string} domain - The domain of the page
+ * @property {number} createdAt - When the check completed, in ms since the epoch
+ * @property {string[]} providers - Names of the providers that answered
+ * @property {Object<string, string>} promptVersions - The prompt version each answering provider used, by provider id
+ * @property {number|null} score - The overall truth score
+ * @property {Array<Object>} sources - Title, URL and domain of every source
+ * @property {Object} result - The full aggregated result, for re-opening it
+ */
+
+/**
+ * Saves a completed fact check.
+ * 
+ * @param {string} text - The checked text
+ * @param {string} url - The page the text came from
+ * @param {Object} result - The aggregated fact check result
+ * @returns {Promise<HistoryEntry>} The saved entry
+ */
+export async function saveCheck(text, url, result) {
+  const parts = result.claims && result.claims.length > 0 ? result.claims : [result];
+  const providers = new Set();
+  const promptVersions = {};
+  const sources = [];
+  parts.forEach(part => {
+    part.providers.forEach(verdict => {
+      providers.add(verdict.providerName);
+      if (verdict.promptVersion) {
+        promptVersions[verdict.provider] = verdict.promptVersion;
+      }
+    });
+    part.sources.forEach(source => {
+      if (!sources.some(existing => existing.url === source.url)) {
+        sources.push({ title: source.title, url: source.url, domain: source.domain || getDomain(source.url) });
+      }
+    });
+  });
+
+  const entry = {
+    id: crypto.randomUUID(),
+    text,
+    url,
+    domain: getDomain(url),
+    createdAt: Date.now(),
+    providers: Array.from(providers),
+    promptVersions,
+    score: typeof result.score === 'number' ? result.score : null,
+    sources,
+    result
+  };
+  await withStore(STORES.CHECKS, 'readwrite', store => store.put(entry));
+  return entry;
+}
+
+/**
+ * Saves a completed fact check if the user keeps a history, then drops the
+ * entries that are past the retention period or over the entry limit.
+ * 
+ * @param {string} text - The checked text
+ * @param {string} url - The page the text came from
+ * @param {Object} result - The aggregated fact check result
+ * @returns {Promise<HistoryEntry|null>} The saved entry, or null if the history is turned off
+ */
+export async function recordCheck(text, url, result) {
+  const settings = await loadSettings();
+  if (!settings.saveHistory) {
+    return null;
+  }
+  const entry = await saveCheck(text, url, result);
+  await pruneHistory(settings);
+  return entry;
+}
+
+/**
+ * Deletes the entries older than the retention period, then the oldest
+ * entries over the entry limit.
+ * 
+ * @param {Object} settings - The loaded settings, see historyRetentionDays and
+ *     maxHistoryEntries in settings.js
+ * @returns {Promise<void>}
+ */
+export async function pruneHistory({ historyRetentionDays, maxHistoryEntries }) {
+  if (historyRetentionDays > 0) {
+    const cutoff = IDBKeyRange.upperBound(Date.now() - historyRetentionDays * DAY, true);
+    const expired = await withStore(STORES.CHECKS, 'readonly', store => store.index('createdAt').getAllKeys(cutoff));
+    await Promise.all(expired.map(id => deleteCheck(id)));
+  }
+  if (maxHistoryEntries > 0) {
+    const count = await withStore(STORES.CHECKS, 'readonly', store => store.count());
+    if (count > maxHistoryEntries) {
+      const oldest = await withStore(STORES.CHECKS, 'readonly',
+        store => store.index('createdAt').getAllKeys(null, count - maxHistoryEntries));
+      await Promise.all(oldest.map(id => deleteCheck(id)));
+    }
+  }
+}
+
+/**
+ * Deletes every entry.
+ * 
+ * @returns {Promise<void>}
+ */
+export function clearHistory() {
+  return withStore(STORES.CHECKS, 'readwrite', store => store.clear());
+}
+
+/**
+ * Loads a single entry.
+ * 
+ * @param {string} id - The entry id
+ * @returns {Promise<HistoryEntry|undefined>} The entry, if it exists
+ */
+export function getCheck(id) {
+  return withStore(STORES.CHECKS, 'readonly', store => store.get(id));
+}
+
+/**
+ * Deletes a single entry.
+ * 
+ * @param {string} id - The entry id
+ * @returns {Promise<void>}
+ */
+export function deleteCheck(id) {
+  return withStore(STORES.CHECKS, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Lists the newest entries with just what a list needs, reading no more
+ * entries than asked for.
+ * 
+ * @param {number} limit - The most entries listed
+ * @returns {Promise<Array<{id: string, text: string, score: number|null, domain: string}>>} The
+ *     entries, newest first
+ */
+export async function getRecentChecks(limit) {
+  const entries = await readIndex(STORES.CHECKS, 'createdAt', { direction: 'prev', limit });
+  return entries.map(({ id, text, score, domain }) => ({ id, text, score, domain }));
+}
+
+/**
+ * Searches the history, newest first.
+ * The query matches the checked text, the page domain and source domains.
+ * 
+ * @param {Object} [filters={}] - The search filters
+ * @param {string} [filters.query=''] - Text or domain to look for
+ * @param {string} [filters.band='all'] - A key of getScoreBands()
+ * @param {Object} [filters.thresholds] - The score thresholds the bands are built from
+ * @returns {Promise<HistoryEntry[]>} The matching entries
+ */
+export async function searchChecks({ query = '', band = 'all', thresholds } = {}) {
+  const entries = await withStore(STORES.CHECKS, 'readonly', store => store.index('createdAt').getAll());
+  const needle = query.trim().toLowerCase();
+  const bands = getScoreBands(thresholds);
+  const inBand = (bands[band] || bands.all).test;
+
+  return entries
+    .filter(entry => inBand(entry.score))
+    .filter(entry => !needle ||
+      entry.text.toLowerCase().includes(needle) ||
+      entry.domain.includes(needle) ||
+      entry.sources.some(source => source.domain.includes(needle)))
+    .reverse();
+}
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Perceptual image hashes.
+ * The image is shrunk to 32×32 grey pixels and the lowest 8×8 frequencies of
+ * its discrete cosine transform are compared with their median (pHash). The
+ * 64-bit hash survives recompression, resizing and small edits, so two copies
+ * of a picture have hashes that differ in only a few bits.
+ */
+
+// Constants
+const SAMPLE_SIZE = 32;
+const HASH_SIZE = 8;
+
+/**
+ * Computes the perceptual hash of an image. Works in the service worker,
+ * which has createImageBitmap and OffscreenCanvas but no DOM.
+ * 
+ * @param {Blob} blob - The image file
+ * @returns {Promise<{hash: string, width: number, height: number}>} The hash as 16 hex digits and the image size
+ */
+export async function computePerceptualHash(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const { width, height } = bitmap;
+  const canvas = new OffscreenCanvas(SAMPLE_SIZE, SAMPLE_SIZE);
+  const context = canvas.getContext('2d');
+  // Transparent areas count as white, the way the image usually appears
+  context.fillStyle = 'white';
+  context.fillRect(0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(bitmap, 0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+  bitmap.close();
+
+  const { data } = context.getImageData(0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+  const grey = new Float64Array(SAMPLE_SIZE * SAMPLE_SIZE);
+  for (let i = 0; i < grey.length; i++) {
+    grey[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+
+  const frequencies = lowFrequencies(grey);
+  // The first coefficient is the average brightness, which says nothing about the picture
+  const sorted = frequencies.slice(1).sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  let hash = 0n;
+  frequencies.forEach(value => {
+    hash = (hash << 1n) | (value > median ? 1n : 0n);
+  });
+  return { hash: hash.toString(16).padStart(HASH_SIZE * HASH_SIZE / 4, '0'), width, height };
+}
+
+/**
+ * Computes the lowest HASH_SIZE × HASH_SIZE coefficients of the
+ * two-dimensional DCT-II of the grey image.
+ * 
+ * @param {Float64Array} grey - SAMPLE_SIZE × SAMPLE_SIZE grey values, row by row
+ * @returns {number[]} The coefficients, row by row
+ */
+function lowFrequencies(grey) {
+  const cosines = Array.from({ length: HASH_SIZE }, (_, u) =>
+    Array.from({ length: SAMPLE_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * SAMPLE_SIZE))));
+  const scale = u => Math.sqrt((u === 0 ? 1 : 2) / SAMPLE_SIZE);
+
+  const coefficients = [];
+  for (let v = 0; v < HASH_SIZE; v++) {
+    for (let u = 0; u < HASH_SIZE; u++) {
+      let sum = 0;
+      for (let y = 0; y < SAMPLE_SIZE; y++) {
+        for (let x = 0; x < SAMPLE_SIZE; x++) {
+          sum += grey[y * SAMPLE_SIZE + x] * cosines[u][x] * cosines[v][y];
+        }
+      }
+      coefficients.push(scale(u) * scale(v) * sum);
+    }
+  }
+  return coefficients;
+}
+
+/**
+ * Counts the bits in which two hashes differ.
+ * 
+ * @param {string} a - A hash from computePerceptualHash()
+ * @param {string} b - Another hash
+ * @returns {number} The Hamming distance, 0 for identical pictures
+ */
+export function hammingDistance(a, b) {
+  let difference = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (difference > 0n) {
+    count += Number(difference & 1n);
+    difference >>= 1n;
+  }
+  return count;
+}
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Local library of previously inspected images.
+ * Each image is stored by URL with its perceptual hash and when it was first
+ * seen, so a later copy of the same picture, recompressed, resized or posted
+ * elsewhere, can be traced back to its earliest sighting.
+ */
+
+import { STORES, withStore } from './db.js';
+import { hammingDistance } from './image-hash.js';
+
+// Constants
+// Hashes differing in at most this many of their 64 bits show the same picture
+const MATCH_DISTANCE = 10;
+const MAX_LIBRARY_SIZE = 5000;
+
+/**
+ * @typedef {Object} LibraryImage
+ * @property {string} src - The image URL; data: URLs are stored by hash instead
+ * @property {string} pageUrl - The page the image was inspected on
+ * @property {string} hash - The perceptual hash, see image-hash.js
+ * @property {number} width - The image width in pixels
+ * @property {number} height - The image height in pixels
+ * @property {number} firstSeen - When the image was first inspected, in ms since the epoch
+ * @property {number} lastSeen - When it was last inspected
+ */
+
+/**
+ * Finds the library images that show the same picture, earliest first.
+ * 
+ * @param {string} hash - The perceptual hash of the image being inspected
+ * @returns {Promise<Array<LibraryImage & {distance: number}>>} The matches
+ */
+export async function findMatchingImages(hash) {
+  const images = await withStore(STORES.IMAGES, 'readonly', store => store.getAll());
+  return images
+    .map(image => ({ ...image, distance: hammingDistance(hash, image.hash) }))
+    .filter(image => image.distance <= MATCH_DISTANCE)
+    .sort((a, b) => a.firstSeen - b.firstSeen);
+}
+
+/**
+ * Removes every image from the library.
+ * 
+ * @returns {Promise<void>}
+ */
+export function clearImageLibrary() {
+  return withStore(STORES.IMAGES, 'readwrite', store => store.clear());
+}
+
+/**
+ * Adds an image to the library, or marks it as seen again. Once the library
+ * is full the images not seen for the longest time are dropped.
+ * 
+ * @param {Object} image - The image
+ * @param {string} image.src - The image URL
+ * @param {string} image.pageUrl - The page the image is on
+ * @param {string} image.hash - The perceptual hash
+ * @param {number} image.width - The image width in pixels
+ * @param {number} image.height - The image height in pixels
+ * @returns {Promise<void>}
+ */
+export async function rememberImage({ src, pageUrl, hash, width, height }) {
+  const key = src.startsWith('data:') ? `data:${hash}` : src;
+  const existing = await withStore(STORES.IMAGES, 'readonly', store => store.get(key));
+  const now = Date.now();
+  await withStore(STORES.IMAGES, 'readwrite', store => store.put({
+    src: key,
+    pageUrl: existing ? existing.pageUrl : pageUrl,
+    hash,
+    width,
+    height,
+    firstSeen: existing ? existing.firstSeen : now,
+    lastSeen: now
+  }));
+
+  const count = await withStore(STORES.IMAGES, 'readonly', store => store.count());
+  if (count > MAX_LIBRARY_SIZE) {
+    const oldest = await withStore(STORES.IMAGES, 'readonly',
+      store => store.index('lastSeen').getAllKeys(null, count - MAX_LIBRARY_SIZE));
+    await Promise.all(oldest.map(oldKey => withStore(STORES.IMAGES, 'readwrite', store => store.delete(oldKey))));
+  }
+}
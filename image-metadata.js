@@ -0,0 +1,368 @@
+/**
+ * @fileoverview Reads the metadata embedded in JPEG, PNG and WebP files:
+ * EXIF (camera, capture time, software), the XMP edit history and the raw
+ * C2PA manifest store, which c2pa.js interprets.
+ */
+
+// Constants
+const TEXT_DECODER = new TextDecoder();
+const XMP_JPEG_PREFIX = 'http://ns.adobe.com/xap/1.0/\0';
+const XMP_PNG_KEYWORD = 'XML:com.adobe.xmp';
+// EXIF tags read from the main image directory, the EXIF directory and the GPS directory
+const IFD0_TAGS = { 0x010F: 'make', 0x0110: 'model', 0x0131: 'software', 0x0132: 'dateTime', 0x013B: 'artist', 0x8298: 'copyright' };
+const EXIF_IFD_TAGS = { 0x9003: 'dateTimeOriginal', 0xA434: 'lensModel' };
+const GPS_TAGS = { 0x0001: 'latitudeRef', 0x0002: 'latitude', 0x0003: 'longitudeRef', 0x0004: 'longitude' };
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+// Size in bytes of each EXIF value type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * @typedef {Object} ImageMetadata
+ * @property {string} format - 'jpeg', 'png', 'webp' or 'unknown'
+ * @property {Object|null} exif - The EXIF fields found, see readExif()
+ * @property {Object|null} xmp - The creator tool, dates and edit history from XMP, see readXmp()
+ * @property {Uint8Array|null} jumbf - The C2PA manifest store, a JUMBF box
+ */
+
+/**
+ * Reads the metadata of an image file.
+ * 
+ * @param {Uint8Array} bytes - The image file
+ * @returns {ImageMetadata} The metadata; fields the file lacks are null
+ */
+export function readImageMetadata(bytes) {
+  const format = detectFormat(bytes);
+  const segments = format === 'jpeg' ? readJpegSegments(bytes)
+    : format === 'png' ? readPngChunks(bytes)
+    : format === 'webp' ? readWebpChunks(bytes)
+    : {};
+  return {
+    format,
+    exif: segments.exif ? readExif(segments.exif) : null,
+    xmp: segments.xmp ? readXmp(segments.xmp) : null,
+    jumbf: segments.jumbf || null
+  };
+}
+
+/**
+ * Detects the file format from its signature.
+ * 
+ * @param {Uint8Array} bytes - The file
+ * @returns {string} 'jpeg', 'png', 'webp' or 'unknown'
+ */
+function detectFormat(bytes) {
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+    return 'jpeg';
+  }
+  if (ascii(bytes, 1, 3) === 'PNG') {
+    return 'png';
+  }
+  if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') {
+    return 'webp';
+  }
+  return 'unknown';
+}
+
+/**
+ * Collects the metadata segments of a JPEG. C2PA stores its manifest in
+ * APP11 segments that each carry part of one JUMBF box; from the second
+ * segment on they repeat the box header, which is dropped when joining them.
+ * 
+ * @param {Uint8Array} bytes - The JPEG file
+ * @returns {{exif?: Uint8Array, xmp?: string, jumbf?: Uint8Array}} The raw metadata
+ */
+function readJpegSegments(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const result = {};
+  const jumbfParts = [];
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+    const marker = bytes[offset + 1];
+    // Start of scan: the image data follows and there are no more metadata segments
+    if (marker === 0xDA || marker === 0xD9) {
+      break;
+    }
+    const length = view.getUint16(offset + 2);
+    const payload = bytes.subarray(offset + 4, offset + 2 + length);
+    if (marker === 0xE1 && ascii(payload, 0, 6) === 'Exif\0\0') {
+      result.exif = payload.subarray(6);
+    } else if (marker === 0xE1 && ascii(payload, 0, XMP_JPEG_PREFIX.length) === XMP_JPEG_PREFIX) {
+      result.xmp = TEXT_DECODER.decode(payload.subarray(XMP_JPEG_PREFIX.length));
+    } else if (marker === 0xEB && ascii(payload, 0, 2) === 'JP') {
+      const sequence = new DataView(payload.buffer, payload.byteOffset + 4, 4).getUint32(0);
+      const box = payload.subarray(8);
+      if (sequence <= 1) {
+        jumbfParts.push(box);
+      } else {
+        const headerLength = new DataView(box.buffer, box.byteOffset, 4).getUint32(0) === 1 ? 16 : 8;
+        jumbfParts.push(box.subarray(headerLength));
+      }
+    }
+    offset += 2 + length;
+  }
+  if (jumbfParts.length > 0) {
+    result.jumbf = concatBytes(jumbfParts);
+  }
+  return result;
+}
+
+/**
+ * Collects the metadata chunks of a PNG: eXIf, the XMP iTXt chunk and the
+ * caBX chunk holding the C2PA manifest store.
+ * 
+ * @param {Uint8Array} bytes - The PNG file
+ * @returns {{exif?: Uint8Array, xmp?: string, jumbf?: Uint8Array}} The raw metadata
+ */
+function readPngChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const result = {};
+  let offset = 8;
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = ascii(bytes, offset + 4, 4);
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === 'eXIf') {
+      result.exif = data;
+    } else if (type === 'iTXt' && ascii(data, 0, XMP_PNG_KEYWORD.length) === XMP_PNG_KEYWORD) {
+      // Keyword, NUL, compression flag and method, then NUL-terminated language and translated keyword
+      let textStart = XMP_PNG_KEYWORD.length + 3;
+      textStart = data.indexOf(0, textStart) + 1;
+      textStart = data.indexOf(0, textStart) + 1;
+      result.xmp = TEXT_DECODER.decode(data.subarray(textStart));
+    } else if (type === 'caBX') {
+      result.jumbf = data;
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+  return result;
+}
+
+/**
+ * Collects the metadata chunks of a WebP: EXIF, XMP and C2PA.
+ * 
+ * @param {Uint8Array} bytes - The WebP file
+ * @returns {{exif?: Uint8Array, xmp?: string, jumbf?: Uint8Array}} The raw metadata
+ */
+function readWebpChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const result = {};
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const type = ascii(bytes, offset, 4);
+    const length = view.getUint32(offset + 4, true);
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === 'EXIF') {
+      // Some writers keep the JPEG "Exif" prefix
+      result.exif = ascii(data, 0, 6) === 'Exif\0\0' ? data.subarray(6) : data;
+    } else if (type === 'XMP ') {
+      result.xmp = TEXT_DECODER.decode(data);
+    } else if (type === 'C2PA') {
+      result.jumbf = data;
+    }
+    // Chunks are padded to an even length
+    offset += 8 + length + (length % 2);
+  }
+  return result;
+}
+
+/**
+ * Reads the EXIF fields that say where an image comes from.
+ * 
+ * @param {Uint8Array} tiff - The EXIF data, starting with its TIFF header
+ * @returns {Object|null} make, model, software, dateTime, artist, copyright, dateTimeOriginal,
+ *     lensModel and gps ({latitude, longitude}) where present; null if the data is unreadable
+ */
+export function readExif(tiff) {
+  try {
+    const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+    const little = ascii(tiff, 0, 2) === 'II';
+    if (view.getUint16(2, little) !== 42) {
+      return null;
+    }
+    const ifd0 = readIfd(view, view.getUint32(4, little), little);
+    const fields = pickTags(ifd0, IFD0_TAGS);
+    if (ifd0.has(EXIF_IFD_POINTER)) {
+      Object.assign(fields, pickTags(readIfd(view, ifd0.get(EXIF_IFD_POINTER), little), EXIF_IFD_TAGS));
+    }
+    if (ifd0.has(GPS_IFD_POINTER)) {
+      const gps = pickTags(readIfd(view, ifd0.get(GPS_IFD_POINTER), little), GPS_TAGS);
+      if (Array.isArray(gps.latitude) && Array.isArray(gps.longitude)) {
+        fields.gps = {
+          latitude: toDegrees(gps.latitude) * (gps.latitudeRef === 'S' ? -1 : 1),
+          longitude: toDegrees(gps.longitude) * (gps.longitudeRef === 'W' ? -1 : 1)
+        };
+      }
+    }
+    return fields;
+  } catch (error) {
+    console.warn('Could not read EXIF data:', error);
+    return null;
+  }
+}
+
+/**
+ * Reads one image file directory.
+ * 
+ * @param {DataView} view - The TIFF data
+ * @param {number} offset - Where the directory starts
+ * @param {boolean} little - Whether the data is little-endian
+ * @returns {Map<number, *>} The values by tag
+ */
+function readIfd(view, offset, little) {
+  const values = new Map();
+  const count = view.getUint16(offset, little);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const components = view.getUint32(entry + 4, little);
+    const size = (TYPE_SIZES[type] || 1) * components;
+    // Values of up to four bytes are stored in the entry itself
+    const valueOffset = size <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+    if (valueOffset + size > view.byteLength) {
+      continue;
+    }
+    values.set(tag, readValue(view, type, valueOffset, components, little));
+  }
+  return values;
+}
+
+/**
+ * Reads an EXIF value.
+ * 
+ * @param {DataView} view - The TIFF data
+ * @param {number} type - The EXIF type: 2 is text, 3 and 4 are integers, 5 and 10 are fractions
+ * @param {number} offset - Where the value starts
+ * @param {number} components - How many values there are
+ * @param {boolean} little - Whether the data is little-endian
+ * @returns {*} A string, a number or an array of numbers
+ */
+function readValue(view, type, offset, components, little) {
+  if (type === 2) {
+    const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, components);
+    return TEXT_DECODER.decode(bytes).replace(/\0[\s\S]*$/, '').trim();
+  }
+  const numbers = Array.from({ length: components }, (_, i) => {
+    switch (type) {
+      case 3: return view.getUint16(offset + i * 2, little);
+      case 4: return view.getUint32(offset + i * 4, little);
+      case 9: return view.getInt32(offset + i * 4, little);
+      case 5: return view.getUint32(offset + i * 8, little) / (view.getUint32(offset + i * 8 + 4, little) || 1);
+      case 10: return view.getInt32(offset + i * 8, little) / (view.getInt32(offset + i * 8 + 4, little) || 1);
+      default: return view.getUint8(offset + i);
+    }
+  });
+  return numbers.length === 1 ? numbers[0] : numbers;
+}
+
+/**
+ * Picks the wanted tags out of a directory, skipping empty values.
+ * 
+ * @param {Map<number, *>} values - The values by tag
+ * @param {Object<number, string>} names - The field name of each wanted tag
+ * @returns {Object} The fields by name
+ */
+function pickTags(values, names) {
+  const fields = {};
+  Object.entries(names).forEach(([tag, name]) => {
+    const value = values.get(Number(tag));
+    if (value !== undefined && value !== '') {
+      fields[name] = value;
+    }
+  });
+  return fields;
+}
+
+/**
+ * Converts degrees, minutes and seconds to decimal degrees.
+ * 
+ * @param {number[]} parts - Degrees, minutes and seconds
+ * @returns {number} The decimal degrees
+ */
+function toDegrees([degrees = 0, minutes = 0, seconds = 0]) {
+  return Math.round((degrees + minutes / 60 + seconds / 3600) * 1e6) / 1e6;
+}
+
+/**
+ * Reads the creator tool, the dates and the edit history from an XMP packet.
+ * Properties can be written as attributes or as elements, so both are tried.
+ * 
+ * @param {string} xml - The XMP packet
+ * @returns {{creatorTool: string|null, createDate: string|null, modifyDate: string|null,
+ *     history: Array<{action: string, softwareAgent: string|null, when: string|null}>}} The XMP fields
+ */
+export function readXmp(xml) {
+  const historyBlock = (xml.match(/<xmpMM:History>([\s\S]*?)<\/xmpMM:History>/) || [])[1] || '';
+  const history = (historyBlock.match(/<rdf:li\b[\s\S]*?(?:\/>|<\/rdf:li>)/g) || [])
+    .map(item => ({
+      action: readXmpProperty(item, 'stEvt:action'),
+      softwareAgent: readXmpProperty(item, 'stEvt:softwareAgent'),
+      when: readXmpProperty(item, 'stEvt:when')
+    }))
+    .filter(event => event.action);
+  return {
+    creatorTool: readXmpProperty(xml, 'xmp:CreatorTool'),
+    createDate: readXmpProperty(xml, 'xmp:CreateDate') || readXmpProperty(xml, 'photoshop:DateCreated'),
+    modifyDate: readXmpProperty(xml, 'xmp:ModifyDate'),
+    history
+  };
+}
+
+/**
+ * Reads one XMP property.
+ * 
+ * @param {string} xml - The XMP fragment
+ * @param {string} name - The qualified property name, e.g. 'xmp:CreatorTool'
+ * @returns {string|null} The value, or null if the property is absent
+ */
+function readXmpProperty(xml, name) {
+  const match = xml.match(new RegExp(`${name}="([^"]*)"`)) || xml.match(new RegExp(`<${name}>([^<]*)</${name}>`));
+  return match ? decodeXmlEntities(match[1]).trim() : null;
+}
+
+/**
+ * Decodes the XML entities XMP writers use.
+ * 
+ * @param {string} text - The text
+ * @returns {string} The decoded text
+ */
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Reads bytes as ASCII.
+ * 
+ * @param {Uint8Array} bytes - The bytes
+ * @param {number} start - The first byte
+ * @param {number} length - How many bytes to read
+ * @returns {string} The text
+ */
+export function ascii(bytes, start, length) {
+  return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+/**
+ * Joins byte arrays.
+ * 
+ * @param {Uint8Array[]} parts - The arrays
+ * @returns {Uint8Array} The joined bytes
+ */
+export function concatBytes(parts) {
+  const joined = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    joined.set(part, offset);
+    offset += part.length;
+  });
+  return joined;
+}
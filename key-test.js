@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Tests API keys before they are saved, with the smallest
+ * request each provider can make, see testKeys in providers/registry.js.
+ */
+
+import { ERROR_KINDS } from './providers/http.js';
+
+// Constants
+const TEST_TIMEOUT_MS = 20000;
+// Payment Required: some services answer this once the credits are used up
+const PAYMENT_REQUIRED = 402;
+
+/**
+ * The outcomes of a key test.
+ */
+export const KEY_TEST_RESULTS = {
+  valid: { label: 'Valid' },
+  invalid: { label: 'Invalid key' },
+  quota: { label: 'Quota exceeded' },
+  failed: { label: 'Could not test' }
+};
+
+/**
+ * @typedef {Object} KeyTestResult
+ * @property {string} status - A key of KEY_TEST_RESULTS
+ * @property {string} message - What happened, for the user
+ */
+
+/**
+ * Tests a provider's keys.
+ * 
+ * @param {Object} provider - The provider, see FactCheckProvider in providers/registry.js
+ * @param {Object} keys - The keys as entered, by storage key name
+ * @param {import('./provider-config.js').ProviderConfig} [config] - The model settings, for the model to call
+ * @returns {Promise<KeyTestResult>} The outcome; never rejects
+ */
+export async function testProviderKeys(provider, keys, config) {
+  if (typeof provider.testKeys !== 'function') {
+    return { status: 'failed', message: `${provider.name} keys cannot be tested.` };
+  }
+  if (!provider.requiredKeys.every(name => keys[name])) {
+    return { status: 'failed', message: `Enter every ${provider.name} field first.` };
+  }
+
+  try {
+    await provider.testKeys(keys, { signal: AbortSignal.timeout(TEST_TIMEOUT_MS), config });
+    return { status: 'valid', message: `${provider.name} accepted the key.` };
+  } catch (error) {
+    const service = error.service || provider.name;
+    if (error.kind === ERROR_KINDS.AUTH) {
+      return { status: 'invalid', message: `${service} rejected the key.` };
+    }
+    if (error.kind === ERROR_KINDS.RATE_LIMIT || error.status === PAYMENT_REQUIRED) {
+      return { status: 'quota', message: `${service} refused the request: the key's quota is used up or too many requests were sent.` };
+    }
+    if (error.name === 'TimeoutError') {
+      return { status: 'failed', message: `${service} did not answer in time.` };
+    }
+    return { status: 'failed', message: error.message };
+  }
+}
@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Storage of the provider API keys. Keys stay on this device, in
+ * chrome.storage.local, and are never synced. They can be encrypted with a
+ * passphrase; unlocked keys are then kept in chrome.storage.session, which
+ * lives in memory until the browser closes and is out of reach of content
+ * scripts.
+ */
+
+// Constants
+const STORE_ITEM = 'apiKeys';
+const UNLOCKED_ITEM = 'unlockedApiKeys';
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * How the keys are protected: not at all, encrypted and locked, or
+ * encrypted and unlocked for this browser session.
+ */
+export const KEY_PROTECTION = {
+  NONE: 'none',
+  LOCKED: 'locked',
+  UNLOCKED: 'unlocked'
+};
+
+/**
+ * Error thrown when the keys are needed but encrypted and not unlocked.
+ */
+export class KeysLockedError extends Error {
+  constructor() {
+    super('Your API Keys are locked. Enter your passphrase in the extension options to unlock them.');
+    this.name = 'KeysLockedError';
+  }
+}
+
+/**
+ * Tells how the stored keys are protected.
+ * 
+ * @returns {Promise<string>} One of KEY_PROTECTION
+ */
+export async function getKeyProtection() {
+  const { [STORE_ITEM]: stored } = await chrome.storage.local.get(STORE_ITEM);
+  if (!stored || !stored.encrypted) {
+    return KEY_PROTECTION.NONE;
+  }
+  const { [UNLOCKED_ITEM]: unlocked } = await chrome.storage.session.get(UNLOCKED_ITEM);
+  return unlocked ? KEY_PROTECTION.UNLOCKED : KEY_PROTECTION.LOCKED;
+}
+
+/**
+ * Loads the stored keys.
+ * 
+ * @returns {Promise<Object<string, string>>} The keys by storage key name; empty if
+ *     there are none or they are locked
+ */
+export async function loadStoredKeys() {
+  const { [STORE_ITEM]: stored } = await chrome.storage.local.get(STORE_ITEM);
+  if (!stored) {
+    return {};
+  }
+  if (!stored.encrypted) {
+    return stored.keys || {};
+  }
+  const { [UNLOCKED_ITEM]: unlocked } = await chrome.storage.session.get(UNLOCKED_ITEM);
+  return unlocked ? unlocked.keys : {};
+}
+
+/**
+ * Saves the keys, keeping their protection: encrypted keys are encrypted
+ * again with the passphrase they were unlocked with.
+ * 
+ * @param {Object<string, string>} keys - The keys by storage key name
+ * @returns {Promise<void>}
+ * @throws {KeysLockedError} If the keys are encrypted and locked
+ */
+export async function saveStoredKeys(keys) {
+  const { [STORE_ITEM]: stored } = await chrome.storage.local.get(STORE_ITEM);
+  if (!stored || !stored.encrypted) {
+    await chrome.storage.local.set({ [STORE_ITEM]: { encrypted: false, keys } });
+    return;
+  }
+  const { [UNLOCKED_ITEM]: unlocked } = await chrome.storage.session.get(UNLOCKED_ITEM);
+  if (!unlocked) {
+    throw new KeysLockedError();
+  }
+  const cryptoKey = await importSecret(unlocked.secret);
+  await chrome.storage.local.set({ [STORE_ITEM]: { ...(await encrypt(cryptoKey, keys)), salt: stored.salt } });
+  await chrome.storage.session.set({ [UNLOCKED_ITEM]: { ...unlocked, keys } });
+}
+
+/**
+ * Encrypts the keys with a new passphrase and unlocks them for this session.
+ * 
+ * @param {Object<string, string>} keys - The keys by storage key name
+ * @param {string} passphrase - The passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} If the passphrase is too short
+ */
+export async function setPassphrase(keys, passphrase) {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long.`);
+  }
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const cryptoKey = await deriveKey(passphrase, salt);
+  await chrome.storage.local.set({ [STORE_ITEM]: { ...(await encrypt(cryptoKey, keys)), salt: toBase64(salt) } });
+  await rememberUnlocked(cryptoKey, keys);
+}
+
+/**
+ * Decrypts the keys for this browser session.
+ * 
+ * @param {string} passphrase - The passphrase
+ * @returns {Promise<Object<string, string>>} The keys
+ * @throws {Error} If the passphrase is wrong
+ */
+export async function unlockKeys(passphrase) {
+  const { [STORE_ITEM]: stored } = await chrome.storage.local.get(STORE_ITEM);
+  if (!stored || !stored.encrypted) {
+    return stored ? stored.keys : {};
+  }
+  const cryptoKey = await deriveKey(passphrase, fromBase64(stored.salt));
+  let keys;
+  try {
+    const plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(stored.iv) }, cryptoKey, fromBase64(stored.data));
+    keys = JSON.parse(new TextDecoder().decode(plain));
+  } catch (error) {
+    throw new Error('Wrong passphrase.');
+  }
+  await rememberUnlocked(cryptoKey, keys);
+  return keys;
+}
+
+/**
+ * Forgets the unlocked keys, so the passphrase is needed again.
+ * 
+ * @returns {Promise<void>}
+ */
+export function lockKeys() {
+  return chrome.storage.session.remove(UNLOCKED_ITEM);
+}
+
+/**
+ * Stores the keys unencrypted again.
+ * 
+ * @returns {Promise<void>}
+ * @throws {KeysLockedError} If the keys are locked
+ */
+export async function removePassphrase() {
+  if (await getKeyProtection() === KEY_PROTECTION.LOCKED) {
+    throw new KeysLockedError();
+  }
+  const keys = await loadStoredKeys();
+  await chrome.storage.local.set({ [STORE_ITEM]: { encrypted: false, keys } });
+  await lockKeys();
+}
+
+/**
+ * Keeps the unlocked keys and the key that encrypts them for this session.
+ * 
+ * @param {CryptoKey} cryptoKey - The key derived from the passphrase
+ * @param {Object<string, string>} keys - The decrypted keys
+ * @returns {Promise<void>}
+ */
+async function rememberUnlocked(cryptoKey, keys) {
+  const secret = toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', cryptoKey)));
+  await chrome.storage.session.set({ [UNLOCKED_ITEM]: { keys, secret } });
+}
+
+/**
+ * Derives the encryption key from the passphrase with PBKDF2.
+ * 
+ * @param {string} passphrase - The passphrase
+ * @param {Uint8Array} salt - The salt stored with the keys
+ * @returns {Promise<CryptoKey>} An AES-GCM key
+ */
+async function deriveKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Imports an encryption key kept in the session.
+ * 
+ * @param {string} secret - The raw key, base64 encoded
+ * @returns {Promise<CryptoKey>} The AES-GCM key
+ */
+function importSecret(secret) {
+  return crypto.subtle.importKey('raw', fromBase64(secret), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Encrypts the keys with a fresh IV.
+ * 
+ * @param {CryptoKey} cryptoKey - The AES-GCM key
+ * @param {Object<string, string>} keys - The keys
+ * @returns {Promise<{encrypted: true, iv: string, data: string}>} The encrypted keys, base64 encoded
+ */
+async function encrypt(cryptoKey, keys) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, cryptoKey, new TextEncoder().encode(JSON.stringify(keys)));
+  return { encrypted: true, iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+/**
+ * Encodes bytes as base64.
+ * 
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {string} The base64 text
+ */
+function toBase64(bytes) {
+  return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+}
+
+/**
+ * Decodes base64 into bytes.
+ * 
+ * @param {string} text - The base64 text
+ * @returns {Uint8Array} The bytes
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Runs Tesseract.js for ocr.js in the offscreen document.
+ * The engine is loaded from vendor/tesseract on first use, switched to the
+ * languages of each request, and terminated after a while without requests
+ * to free its memory.
+ */
+
+// Constants
+const OCR_MESSAGE_TARGET = 'ocr-offscreen';
+const VENDOR_PATH = 'vendor/tesseract';
+const IDLE_TIMEOUT_MS = 2 * 60 * 1000;
+// Lines Tesseract is unsure of are mostly noise, such as icons read as letters
+const MIN_LINE_CONFIDENCE = 50;
+
+let workerPromise = null;
+// The languages the worker has loaded, e.g. 'deu+eng'
+let workerLanguages = null;
+let pendingRequests = 0;
+let idleTimer = null;
+
+/**
+ * Handles recognition requests from the background script.
+ */
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== OCR_MESSAGE_TARGET || request.action !== 'recognize') {
+    return;
+  }
+  recognize(request.src, request.languages)
+    .then(result => sendResponse({ success: true, result }))
+    .catch(error => {
+      console.error('OCR failed:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+  return true; // Indicates we'll respond asynchronously
+});
+
+/**
+ * Recognizes the text in an image, keeping the lines Tesseract is confident of.
+ * 
+ * @param {string} src - The image URL
+ * @param {string} languages - Tesseract languages joined with '+', e.g. 'deu+eng'
+ * @returns {Promise<Object>} The OcrResult, see ocr.js
+ */
+async function recognize(src, languages) {
+  clearTimeout(idleTimer);
+  pendingRequests++;
+  try {
+    const image = await loadImage(src);
+    const worker = await getWorker(languages);
+    const { data } = await worker.recognize(image.blob);
+    const lines = (data.lines || [])
+      .map(line => ({ text: line.text.replace(/\s+/g, ' ').trim(), confidence: line.confidence, bbox: line.bbox }))
+      .filter(line => line.text && line.confidence >= MIN_LINE_CONFIDENCE);
+    return {
+      text: lines.map(line => line.text).join('\n'),
+      width: image.width,
+      height: image.height,
+      lines
+    };
+  } finally {
+    pendingRequests--;
+    if (pendingRequests === 0) {
+      idleTimer = setTimeout(terminateWorker, IDLE_TIMEOUT_MS);
+    }
+  }
+}
+
+/**
+ * Fetches an image. The offscreen document has the extension's host
+ * permissions, which include the image's site once the user granted access
+ * to it on choosing the menu item, see requestImageAccess in background.js.
+ * 
+ * @param {string} src - The image URL
+ * @returns {Promise<{blob: Blob, width: number, height: number}>} The image and its size
+ */
+async function loadImage(src) {
+  const response = await fetch(src);
+  if (!response.ok) {
+    throw new Error(`Could not load the image (HTTP ${response.status})`);
+  }
+  const blob = await response.blob();
+  const bitmap = await createImageBitmap(blob);
+  const { width, height } = bitmap;
+  bitmap.close();
+  return { blob, width, height };
+}
+
+/**
+ * Gets the Tesseract worker for the given languages, starting it on first use
+ * and loading other languages into it when they change.
+ * 
+ * @param {string} languages - Tesseract languages joined with '+'
+ * @returns {Promise<Object>} The Tesseract.js worker
+ */
+function getWorker(languages) {
+  if (workerPromise && workerLanguages !== languages) {
+    workerPromise = workerPromise.then(worker => worker.reinitialize(languages).then(() => worker));
+    workerLanguages = languages;
+    workerPromise.catch(() => {
+      workerPromise = null;
+    });
+  }
+  if (!workerPromise) {
+    workerLanguages = languages;
+    workerPromise = loadTesseract().then(() => Tesseract.createWorker(languages, 1, {
+      workerPath: chrome.runtime.getURL(`${VENDOR_PATH}/worker.min.js`),
+      corePath: chrome.runtime.getURL(`${VENDOR_PATH}/core`),
+      langPath: chrome.runtime.getURL(`${VENDOR_PATH}/lang`),
+      // Extension pages may not start workers from blob: URLs
+      workerBlobURL: false
+    }));
+    workerPromise.catch(() => {
+      workerPromise = null;
+    });
+  }
+  return workerPromise;
+}
+
+/**
+ * Loads the Tesseract.js script, which defines the Tesseract global.
+ * 
+ * @returns {Promise<void>} Resolves once the script has run
+ */
+function loadTesseract() {
+  if (window.Tesseract) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = `${VENDOR_PATH}/tesseract.min.js`;
+    script.onload = () => resolve();
+    script.onerror = () => reject(new Error(`Could not load the OCR engine from ${VENDOR_PATH}`));
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * Stops the Tesseract worker to free its memory; the next request starts it again.
+ */
+function terminateWorker() {
+  const worker = workerPromise;
+  workerPromise = null;
+  workerLanguages = null;
+  if (worker) {
+    worker.then(instance => instance.terminate()).catch(() => {});
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview On-device OCR for image checks.
+ * Tesseract.js needs web workers and WebAssembly, which the service worker
+ * cannot host, so it runs in an offscreen document (ocr-offscreen.html). Its
+ * files are bundled in vendor/tesseract, so nothing is loaded from the
+ * network. Text is read in the page's and the user's languages, as far as
+ * their language data is bundled; English always is.
+ */
+
+// Constants
+const OFFSCREEN_URL = 'ocr-offscreen.html';
+const OCR_MESSAGE_TARGET = 'ocr-offscreen';
+const LANGUAGE_DATA_PATH = 'vendor/tesseract/lang';
+// The language whose data is always bundled
+const FALLBACK_LANGUAGE = 'eng';
+// Every language makes recognition slower, so only the likeliest are loaded
+const MAX_OCR_LANGUAGES = 3;
+// Tesseract's language data names by language tag; a tag not listed here is
+// looked up by its primary language
+const TESSERACT_LANGUAGES = {
+  ar: 'ara', bn: 'ben', cs: 'ces', da: 'dan', de: 'deu', el: 'ell', en: 'eng',
+  es: 'spa', fa: 'fas', fi: 'fin', fr: 'fra', he: 'heb', hi: 'hin', hu: 'hun',
+  id: 'ind', it: 'ita', ja: 'jpn', ko: 'kor', nb: 'nor', nl: 'nld', no: 'nor',
+  pl: 'pol', pt: 'por', ro: 'ron', ru: 'rus', sv: 'swe', th: 'tha', tr: 'tur',
+  uk: 'ukr', vi: 'vie', zh: 'chi_sim', 'zh-hant': 'chi_tra', 'zh-hk': 'chi_tra', 'zh-tw': 'chi_tra'
+};
+
+/**
+ * @typedef {Object} OcrLine
+ * @property {string} text - The recognized text of the line
+ * @property {number} confidence - Tesseract's confidence from 0 to 100
+ * @property {{x0: number, y0: number, x1: number, y1: number}} bbox - The line's box in image pixels
+ */
+
+/**
+ * @typedef {Object} OcrResult
+ * @property {string} text - All recognized text
+ * @property {number} width - The image width in pixels
+ * @property {number} height - The image height in pixels
+ * @property {OcrLine[]} lines - The recognized lines
+ */
+
+/**
+ * Recognizes the text in an image.
+ * 
+ * @param {string} src - The image URL, e.g. the srcUrl of a context menu click
+ * @param {number} [tabId] - The tab showing the image, whose language is read first
+ * @returns {Promise<OcrResult>} The recognized text and where each line is
+ */
+export async function recognizeImage(src, tabId) {
+  const languages = await pickLanguages(tabId);
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({
+    target: OCR_MESSAGE_TARGET,
+    action: 'recognize',
+    src,
+    languages: languages.join('+')
+  });
+  if (!response || !response.success) {
+    throw new Error((response && response.error) || 'The OCR engine did not answer.');
+  }
+  return response.result;
+}
+
+/**
+ * Picks the languages to read an image in: the page's language, then the
+ * user's, then English, keeping those whose language data is bundled.
+ * 
+ * @param {number} [tabId] - The tab showing the image
+ * @returns {Promise<string[]>} Tesseract language names, e.g. ['deu', 'eng']
+ */
+async function pickLanguages(tabId) {
+  const tags = [];
+  if (tabId !== undefined) {
+    try {
+      tags.push(await chrome.tabs.detectLanguage(tabId));
+    } catch (error) {
+      console.warn('Could not detect the page language:', error);
+    }
+  }
+  tags.push(...(await chrome.i18n.getAcceptLanguages()), chrome.i18n.getUILanguage());
+
+  const candidates = [...new Set([...tags.map(toTesseractLanguage).filter(Boolean), FALLBACK_LANGUAGE])];
+  const languages = [];
+  for (const language of candidates) {
+    if (languages.length >= MAX_OCR_LANGUAGES) {
+      break;
+    }
+    if (language === FALLBACK_LANGUAGE || await isBundled(`${LANGUAGE_DATA_PATH}/${language}.traineddata.gz`)) {
+      languages.push(language);
+    }
+  }
+  return languages;
+}
+
+/**
+ * Maps a language tag to Tesseract's name for its language data.
+ * 
+ * @param {string} tag - The language tag, e.g. 'pt-BR'; 'und' when unknown
+ * @returns {string|null} The Tesseract language, e.g. 'por', or null if it has none
+ */
+function toTesseractLanguage(tag) {
+  const normalized = String(tag || '').toLowerCase();
+  return TESSERACT_LANGUAGES[normalized] || TESSERACT_LANGUAGES[normalized.split('-')[0]] || null;
+}
+
+/**
+ * Checks whether a file is bundled with the extension. Fetching a missing
+ * extension file fails, so a failed request means it is absent.
+ * 
+ * @param {string} path - The path in the extension
+ * @returns {Promise<boolean>} Whether the file exists
+ */
+async function isBundled(path) {
+  try {
+    const response = await fetch(chrome.runtime.getURL(path), { method: 'HEAD' });
+    return response.ok;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Opens the offscreen document unless it is already open. It stays open so
+ * later checks skip loading the engine; it frees the engine itself when idle.
+ */
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)]
+  });
+  if (contexts.length > 0) {
+    return;
+  }
+  try {
+    await chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['WORKERS'],
+      justification: 'Runs the Tesseract OCR engine to read the text in images being fact checked'
+    });
+  } catch (error) {
+    // Two checks started at once both try to open it; only one can
+    if (!/single offscreen/i.test(error.message)) {
+      throw error;
+    }
+  }
+}
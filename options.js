@@ -0,0 +1,555 @@
+/**
+ * @fileoverview Options page script for the Fact Checker extension.
+ * Shows the settings in tabs and saves them all at once, validated against
+ * the settings schema, see settings.js.
+ */
+
+import { loadSettings, saveSettings } from './settings.js';
+import { REPUTATION_CATEGORIES } from './reputation.js';
+import { getProviders, getAvailableProviders } from './providers/index.js';
+import { getEndpointOrigin } from './providers/custom-openai.js';
+import { SOURCE_PERMISSION } from './source-verification.js';
+import { getProviderConfig, mergeProviderConfig, PROMPT_VARIABLES } from './provider-config.js';
+import { verdictCache } from './cache.js';
+import { clearHistory } from './history.js';
+import { clearImageLibrary } from './image-library.js';
+import {
+  getKeyProtection, loadStoredKeys, saveStoredKeys, setPassphrase, unlockKeys, lockKeys, removePassphrase, KEY_PROTECTION
+} from './keystore.js';
+import { testProviderKeys, KEY_TEST_RESULTS } from './key-test.js';
+
+// Constants
+const MSG_DISPLAY_TIME = 3000; // 3 seconds
+const DEFAULT_TAB = 'providers';
+
+/**
+ * Initializes the options page when the DOM content is loaded.
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  const statusMsg = document.getElementById('status');
+  const saveBtn = document.getElementById('saveSettings');
+
+  setUpTabs(location.hash.slice(1) || DEFAULT_TAB);
+  document.getElementById('domainOverrides').placeholder =
+    `example.com tabloid\nCategories: ${Object.keys(REPUTATION_CATEGORIES).join(', ')}`;
+
+  let settings = await loadSettings();
+  renderSettings(settings);
+  let protection = await renderKeys();
+  setUpRevealButtons();
+
+  saveBtn.addEventListener('click', async () => {
+    // Must run first: host permissions can only be requested while handling the click
+    const hostAccess = requestHostAccess({
+      baseUrl: document.getElementById('customBaseUrl').value.trim(),
+      model: document.getElementById('customModel').value.trim(),
+      verifySources: Number(document.getElementById('verifySourcesLimit').value) > 0
+    });
+    try {
+      await hostAccess;
+      const changes = readSettings(settings);
+      // Locked keys are not shown, so there is nothing to save
+      if (protection !== KEY_PROTECTION.LOCKED) {
+        await saveStoredKeys(readKeyInputs());
+      }
+      settings = await saveSettings(changes);
+      renderSettings(settings);
+      if (protection !== KEY_PROTECTION.LOCKED && getAvailableProviders(readKeyInputs()).length === 0) {
+        showStatus(statusMsg, 'Settings saved. Enter at least one API Key or a custom server to start fact checking.', 'error');
+      } else {
+        showStatus(statusMsg, 'Settings saved!', 'success');
+      }
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      showStatus(statusMsg, error.message, 'error');
+    }
+  });
+
+  // Test the keys as entered, before they are saved
+  document.querySelectorAll('[data-test-provider]').forEach(button => {
+    button.addEventListener('click', () => {
+      const provider = getProviders().find(entry => entry.id === button.dataset.testProvider);
+      // Must run first, like on saving
+      const access = provider.id === 'custom'
+        ? requestHostAccess({
+          baseUrl: document.getElementById('customBaseUrl').value.trim(),
+          model: document.getElementById('customModel').value.trim()
+        })
+        : Promise.resolve();
+      runKeyTest(provider, getProviderConfig(provider, settings), access);
+    });
+  });
+
+  const passphraseInput = document.getElementById('keyPassphrase');
+  const updateKeys = async (action, message) => {
+    try {
+      await action();
+      passphraseInput.value = '';
+      protection = await renderKeys();
+      showStatus(statusMsg, message, 'success');
+    } catch (error) {
+      console.error('Error updating the key protection:', error);
+      showStatus(statusMsg, error.message, 'error');
+    }
+  };
+  document.getElementById('unlockKeys').addEventListener('click', () => {
+    updateKeys(() => unlockKeys(passphraseInput.value), 'Keys unlocked until the browser closes.');
+  });
+  // Encrypts the saved keys; edits not saved yet are saved with the other settings
+  document.getElementById('setPassphrase').addEventListener('click', () => {
+    updateKeys(async () => setPassphrase(await loadStoredKeys(), passphraseInput.value), 'Keys encrypted with the passphrase.');
+  });
+  document.getElementById('lockKeys').addEventListener('click', () => {
+    updateKeys(lockKeys, 'Keys locked.');
+  });
+  document.getElementById('removePassphrase').addEventListener('click', () => {
+    if (confirm('Store the keys unencrypted on this device?')) {
+      updateKeys(removePassphrase, 'Passphrase removed.');
+    }
+  });
+
+  document.getElementById('clearCache').addEventListener('click', () => {
+    verdictCache.clear().then(() => showStatus(statusMsg, 'Cached results cleared.', 'success'));
+  });
+  document.getElementById('clearImages').addEventListener('click', () => {
+    if (confirm('Remove every image from the image library?')) {
+      clearImageLibrary().then(() => showStatus(statusMsg, 'Image library cleared.', 'success'));
+    }
+  });
+  document.getElementById('clearHistory').addEventListener('click', () => {
+    if (confirm('Delete every fact check in the history?')) {
+      clearHistory().then(() => showStatus(statusMsg, 'History cleared.', 'success'));
+    }
+  });
+});
+
+/**
+ * Wires up the tabs: clicking a tab shows its panel, and the arrow keys move
+ * between tabs. The open tab is kept in the URL hash.
+ * 
+ * @param {string} initialTab - The id of the panel to show first
+ */
+function setUpTabs(initialTab) {
+  const tabs = Array.from(document.querySelectorAll('[role="tab"]'));
+  const select = (tab) => {
+    tabs.forEach(other => {
+      const selected = other === tab;
+      other.setAttribute('aria-selected', String(selected));
+      other.tabIndex = selected ? 0 : -1;
+      document.getElementById(other.getAttribute('aria-controls')).hidden = !selected;
+    });
+    history.replaceState(null, '', `#${tab.getAttribute('aria-controls')}`);
+  };
+
+  tabs.forEach((tab, index) => {
+    tab.addEventListener('click', () => select(tab));
+    tab.addEventListener('keydown', (event) => {
+      const step = { ArrowRight: 1, ArrowLeft: -1 }[event.key];
+      if (step) {
+        const next = tabs[(index + step + tabs.length) % tabs.length];
+        select(next);
+        next.focus();
+      }
+    });
+  });
+  select(tabs.find(tab => tab.getAttribute('aria-controls') === initialTab) || tabs[0]);
+}
+
+/**
+ * Fills the key inputs from the key store and shows how the keys are
+ * protected. Locked keys cannot be edited or tested until they are unlocked.
+ * 
+ * @returns {Promise<string>} The key protection, see KEY_PROTECTION in keystore.js
+ */
+async function renderKeys() {
+  const protection = await getKeyProtection();
+  const keys = await loadStoredKeys();
+  const locked = protection === KEY_PROTECTION.LOCKED;
+  document.querySelectorAll('[data-key]').forEach(input => {
+    input.value = keys[input.dataset.key] || '';
+    input.disabled = locked;
+  });
+  document.querySelectorAll('[data-test-provider]').forEach(button => {
+    button.disabled = locked;
+  });
+
+  document.getElementById('keyProtectionStatus').textContent = {
+    [KEY_PROTECTION.NONE]: 'The keys are not encrypted.',
+    [KEY_PROTECTION.LOCKED]: 'The keys are encrypted and locked. Enter the passphrase to see or change them.',
+    [KEY_PROTECTION.UNLOCKED]: 'The keys are encrypted and unlocked until the browser closes.'
+  }[protection];
+  document.getElementById('unlockKeys').hidden = !locked;
+  document.getElementById('setPassphrase').hidden = locked;
+  document.getElementById('setPassphrase').textContent = protection === KEY_PROTECTION.UNLOCKED
+    ? 'Change Passphrase'
+    : 'Encrypt Keys with This Passphrase';
+  document.getElementById('lockKeys').hidden = protection !== KEY_PROTECTION.UNLOCKED;
+  document.getElementById('removePassphrase').hidden = protection !== KEY_PROTECTION.UNLOCKED;
+  return protection;
+}
+
+/**
+ * Reads the key inputs.
+ * 
+ * @returns {Object<string, string>} The keys entered, by storage key name
+ */
+function readKeyInputs() {
+  const keys = {};
+  document.querySelectorAll('[data-key]').forEach(input => {
+    if (input.value.trim()) {
+      keys[input.dataset.key] = input.value.trim();
+    }
+  });
+  return keys;
+}
+
+/**
+ * Wires up the buttons that show and hide the text of a masked input.
+ */
+function setUpRevealButtons() {
+  document.querySelectorAll('[data-reveal]').forEach(button => {
+    const input = document.getElementById(button.dataset.reveal);
+    button.addEventListener('click', () => {
+      const reveal = input.type === 'password';
+      input.type = reveal ? 'text' : 'password';
+      button.textContent = reveal ? 'Hide' : 'Show';
+      button.setAttribute('aria-pressed', String(reveal));
+    });
+  });
+}
+
+/**
+ * Tests a provider's keys as entered and shows the outcome next to its
+ * Test button.
+ * 
+ * @param {Object} provider - The provider
+ * @param {import('./provider-config.js').ProviderConfig} config - The provider's model settings
+ * @param {Promise<void>} access - Resolves once the provider's server may be called
+ */
+async function runKeyTest(provider, config, access) {
+  const output = document.querySelector(`[data-test-result="${provider.id}"]`);
+  output.className = 'key-test-result';
+  output.textContent = 'Testing…';
+  try {
+    await access;
+  } catch (error) {
+    output.classList.add('key-test-failed');
+    output.textContent = error.message;
+    return;
+  }
+  const result = await testProviderKeys(provider, readKeyInputs(), config);
+  output.classList.add(`key-test-${result.status}`);
+  output.textContent = `${KEY_TEST_RESULTS[result.status].label}: ${result.message}`;
+}
+
+/**
+ * Fills every input from the settings.
+ * 
+ * @param {Object} settings - The loaded settings
+ */
+function renderSettings(settings) {
+  renderTimeoutInputs(document.getElementById('providerTimeouts'), settings);
+  renderProviderConfigInputs(document.getElementById('providerConfigs'), settings);
+  document.getElementById('transcriptLanguage').value = settings.transcriptLanguage;
+
+  document.getElementById('thresholdHigh').value = settings.scoreThresholds.high;
+  document.getElementById('thresholdMedium').value = settings.scoreThresholds.medium;
+  document.getElementById('thresholdLow').value = settings.scoreThresholds.low;
+  document.getElementById('contestedSpread').value = settings.contestedSpread;
+
+  document.getElementById('theme').value = settings.theme;
+  document.getElementById('fontSize').value = settings.fontSize;
+
+  document.getElementById('sendPageContext').checked = settings.sendPageContext;
+  document.getElementById('verifySourcesLimit').value = settings.verifySourcesLimit;
+  document.getElementById('rememberImages').checked = settings.rememberImages;
+  document.getElementById('cacheTtl').value = settings.cacheTtlHours;
+
+  document.getElementById('saveHistory').checked = settings.saveHistory;
+  document.getElementById('historyRetentionDays').value = settings.historyRetentionDays;
+  document.getElementById('maxHistoryEntries').value = settings.maxHistoryEntries;
+
+  document.getElementById('domainOverrides').value = formatDomainOverrides(settings.domainOverrides);
+  document.getElementById('restrictSearch').checked = settings.restrictSearchToTrusted;
+}
+
+/**
+ * Reads every input into the settings to save.
+ * 
+ * @param {Object} settings - The settings loaded so far, for the stored prompt revisions
+ * @returns {Object} The changed settings
+ * @throws {Error} With a message for the user if an input is invalid
+ */
+function readSettings(settings) {
+  const scoreThresholds = {
+    high: readNumber('thresholdHigh', 'The green threshold', { max: 100, integer: true }),
+    medium: readNumber('thresholdMedium', 'The yellow threshold', { max: 100, integer: true }),
+    low: readNumber('thresholdLow', 'The orange threshold', { max: 100, integer: true })
+  };
+  if (!(scoreThresholds.high > scoreThresholds.medium && scoreThresholds.medium > scoreThresholds.low)) {
+    throw new Error('The score thresholds must go down from green to yellow to orange.');
+  }
+
+  return {
+    providerTimeouts: readTimeouts(document.getElementById('providerTimeouts')),
+    providerConfigs: readProviderConfigs(document.getElementById('providerConfigs'), settings),
+    transcriptLanguage: document.getElementById('transcriptLanguage').value.trim().toLowerCase(),
+    scoreThresholds,
+    contestedSpread: readNumber('contestedSpread', 'The contested spread', { min: 1, max: 100, integer: true }),
+    theme: document.getElementById('theme').value,
+    fontSize: readNumber('fontSize', 'The text size', { min: 10, max: 24, integer: true }),
+    sendPageContext: document.getElementById('sendPageContext').checked,
+    verifySourcesLimit: readNumber('verifySourcesLimit', 'The number of sources to verify', { integer: true }),
+    rememberImages: document.getElementById('rememberImages').checked,
+    cacheTtlHours: readNumber('cacheTtl', 'The cache lifetime'),
+    saveHistory: document.getElementById('saveHistory').checked,
+    historyRetentionDays: readNumber('historyRetentionDays', 'The history retention', { integer: true }),
+    maxHistoryEntries: readNumber('maxHistoryEntries', 'The history size', { integer: true }),
+    domainOverrides: readDomainOverrides(document.getElementById('domainOverrides').value),
+    restrictSearchToTrusted: document.getElementById('restrictSearch').checked
+  };
+}
+
+/**
+ * Reads a number input.
+ * 
+ * @param {string} id - The id of the input
+ * @param {string} name - What the number is, for the error message
+ * @param {Object} [limits={}] - The allowed values
+ * @param {number} [limits.min=0] - The smallest value
+ * @param {number} [limits.max=Infinity] - The largest value
+ * @param {boolean} [limits.integer=false] - Whether only whole numbers are allowed
+ * @returns {number} The number
+ * @throws {Error} If the input is empty or out of range
+ */
+function readNumber(id, name, { min = 0, max = Infinity, integer = false } = {}) {
+  const text = document.getElementById(id).value.trim();
+  const value = Number(text);
+  if (text === '' || !Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    const range = max < Infinity ? `from ${min} to ${max}` : `of ${min} or more`;
+    throw new Error(`${name} must be a ${integer ? 'whole number' : 'number'} ${range}.`);
+  }
+  return value;
+}
+
+/**
+ * Asks for the host access the entered settings need, in a single prompt:
+ * the custom OpenAI-compatible server's origin only, and every site if cited
+ * sources are opened. Clearing the URL and model removes the custom
+ * provider, which needs no access. Must be called while handling a click,
+ * or the request fails.
+ * 
+ * @param {Object} needs - What the settings use
+ * @param {string} [needs.baseUrl] - The server URL, e.g. 'http://localhost:11434/v1'
+ * @param {string} [needs.model] - The model name
+ * @param {boolean} [needs.verifySources=false] - Whether cited sources are opened
+ * @returns {Promise<void>} Resolves once access is granted or not needed
+ * @throws {Error} If the URL or model is missing or access was not granted
+ */
+async function requestHostAccess({ baseUrl, model, verifySources = false }) {
+  const origins = [];
+  const purposes = [];
+  if (baseUrl || model) {
+    const origin = getEndpointOrigin(baseUrl);
+    if (!origin || !model) {
+      throw new Error('Please enter the custom server\'s http(s) URL and model name.');
+    }
+    origins.push(`${origin}/*`);
+    purposes.push(origin);
+  }
+  if (verifySources) {
+    origins.push(...SOURCE_PERMISSION.origins);
+    purposes.push('all sites (to open cited sources)');
+  }
+  if (origins.length === 0) {
+    return;
+  }
+  const granted = await chrome.permissions.request({ origins });
+  if (!granted) {
+    const hint = verifySources ? ' Allow it, or set the sources to open to 0.' : '';
+    throw new Error(`Access to ${purposes.join(' and ')} was not granted.${hint}`);
+  }
+}
+
+/**
+ * Adds a timeout input for every registered provider.
+ * 
+ * @param {HTMLElement} container - The element to add the inputs to
+ * @param {Object} settings - The loaded settings
+ */
+function renderTimeoutInputs(container, settings) {
+  container.innerHTML = '';
+  getProviders().forEach(provider => {
+    const label = document.createElement('label');
+    label.htmlFor = `timeout-${provider.id}`;
+    label.textContent = `${provider.name} timeout (seconds):`;
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = `timeout-${provider.id}`;
+    input.min = '1';
+    input.step = '1';
+    input.dataset.provider = provider.id;
+    input.value = settings.providerTimeouts[provider.id] || Math.round(provider.timeoutMs / 1000);
+
+    container.append(label, input);
+  });
+}
+
+/**
+ * Reads the provider timeouts entered in the timeout inputs.
+ * 
+ * @param {HTMLElement} container - The element holding the inputs
+ * @returns {Object<string, number>} Timeout in seconds by provider id
+ * @throws {Error} If a timeout is below 1 second
+ */
+function readTimeouts(container) {
+  const providerTimeouts = {};
+  for (const input of container.querySelectorAll('input')) {
+    const seconds = Number(input.value);
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      throw new Error('Timeouts must be at least 1 second.');
+    }
+    providerTimeouts[input.dataset.provider] = seconds;
+  }
+  return providerTimeouts;
+}
+
+/**
+ * Adds the model settings of every registered provider: a model dropdown
+ * where there is a choice of models, the temperature, the token limit and
+ * the system prompt with a button that resets it to the built-in one.
+ * Sections that were open stay open.
+ * 
+ * @param {HTMLElement} container - The element to add the inputs to
+ * @param {Object} settings - The loaded settings
+ */
+function renderProviderConfigInputs(container, settings) {
+  const open = Array.from(container.querySelectorAll('details[open]'), section => section.dataset.provider);
+  container.innerHTML = '';
+  const variables = Object.entries(PROMPT_VARIABLES).map(([name, meaning]) => `{{${name}}} ${meaning}`).join(', ');
+  getProviders().forEach(provider => {
+    const config = getProviderConfig(provider, settings);
+    const section = document.createElement('details');
+    section.className = 'provider-config';
+    section.dataset.provider = provider.id;
+    section.open = open.includes(provider.id);
+    const modelSelect = provider.models.length > 0 ? `
+      <label for="model-${provider.id}">Model:</label>
+      <select id="model-${provider.id}" data-field="model">
+        ${provider.models.map(model => `<option value="${escapeHtml(model)}"${model === config.model ? ' selected' : ''}>${escapeHtml(model)}</option>`).join('')}
+      </select>
+    ` : '';
+    section.innerHTML = `
+      <summary>${escapeHtml(provider.name)} model settings</summary>
+      ${modelSelect}
+      <label for="temperature-${provider.id}">Temperature (0–2):</label>
+      <input type="number" id="temperature-${provider.id}" data-field="temperature" min="0" max="2" step="0.1" value="${config.temperature}">
+      <label for="maxTokens-${provider.id}">Max tokens:</label>
+      <input type="number" id="maxTokens-${provider.id}" data-field="maxTokens" min="1" step="1" value="${config.maxTokens}">
+      <label for="prompt-${provider.id}">System prompt:</label>
+      <textarea id="prompt-${provider.id}" data-field="systemPrompt" rows="8"></textarea>
+      <p class="provider-prompt-note">Prompt version ${escapeHtml(config.promptVersion)}${config.customPrompt ? ' (edited)' : ''}. Variables: ${escapeHtml(variables)}; whatever the prompt does not use is sent with the text to check instead. The reply format is always added after the prompt.</p>
+      <button type="button" class="secondary-button" data-action="reset-prompt">Reset to Default</button>
+    `;
+    // Set as a property so the prompt is not parsed as HTML
+    section.querySelector('textarea').value = config.systemPrompt;
+    section.querySelector('[data-action="reset-prompt"]').addEventListener('click', () => {
+      section.querySelector('textarea').value = provider.systemPrompt;
+    });
+    container.append(section);
+  });
+}
+
+/**
+ * Reads the model settings entered for every provider. Edited prompts get a
+ * new version, see mergeProviderConfig() in provider-config.js.
+ * 
+ * @param {HTMLElement} container - The element holding the inputs
+ * @param {Object} settings - The settings loaded so far
+ * @returns {Object<string, Object>} The stored model settings by provider id
+ * @throws {Error} If a temperature or token limit is out of range
+ */
+function readProviderConfigs(container, settings) {
+  const providerConfigs = { ...settings.providerConfigs };
+  for (const provider of getProviders()) {
+    const section = container.querySelector(`[data-provider="${provider.id}"]`);
+    const field = name => section.querySelector(`[data-field="${name}"]`);
+    const temperature = Number(field('temperature').value);
+    const maxTokens = Number(field('maxTokens').value);
+    if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+      throw new Error(`${provider.name} temperature must be between 0 and 2.`);
+    }
+    if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+      throw new Error(`${provider.name} max tokens must be a whole number above 0.`);
+    }
+    providerConfigs[provider.id] = mergeProviderConfig(provider, settings.providerConfigs[provider.id], {
+      model: field('model') ? field('model').value : null,
+      temperature,
+      maxTokens,
+      systemPrompt: field('systemPrompt').value
+    });
+  }
+  return providerConfigs;
+}
+
+/**
+ * Formats the domain overrides for the overrides textarea, one per line.
+ * 
+ * @param {Object<string, string>} overrides - Credibility category by domain
+ * @returns {string} Lines of "domain category"
+ */
+function formatDomainOverrides(overrides) {
+  return Object.entries(overrides).map(([domain, category]) => `${domain} ${category}`).join('\n');
+}
+
+/**
+ * Reads the domain overrides.
+ * 
+ * @param {string} text - Lines of "domain category" as entered
+ * @returns {Object<string, string>} Credibility category by domain
+ * @throws {Error} If a line names an unknown category
+ */
+function readDomainOverrides(text) {
+  const domainOverrides = {};
+  for (const line of text.split('\n').map(entry => entry.trim()).filter(Boolean)) {
+    const [domain, category] = line.split(/\s+/);
+    if (!domain || !REPUTATION_CATEGORIES[category]) {
+      throw new Error(`Unknown credibility category in "${line}".`);
+    }
+    domainOverrides[domain.toLowerCase().replace(/^www\./, '')] = category;
+  }
+  return domainOverrides;
+}
+
+/**
+ * Escapes text for safe insertion into HTML.
+ * 
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Displays a status message for a limited time.
+ * 
+ * @param {HTMLElement} element - The element to display the status in
+ * @param {string} message - The message to display
+ * @param {string} className - The CSS class to apply to the status element
+ */
+function showStatus(element, message, className) {
+  element.textContent = message;
+  element.className = className;
+
+  setTimeout(() => {
+    element.textContent = '';
+    element.className = '';
+  }, MSG_DISPLAY_TIME);
+}
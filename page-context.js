@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Formats the page context extracted by the content script for
+ * use in provider prompts.
+ */
+
+// Maximum number of tokens of article text sent along with a selection
+export const CONTEXT_TOKEN_BUDGET = 1500;
+
+/**
+ * @typedef {Object} PageContext
+ * @property {string} title - The article headline
+ * @property {string} byline - The article author(s)
+ * @property {string} publishedAt - The publish date as found on the page
+ * @property {string} canonicalUrl - The canonical URL of the article
+ * @property {string} siteName - The name of the publishing site
+ * @property {string} excerpt - Article text trimmed to the token budget, centred on the selection
+ */
+
+/**
+ * Formats the page context as a prompt section.
+ * 
+ * @param {PageContext|null} context - The page context, or null if there is none
+ * @returns {string} The prompt text describing the page
+ */
+export function formatPageContext(context) {
+  if (!context) {
+    return 'No page context available.';
+  }
+
+  const metadata = [
+    ['Headline', context.title],
+    ['Byline', context.byline],
+    ['Published', context.publishedAt],
+    ['Publication', context.siteName],
+    ['Canonical URL', context.canonicalUrl]
+  ]
+    .filter(([, value]) => value)
+    .map(([label, value]) => `${label}: ${value}`)
+    .join('\n');
+
+  return `${metadata}\n\nArticle excerpt around the selection:\n${context.excerpt || '(none)'}`;
+}
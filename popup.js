@@ -1,14 +1,15 @@
 /**
  * @fileoverview Popup script for the Fact Checker extension.
- * Handles API key management and fact checking in the popup UI.
+ * Handles fact checking in the popup UI; the settings are on the options page.
  */
 
+import { loadKeys, hasUsableProvider, getMissingKeysMessage, loadCheckOptions, runFactCheck } from './factcheck.js';
+import { recordCheck } from './history.js';
+import { VERIFICATION_STATUSES } from './source-verification.js';
+import { parseCaptionFile, CAPTION_FILE_EXTENSIONS, MAX_CAPTION_FILE_BYTES } from './captions.js';
+
 // Constants
 const MSG_DISPLAY_TIME = 2000; // 2 seconds
-const API_URL = 'https://api.perplexity.ai/chat/completions';
-const MODEL = 'sonar';
-const TOKEN_LIMIT = 2048;
-const TEMP = 0.1;
 
 /**
  * Initializes the popup when the DOM content is loaded.
@@ -16,54 +17,22 @@ const TEMP = 0.1;
 document.addEventListener('DOMContentLoaded', () => {
   // Get DOM elements
   const settingsIcon = document.getElementById('settingsIcon');
-  const apiKeySection = document.getElementById('apiKeySection');
-  const saveApiKeyBtn = document.getElementById('saveApiKey');
-  const keyInput = document.getElementById('apiKey');
   const submitQueryBtn = document.getElementById('submitQuery');
   const queryTextarea = document.getElementById('queryText');
   const resultSection = document.getElementById('resultSection');
   const factCheckResult = document.getElementById('factCheckResult');
   const statusMsg = document.getElementById('status');
   const checkVideoBtn = document.getElementById('checkVideoBtn');
+  const captionDropZone = document.getElementById('captionDropZone');
+  const captionFileInput = document.getElementById('captionFile');
+  const scanPageBtn = document.getElementById('scanPageBtn');
+  const historyBtn = document.getElementById('historyBtn');
 
-  // Get additional API key inputs
-  const groqKeyInput = document.getElementById('groqApiKey');
-  const toolhouseKeyInput = document.getElementById('toolhouseApiKey');
-
-  // Load the saved API keys
-  loadStoredKeys(keyInput, groqKeyInput, toolhouseKeyInput);
-
-  // Toggle API key section when settings icon is clicked
+  // Open the options page when the settings icon is clicked
   settingsIcon.addEventListener('click', () => {
-    apiKeySection.classList.toggle('hidden');
+    chrome.runtime.openOptionsPage();
   });
 
-  // Save the API keys when the button is clicked
-  saveApiKeyBtn.addEventListener('click', () => {
-    storeKeys(
-      keyInput.value.trim(), 
-      groqKeyInput.value.trim(), 
-      toolhouseKeyInput.value.trim(), 
-      statusMsg
-    );
-  });
-
-  // Also save when Enter key is pressed in any API key input field
-  const handleEnterKey = (event) => {
-    if (event.key === 'Enter') {
-      storeKeys(
-        keyInput.value.trim(), 
-        groqKeyInput.value.trim(), 
-        toolhouseKeyInput.value.trim(), 
-        statusMsg
-      );
-    }
-  };
-  
-  keyInput.addEventListener('keypress', handleEnterKey);
-  groqKeyInput.addEventListener('keypress', handleEnterKey);
-  toolhouseKeyInput.addEventListener('keypress', handleEnterKey);
-
   // Submit query when the button is clicked
   submitQueryBtn.addEventListener('click', () => {
     const queryText = queryTextarea.value.trim();
@@ -74,61 +43,192 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
   
-  // Check if current tab is YouTube and show the Check Video button if it is
+  // Scan the active tab; the background worker reports results on the page
+  scanPageBtn.addEventListener('click', () => {
+    chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
+      if (tabs.length === 0) {
+        showStatus(statusMsg, 'No active tab found', 'error');
+        return;
+      }
+      chrome.runtime.sendMessage({ action: 'scanPage', tabId: tabs[0].id }, () => {
+        showStatus(statusMsg, 'Scanning page... Results are shown on the page.', 'success');
+      });
+    });
+  });
+  
+  // Open the fact check history in the side panel
+  historyBtn.addEventListener('click', () => {
+    chrome.windows.getCurrent((win) => {
+      chrome.sidePanel.open({ windowId: win.id }).then(() => window.close());
+    });
+  });
+  
+  // Show the Check Video button on YouTube videos and on pages with captioned video or audio
   chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
     if (tabs.length > 0) {
       const url = tabs[0].url;
       if (url && url.includes('youtube.com/watch')) {
         checkVideoBtn.classList.remove('hidden');
+        return;
       }
+      chrome.scripting.executeScript({
+        target: { tabId: tabs[0].id },
+        func: hasCaptionedMedia
+      }, (results) => {
+        if (!chrome.runtime.lastError && results && results[0] && results[0].result) {
+          checkVideoBtn.classList.remove('hidden');
+        }
+      });
     }
   });
   
-  // Add event listener for the Check Video button
+  // Fact check the video's transcript; the results appear next to the player
   checkVideoBtn.addEventListener('click', () => {
     chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
       if (tabs.length === 0) {
         showStatus(statusMsg, 'No active tab found', 'error');
         return;
       }
-      
-      const tabId = tabs[0].id;
+      chrome.runtime.sendMessage({ action: 'checkVideo', tabId: tabs[0].id }, () => {
+        showStatus(statusMsg, 'Checking video... Results are shown next to the player.', 'success');
+      });
+    });
+  });
+  
+  // Check a caption file dropped on the drop zone or chosen through it
+  captionDropZone.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    captionDropZone.classList.add('drag-over');
+  });
+  captionDropZone.addEventListener('dragleave', () => {
+    captionDropZone.classList.remove('drag-over');
+  });
+  captionDropZone.addEventListener('drop', (event) => {
+    event.preventDefault();
+    captionDropZone.classList.remove('drag-over');
+    submitCaptionFile(event.dataTransfer.files[0], statusMsg);
+  });
+  captionFileInput.addEventListener('change', () => {
+    submitCaptionFile(captionFileInput.files[0], statusMsg);
+    captionFileInput.value = '';
+  });
+});
+
+/**
+ * Checks whether the page has video or audio with a caption or subtitle
+ * track. Runs in the page through chrome.scripting, so it must not use
+ * anything from this module.
+ * 
+ * @returns {boolean} Whether captioned media was found
+ */
+function hasCaptionedMedia() {
+  return Array.from(document.querySelectorAll('video, audio')).some(media =>
+    Array.from(media.textTracks || []).some(track => track.kind === 'captions' || track.kind === 'subtitles'));
+}
+
+/**
+ * Parses a caption file and sends its transcript to the background worker,
+ * which checks it like the captions of the active tab's video.
+ * 
+ * @param {File} [file] - The dropped or chosen file
+ * @param {HTMLElement} statusElement - The status display element
+ */
+async function submitCaptionFile(file, statusElement) {
+  if (!file) {
+    return;
+  }
+  if (!CAPTION_FILE_EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension))) {
+    showStatus(statusElement, `Please choose a caption file (${CAPTION_FILE_EXTENSIONS.join(', ')}).`, 'error');
+    return;
+  }
+  if (file.size > MAX_CAPTION_FILE_BYTES) {
+    showStatus(statusElement, 'This file is too large to be a caption file.', 'error');
+    return;
+  }
+
+  const segments = parseCaptionFile(await file.text());
+  if (segments.length === 0) {
+    showStatus(statusElement, 'No captions found in this file.', 'error');
+    return;
+  }
+
+  chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
+    if (tabs.length === 0) {
+      showStatus(statusElement, 'No active tab found', 'error');
+      return;
+    }
+    chrome.runtime.sendMessage({
+      action: 'checkCaptions',
+      tabId: tabs[0].id,
+      segments,
+      captions: { language: '', label: file.name, autoGenerated: false }
+    }, () => {
+      showStatus(statusElement, `Checking ${file.name}... Results are shown on the page.`, 'success');
+    });
+  });
+}
+
+/**
+ * Submits text for fact checking using multiple AI APIs and shows result in a new popup.
+ * 
+ * @param {string} text - The text to fact check
+ * @param {HTMLElement} resultElement - The element to display the loading status in
+ * @param {HTMLElement} resultSection - The section containing the result
+ * @param {HTMLElement} statusElement - The status display element
+ */
+async function submitFactCheck(text, resultElement, resultSection, statusElement) {
+  const keys = await loadKeys();
+  if (!hasUsableProvider(keys)) {
+    showStatus(statusElement, await getMissingKeysMessage(), 'error');
+    return;
+  }
+
+  try {
+    showStatus(statusElement, 'Checking facts...', 'success');
+    resultElement.innerHTML = '<p>Loading... This may take a few moments.</p>';
+    resultSection.classList.remove('hidden');
+
+    const options = await loadCheckOptions();
+    const result = await runFactCheck(text, null, window.location.href, keys, options);
+    resultElement.innerHTML = formatResult(result);
+    recordCheck(text, '', result).catch(error => {
+      console.error('Error saving fact check to history:', error);
+    });
+
+    // Get the active tab to send the message to
+    chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
+      if (tabs.length === 0) {
+        showStatus(statusElement, 'No active tab found', 'error');
+        return;
+      }
       
       // First check if content script is already injected
-      chrome.tabs.sendMessage(tabId, { action: 'checkInjection' }, (response) => {
+      chrome.tabs.sendMessage(tabs[0].id, { action: 'checkInjection' }, (response) => {
         const injectAndSendMessage = () => {
           // Inject the content script
           chrome.scripting.executeScript({
-            target: { tabId: tabId },
+            target: { tabId: tabs[0].id },
             files: ['content.js']
           }, () => {
             if (chrome.runtime.lastError) {
               console.error('Error injecting script:', chrome.runtime.lastError);
-              showStatus(statusMsg, `Error: ${chrome.runtime.lastError.message}`, 'error');
+              showStatus(statusElement, `Error: ${chrome.runtime.lastError.message}`, 'error');
               return;
             }
             
-            // Send message to content script to scrape YouTube transcript
-            console.log('Content script injected, sending message to scrape transcript:', tabId);
+            // Send message to content script to show the result in a new popup
+            console.log('Content script injected, sending message:', tabs[0].id);
             setTimeout(() => {
-              chrome.tabs.sendMessage(tabId, {
-                action: 'scrapeYouTubeTranscript'
+              chrome.tabs.sendMessage(tabs[0].id, {
+                action: 'showSecondaryResult',
+                data: result
               }, (response) => {
+                // Check if there was an error sending the message
                 if (chrome.runtime.lastError) {
                   console.error('Error sending message:', chrome.runtime.lastError);
-                  showStatus(statusMsg, `Error: ${chrome.runtime.lastError.message}`, 'error');
+                  showStatus(statusElement, `Error: ${chrome.runtime.lastError.message}`, 'error');
                 } else {
                   console.log('Message sent successfully, response:', response);
-                  if (response && response.success) {
-                    showStatus(statusMsg, 'Transcript scraped successfully!', 'success');
-                    
-                    // If transcript was found, populate the query textarea with it
-                    if (response.transcript) {
-                      queryTextarea.value = response.transcript;
-                    }
-                  } else {
-                    showStatus(statusMsg, response?.error || 'Failed to scrape transcript', 'error');
-                  }
                 }
               });
             }, 500); // Give the content script time to initialize
@@ -140,8 +240,9 @@ document.addEventListener('DOMContentLoaded', () => {
           injectAndSendMessage();
         } else {
           console.log('Content script already injected, sending message directly');
-          chrome.tabs.sendMessage(tabId, {
-            action: 'scrapeYouTubeTranscript'
+          chrome.tabs.sendMessage(tabs[0].id, {
+            action: 'showSecondaryResult',
+            data: result
           }, (response) => {
             if (chrome.runtime.lastError) {
               console.error('Error sending message to existing content script:', chrome.runtime.lastError);
@@ -149,547 +250,158 @@ document.addEventListener('DOMContentLoaded', () => {
               injectAndSendMessage();
             } else {
               console.log('Message sent successfully to existing content script, response:', response);
-              if (response && response.success) {
-                showStatus(statusMsg, 'Transcript scraped successfully!', 'success');
-                
-                // If transcript was found, populate the query textarea with it
-                if (response.transcript) {
-                  queryTextarea.value = response.transcript;
-                }
-              } else {
-                showStatus(statusMsg, response?.error || 'Failed to scrape transcript', 'error');
-              }
             }
           });
         }
       });
-    });
-  });
-});
-
-/**
- * Loads the saved API keys from storage and populates the input fields.
- * 
- * @param {HTMLInputElement} perplexityInput - The Perplexity API key input element
- * @param {HTMLInputElement} groqInput - The Groq API key input element
- * @param {HTMLInputElement} toolhouseInput - The Toolhouse API key input element
- */
-function loadStoredKeys(perplexityInput, groqInput, toolhouseInput) {
-  chrome.storage.sync.get(['apiKey', 'groqApiKey', 'toolhouseApiKey'], (data) => {
-    if (data.apiKey) {
-      perplexityInput.value = data.apiKey;
-    }
-    if (data.groqApiKey) {
-      groqInput.value = data.groqApiKey;
-    }
-    if (data.toolhouseApiKey) {
-      toolhouseInput.value = data.toolhouseApiKey;
-    }
-  });
-}
-
-/**
- * Saves the API keys to storage and displays a status message.
- * 
- * @param {string} perplexityKey - The Perplexity API key to save
- * @param {string} groqKey - The Groq API key to save
- * @param {string} toolhouseKey - The Toolhouse API key to save
- * @param {HTMLElement} statusElement - The status display element
- */
-function storeKeys(perplexityKey, groqKey, toolhouseKey, statusElement) {
-  if (perplexityKey || groqKey || toolhouseKey) {
-    chrome.storage.sync.set({ 
-      apiKey: perplexityKey, 
-      groqApiKey: groqKey, 
-      toolhouseApiKey: toolhouseKey 
-    }, () => {
-      showStatus(statusElement, 'API Keys saved!', 'success');
-    });
-  } else {
-    showStatus(statusElement, 'Please enter at least one valid API Key.', 'error');
-  }
-}
-
-/**
- * Submits text for fact checking using multiple AI APIs and shows result in a new popup.
- * 
- * @param {string} text - The text to fact check
- * @param {HTMLElement} resultElement - The element to display the loading status in
- * @param {HTMLElement} resultSection - The section containing the result
- * @param {HTMLElement} statusElement - The status display element
- */
-function submitFactCheck(text, resultElement, resultSection, statusElement) {
-  chrome.storage.sync.get(['apiKey', 'groqApiKey', 'toolhouseApiKey'], async (data) => {
-    if (!data.apiKey && !data.groqApiKey) {
-      showStatus(statusElement, 'No API Keys found. Please set at least one API Key in the settings.', 'error');
-      return;
-    }
-
-    try {
-      showStatus(statusElement, 'Checking facts...', 'success');
-      resultElement.innerHTML = '<p>Loading... This may take a few moments.</p>';
-      resultSection.classList.remove('hidden');
-
-      // Get the active tab to send the message to
-      chrome.tabs.query({active: true, currentWindow: true}, async (tabs) => {
-        if (tabs.length === 0) {
-          throw new Error('No active tab found');
-        }
-        
-        const result = await queryAI(text, '', window.location.href, data.apiKey);
-        
-        // First check if content script is already injected
-        chrome.tabs.sendMessage(tabs[0].id, { action: 'checkInjection' }, (response) => {
-          const injectAndSendMessage = () => {
-            // Inject the content script
-            chrome.scripting.executeScript({
-              target: { tabId: tabs[0].id },
-              files: ['content.js']
-            }, () => {
-              if (chrome.runtime.lastError) {
-                console.error('Error injecting script:', chrome.runtime.lastError);
-                showStatus(statusElement, `Error: ${chrome.runtime.lastError.message}`, 'error');
-                return;
-              }
-              
-              // Send message to content script to show the result in a new popup
-              console.log('Content script injected, sending message:', tabs[0].id);
-              setTimeout(() => {
-                chrome.tabs.sendMessage(tabs[0].id, {
-                  action: 'showSecondaryResult',
-                  data: result
-                }, (response) => {
-                  // Check if there was an error sending the message
-                  if (chrome.runtime.lastError) {
-                    console.error('Error sending message:', chrome.runtime.lastError);
-                    showStatus(statusElement, `Error: ${chrome.runtime.lastError.message}`, 'error');
-                  } else {
-                    console.log('Message sent successfully, response:', response);
-                  }
-                });
-              }, 500); // Give the content script time to initialize
-            });
-          };
-          
-          if (chrome.runtime.lastError || !response || !response.injected) {
-            console.log('Content script not injected, injecting now');
-            injectAndSendMessage();
-          } else {
-            console.log('Content script already injected, sending message directly');
-            chrome.tabs.sendMessage(tabs[0].id, {
-              action: 'showSecondaryResult',
-              data: result
-            }, (response) => {
-              if (chrome.runtime.lastError) {
-                console.error('Error sending message to existing content script:', chrome.runtime.lastError);
-                // Try injecting the script anyway
-                injectAndSendMessage();
-              } else {
-                console.log('Message sent successfully to existing content script, response:', response);
-              }
-            });
-          }
-        });
-        
-        // Update status in the popup
-        showStatus(statusElement, 'Fact check complete! Results shown on page.', 'success');
-        
-        // Hide the result section in the popup after a short delay
-        setTimeout(() => {
-          resultSection.classList.add('hidden');
-        }, 1500);
-      });
-
-      let perplexityResult = null;
-      let groqResult = null;
-
-      // Run API calls in parallel if both keys are available
-      const promises = [];
-      
-      if (data.apiKey) {
-        promises.push(
-          queryPerplexityAI(text, '', window.location.href, data.apiKey)
-            .then(result => { perplexityResult = result; })
-            .catch(error => { console.error('Perplexity API error:', error); })
-        );
-      }
-      
-      if (data.groqApiKey && data.toolhouseApiKey) {
-        promises.push(
-          queryGroqWithToolhouse(text, data.groqApiKey, data.toolhouseApiKey)
-            .then(result => { groqResult = result; })
-            .catch(error => { console.error('Groq/Toolhouse API error:', error); })
-        );
-      }
-      
-      await Promise.all(promises);
       
-      // Aggregate results
-      const aggregatedResult = aggregateResults(perplexityResult, groqResult);
+      // Update status in the popup
+      showStatus(statusElement, 'Fact check complete! Results shown on page.', 'success');
       
-      resultElement.innerHTML = formatResult(aggregatedResult);
-    } catch (error) {
-      console.error('Error in fact checking:', error);
-      resultSection.classList.add('hidden');
-      showStatus(statusElement, `Error: ${error.message}`, 'error');
+      // Hide the result section in the popup after a short delay
+      setTimeout(() => {
+        resultSection.classList.add('hidden');
+      }, 1500);
+    });
+  } catch (error) {
+    console.error('Error in fact checking:', error);
+    resultSection.classList.add('hidden');
+    showStatus(statusElement, `Error: ${error.message}`, 'error');
+    // A rejected key can only be fixed in the settings, so open them
+    if (error.kind === 'auth') {
+      chrome.runtime.openOptionsPage();
     }
-  });
+  }
 }
 
 /**
  * Formats the fact check result for display.
  * 
- * @param {string} result - The raw fact check result
+ * @param {Object} result - The aggregated fact check result
  * @returns {string} The formatted HTML for display
  */
 function formatResult(result) {
-  // Convert markdown links to HTML
-  const linkified = result.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank">$1</a>');
+  const truth = formatTruth(result);
+  const quote = formatQuote(result.quote) + formatFigures(result.figures);
   
-  // Convert newlines to <br> tags
-  return linkified.replace(/\n/g, '<br>');
-}
-
-/**
- * Performs fact checking using the Perplexity AI API.
- * 
- * @param {string} text - The text to fact check
- * @param {string} contextText - The surrounding context from the page
- * @param {string} url - The URL of the current page
- * @param {string} apiKey - The Perplexity API key
- * @returns {Promise<string>} The fact check result
- */
-async function queryPerplexityAI(text, contextText, url, apiKey) {
-  const systemPrompt = `You are a multilingual fact-checking assistant. Your primary tasks are:
-
-1. Detect the language of the given text.
-2. Respond in the same language as the detected language of the input text.
-3. Focus specifically on fact-checking the given selected text, not the entire article or page.
-4. Find and provide reliable sources for the claims in the selected text, ensuring they are from different domains and strictly related to the subject.
-5. Aim to provide 5-10 sources, prioritizing diversity of domains. Do not invent sources or include unrelated sources.
-6. Provide a truth percentage based on the reliability and consensus of the sources. The percentage should reflect how well the selected text is supported by the sources, not the number of sources found.
-7. Write a fact check (3-4 concise sentences) that directly addresses the claims in the selected text.
-8. Provide context (3-4 concise sentences) that places the selected text within the broader topic or article it's from.
-
-Format your response EXACTLY as follows, in the detected language:
-
-Sources:
-1. [source 1 title](URL)
-2. [source 2 title](URL)
-...
-
-Truth: [percentage]
-
-Fact Check: [your fact check with inline source references, e.g. [1], [2], etc.]
-
-Context: [your context with inline source references, e.g. [1], [2], etc.]
-
-If you cannot find enough reliable sources to fact-check the statement, say so explicitly and explain why. If a claim is widely accepted as common knowledge, state this and provide general reference sources.`;
-
-  const userPrompt = `Fact check the following selected text: "${text}"\n\nBroader context from the page:\n${contextText}\n\nPage URL: ${url}`;
-
-  const options = {
-    method: 'POST',
-    headers: {
-      'accept': 'application/json',
-      'content-type': 'application/json',
-      'authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      model: MODEL,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      max_tokens: TOKEN_LIMIT,
-      temperature: TEMP,
-      return_citations: true
-    })
-  };
-
-  const response = await fetch(API_URL, options);
-  const result = await response.json();
-
-  console.log('Perplexity API response:', result);
-
-  if (result.choices && result.choices.length > 0) {
-    return result.choices[0].message.content;
-  } else {
-    throw new Error('Invalid response from Perplexity API');
+  if (result.claims && result.claims.length > 0) {
+    const claims = result.claims
+      .map(claim => `<p><strong>${formatTruth(claim)}:</strong> ${escapeHtml(claim.text)}</p>`)
+      .join('');
+    return `<p><strong>Overall Truth:</strong> ${truth}</p>${quote}${claims}`;
   }
+  
+  const summaries = result.providers.length > 0
+    ? result.providers.map(verdict => `<p><strong>${escapeHtml(verdict.providerName)} (${formatTruth(verdict)}):</strong> ${escapeHtml(verdict.summary)}</p>`).join('')
+    : '<p>No results available from any API.</p>';
+  const timedOut = (result.timedOut || [])
+    .map(entry => `<p><strong>${escapeHtml(entry.providerName)}:</strong> timed out</p>`)
+    .join('');
+  const errors = (result.errors || [])
+    .map(error => `<p><strong>${escapeHtml(error.providerName)}:</strong> ${escapeHtml(error.message)}</p>`)
+    .join('');
+  const sources = result.sources
+    .map(source => `${source.index}. <a href="${safeUrl(source.url)}" target="_blank">${escapeHtml(source.title)}</a>${source.credibility ? ` <span class="credibility-badge credibility-${source.credibility.category}">${escapeHtml(source.credibility.label)}</span>` : ''}${formatVerification(source)}`)
+    .join('<br>');
+  
+  return `<p><strong>Truth:</strong> ${truth}</p>${quote}${summaries}${timedOut}${errors}<p>${sources}</p>`;
 }
 
 /**
- * Performs fact checking using Groq API with Toolhouse for web search.
+ * Formats the quote check of a result: the verdict, the speaker and the word
+ * diff between the quote and the original, see quotes.js.
  * 
- * @param {string} text - The text to fact check
- * @param {string} groqApiKey - The Groq API key
- * @param {string} toolhouseApiKey - The Toolhouse API key
- * @returns {Promise<string>} The fact check result
+ * @param {Object} [quote] - The quote check
+ * @returns {string} The HTML for the quote check, or an empty string
  */
-async function queryGroqWithToolhouse(text, groqApiKey, toolhouseApiKey) {
-  // First, use Toolhouse to perform a web search
-  const searchResults = await performToolhouseSearch(text, toolhouseApiKey);
-  
-  // Then, use Groq to analyze the search results and fact check
-  return queryGroqAI(text, searchResults, groqApiKey);
+function formatQuote(quote) {
+  if (!quote) {
+    return '';
+  }
+  const diff = quote.diff
+    .map(part => {
+      const text = escapeHtml(part.words.join(' '));
+      if (part.type === 'added') return `<ins>${text}</ins>`;
+      if (part.type === 'removed') return `<del>${text}</del>`;
+      return text;
+    })
+    .join(' ');
+  const speaker = quote.speaker ? ` (attributed to ${escapeHtml(quote.speaker)})` : '';
+  return `<p><strong>Quote: ${escapeHtml(quote.label)}</strong>${speaker}</p>${diff ? `<p class="quote-diff">${diff}</p>` : ''}${quote.explanation ? `<p>${escapeHtml(quote.explanation)}</p>` : ''}`;
 }
 
 /**
- * Performs a web search using the Toolhouse API.
+ * Formats the figure checks of a result as "claimed vs. reported" lines, see figures.js.
  * 
- * @param {string} query - The search query
- * @param {string} apiKey - The Toolhouse API key
- * @returns {Promise<string>} The search results
+ * @param {Object[]} [figures] - The figure checks
+ * @returns {string} The HTML for the figures, or an empty string
  */
-async function performToolhouseSearch(query, apiKey) {
-  const TOOLHOUSE_API_URL = 'https://api.toolhouse.ai/v1/search';
-  
-  const options = {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      query: `Find reliable sources to fact check: ${query}`,
-      num_results: 5,
-      include_domains: [],
-      exclude_domains: [],
-      time_period: 'any'
-    })
-  };
-
-  try {
-    const response = await fetch(TOOLHOUSE_API_URL, options);
-    const data = await response.json();
-    
-    console.log('Toolhouse API response:', data);
-    
-    if (data.results && data.results.length > 0) {
-      // Format the search results for Groq
-      return data.results.map((result, index) => {
-        return `Source ${index + 1}: ${result.title}\nURL: ${result.url}\nSnippet: ${result.snippet}\n\n`;
-      }).join('');
-    } else {
-      return 'No search results found.';
-    }
-  } catch (error) {
-    console.error('Error with Toolhouse API:', error);
-    throw new Error('Failed to perform web search with Toolhouse');
+function formatFigures(figures) {
+  if (!figures || figures.length === 0) {
+    return '';
   }
+  return figures.map(figure => {
+    const error = typeof figure.relativeError === 'number'
+      ? ` (${figure.relativeError > 0 ? '+' : ''}${Math.round(figure.relativeError * 100)}%)`
+      : '';
+    const className = figure.status === 'order-of-magnitude' ? ' class="figure-magnitude"' : '';
+    return `<p${className}><strong>${escapeHtml(figure.claimed.text)}</strong> claimed, ${escapeHtml(figure.reportedText || 'n/a')} reported${error}: ${escapeHtml(figure.label)}</p>`;
+  }).join('');
 }
 
 /**
- * Performs fact checking using the Groq API.
+ * Formats the verification result of a source when it says something about
+ * the link: verified, dead, unreachable, private or not backing the claim.
  * 
- * @param {string} text - The text to fact check
- * @param {string} searchResults - The search results from Toolhouse
- * @param {string} apiKey - The Groq API key
- * @returns {Promise<string>} The fact check result
+ * @param {Object} source - A source from the result
+ * @returns {string} The HTML for the verification, or an empty string
  */
-async function queryGroqAI(text, searchResults, apiKey) {
-  const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions';
-  const GROQ_MODEL = 'llama3-70b-8192';
-  
-  const systemPrompt = `You are a multilingual fact-checking assistant. Your primary tasks are:
-
-1. Detect the language of the given text.
-2. Respond in the same language as the detected language of the input text.
-3. Focus specifically on fact-checking the given selected text, not the entire article or page.
-4. Analyze the provided search results to find reliable sources for the claims in the selected text.
-5. Provide a truth percentage based on the reliability and consensus of the sources. The percentage should reflect how well the selected text is supported by the sources.
-6. Write a fact check (3-4 concise sentences) that directly addresses the claims in the selected text.
-7. Provide context (3-4 concise sentences) that places the selected text within the broader topic.
-
-Format your response EXACTLY as follows, in the detected language:
-
-Sources:
-1. [source 1 title](URL)
-2. [source 2 title](URL)
-...
-
-Truth: [percentage]
-
-Fact Check: [your fact check with inline source references, e.g. [1], [2], etc.]
-
-Context: [your context with inline source references, e.g. [1], [2], etc.]
-
-If you cannot find enough reliable sources to fact-check the statement, say so explicitly and explain why. If a claim is widely accepted as common knowledge, state this and provide general reference sources.`;
-
-  const userPrompt = `Fact check the following selected text: "${text}"\n\nSearch results:\n${searchResults}`;
-
-  const options = {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      model: GROQ_MODEL,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      max_tokens: 2048,
-      temperature: 0.1
-    })
-  };
-
-  try {
-    const response = await fetch(GROQ_API_URL, options);
-    const result = await response.json();
-    
-    console.log('Groq API response:', result);
-    
-    if (result.choices && result.choices.length > 0) {
-      return result.choices[0].message.content;
-    } else {
-      throw new Error('Invalid response from Groq API');
-    }
-  } catch (error) {
-    console.error('Error with Groq API:', error);
-    throw new Error('Failed to perform fact check with Groq');
+function formatVerification(source) {
+  const status = source.verification && source.verification.status;
+  if (!['supported', 'unsupported', 'dead', 'unreachable', 'private'].includes(status)) {
+    return '';
   }
+  return ` <span class="verification-badge verification-${status}">${escapeHtml(VERIFICATION_STATUSES[status].label)}</span>`;
 }
 
 /**
- * Aggregates results from Perplexity and Groq.
+ * Formats the truth score of a result, or "Contested" when the providers
+ * strongly disagree.
  * 
- * @param {string} perplexityResult - The result from Perplexity API
- * @param {string} groqResult - The result from Groq API
- * @returns {string} The aggregated result
+ * @param {Object} result - An aggregated result
+ * @returns {string} The formatted score
  */
-function aggregateResults(perplexityResult, groqResult) {
-  // If only one result is available, return it
-  if (!perplexityResult && groqResult) return groqResult;
-  if (perplexityResult && !groqResult) return perplexityResult;
-  if (!perplexityResult && !groqResult) return 'No results available from either API.';
-  
-  // Parse both results
-  const perplexityData = parseResult(perplexityResult);
-  const groqData = parseResult(groqResult);
-  
-  // Combine sources (removing duplicates)
-  const combinedSources = [...perplexityData.sources];
-  
-  groqData.sources.forEach(groqSource => {
-    // Check if this source URL already exists in the combined sources
-    const exists = combinedSources.some(source => source.url === groqSource.url);
-    if (!exists) {
-      // Add with a new index
-      combinedSources.push({
-        index: (combinedSources.length + 1).toString(),
-        title: groqSource.title,
-        url: groqSource.url
-      });
-    }
-  });
-  
-  // Calculate average truth percentage
-  let avgTruth = 'N/A';
-  if (perplexityData.truthPercentage !== 'N/A' && groqData.truthPercentage !== 'N/A') {
-    const perplexityTruth = parseInt(perplexityData.truthPercentage);
-    const groqTruth = parseInt(groqData.truthPercentage);
-    
-    if (!isNaN(perplexityTruth) && !isNaN(groqTruth)) {
-      avgTruth = Math.round((perplexityTruth + groqTruth) / 2) + '%';
-    }
-  } else if (perplexityData.truthPercentage !== 'N/A') {
-    avgTruth = perplexityData.truthPercentage;
-  } else if (groqData.truthPercentage !== 'N/A') {
-    avgTruth = groqData.truthPercentage;
+function formatTruth(result) {
+  if (result.consensus && result.consensus.contested) {
+    return 'Contested';
   }
-  
-  // Format the aggregated result
-  return `Sources:
-${combinedSources.map((source, i) => `${i + 1}. [${source.title}](${source.url})`).join('\n')}
-
-Truth: ${avgTruth}
-
-Fact Check (Perplexity): ${perplexityData.factCheck}
-
-Fact Check (Groq): ${groqData.factCheck}
-
-Context: ${perplexityData.context}
-
-Additional Context: ${groqData.context}`;
+  return typeof result.score === 'number' ? `${result.score}%` : 'N/A';
 }
 
 /**
- * Parses the raw fact check result into a structured object.
+ * Escapes text for safe insertion into HTML.
  * 
- * @param {string} result - The raw fact check result from the API
- * @returns {Object} The parsed result with truthPercentage, factCheck, context, and sources
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
  */
-function parseResult(result) {
-  if (!result) {
-    return {
-      truthPercentage: 'N/A',
-      factCheck: 'No fact check provided.',
-      context: 'No context provided.',
-      sources: []
-    };
-  }
-  
-  console.log('Parsing raw result:', result);
-
-  const sections = result.split('\n\n');
-  const data = {
-    truthPercentage: 'N/A',
-    factCheck: 'No fact check provided.',
-    context: 'No context provided.',
-    sources: []
-  };
-
-  let currentSection = '';
-
-  sections.forEach(section => {
-    if (section.startsWith('Sources:')) {
-      currentSection = 'sources';
-      extractSources(section, data);
-    } else if (section.startsWith('Truth:')) {
-      currentSection = 'truth';
-      data.truthPercentage = section.split(':')[1].trim();
-    } else if (section.startsWith('Fact Check:')) {
-      currentSection = 'factCheck';
-      data.factCheck = section.split(':').slice(1).join(':').trim();
-    } else if (section.startsWith('Context:')) {
-      currentSection = 'context';
-      data.context = section.split(':').slice(1).join(':').trim();
-    } else if (currentSection === 'factCheck') {
-      data.factCheck += ' ' + section.trim();
-    } else if (currentSection === 'context') {
-      data.context += ' ' + section.trim();
-    }
-  });
-
-  console.log('Parsed result:', data);
-  return data;
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 }
 
 /**
- * Parses the sources section of the fact check result.
+ * Makes a URL safe for an href attribute: only http(s) links are kept, see
+ * safeUrl in content.js.
  * 
- * @param {string} section - The sources section text
- * @param {Object} data - The result object to update with sources
+ * @param {string} url - The URL to link to
+ * @returns {string} The escaped URL, or 'about:blank'
  */
-function extractSources(section, data) {
-  const sourceLines = section.split('\n').slice(1);
-  console.log('Source lines:', sourceLines);
-  
-  sourceLines.forEach(line => {
-    const match = line.match(/(\d+)\.\s+(.+)/);
-    if (match) {
-      const [, index, content] = match;
-      const urlMatch = content.match(/\[(.+?)\]\((.+?)\)/);
-      if (urlMatch) {
-        data.sources.push({ index, title: urlMatch[1], url: urlMatch[2] });
-      } else {
-        data.sources.push({ index, title: content, url: '#' });
-      }
-    }
-  });
+function safeUrl(url) {
+  return /^https?:\/\//i.test(String(url ?? '').trim()) ? escapeHtml(String(url).trim()) : 'about:blank';
 }
 
 /**
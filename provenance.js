@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Builds the provenance report of an image: the capture device
+ * and dates from EXIF, the edit history from C2PA and XMP, the Content
+ * Credentials signature, and earlier sightings of the same picture in the
+ * local image library.
+ */
+
+import { readImageMetadata } from './image-metadata.js';
+import { readContentCredentials } from './c2pa.js';
+import { computePerceptualHash } from './image-hash.js';
+import { findMatchingImages, rememberImage } from './image-library.js';
+
+// Constants
+const MAX_IMAGE_BYTES = 50 * 1024 * 1024;
+const MAX_MATCHES = 5;
+
+/**
+ * @typedef {Object} ProvenanceReport
+ * @property {string} src - The image URL
+ * @property {string} pageUrl - The page it was inspected on
+ * @property {string} format - The file format, see image-metadata.js
+ * @property {number|null} width - The width in pixels, null if the image could not be decoded
+ * @property {number|null} height - The height in pixels
+ * @property {Object|null} capture - make, model, lens, software, takenAt, artist, copyright and gps from EXIF
+ * @property {Array<{action: string, softwareAgent: string|null, when: string|null, source: string}>} editHistory -
+ *     The edits, from the signed C2PA actions ('c2pa'), the XMP history ('xmp') or the EXIF software field ('exif')
+ * @property {Object|null} credentials - The Content Credentials, see ContentCredentials in c2pa.js
+ * @property {string|null} hash - The perceptual hash
+ * @property {Array<Object>} matches - Earlier sightings of the picture, earliest first, see image-library.js
+ * @property {Object|null} earliestMatch - The first of the matches
+ */
+
+/**
+ * Inspects an image and adds it to the image library.
+ * 
+ * @param {string} src - The image URL
+ * @param {string} pageUrl - The page the image is on
+ * @param {Object} [options={}] - Inspection options
+ * @param {Function} [options.fetch] - The fetch implementation
+ * @param {boolean} [options.remember=true] - Add the image to the library; earlier
+ *     sightings are looked up either way
+ * @returns {Promise<ProvenanceReport>} The report
+ */
+export async function inspectImage(src, pageUrl, { fetch: fetchImpl = (...args) => fetch(...args), remember = true } = {}) {
+  const response = await fetchImpl(src, { credentials: 'omit' });
+  if (!response.ok) {
+    throw new Error(`Could not load the image (HTTP ${response.status}).`);
+  }
+  const blob = await response.blob();
+  if (blob.size > MAX_IMAGE_BYTES) {
+    throw new Error('The image is too large to inspect.');
+  }
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+
+  const metadata = readImageMetadata(bytes);
+  const credentials = metadata.jumbf ? await readContentCredentials(metadata.jumbf, bytes) : null;
+
+  let picture = null;
+  try {
+    picture = await computePerceptualHash(blob);
+  } catch (error) {
+    console.warn('Could not hash the image:', error);
+  }
+  let matches = [];
+  if (picture) {
+    // Look for earlier sightings before recording this one
+    matches = (await findMatchingImages(picture.hash)).slice(0, MAX_MATCHES);
+    if (remember) {
+      await rememberImage({ src, pageUrl, ...picture });
+    }
+  }
+
+  return {
+    src,
+    pageUrl,
+    format: metadata.format,
+    width: picture ? picture.width : null,
+    height: picture ? picture.height : null,
+    capture: describeCapture(metadata.exif),
+    editHistory: collectEditHistory(metadata, credentials),
+    credentials,
+    hash: picture ? picture.hash : null,
+    matches,
+    earliestMatch: matches[0] || null
+  };
+}
+
+/**
+ * Picks the capture details out of the EXIF fields.
+ * 
+ * @param {Object|null} exif - The EXIF fields, see readExif() in image-metadata.js
+ * @returns {Object|null} The capture details, or null if the image has no EXIF data
+ */
+function describeCapture(exif) {
+  if (!exif || Object.keys(exif).length === 0) {
+    return null;
+  }
+  return {
+    make: exif.make || null,
+    model: exif.model || null,
+    lens: exif.lensModel || null,
+    software: exif.software || null,
+    takenAt: exif.dateTimeOriginal || exif.dateTime || null,
+    artist: exif.artist || null,
+    copyright: exif.copyright || null,
+    gps: exif.gps || null
+  };
+}
+
+/**
+ * Collects the edit history. Signed C2PA actions come first; the XMP history
+ * is unsigned and can be rewritten by anyone, and the EXIF software field
+ * only tells the last program that saved the file.
+ * 
+ * @param {Object} metadata - The image metadata
+ * @param {Object|null} credentials - The Content Credentials
+ * @returns {Array<Object>} The edits
+ */
+function collectEditHistory(metadata, credentials) {
+  const history = [];
+  if (credentials) {
+    credentials.actions.forEach(action => history.push({ ...action, source: 'c2pa' }));
+  }
+  if (metadata.xmp) {
+    metadata.xmp.history.forEach(event => history.push({ ...event, source: 'xmp' }));
+  }
+  const exif = metadata.exif || {};
+  if (history.length === 0 && exif.software && exif.dateTime && exif.dateTime !== exif.dateTimeOriginal) {
+    history.push({ action: 'saved', softwareAgent: exif.software, when: exif.dateTime, source: 'exif' });
+  }
+  return history;
+}
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Per-provider model settings: the model, temperature, token
+ * limit and system prompt. Anything the user has not changed falls back to
+ * the provider's built-in value. Edited prompts get a version of their own,
+ * so cached verdicts and stored results can tell which prompt produced them.
+ */
+
+import { VERDICT_FORMAT_INSTRUCTIONS } from './verdict.js';
+
+/**
+ * The variables a system prompt can use, written as {{name}}, and what they
+ * stand for. Whatever the prompt does not use is sent in the user message
+ * instead, see buildCheckPrompts().
+ */
+export const PROMPT_VARIABLES = {
+  selection: 'the text being checked',
+  pageContext: 'the article it was selected from',
+  url: 'the URL of the page'
+};
+
+// How the user message of a check passes each variable the system prompt leaves out
+const USER_PROMPT_SECTIONS = {
+  selection: value => `Fact check the following selected text: "${value}"`,
+  pageContext: value => `The page it was selected from:\n${value}`,
+  url: value => `Page URL: ${value}`
+};
+
+/**
+ * @typedef {Object} ProviderConfig
+ * @property {string|null} model - The model to use, null if the provider has no choice of models
+ * @property {number} temperature - The sampling temperature
+ * @property {number} maxTokens - The longest reply in tokens
+ * @property {string} systemPrompt - The system prompt template, see renderPrompt()
+ * @property {string} promptVersion - The provider's prompt version, e.g. '1', with the
+ *     revision of an edited prompt appended, e.g. '1.3'
+ * @property {boolean} customPrompt - Whether the prompt was edited
+ */
+
+/**
+ * Works out the model settings of a provider from the stored settings.
+ * 
+ * @param {Object} provider - The provider, see FactCheckProvider in providers/registry.js
+ * @param {Object} [settings={}] - The loaded settings, see settings.js
+ * @returns {ProviderConfig} The settings to run the provider with
+ */
+export function getProviderConfig(provider, settings = {}) {
+  const stored = (settings.providerConfigs || {})[provider.id] || {};
+  const defaults = provider.defaults || {};
+  const models = provider.models || [];
+  const customPrompt = typeof stored.systemPrompt === 'string' && stored.systemPrompt.trim() !== '';
+  const promptVersion = String(provider.promptVersion || 1);
+  return {
+    // A model dropped from the list since it was picked falls back to the default
+    model: models.includes(stored.model) ? stored.model : (defaults.model || null),
+    temperature: Number.isFinite(stored.temperature) ? stored.temperature : defaults.temperature,
+    maxTokens: stored.maxTokens > 0 ? stored.maxTokens : defaults.maxTokens,
+    systemPrompt: customPrompt ? stored.systemPrompt : (provider.systemPrompt || ''),
+    promptVersion: customPrompt ? `${promptVersion}.${stored.promptRevision || 1}` : promptVersion,
+    customPrompt
+  };
+}
+
+/**
+ * Works out the model settings of several providers.
+ * 
+ * @param {Object[]} providers - The providers
+ * @param {Object} settings - The loaded settings
+ * @returns {Object<string, ProviderConfig>} The settings by provider id
+ */
+export function getProviderConfigs(providers, settings) {
+  const configs = {};
+  providers.forEach(provider => {
+    configs[provider.id] = getProviderConfig(provider, settings);
+  });
+  return configs;
+}
+
+/**
+ * Builds the stored settings of a provider from what the user entered.
+ * A prompt equal to the built-in one is not stored, and every change to the
+ * prompt counts up its revision; the revision is kept across a reset so an
+ * old version number is never reused for a different prompt.
+ * 
+ * @param {Object} provider - The provider
+ * @param {Object} [previous={}] - The provider's stored settings so far
+ * @param {Object} changes - What the user entered
+ * @param {string} [changes.model] - The model
+ * @param {number} changes.temperature - The temperature
+ * @param {number} changes.maxTokens - The token limit
+ * @param {string} changes.systemPrompt - The system prompt
+ * @returns {Object} The settings to store under settings.providerConfigs[provider.id]
+ */
+export function mergeProviderConfig(provider, previous = {}, { model, temperature, maxTokens, systemPrompt }) {
+  const isDefault = systemPrompt.trim() === (provider.systemPrompt || '').trim();
+  const prompt = isDefault ? null : systemPrompt;
+  const revision = previous.promptRevision || 0;
+  return {
+    model: model || null,
+    temperature,
+    maxTokens,
+    systemPrompt: prompt,
+    promptRevision: prompt !== null && prompt !== previous.systemPrompt ? revision + 1 : revision
+  };
+}
+
+/**
+ * Fills the {{name}} variables of a prompt template. Unknown variables are
+ * left as they are.
+ * 
+ * @param {string} template - The prompt template
+ * @param {Object<string, string>} variables - The values, see PROMPT_VARIABLES
+ * @returns {string} The prompt
+ */
+export function renderPrompt(template, variables) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : match);
+}
+
+/**
+ * Builds the system and user prompts of a check. The system prompt template
+ * is the only place a variable it uses is sent, so nothing reaches the model
+ * twice; the user message carries the rest. The verdict format is appended
+ * to the template, so an edited prompt cannot break the reply's format.
+ * 
+ * @param {string} template - The system prompt template
+ * @param {Object<string, string>} variables - The values, see PROMPT_VARIABLES
+ * @param {string[]} [userVariables] - The variables the user message may carry;
+ *     defaults to all of them
+ * @returns {{systemPrompt: string, userPrompt: string}} The prompts
+ */
+export function buildCheckPrompts(template, variables, userVariables = Object.keys(USER_PROMPT_SECTIONS)) {
+  const used = new Set(Array.from(template.matchAll(/\{\{\s*(\w+)\s*\}\}/g), match => match[1]));
+  const sections = userVariables
+    .filter(name => !used.has(name) && Object.prototype.hasOwnProperty.call(variables, name))
+    .map(name => USER_PROMPT_SECTIONS[name](variables[name]));
+  if (used.has('selection')) {
+    sections.unshift('Fact check the selected text given in the instructions.');
+  }
+  return {
+    systemPrompt: `${renderPrompt(template, variables)}\n\n${VERDICT_FORMAT_INSTRUCTIONS}`,
+    userPrompt: sections.join('\n\n')
+  };
+}
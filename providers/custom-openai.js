@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Fact-check provider for a user-configured server that speaks
+ * the OpenAI chat completions format, such as a local Ollama or llama.cpp
+ * server. Nothing leaves the user's network unless the server is remote.
+ * The model has no web search, so it judges from what it knows and the page.
+ */
+
+import { formatPageContext } from '../page-context.js';
+import { parseVerdict } from '../verdict.js';
+import { requestJson } from './http.js';
+import { getProviderConfig, buildCheckPrompts } from '../provider-config.js';
+
+// Constants
+const TOKEN_LIMIT = 2048;
+const TEMP = 0.1;
+const KEY_NAME = 'customApiKey';
+const CHAT_COMPLETIONS_PATH = '/chat/completions';
+
+const SYSTEM_PROMPT = `You are a multilingual fact-checking assistant. Your primary tasks are:
+
+1. Detect the language of the given text.
+2. Respond in the same language as the detected language of the input text.
+3. Focus specifically on fact-checking the given selected text, not the entire article or page.
+4. You cannot search the web. Judge the claims by what you reliably know and by the page they were selected from.
+5. Only list sources you are certain exist, such as well-known reference works or official sites. Never invent URLs; list no sources rather than uncertain ones.
+6. Provide a truth percentage that reflects how well the selected text agrees with established knowledge.
+7. Write a fact check (3-4 concise sentences) that directly addresses the claims in the selected text, and list a finding for each distinct claim.
+8. Provide context (3-4 concise sentences) that places the selected text within the broader topic.
+
+If a claim is too recent, too local or too obscure for you to know, say so explicitly in the summary and set the score to null.`;
+
+/**
+ * Returns the origin of the server the base URL points to.
+ * 
+ * @param {string} baseUrl - The base URL as entered, e.g. 'http://localhost:11434/v1'
+ * @returns {string|null} The origin, or null if the URL is not an http(s) URL
+ */
+export function getEndpointOrigin(baseUrl) {
+  try {
+    const parsed = new URL(baseUrl);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds the chat completions URL from the base URL. Both the API root
+ * ('…/v1') and the full endpoint ('…/v1/chat/completions') are accepted.
+ * 
+ * @param {string} baseUrl - The base URL as entered
+ * @returns {string} The chat completions URL
+ */
+function getChatCompletionsUrl(baseUrl) {
+  const trimmed = baseUrl.replace(/\/+$/, '');
+  return trimmed.endsWith(CHAT_COMPLETIONS_PATH) ? trimmed : `${trimmed}${CHAT_COMPLETIONS_PATH}`;
+}
+
+/**
+ * Checks that the user has granted access to the server. Access is only
+ * asked for on the options page, and may have been refused or withdrawn
+ * since; without it the request would fail with an unhelpful network error.
+ * 
+ * @param {string} baseUrl - The base URL as entered
+ * @returns {Promise<void>}
+ * @throws {Error} If the URL is not an http(s) URL or access is missing
+ */
+async function ensureServerAccess(baseUrl) {
+  const origin = getEndpointOrigin(baseUrl);
+  if (!origin) {
+    throw new Error('The custom server URL is not an http(s) URL — open settings to correct it.');
+  }
+  if (!(await chrome.permissions.contains({ origins: [`${origin}/*`] }))) {
+    throw new Error(`The extension may not access ${origin} — open settings, save the custom server again and allow access.`);
+  }
+}
+
+/**
+ * Sends a chat completion request to the custom server.
+ * 
+ * @param {Array<Object>} messages - The chat messages
+ * @param {Object} keys - The stored keys, with customBaseUrl, customModel and optionally customApiKey
+ * @param {import('../provider-config.js').ProviderConfig} config - The model settings; the model
+ *     is set with the server instead
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<string>} The content of the reply
+ */
+async function queryCustomServer(messages, keys, config, signal) {
+  await ensureServerAccess(keys.customBaseUrl);
+  const headers = { 'Content-Type': 'application/json' };
+  // Local servers usually take no key
+  if (keys.customApiKey) {
+    headers['Authorization'] = `Bearer ${keys.customApiKey}`;
+  }
+  const options = {
+    method: 'POST',
+    signal,
+    headers,
+    // No response_format: servers disagree on which formats they support, and
+    // parseVerdict() finds the JSON object in the reply anyway
+    body: JSON.stringify({
+      model: keys.customModel,
+      messages,
+      max_tokens: config.maxTokens,
+      temperature: config.temperature
+    })
+  };
+
+  const service = new URL(keys.customBaseUrl).host;
+  const result = await requestJson(getChatCompletionsUrl(keys.customBaseUrl), options, { service, keyName: KEY_NAME });
+
+  console.log('Custom server response:', result);
+
+  if (result.choices && result.choices.length > 0) {
+    return result.choices[0].message.content;
+  } else {
+    throw new Error(`Invalid response from ${service}`);
+  }
+}
+
+/** @type {import('./registry.js').FactCheckProvider} */
+export const customOpenAiProvider = {
+  id: 'custom',
+  name: 'Custom model',
+  requiredKeys: ['customBaseUrl', 'customModel'],
+  optionalKeys: [KEY_NAME],
+  promptVersion: 2,
+  // The model is whatever the server offers, entered with its URL
+  models: [],
+  defaults: { temperature: TEMP, maxTokens: TOKEN_LIMIT },
+  systemPrompt: SYSTEM_PROMPT,
+  // Local models on ordinary hardware are slow
+  timeoutMs: 120000,
+
+  /**
+   * Names the model with the server it runs on, so verdicts of the same
+   * model name on different servers are told apart.
+   * 
+   * @param {Object} keys - The stored keys, with customBaseUrl and customModel
+   * @returns {string} The model and server, e.g. 'llama3 @ http://localhost:11434'
+   */
+  describeModel(keys) {
+    return `${keys.customModel} @ ${getEndpointOrigin(keys.customBaseUrl)}`;
+  },
+
+  /**
+   * Fact checks the text with the custom server's model.
+   * 
+   * @param {string} text - The text to fact check
+   * @param {import('../page-context.js').PageContext|null} context - The article the text was selected from
+   * @param {string} url - The URL of the current page
+   * @param {Object} options - Run options
+   * @param {Object} options.keys - The stored keys
+   * @param {AbortSignal} [options.signal] - Cancels the check
+   * @param {import('../provider-config.js').ProviderConfig} [options.config] - The model settings; defaults to the built-in ones
+   * @returns {Promise<Object>} The structured verdict
+   */
+  async check(text, context, url, { keys, signal, config = getProviderConfig(customOpenAiProvider) }) {
+    const { systemPrompt, userPrompt } = buildCheckPrompts(config.systemPrompt,
+      { selection: text, pageContext: formatPageContext(context), url });
+    const raw = await queryCustomServer([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ], keys, config, signal);
+    return parseVerdict(raw);
+  },
+
+  /**
+   * Runs a plain prompt through the custom server, for helper passes such as claim decomposition.
+   * 
+   * @param {string} systemPrompt - The system prompt
+   * @param {string} userPrompt - The user prompt
+   * @param {Object} options - Run options
+   * @param {Object} options.keys - The stored keys
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {import('../provider-config.js').ProviderConfig} [options.config] - The model settings; only the
+   *     temperature and token limit apply
+   * @returns {Promise<string>} The content of the reply
+   */
+  complete(systemPrompt, userPrompt, { keys, signal, config = getProviderConfig(customOpenAiProvider) }) {
+    return queryCustomServer([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ], keys, config, signal);
+  },
+
+  /**
+   * Tests the server, model and key with a one-token completion.
+   * 
+   * @param {Object} keys - The server settings to test
+   * @param {Object} options - Run options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<void>}
+   */
+  async testKeys(keys, { signal }) {
+    await queryCustomServer([{ role: 'user', content: 'Reply with OK.' }], keys, { maxTokens: 1, temperature: 0 }, signal);
+  }
+};
@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Groq fact-check provider backed by Toolhouse web search.
+ * Toolhouse finds the sources, then Groq reads them and writes the verdict.
+ */
+
+import { formatPageContext } from '../page-context.js';
+import { parseVerdict, getDomain } from '../verdict.js';
+import { requestJson } from './http.js';
+import { getProviderConfig, buildCheckPrompts } from '../provider-config.js';
+
+// Constants
+const TOOLHOUSE_API_URL = 'https://api.toolhouse.ai/v1/search';
+const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions';
+const GROQ_MODELS = ['llama3-70b-8192', 'llama-3.3-70b-versatile', 'llama-3.1-8b-instant', 'gemma2-9b-it'];
+const GROQ_MODEL = 'llama3-70b-8192';
+const TOKEN_LIMIT = 2048;
+const TEMP = 0.1;
+
+const SYSTEM_PROMPT = `You are a multilingual fact-checking assistant. Your primary tasks are:
+
+1. Detect the language of the given text.
+2. Respond in the same language as the detected language of the input text.
+3. Focus specifically on fact-checking the given selected text, not the entire article or page.
+4. Analyze the provided search results to find reliable sources for the claims in the selected text.
+5. Provide a truth percentage based on the reliability and consensus of the sources. The percentage should reflect how well the selected text is supported by the sources.
+6. Write a fact check (3-4 concise sentences) that directly addresses the claims in the selected text, and list a finding for each distinct claim.
+7. Provide context (3-4 concise sentences) that places the selected text within the broader topic.
+
+If you cannot find enough reliable sources to fact-check the statement, say so explicitly in the summary, explain why and set the score to null. If a claim is widely accepted as common knowledge, state this and provide general reference sources.`;
+
+/**
+ * Performs a web search using the Toolhouse API.
+ * 
+ * @param {string} query - The search query
+ * @param {string} apiKey - The Toolhouse API key
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @param {{include: string[], exclude: string[]}} [domains] - Domains to restrict the search to and to leave out
+ * @returns {Promise<Object[]>} The search results, each with title, url and snippet
+ */
+async function performToolhouseSearch(query, apiKey, signal, domains = { include: [], exclude: [] }) {
+  const options = {
+    method: 'POST',
+    signal,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({
+      query: `Find reliable sources to fact check: ${query}`,
+      num_results: 5,
+      include_domains: domains.include,
+      exclude_domains: domains.exclude,
+      time_period: 'any'
+    })
+  };
+
+  const data = await requestJson(TOOLHOUSE_API_URL, options, { service: 'Toolhouse', keyName: 'toolhouseApiKey' });
+  
+  console.log('Toolhouse API response:', data);
+  
+  return data.results || [];
+}
+
+/**
+ * Formats the search results for the Groq prompt.
+ * 
+ * @param {Object[]} results - The Toolhouse search results
+ * @returns {string} The numbered results
+ */
+function formatSearchResults(results) {
+  if (results.length === 0) {
+    return 'No search results found.';
+  }
+  return results.map((result, index) => {
+    return `Source ${index + 1}: ${result.title}\nURL: ${result.url}\nSnippet: ${result.snippet}\n\n`;
+  }).join('');
+}
+
+/**
+ * Sends a chat completion request to the Groq API.
+ * 
+ * @param {Array<Object>} messages - The chat messages
+ * @param {string} apiKey - The Groq API key
+ * @param {import('../provider-config.js').ProviderConfig} config - The model settings
+ * @param {Object} [extraBody={}] - Additional request body fields
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<string>} The content of the reply
+ */
+async function queryGroqAI(messages, apiKey, config, extraBody = {}, signal) {
+  const options = {
+    method: 'POST',
+    signal,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({
+      model: config.model,
+      messages,
+      max_tokens: config.maxTokens,
+      temperature: config.temperature,
+      ...extraBody
+    })
+  };
+
+  const result = await requestJson(GROQ_API_URL, options, { service: 'Groq', keyName: 'groqApiKey' });
+  
+  console.log('Groq API response:', result);
+  
+  if (result.choices && result.choices.length > 0) {
+    return result.choices[0].message.content;
+  } else {
+    throw new Error('Invalid response from Groq API');
+  }
+}
+
+/** @type {import('./registry.js').FactCheckProvider} */
+export const groqToolhouseProvider = {
+  id: 'groq',
+  name: 'Groq',
+  requiredKeys: ['groqApiKey', 'toolhouseApiKey'],
+  promptVersion: 2,
+  models: GROQ_MODELS,
+  defaults: { model: GROQ_MODEL, temperature: TEMP, maxTokens: TOKEN_LIMIT },
+  systemPrompt: SYSTEM_PROMPT,
+  // Two requests in a row: the search, then the completion
+  timeoutMs: 45000,
+
+  /**
+   * Searches the web with Toolhouse, then fact checks the results with Groq.
+   * 
+   * @param {string} text - The text to fact check
+   * @param {import('../page-context.js').PageContext|null} context - The article the text was selected from
+   * @param {string} url - Unused; the canonical URL is part of the context
+   * @param {Object} options - Run options
+   * @param {Object} options.keys - The stored API keys
+   * @param {function(Object[]): void} [options.onSources] - Called with the search results before Groq answers
+   * @param {AbortSignal} [options.signal] - Cancels the check
+   * @param {Object} [options.reputation] - Domain reputation lookup that picks the domains to search
+   * @param {import('../provider-config.js').ProviderConfig} [options.config] - The model settings; defaults to the built-in ones
+   * @returns {Promise<Object>} The structured verdict
+   */
+  async check(text, context, url, { keys, onSources, signal, reputation, config = getProviderConfig(groqToolhouseProvider) }) {
+    const domains = reputation ? reputation.getSearchDomains() : undefined;
+    const searchResults = await performToolhouseSearch(text, keys.toolhouseApiKey, signal, domains);
+    if (onSources && searchResults.length > 0) {
+      onSources(searchResults.map((result, index) => ({
+        index: index + 1,
+        title: result.title || getDomain(result.url),
+        url: result.url,
+        domain: getDomain(result.url)
+      })));
+    }
+    // The search results are not a prompt variable, so they always follow in the user message
+    const prompts = buildCheckPrompts(config.systemPrompt, { selection: text, pageContext: formatPageContext(context), url },
+      ['selection', 'pageContext']);
+    const userPrompt = `${prompts.userPrompt}\n\nSearch results:\n${formatSearchResults(searchResults)}`;
+    const raw = await queryGroqAI([
+      { role: 'system', content: prompts.systemPrompt },
+      { role: 'user', content: userPrompt }
+    ], keys.groqApiKey, config, { response_format: { type: 'json_object' } }, signal);
+    return parseVerdict(raw);
+  },
+
+  /**
+   * Runs a plain prompt through Groq, for helper passes such as claim decomposition.
+   * 
+   * @param {string} systemPrompt - The system prompt
+   * @param {string} userPrompt - The user prompt
+   * @param {Object} options - Run options
+   * @param {Object} options.keys - The stored API keys
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {import('../provider-config.js').ProviderConfig} [options.config] - The model settings; only the model,
+   *     temperature and token limit apply
+   * @returns {Promise<string>} The content of the reply
+   */
+  complete(systemPrompt, userPrompt, { keys, signal, config = getProviderConfig(groqToolhouseProvider) }) {
+    return queryGroqAI([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ], keys.groqApiKey, config, {}, signal);
+  },
+
+  /**
+   * Searches the web with Toolhouse, then runs the prompt through Groq with
+   * the search results appended, for helper passes such as a quote lookup.
+   * 
+   * @param {string} systemPrompt - The system prompt
+   * @param {string} userPrompt - The user prompt
+   * @param {Object} options - Run options
+   * @param {Object} options.keys - The stored API keys
+   * @param {string} options.query - What to search for
+   * @param {AbortSignal} [options.signal] - Cancels the requests
+   * @param {import('../provider-config.js').ProviderConfig} [options.config] - The model settings; only the model,
+   *     temperature and token limit apply
+   * @returns {Promise<string>} The content of the reply
+   */
+  async research(systemPrompt, userPrompt, { keys, query, signal, config = getProviderConfig(groqToolhouseProvider) }) {
+    const searchResults = await performToolhouseSearch(query, keys.toolhouseApiKey, signal);
+    return queryGroqAI([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: `${userPrompt}\n\nSearch results:\n${formatSearchResults(searchResults)}` }
+    ], keys.groqApiKey, config, { response_format: { type: 'json_object' } }, signal);
+  },
+
+  /**
+   * Tests both keys: the Groq key with a one-token completion, the Toolhouse
+   * key with a single search.
+   * 
+   * @param {Object} keys - The keys to test
+   * @param {Object} options - Run options
+   * @param {AbortSignal} [options.signal] - Cancels the requests
+   * @param {import('../provider-config.js').ProviderConfig} [options.config] - The model settings; only the model applies
+   * @returns {Promise<void>}
+   */
+  async testKeys(keys, { signal, config = getProviderConfig(groqToolhouseProvider) }) {
+    await queryGroqAI([{ role: 'user', content: 'Reply with OK.' }], keys.groqApiKey, { ...config, maxTokens: 1, temperature: 0 }, {}, signal);
+    await performToolhouseSearch('fact check', keys.toolhouseApiKey, signal);
+  }
+};
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Shared HTTP layer for the provider APIs.
+ * Classifies failed requests, honours Retry-After on rate limits and retries
+ * server and network errors with jittered exponential backoff.
+ */
+
+// Constants
+const MAX_RETRIES = 2;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 8000;
+// Longer Retry-After waits are reported instead of slept through
+const MAX_RETRY_AFTER_MS = 15000;
+
+/**
+ * Error kinds, from the user's point of view.
+ * AUTH: the key was rejected, RATE_LIMIT: too many requests, SERVER: the
+ * service failed, NETWORK: the service could not be reached, REQUEST: any
+ * other rejected request.
+ */
+export const ERROR_KINDS = {
+  AUTH: 'auth',
+  RATE_LIMIT: 'rate-limit',
+  SERVER: 'server',
+  NETWORK: 'network',
+  REQUEST: 'request'
+};
+
+/**
+ * Error thrown for a failed provider request. The message is written for
+ * the user and says what to do about it.
+ */
+export class ProviderHttpError extends Error {
+  /**
+   * @param {string} kind - One of ERROR_KINDS
+   * @param {string} service - The service that failed, e.g. 'Groq'
+   * @param {Object} [details={}] - Extra details
+   * @param {number} [details.status] - The HTTP status, if a response arrived
+   * @param {number} [details.retryAfterMs] - How long the service asked us to wait
+   * @param {string} [details.keyName] - The storage key of the API key used
+   */
+  constructor(kind, service, { status, retryAfterMs, keyName } = {}) {
+    super(describeError(kind, service, status, retryAfterMs));
+    this.name = 'ProviderHttpError';
+    this.kind = kind;
+    this.service = service;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.keyName = keyName;
+  }
+}
+
+/**
+ * Writes the user-facing message for a failed request.
+ * 
+ * @param {string} kind - One of ERROR_KINDS
+ * @param {string} service - The service that failed
+ * @param {number} [status] - The HTTP status
+ * @param {number} [retryAfterMs] - How long the service asked us to wait
+ * @returns {string} The message
+ */
+function describeError(kind, service, status, retryAfterMs) {
+  switch (kind) {
+    case ERROR_KINDS.AUTH:
+      return `Your ${service} key was rejected — open settings to update it.`;
+    case ERROR_KINDS.RATE_LIMIT:
+      return retryAfterMs
+        ? `${service} is rate limiting requests — try again in ${Math.ceil(retryAfterMs / 1000)} seconds.`
+        : `${service} is rate limiting requests — wait a moment and try again.`;
+    case ERROR_KINDS.SERVER:
+      return `${service} is having problems (HTTP ${status}) — try again later.`;
+    case ERROR_KINDS.NETWORK:
+      return `Could not reach ${service} — check your internet connection.`;
+    default:
+      return `${service} rejected the request (HTTP ${status}).`;
+  }
+}
+
+/**
+ * Sends a request, retrying rate limits, server errors and network errors.
+ * Resolves only with a successful response; everything else becomes a
+ * ProviderHttpError. Aborting the request's signal stops the retries.
+ * 
+ * @param {string} url - The URL to fetch
+ * @param {Object} options - The fetch options, including the signal
+ * @param {Object} meta - Describes the service for error messages
+ * @param {string} meta.service - The service name, e.g. 'Groq'
+ * @param {string} [meta.keyName] - The storage key of the API key used
+ * @returns {Promise<Response>} The successful response
+ */
+export async function request(url, options, { service, keyName }) {
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(url, options);
+    } catch (error) {
+      if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+        throw error;
+      }
+      console.warn(`${service} request failed:`, error);
+      if (attempt >= MAX_RETRIES) {
+        throw new ProviderHttpError(ERROR_KINDS.NETWORK, service, { keyName });
+      }
+      await sleep(getBackoff(attempt), options.signal);
+      continue;
+    }
+
+    if (response.ok) {
+      return response;
+    }
+
+    const { status } = response;
+    console.warn(`${service} responded with HTTP ${status}`);
+
+    if (status === 401 || status === 403) {
+      throw new ProviderHttpError(ERROR_KINDS.AUTH, service, { status, keyName });
+    }
+
+    if (status === 429) {
+      const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      if (attempt >= MAX_RETRIES || retryAfterMs > MAX_RETRY_AFTER_MS) {
+        throw new ProviderHttpError(ERROR_KINDS.RATE_LIMIT, service, { status, retryAfterMs, keyName });
+      }
+      await sleep(retryAfterMs ?? getBackoff(attempt), options.signal);
+      continue;
+    }
+
+    if (status >= 500) {
+      if (attempt >= MAX_RETRIES) {
+        throw new ProviderHttpError(ERROR_KINDS.SERVER, service, { status, keyName });
+      }
+      await sleep(getBackoff(attempt), options.signal);
+      continue;
+    }
+
+    throw new ProviderHttpError(ERROR_KINDS.REQUEST, service, { status, keyName });
+  }
+}
+
+/**
+ * Sends a request and parses the JSON reply, see request().
+ * 
+ * @param {string} url - The URL to fetch
+ * @param {Object} options - The fetch options
+ * @param {Object} meta - Describes the service, see request()
+ * @returns {Promise<Object>} The parsed reply
+ */
+export async function requestJson(url, options, meta) {
+  const response = await request(url, options, meta);
+  return response.json();
+}
+
+/**
+ * Parses a Retry-After header, given either in seconds or as an HTTP date.
+ * 
+ * @param {string|null} value - The header value
+ * @returns {number|undefined} The wait in milliseconds, or undefined if absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Returns the wait before the next retry: exponential backoff with full
+ * jitter, so that clients retrying together spread out.
+ * 
+ * @param {number} attempt - The zero-based attempt that just failed
+ * @returns {number} The wait in milliseconds
+ */
+function getBackoff(attempt) {
+  const ceiling = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Waits for the given time, rejecting early if the signal aborts.
+ * 
+ * @param {number} ms - The time to wait in milliseconds
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>} Resolves after the wait
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
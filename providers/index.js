@@ -0,0 +1,16 @@
+/**
+ * @fileoverview Registers the built-in fact-check providers.
+ * To add a backend, implement the FactCheckProvider interface in its own
+ * module and register it below.
+ */
+
+import { registerProvider } from './registry.js';
+import { perplexityProvider } from './perplexity.js';
+import { groqToolhouseProvider } from './groq-toolhouse.js';
+import { customOpenAiProvider } from './custom-openai.js';
+
+registerProvider(perplexityProvider);
+registerProvider(groqToolhouseProvider);
+registerProvider(customOpenAiProvider);
+
+export { getProviders, getAvailableProviders, getKeyNames, registerProvider } from './registry.js';
@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Perplexity fact-check provider.
+ * Perplexity searches the web itself, so a single chat completion is enough.
+ */
+
+import { formatPageContext } from '../page-context.js';
+import { parseVerdict, getDomain, VERDICT_SCHEMA } from '../verdict.js';
+import { readEventStream } from './streaming.js';
+import { request, requestJson } from './http.js';
+import { getProviderConfig, buildCheckPrompts } from '../provider-config.js';
+
+// Constants
+const API_URL = 'https://api.perplexity.ai/chat/completions';
+const MODELS = ['sonar', 'sonar-pro', 'sonar-reasoning', 'sonar-reasoning-pro'];
+const MODEL = 'sonar';
+const TOKEN_LIMIT = 2048;
+const TEMP = 0.1;
+const SERVICE = { service: 'Perplexity', keyName: 'apiKey' };
+
+const SYSTEM_PROMPT = `You are a multilingual fact-checking assistant. Your primary tasks are:
+
+1. Detect the language of the given text.
+2. Respond in the same language as the detected language of the input text.
+3. Focus specifically on fact-checking the given selected text, not the entire article or page.
+4. Find and provide reliable sources for the claims in the selected text, ensuring they are from different domains and strictly related to the subject.
+5. Aim to provide 5-10 sources, prioritizing diversity of domains. Do not invent sources or include unrelated sources.
+6. Provide a truth percentage based on the reliability and consensus of the sources. The percentage should reflect how well the selected text is supported by the sources, not the number of sources found.
+7. Write a fact check (3-4 concise sentences) that directly addresses the claims in the selected text, and list a finding for each distinct claim.
+8. Provide context (3-4 concise sentences) that places the selected text within the broader topic or article it's from.
+
+If you cannot find enough reliable sources to fact-check the statement, say so explicitly in the summary, explain why and set the score to null. If a claim is widely accepted as common knowledge, state this and provide general reference sources.`;
+
+/**
+ * Builds the fetch options for a Perplexity chat completion request.
+ * 
+ * @param {Array<Object>} messages - The chat messages
+ * @param {string} apiKey - The Perplexity API key
+ * @param {import('../provider-config.js').ProviderConfig} config - The model settings
+ * @param {Object} extraBody - Additional request body fields
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Object} The fetch options
+ */
+function buildRequest(messages, apiKey, config, extraBody, signal) {
+  return {
+    method: 'POST',
+    signal,
+    headers: {
+      'accept': 'application/json',
+      'content-type': 'application/json',
+      'authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({
+      model: config.model,
+      messages,
+      max_tokens: config.maxTokens,
+      temperature: config.temperature,
+      return_citations: true,
+      ...extraBody
+    })
+  };
+}
+
+/**
+ * Sends a chat completion request to the Perplexity AI API.
+ * 
+ * @param {Array<Object>} messages - The chat messages
+ * @param {string} apiKey - The Perplexity API key
+ * @param {import('../provider-config.js').ProviderConfig} config - The model settings
+ * @param {Object} [extraBody={}] - Additional request body fields
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<string>} The content of the reply
+ */
+async function queryPerplexityAI(messages, apiKey, config, extraBody = {}, signal) {
+  const result = await requestJson(API_URL, buildRequest(messages, apiKey, config, extraBody, signal), SERVICE);
+
+  console.log('Perplexity API response:', result);
+
+  if (result.choices && result.choices.length > 0) {
+    return result.choices[0].message.content;
+  } else {
+    throw new Error('Invalid response from Perplexity API');
+  }
+}
+
+/**
+ * Streams a chat completion from the Perplexity AI API.
+ * Perplexity sends its search results with the first chunks, long before the
+ * answer is complete, so they are reported as soon as they appear.
+ * 
+ * @param {Array<Object>} messages - The chat messages
+ * @param {string} apiKey - The Perplexity API key
+ * @param {import('../provider-config.js').ProviderConfig} config - The model settings
+ * @param {Object} extraBody - Additional request body fields
+ * @param {function(Object[]): void} onSources - Called once with the sources found
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<string>} The content of the reply
+ */
+async function streamPerplexityAI(messages, apiKey, config, extraBody, onSources, signal) {
+  const response = await request(API_URL, buildRequest(messages, apiKey, config, { ...extraBody, stream: true }, signal), SERVICE);
+  if (!response.body) {
+    throw new Error('Invalid response from Perplexity API');
+  }
+
+  let content = '';
+  let sourcesReported = false;
+  await readEventStream(response, (chunk) => {
+    if (!sourcesReported) {
+      const sources = extractStreamSources(chunk);
+      if (sources.length > 0) {
+        sourcesReported = true;
+        onSources(sources);
+      }
+    }
+    const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+    if (delta && delta.content) {
+      content += delta.content;
+    }
+  });
+
+  console.log('Perplexity API streamed response:', content);
+
+  if (!content) {
+    throw new Error('Invalid response from Perplexity API');
+  }
+  return content;
+}
+
+/**
+ * Reads the search results from a streamed chunk, if it carries any.
+ * 
+ * @param {Object} chunk - The parsed stream event
+ * @returns {Object[]} Sources in the verdict schema shape
+ */
+function extractStreamSources(chunk) {
+  if (Array.isArray(chunk.search_results) && chunk.search_results.length > 0) {
+    return chunk.search_results.map((result, i) => ({
+      index: i + 1,
+      title: result.title || getDomain(result.url),
+      url: result.url,
+      domain: getDomain(result.url)
+    }));
+  }
+  if (Array.isArray(chunk.citations)) {
+    return chunk.citations.map((citationUrl, i) => ({
+      index: i + 1,
+      title: getDomain(citationUrl),
+      url: citationUrl,
+      domain: getDomain(citationUrl)
+    }));
+  }
+  return [];
+}
+
+/** @type {import('./registry.js').FactCheckProvider} */
+export const perplexityProvider = {
+  id: 'perplexity',
+  name: 'Perplexity',
+  requiredKeys: ['apiKey'],
+  promptVersion: 2,
+  models: MODELS,
+  defaults: { model: MODEL, temperature: TEMP, maxTokens: TOKEN_LIMIT },
+  systemPrompt: SYSTEM_PROMPT,
+
+  /**
+   * Fact checks the text with Perplexity.
+   * 
+   * @param {string} text - The text to fact check
+   * @param {import('../page-context.js').PageContext|null} context - The article the text was selected from
+   * @param {string} url - The URL of the current page
+   * @param {Object} options - Run options
+   * @param {Object} options.keys - The stored API keys
+   * @param {function(Object[]): void} [options.onSources] - Called with the sources before the verdict is ready
+   * @param {AbortSignal} [options.signal] - Cancels the check
+   * @param {import('../provider-config.js').ProviderConfig} [options.config] - The model settings; defaults to the built-in ones
+   * @returns {Promise<Object>} The structured verdict
+   */
+  async check(text, context, url, { keys, onSources, signal, config = getProviderConfig(perplexityProvider) }) {
+    const { systemPrompt, userPrompt } = buildCheckPrompts(config.systemPrompt,
+      { selection: text, pageContext: formatPageContext(context), url });
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ];
+    const extraBody = {
+      response_format: {
+        type: 'json_schema',
+        json_schema: { schema: VERDICT_SCHEMA }
+      }
+    };
+    const raw = onSources
+      ? await streamPerplexityAI(messages, keys.apiKey, config, extraBody, onSources, signal)
+      : await queryPerplexityAI(messages, keys.apiKey, config, extraBody, signal);
+    return parseVerdict(raw);
+  },
+
+  /**
+   * Runs a plain prompt through Perplexity, for helper passes such as claim decomposition.
+   * 
+   * @param {string} systemPrompt - The system prompt
+   * @param {string} userPrompt - The user prompt
+   * @param {Object} options - Run options
+   * @param {Object} options.keys - The stored API keys
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {import('../provider-config.js').ProviderConfig} [options.config] - The model settings; only the model,
+   *     temperature and token limit apply
+   * @returns {Promise<string>} The content of the reply
+   */
+  complete(systemPrompt, userPrompt, { keys, signal, config = getProviderConfig(perplexityProvider) }) {
+    return queryPerplexityAI([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ], keys.apiKey, config, {}, signal);
+  },
+
+  /**
+   * Runs a prompt that needs web research, such as a quote lookup. Sonar
+   * searches the web for every completion, so this is complete() itself.
+   * 
+   * @param {string} systemPrompt - The system prompt
+   * @param {string} userPrompt - The user prompt
+   * @param {Object} options - Run options
+   * @param {Object} options.keys - The stored API keys
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {import('../provider-config.js').ProviderConfig} [options.config] - The model settings
+   * @returns {Promise<string>} The content of the reply
+   */
+  research(systemPrompt, userPrompt, { keys, signal, config }) {
+    return this.complete(systemPrompt, userPrompt, { keys, signal, config });
+  },
+
+  /**
+   * Tests the API key with a one-token completion.
+   * 
+   * @param {Object} keys - The keys to test
+   * @param {Object} options - Run options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {import('../provider-config.js').ProviderConfig} [options.config] - The model settings; only the model applies
+   * @returns {Promise<void>}
+   */
+  async testKeys(keys, { signal, config = getProviderConfig(perplexityProvider) }) {
+    await queryPerplexityAI([{ role: 'user', content: 'Reply with OK.' }], keys.apiKey, { ...config, maxTokens: 1, temperature: 0 }, {}, signal);
+  }
+};
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Registry of fact-check providers.
+ * Every backend the extension can query registers itself here so that the
+ * orchestration code never needs to know which providers exist.
+ */
+
+/**
+ * @typedef {Object} FactCheckProvider
+ * @property {string} id - Stable identifier, e.g. 'perplexity'
+ * @property {string} name - Human readable name shown in results
+ * @property {string[]} requiredKeys - Storage keys that must be set for the provider to run
+ * @property {string[]} [optionalKeys] - Storage keys the provider uses when they are set
+ * @property {number} promptVersion - Bumped whenever the prompt changes, invalidating cached verdicts
+ * @property {number} timeoutMs - How long a check may take before the provider counts as timed out
+ * @property {string[]} [models] - The models the user can pick from; empty if there is no choice
+ * @property {{model: string, temperature: number, maxTokens: number}} [defaults] - The built-in model settings
+ * @property {string} [systemPrompt] - The built-in system prompt, see provider-config.js
+ * @property {function(Object): string} [describeModel] -
+ *     Optional; names the model the keys select, for providers whose model is not picked from models
+ * @property {function(string, ?Object, string, Object): Promise<Object>} check -
+ *     Fact checks (text, context, url, options) and resolves to a structured verdict.
+ *     options holds the keys, the model settings (config), an AbortSignal to pass to fetch(), an optional
+ *     onSources(sources) callback for reporting sources before the verdict is ready
+ *     and an optional domain reputation lookup, see reputation.js
+ * @property {function(string, string, Object): Promise<string>} [complete] -
+ *     Optional; runs a plain (systemPrompt, userPrompt, options) completion for helper passes
+ * @property {function(string, string, Object): Promise<string>} [research] -
+ *     Optional; like complete(), but the answer is grounded in a web search for options.query
+ * @property {function(Object, Object): Promise<void>} [testKeys] -
+ *     Optional; makes the smallest request each key allows, with (keys, { signal, config }), and
+ *     rejects with the request's error if one fails, see key-test.js
+ */
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const providers = new Map();
+
+/**
+ * Registers a provider, replacing any provider with the same id.
+ * 
+ * @param {FactCheckProvider} provider - The provider to register
+ */
+export function registerProvider(provider) {
+  if (!provider || !provider.id || !provider.name || typeof provider.check !== 'function') {
+    throw new Error('Invalid provider: id, name and check() are required');
+  }
+  providers.set(provider.id, {
+    requiredKeys: [],
+    optionalKeys: [],
+    promptVersion: 1,
+    models: [],
+    defaults: {},
+    systemPrompt: '',
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    ...provider
+  });
+}
+
+/**
+ * Returns every registered provider in registration order.
+ * 
+ * @returns {FactCheckProvider[]} The registered providers
+ */
+export function getProviders() {
+  return Array.from(providers.values());
+}
+
+/**
+ * Returns the providers whose required keys are all present.
+ * 
+ * @param {Object} keys - The stored API keys
+ * @returns {FactCheckProvider[]} The providers that can run
+ */
+export function getAvailableProviders(keys) {
+  return getProviders().filter(provider => provider.requiredKeys.every(key => keys && keys[key]));
+}
+
+/**
+ * Returns the names of every storage key used by the registered providers.
+ * 
+ * @returns {string[]} The unique key names
+ */
+export function getKeyNames() {
+  const names = new Set();
+  getProviders().forEach(provider => {
+    provider.requiredKeys.forEach(key => names.add(key));
+    provider.optionalKeys.forEach(key => names.add(key));
+  });
+  return Array.from(names);
+}
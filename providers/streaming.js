@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Reads server-sent event streams from chat completion APIs.
+ */
+
+/**
+ * Reads a server-sent event stream, passing each JSON data payload to the
+ * callback. The "[DONE]" sentinel and malformed events are skipped.
+ * 
+ * @param {Response} response - The fetch response with a streaming body
+ * @param {function(Object): void} onData - Called with every parsed event payload
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export async function readEventStream(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const flush = (event) => {
+    const data = event
+      .split('\n')
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trimStart())
+      .join('\n');
+    if (!data || data === '[DONE]') {
+      return;
+    }
+    try {
+      onData(JSON.parse(data));
+    } catch (error) {
+      console.warn('Skipping malformed stream event:', data);
+    }
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      flush(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+  flush(buffer);
+}
@@ -0,0 +1,277 @@
+/**
+ * @fileoverview Quote provenance checks.
+ * When the selection quotes someone, the first provider that can search the
+ * web identifies the speaker and looks up the original wording. The quote is
+ * then compared with the original word by word and classified as exact,
+ * paraphrased, truncated or out of context, or fabricated.
+ */
+
+import { getAvailableProviders } from './providers/index.js';
+import { formatPageContext } from './page-context.js';
+import { getDomain } from './verdict.js';
+
+// Constants
+// Shorter quotations are usually scare quotes or titles rather than quotes
+const MIN_QUOTE_WORDS = 4;
+// Long originals are cut to this many words before diffing
+const MAX_ORIGINAL_WORDS = 400;
+// Share of the quoted words the original must contain, in order, for a paraphrase
+const PARAPHRASE_COVERAGE = 0.5;
+// Curly, straight, guillemet, German and CJK quotation marks; single quotes
+// are left out because they cannot be told apart from apostrophes
+const QUOTE_PATTERNS = [/“([^”]+)”/g, /"([^"]+)"/g, /«([^»]+)»/g, /„([^“”]+)[“”]/g, /「([^」]+)」/g];
+
+/**
+ * The quote verdicts, from most to least faithful.
+ */
+export const QUOTE_VERDICTS = {
+  'exact': { label: 'Exact quote' },
+  'paraphrased': { label: 'Paraphrased' },
+  'truncated-out-of-context': { label: 'Truncated or out of context' },
+  'fabricated': { label: 'Fabricated' }
+};
+
+const QUOTE_PROMPT = `You trace quotations back to their origin. The user gives you a quotation and the text it appears in.
+
+1. Identify who the quotation is attributed to. Use the text and the page if the speaker is not named.
+2. Search for the original statement: a transcript, a recording, an official publication or a first-hand report.
+3. Copy the original wording exactly as it was said or written, together with the sentence before and after the quoted part. Do not correct, translate or shorten it.
+4. Decide whether the quotation, as it is used in the text, changes the meaning of the original, e.g. by leaving out a qualifier, a negation or the question it answered.
+5. If you cannot find the original, or the speaker never said it, set "original" to null. Never invent wording.
+6. Write the explanation in the language of the quotation.
+
+Respond with a single JSON object and nothing else:
+{
+  "speaker": "<who the quotation is attributed to, or null>",
+  "original": "<the original wording with the sentences around it, or null if it was not found>",
+  "date": "<when it was said, or null>",
+  "occasion": "<where it was said, e.g. an interview or a speech, or null>",
+  "source": { "title": "<title of the source>", "url": "<URL of the source>" },
+  "changesMeaning": <true or false>,
+  "explanation": "<one or two sentences on how the quotation relates to the original>"
+}`;
+
+/**
+ * @typedef {Object} QuoteCheck
+ * @property {string} quote - The quoted text from the selection
+ * @property {string|null} speaker - Who the quote is attributed to
+ * @property {string|null} original - The best-matching original wording, null if none was found
+ * @property {string|null} date - When the original was said
+ * @property {string|null} occasion - Where the original was said
+ * @property {Object|null} source - The source of the original, with title, url and domain
+ * @property {string} explanation - How the quote relates to the original
+ * @property {string} verdict - One of the QUOTE_VERDICTS keys
+ * @property {string} label - The verdict's label
+ * @property {number|null} coverage - Share of the quoted words found in the original
+ * @property {Array<{type: string, words: string[]}>} diff - The word diff, see diffWords()
+ * @property {string} provider - The id of the provider that looked up the original
+ * @property {string} providerName - Its name
+ */
+
+/**
+ * Finds the quotation in a selection. With several quotations the longest wins.
+ * 
+ * @param {string} text - The selected text
+ * @returns {string|null} The quoted words, or null if the text quotes nothing
+ */
+export function extractQuote(text) {
+  let best = null;
+  QUOTE_PATTERNS.forEach(pattern => {
+    for (const match of text.matchAll(pattern)) {
+      const quote = match[1].trim();
+      if (tokenize(quote).length >= MIN_QUOTE_WORDS && (!best || quote.length > best.length)) {
+        best = quote;
+      }
+    }
+  });
+  return best;
+}
+
+/**
+ * Checks where a quote comes from. Failures are logged and give null, so a
+ * missing original never breaks the fact check the quote is part of.
+ * 
+ * @param {string} quote - The quote, see extractQuote()
+ * @param {string} text - The whole selection, which may name the speaker
+ * @param {Object|null} context - The page context from the content script, see page-context.js
+ * @param {string} url - The URL of the current page
+ * @param {Object} keys - The stored API keys
+ * @param {Object} [options={}] - Run options
+ * @param {AbortSignal} [options.signal] - Cancels the check
+ * @param {Object<string, number>} [options.timeouts] - Timeout in milliseconds by provider id
+ * @param {Object<string, Object>} [options.providerConfigs] - Model settings by provider id, see provider-config.js
+ * @returns {Promise<QuoteCheck|null>} The quote check, or null if no provider could run it
+ */
+export async function checkQuote(quote, text, context, url, keys, { signal, timeouts, providerConfigs } = {}) {
+  const provider = getAvailableProviders(keys).find(candidate => typeof candidate.research === 'function');
+  if (!provider) {
+    return null;
+  }
+
+  const timeout = AbortSignal.timeout((timeouts && timeouts[provider.id]) || provider.timeoutMs);
+  const userPrompt = `Quotation: "${quote}"\n\nThe text it appears in: "${text}"\n\nThe page it was selected from:\n${formatPageContext(context)}\n\nPage URL: ${url}`;
+  try {
+    const raw = await provider.research(QUOTE_PROMPT, userPrompt, {
+      keys,
+      config: providerConfigs && providerConfigs[provider.id],
+      query: `original source of the quote "${quote}"`,
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    });
+    const reply = parseQuoteReply(raw);
+    if (!reply) {
+      console.warn('Could not parse quote check reply:', raw);
+      return null;
+    }
+    const original = reply.original ? tokenize(reply.original).slice(0, MAX_ORIGINAL_WORDS).join(' ') : null;
+    const diff = original ? diffWords(quote, original) : [];
+    const coverage = original ? measureCoverage(diff) : null;
+    const verdict = classifyQuote(coverage, reply.changesMeaning === true);
+    return {
+      quote,
+      speaker: reply.speaker || null,
+      original: reply.original || null,
+      date: reply.date || null,
+      occasion: reply.occasion || null,
+      source: reply.source && reply.source.url
+        ? { title: reply.source.title || getDomain(reply.source.url), url: reply.source.url, domain: getDomain(reply.source.url) }
+        : null,
+      explanation: reply.explanation || '',
+      verdict,
+      label: QUOTE_VERDICTS[verdict].label,
+      coverage,
+      diff,
+      provider: provider.id,
+      providerName: provider.name
+    };
+  } catch (error) {
+    if (!(signal && signal.aborted)) {
+      console.error(`Quote check with ${provider.name} failed:`, error);
+    }
+    return null;
+  }
+}
+
+/**
+ * Reads the JSON object out of a quote check reply.
+ * 
+ * @param {string} raw - The raw model output
+ * @returns {Object|null} The reply, or null if it was unusable
+ */
+function parseQuoteReply(raw) {
+  const start = (raw || '').indexOf('{');
+  const end = (raw || '').lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return null;
+  }
+  try {
+    const reply = JSON.parse(raw.slice(start, end + 1));
+    return reply && typeof reply === 'object' && !Array.isArray(reply) ? reply : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Splits text into words, keeping apostrophes inside words.
+ * 
+ * @param {string} text - The text to split
+ * @returns {string[]} The words
+ */
+function tokenize(text) {
+  return text.match(/[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu) || [];
+}
+
+/**
+ * Normalizes a word for comparison.
+ * 
+ * @param {string} word - The word
+ * @returns {string} The lower-cased word with straight apostrophes
+ */
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/’/g, "'");
+}
+
+/**
+ * Compares a quote with the original word by word, using the longest common
+ * subsequence. "same" words appear in both, "added" words only in the quote
+ * and "removed" words only in the original.
+ * 
+ * @param {string} quote - The quoted text
+ * @param {string} original - The original wording
+ * @returns {Array<{type: string, words: string[]}>} Runs of words in reading order
+ */
+export function diffWords(quote, original) {
+  const a = tokenize(quote);
+  const b = tokenize(original);
+  const na = a.map(normalizeWord);
+  const nb = b.map(normalizeWord);
+
+  // lengths[i][j] is the LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = na[i] === nb[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  const push = (type, word) => {
+    const last = diff[diff.length - 1];
+    if (last && last.type === type) {
+      last.words.push(word);
+    } else {
+      diff.push({ type, words: [word] });
+    }
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && na[i] === nb[j]) {
+      push('same', b[j]);
+      i++;
+      j++;
+    } else if (j < b.length && (i >= a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      push('removed', b[j]);
+      j++;
+    } else {
+      push('added', a[i]);
+      i++;
+    }
+  }
+  return diff;
+}
+
+/**
+ * Measures the share of the quoted words found in the original, in order.
+ * 
+ * @param {Array<{type: string, words: string[]}>} diff - The diff from diffWords()
+ * @returns {number} The share from 0 to 1
+ */
+function measureCoverage(diff) {
+  const count = type => diff
+    .filter(part => part.type === type)
+    .reduce((sum, part) => sum + part.words.length, 0);
+  const quoted = count('same') + count('added');
+  return quoted === 0 ? 0 : Math.round((count('same') / quoted) * 100) / 100;
+}
+
+/**
+ * Classifies a quote. The wording decides between exact, paraphrased and
+ * fabricated; a quote whose words are (mostly) right is still truncated or
+ * out of context if the provider found that it changes the original's meaning.
+ * 
+ * @param {number|null} coverage - Share of the quoted words in the original, null if none was found
+ * @param {boolean} changesMeaning - Whether the quote distorts the original
+ * @returns {string} One of the QUOTE_VERDICTS keys
+ */
+export function classifyQuote(coverage, changesMeaning) {
+  if (coverage === null || coverage < PARAPHRASE_COVERAGE) {
+    return 'fabricated';
+  }
+  if (changesMeaning) {
+    return 'truncated-out-of-context';
+  }
+  return coverage === 1 ? 'exact' : 'paraphrased';
+}
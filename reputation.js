@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Domain reputation database.
+ * The built-in list lives in domain-reputation.json, which the team edits by
+ * hand; users can override single domains in the settings. Every source gets
+ * a credibility category from the list, which drives the badges in the
+ * result card, the weight of the source in the score and the domains
+ * Toolhouse searches.
+ */
+
+import { getDomain } from './verdict.js';
+
+// Constants
+const REPUTATION_URL = 'domain-reputation.json';
+
+/**
+ * The credibility categories, from most to least reliable. quality (0 to 1)
+ * is how much a source of the category counts towards a verdict, see
+ * consensus.js; search says whether Toolhouse should include or exclude
+ * the category's domains.
+ */
+export const REPUTATION_CATEGORIES = {
+  'peer-reviewed': { label: 'Peer-reviewed', quality: 1, search: 'include' },
+  'government': { label: 'Government', quality: 0.9, search: 'include' },
+  'wire-service': { label: 'Wire service', quality: 0.9, search: 'include' },
+  'unrated': { label: 'Unrated', quality: 0.6, search: null },
+  'user-generated': { label: 'User-generated', quality: 0.3, search: null },
+  'tabloid': { label: 'Tabloid', quality: 0.2, search: 'exclude' },
+  'known-misinformation': { label: 'Known misinformation', quality: 0, search: 'exclude' }
+};
+
+export const UNRATED = 'unrated';
+
+// The built-in list, loaded once per page or worker
+let builtInList = null;
+
+/**
+ * Creates a reputation lookup from a category → domains list and per-domain overrides.
+ * A domain matches its own entry or that of any parent domain, so "gov"
+ * covers every .gov site; the most specific entry wins.
+ * 
+ * @param {Object<string, string[]>} list - Domains by category, as in domain-reputation.json
+ * @param {Object<string, string>} [overrides={}] - Category by domain, taking precedence over the list
+ * @param {Object} [options={}] - Lookup options
+ * @param {boolean} [options.restrictSearch=false] - Limit Toolhouse to the domains of trusted categories
+ * @returns {Object} The lookup, with categorize(), annotateSources() and getSearchDomains()
+ */
+export function createReputation(list, overrides = {}, { restrictSearch = false } = {}) {
+  const categories = new Map();
+  Object.entries(list).forEach(([category, domains]) => {
+    if (!REPUTATION_CATEGORIES[category]) {
+      console.warn('Unknown reputation category:', category);
+      return;
+    }
+    domains.forEach(domain => categories.set(domain.toLowerCase(), category));
+  });
+  Object.entries(overrides).forEach(([domain, category]) => {
+    if (REPUTATION_CATEGORIES[category]) {
+      categories.set(domain.toLowerCase(), category);
+    }
+  });
+
+  /**
+   * Finds the category of a domain or URL.
+   * 
+   * @param {string} domainOrUrl - A domain or a URL
+   * @returns {string} The category id, UNRATED if the domain is not listed
+   */
+  const categorize = (domainOrUrl) => {
+    const domain = (/^https?:\/\//i.test(domainOrUrl) ? getDomain(domainOrUrl) : domainOrUrl || '').toLowerCase();
+    const labels = domain.split('.');
+    for (let i = 0; i < labels.length; i++) {
+      const category = categories.get(labels.slice(i).join('.'));
+      if (category) {
+        return category;
+      }
+    }
+    return UNRATED;
+  };
+
+  /**
+   * Adds the credibility category to each source.
+   * 
+   * @param {Object[]} sources - Sources in the verdict schema shape
+   * @returns {Object[]} The sources with credibility { category, label }
+   */
+  const annotateSources = (sources) => sources.map(source => {
+    const category = categorize(source.domain || source.url);
+    return { ...source, credibility: { category, label: REPUTATION_CATEGORIES[category].label } };
+  });
+
+  /**
+   * Lists the domains Toolhouse should include and exclude. Suffix entries
+   * such as "gov" are left out, since they are not searchable domains.
+   * 
+   * @returns {{include: string[], exclude: string[]}} The search domains
+   */
+  const getSearchDomains = () => {
+    const include = [];
+    const exclude = [];
+    categories.forEach((category, domain) => {
+      if (!domain.includes('.')) return;
+      const { search } = REPUTATION_CATEGORIES[category];
+      if (search === 'exclude') exclude.push(domain);
+      if (search === 'include' && restrictSearch) include.push(domain);
+    });
+    return { include, exclude };
+  };
+
+  return { categorize, annotateSources, getSearchDomains };
+}
+
+/**
+ * Loads the built-in list and applies the user's overrides from the settings.
+ * 
+ * @param {Object} settings - The loaded settings, see settings.js
+ * @returns {Promise<Object>} The reputation lookup, see createReputation()
+ */
+export async function loadReputation(settings) {
+  if (!builtInList) {
+    try {
+      const response = await fetch(chrome.runtime.getURL(REPUTATION_URL));
+      builtInList = await response.json();
+    } catch (error) {
+      console.error('Error loading the domain reputation list:', error);
+      return createReputation({}, settings.domainOverrides, { restrictSearch: settings.restrictSearchToTrusted });
+    }
+  }
+  return createReputation(builtInList, settings.domainOverrides, { restrictSearch: settings.restrictSearchToTrusted });
+}
@@ -0,0 +1,293 @@
+/**
+ * @fileoverview User settings shared by the extension pages and the service worker.
+ * Settings live in chrome.storage.sync under a single "settings" object. They
+ * carry the version they were written with and are migrated forward on load,
+ * see MIGRATIONS; anything that does not match SETTINGS_SCHEMA falls back to
+ * its default. The edited system prompts are too long for the sync quota
+ * and stay on the device, in chrome.storage.local, see PROMPTS_ITEM. The API
+ * keys are not settings: they stay on the device as well, see keystore.js.
+ */
+
+import { validate } from './verdict.js';
+import { REPUTATION_CATEGORIES } from './reputation.js';
+import { loadStoredKeys, saveStoredKeys } from './keystore.js';
+
+export const SETTINGS_VERSION = 2;
+
+// The chrome.storage.local item holding the system prompt and its revision by provider id
+const PROMPTS_ITEM = 'providerPrompts';
+const PROMPT_FIELDS = ['systemPrompt', 'promptRevision'];
+
+// Storage items the popup wrote the provider keys to before version 2
+const LEGACY_KEY_NAMES = ['apiKey', 'groqApiKey', 'toolhouseApiKey', 'customBaseUrl', 'customModel', 'customApiKey'];
+
+export const DEFAULT_SETTINGS = {
+  version: SETTINGS_VERSION,
+  // How long a provider verdict is reused for the same claim; 0 disables the cache
+  cacheTtlHours: 24,
+  // Seconds each provider may take, by provider id; missing ids use the provider's default
+  providerTimeouts: {},
+  // Model, temperature, token limit and system prompt by provider id, see provider-config.js;
+  // the system prompts are stored on this device only, see PROMPTS_ITEM
+  providerConfigs: {},
+  // Credibility category by domain, overriding domain-reputation.json
+  domainOverrides: {},
+  // Only let Toolhouse search peer-reviewed, government and wire service domains
+  restrictSearchToTrusted: false,
+  // How many cited URLs per claim are fetched to check they work and back the claim; 0 disables
+  verifySourcesLimit: 8,
+  // Preferred caption language for video checks, e.g. "en"; empty uses the browser language
+  transcriptLanguage: '',
+  // Lowest score shown in green, goldenrod and orange; lower scores are red
+  scoreThresholds: { high: 80, medium: 60, low: 40 },
+  // Providers further apart than this many points contest each other, see consensus.js
+  contestedSpread: 40,
+  // Colours of the result box: 'system' follows the browser
+  theme: 'system',
+  // Text size of the result box in pixels
+  fontSize: 14,
+  // Send the article around the selection to the providers, not just the selection
+  sendPageContext: true,
+  // Keep completed checks in the history
+  saveHistory: true,
+  // Keep inspected images in the local image library, see image-library.js
+  rememberImages: true,
+  // Days a history entry is kept; 0 keeps entries until they are deleted
+  historyRetentionDays: 0,
+  // Most history entries kept, the oldest are dropped first; 0 for no limit
+  maxHistoryEntries: 1000
+};
+
+const PERCENT = { type: 'number', minimum: 0, maximum: 100 };
+
+export const SETTINGS_SCHEMA = {
+  type: 'object',
+  properties: {
+    version: { type: 'integer', minimum: 1 },
+    cacheTtlHours: { type: 'number', minimum: 0 },
+    providerTimeouts: { type: 'object', additionalProperties: { type: 'number', minimum: 1 } },
+    providerConfigs: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          model: { type: ['string', 'null'] },
+          temperature: { type: 'number', minimum: 0, maximum: 2 },
+          maxTokens: { type: 'integer', minimum: 1 },
+          systemPrompt: { type: ['string', 'null'] },
+          promptRevision: { type: 'integer', minimum: 0 }
+        }
+      }
+    },
+    domainOverrides: { type: 'object', additionalProperties: { enum: Object.keys(REPUTATION_CATEGORIES) } },
+    restrictSearchToTrusted: { type: 'boolean' },
+    verifySourcesLimit: { type: 'integer', minimum: 0 },
+    transcriptLanguage: { type: 'string' },
+    scoreThresholds: {
+      type: 'object',
+      required: ['high', 'medium', 'low'],
+      properties: { high: PERCENT, medium: PERCENT, low: PERCENT }
+    },
+    contestedSpread: { type: 'number', minimum: 1, maximum: 100 },
+    theme: { enum: ['system', 'light', 'dark'] },
+    fontSize: { type: 'integer', minimum: 10, maximum: 24 },
+    sendPageContext: { type: 'boolean' },
+    saveHistory: { type: 'boolean' },
+    rememberImages: { type: 'boolean' },
+    historyRetentionDays: { type: 'integer', minimum: 0 },
+    maxHistoryEntries: { type: 'integer', minimum: 0 }
+  }
+};
+
+/**
+ * The migrations, oldest first. Each brings settings written by the version
+ * before it up to its version; obsolete lists the storage items it took over,
+ * which are removed once the migrated settings are saved.
+ */
+const MIGRATIONS = [
+  {
+    // The provider keys the popup wrote next to the settings, or into them,
+    // move to this device's storage, never into the synced settings
+    version: 2,
+    obsolete: LEGACY_KEY_NAMES,
+    async migrate({ keys, ...settings }, stored) {
+      const legacyKeys = { ...keys };
+      LEGACY_KEY_NAMES.forEach(name => {
+        if (typeof stored[name] === 'string' && stored[name]) {
+          legacyKeys[name] = stored[name];
+        }
+      });
+      if (Object.keys(legacyKeys).length > 0) {
+        // Keys already saved on this device win
+        await saveStoredKeys({ ...legacyKeys, ...(await loadStoredKeys()) });
+      }
+      return settings;
+    }
+  }
+];
+
+/**
+ * Loads the settings, migrating them first if they were written by an older
+ * version and filling in defaults for anything not stored or invalid.
+ * 
+ * @returns {Promise<Object>} The settings
+ */
+export async function loadSettings() {
+  let { settings } = await chrome.storage.sync.get('settings');
+  if (!settings || (settings.version || 1) < SETTINGS_VERSION) {
+    settings = await migrateSettings();
+  }
+  const { [PROMPTS_ITEM]: prompts } = await chrome.storage.local.get(PROMPTS_ITEM);
+  return sanitizeSettings(joinPrompts(settings, prompts || {}));
+}
+
+/**
+ * Puts the prompts stored on this device into the provider configs of the
+ * synced settings. Prompts found in the synced settings themselves are
+ * ignored.
+ * 
+ * @param {Object} settings - The synced settings
+ * @param {Object<string, Object>} prompts - The stored prompts by provider id
+ * @returns {Object} The settings with the prompts
+ */
+function joinPrompts(settings, prompts) {
+  const synced = settings.providerConfigs && typeof settings.providerConfigs === 'object' ? settings.providerConfigs : {};
+  const providerConfigs = {};
+  new Set([...Object.keys(synced), ...Object.keys(prompts)]).forEach(id => {
+    const config = { ...synced[id] };
+    PROMPT_FIELDS.forEach(field => delete config[field]);
+    providerConfigs[id] = { ...config, ...prompts[id] };
+  });
+  return { ...settings, providerConfigs };
+}
+
+/**
+ * Takes the prompts out of the provider configs, the reverse of joinPrompts().
+ * 
+ * @param {Object} settings - The settings
+ * @returns {{settings: Object, prompts: Object<string, Object>}} The settings
+ *     to sync and the prompts to store on this device
+ */
+function splitPrompts(settings) {
+  const providerConfigs = {};
+  const prompts = {};
+  Object.entries(settings.providerConfigs).forEach(([id, config]) => {
+    const { systemPrompt, promptRevision, ...rest } = config;
+    providerConfigs[id] = rest;
+    if (systemPrompt != null || promptRevision) {
+      prompts[id] = { systemPrompt, promptRevision };
+    }
+  });
+  return { settings: { ...settings, providerConfigs }, prompts };
+}
+
+/**
+ * Brings the stored settings up to SETTINGS_VERSION, one migration at a
+ * time. Settings written by a newer version are left as they are. Running it
+ * twice is harmless, so the pages and the service worker may all start it.
+ * 
+ * @returns {Promise<Object>} The stored settings after migrating
+ */
+export async function migrateSettings() {
+  const stored = await chrome.storage.sync.get(null);
+  let settings = stored.settings || {};
+  const from = settings.version || 1;
+  if (from >= SETTINGS_VERSION) {
+    return settings;
+  }
+
+  const obsolete = [];
+  for (const migration of MIGRATIONS.filter(migration => migration.version > from)) {
+    settings = { ...(await migration.migrate(settings, stored)), version: migration.version };
+    obsolete.push(...(migration.obsolete || []));
+  }
+  await chrome.storage.sync.set({ settings });
+  // Only now that the settings are saved is nothing lost by removing the old items
+  if (obsolete.length > 0) {
+    await chrome.storage.sync.remove(obsolete);
+  }
+  console.log(`Migrated settings from version ${from} to ${SETTINGS_VERSION}`);
+  return settings;
+}
+
+/**
+ * Checks settings against SETTINGS_SCHEMA and the rules the schema cannot
+ * express.
+ * 
+ * @param {Object} settings - The settings to check
+ * @returns {string[]} The problems found, empty if the settings are valid
+ */
+export function validateSettings(settings) {
+  const errors = validate(SETTINGS_SCHEMA, settings, 'settings');
+  const thresholds = settings.scoreThresholds;
+  if (thresholds && !(thresholds.high > thresholds.medium && thresholds.medium > thresholds.low)) {
+    errors.push('settings.scoreThresholds should go down from high to medium to low');
+  }
+  return errors;
+}
+
+/**
+ * Merges stored settings over the defaults, keeping only the settings that
+ * pass validation. Settings this version does not know are dropped.
+ * 
+ * @param {Object} settings - The stored settings
+ * @returns {Object} The settings
+ */
+function sanitizeSettings(settings) {
+  const clean = { ...DEFAULT_SETTINGS };
+  Object.entries(settings).forEach(([name, value]) => {
+    if (!(name in SETTINGS_SCHEMA.properties) || name === 'version') {
+      return;
+    }
+    const errors = validateSettings({ [name]: value });
+    if (errors.length > 0) {
+      console.warn(`Ignoring invalid setting ${name}:`, errors);
+      return;
+    }
+    clean[name] = value;
+  });
+  return clean;
+}
+
+// Saves run one after another, so that saves started together do not each
+// write back the settings as they were before the others
+let pendingSave = Promise.resolve();
+
+/**
+ * Saves some settings, keeping the others.
+ * 
+ * @param {Object} changes - The settings to change
+ * @returns {Promise<Object>} The updated settings
+ * @throws {Error} If the changed settings are invalid; nothing is saved then
+ */
+export function saveSettings(changes) {
+  const save = pendingSave.then(async () => {
+    const settings = { ...(await loadSettings()), ...changes, version: SETTINGS_VERSION };
+    const errors = validateSettings(settings);
+    if (errors.length > 0) {
+      throw new Error(`Invalid settings: ${errors.join('; ')}`);
+    }
+    const split = splitPrompts(settings);
+    await chrome.storage.local.set({ [PROMPTS_ITEM]: split.prompts });
+    await chrome.storage.sync.set({ settings: split.settings });
+    return settings;
+  });
+  pendingSave = save.catch(() => {});
+  return save;
+}
+
+/**
+ * Converts the stored provider timeouts to the milliseconds runFactCheck() expects.
+ * 
+ * @param {Object} settings - The loaded settings
+ * @returns {Object<string, number>} Timeout in milliseconds by provider id
+ */
+export function getProviderTimeouts(settings) {
+  const timeouts = {};
+  Object.entries(settings.providerTimeouts || {}).forEach(([id, seconds]) => {
+    if (seconds > 0) {
+      timeouts[id] = seconds * 1000;
+    }
+  });
+  return timeouts;
+}
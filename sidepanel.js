@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Side panel script for the Fact Checker extension.
+ * Lists past fact checks with search, score filtering, re-opening and deletion.
+ */
+
+import { searchChecks, deleteCheck, getScoreBands } from './history.js';
+import { loadSettings } from './settings.js';
+
+// Constants
+const MSG_DISPLAY_TIME = 2000; // 2 seconds
+const SEARCH_DELAY = 200;
+
+/**
+ * Initializes the side panel when the DOM content is loaded.
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  const searchInput = document.getElementById('historySearch');
+  const bandSelect = document.getElementById('historyBand');
+  const historyList = document.getElementById('historyList');
+  const statusMsg = document.getElementById('status');
+
+  const { scoreThresholds } = await loadSettings();
+  bandSelect.innerHTML = Object.entries(getScoreBands(scoreThresholds))
+    .map(([key, band]) => `<option value="${key}">${band.label}</option>`)
+    .join('');
+
+  const refresh = () => renderHistory(historyList, searchInput.value, bandSelect.value, scoreThresholds, statusMsg);
+
+  let searchTimer = null;
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(refresh, SEARCH_DELAY);
+  });
+  bandSelect.addEventListener('change', refresh);
+
+  // Entry buttons are re-rendered on every search, so listen on the list
+  historyList.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-id]');
+    if (!button) return;
+
+    if (button.dataset.action === 'open') {
+      openEntry(button.dataset.id, statusMsg);
+    } else if (button.dataset.action === 'delete') {
+      deleteCheck(button.dataset.id).then(() => {
+        showStatus(statusMsg, 'Entry deleted.', 'success');
+        refresh();
+      });
+    }
+  });
+
+  refresh();
+});
+
+/**
+ * Renders the history entries matching the filters.
+ * 
+ * @param {HTMLElement} listElement - The element to render the entries into
+ * @param {string} query - The search text
+ * @param {string} band - The selected score band
+ * @param {Object} thresholds - The score thresholds, see settings.js
+ * @param {HTMLElement} statusElement - The status display element
+ */
+async function renderHistory(listElement, query, band, thresholds, statusElement) {
+  try {
+    const entries = await searchChecks({ query, band, thresholds });
+    if (entries.length === 0) {
+      listElement.innerHTML = '<p class="history-empty">No fact checks found.</p>';
+      return;
+    }
+
+    listElement.innerHTML = entries.map(entry => `
+      <div class="history-entry">
+        <div class="history-meta">
+          <span class="history-score" style="color: ${getColorForTruth(entry.score, thresholds)};">${entry.score === null ? 'N/A' : `${entry.score}%`}</span>
+          ${entry.result.consensus && entry.result.consensus.contested ? '<span class="history-contested">contested</span>' : ''}
+          <span>${escapeHtml(entry.domain || 'Popup')}</span>
+          <span>${new Date(entry.createdAt).toLocaleString()}</span>
+        </div>
+        <p class="history-text">${escapeHtml(entry.text)}</p>
+        <p class="history-providers" title="${escapeHtml(formatPromptVersions(entry.promptVersions))}">${escapeHtml(entry.providers.join(', '))} · ${entry.sources.length} sources</p>
+        <div class="history-actions">
+          <button data-action="open" data-id="${entry.id}">Open</button>
+          <button data-action="delete" data-id="${entry.id}" class="secondary-button">Delete</button>
+        </div>
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading history:', error);
+    showStatus(statusElement, `Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Lists the prompt versions an entry was checked with, e.g. 'Prompt versions: perplexity v1.2, groq v1'.
+ * 
+ * @param {Object<string, string>} [promptVersions] - The versions by provider id; missing in entries saved before they were recorded
+ * @returns {string} The list, or an empty string
+ */
+function formatPromptVersions(promptVersions) {
+  const versions = Object.entries(promptVersions || {});
+  return versions.length > 0
+    ? `Prompt versions: ${versions.map(([provider, version]) => `${provider} v${version}`).join(', ')}`
+    : '';
+}
+
+/**
+ * Asks the background worker to show an entry in the card on the active tab.
+ * 
+ * @param {string} id - The id of the history entry
+ * @param {HTMLElement} statusElement - The status display element
+ */
+function openEntry(id, statusElement) {
+  chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
+    if (tabs.length === 0) {
+      showStatus(statusElement, 'No active tab found', 'error');
+      return;
+    }
+    chrome.runtime.sendMessage({ action: 'openHistoryEntry', tabId: tabs[0].id, id }, (response) => {
+      if (response && !response.opened) {
+        showStatus(statusElement, response.error, 'error');
+      }
+    });
+  });
+}
+
+/**
+ * Gets the color for a truth score, using the same thresholds as the result box.
+ * 
+ * @param {number|null} score - The truth score
+ * @param {Object} thresholds - The score thresholds, see settings.js
+ * @returns {string} The color for the score
+ */
+function getColorForTruth(score, { high, medium, low }) {
+  if (score === null) return 'gray';
+  if (score >= high) return 'green';
+  if (score >= medium) return 'goldenrod';
+  if (score >= low) return 'orange';
+  return 'red';
+}
+
+/**
+ * Escapes text for safe insertion into HTML.
+ * 
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Displays a status message for a limited time.
+ * 
+ * @param {HTMLElement} element - The element to display the status in
+ * @param {string} message - The message to display
+ * @param {string} className - The CSS class to apply to the status element
+ */
+function showStatus(element, message, className) {
+  element.textContent = message;
+  element.className = className;
+  
+  setTimeout(() => {
+    element.textContent = '';
+    element.className = '';
+  }, MSG_DISPLAY_TIME);
+}
@@ -0,0 +1,289 @@
+/**
+ * @fileoverview Verifies the sources a provider cites.
+ * Models sometimes invent links, so every cited URL (up to a cap) is
+ * fetched: its HTTP status is recorded and its text is searched for the
+ * words of the passage that cites it. The URLs come from the model, or
+ * from the page through prompt injection, so addresses on the user's own
+ * machine or network are never opened.
+ */
+
+// Constants
+const DEFAULT_MAX_SOURCES = 8;
+const DEFAULT_TIMEOUT_MS = 8000;
+// Host names that only exist on the user's machine or network
+const LOCAL_HOST_NAME = /(?:^|\.)(?:localhost|local|internal|home\.arpa)$/;
+// Only the start of long pages is searched
+const MAX_PAGE_CHARS = 200000;
+// Share of the passage's key words the page must contain to support it
+const SUPPORT_THRESHOLD = 0.5;
+const MIN_WORD_LENGTH = 4;
+const STOPWORDS = new Set([
+  'that', 'this', 'with', 'from', 'have', 'been', 'were', 'which', 'their', 'there',
+  'they', 'than', 'then', 'also', 'about', 'into', 'more', 'most', 'some', 'such',
+  'what', 'when', 'where', 'while', 'would', 'could', 'should', 'these', 'those',
+  'other', 'over', 'only', 'very', 'said', 'says', 'according', 'source', 'sources'
+]);
+
+/**
+ * Verification states of a source, and how much of its weight it keeps in
+ * the truth score, see consensus.js.
+ */
+export const VERIFICATION_STATUSES = {
+  supported: { label: 'Verified', weight: 1 },
+  // The page loads, but no passage cites it, so there was nothing to look for
+  reachable: { label: 'Link works', weight: 1 },
+  unsupported: { label: 'Does not mention the claim', weight: 0.4 },
+  dead: { label: 'Dead link', weight: 0 },
+  unreachable: { label: 'Unreachable', weight: 0 },
+  // The site refused us (paywall or bot protection) or the page is not text, so nothing is known
+  blocked: { label: 'Could not be checked', weight: 1 },
+  // A loopback, link-local or private address: never opened, and no public source
+  private: { label: 'Private address', weight: 0 },
+  unchecked: { label: 'Not checked', weight: 1 }
+};
+
+/**
+ * The host permission the verifier needs to open cited pages. It is
+ * optional and asked for on the options page when verification is turned on.
+ */
+export const SOURCE_PERMISSION = { origins: ['<all_urls>'] };
+
+/**
+ * @typedef {Object} SourceVerification
+ * @property {string} status - One of the VERIFICATION_STATUSES keys
+ * @property {number|null} httpStatus - The HTTP status, null if no response arrived
+ * @property {number|null} support - Share of the passage's key words found on the page
+ */
+
+/**
+ * Creates a source verifier.
+ * 
+ * @param {Object} [options={}] - Verifier options
+ * @param {number} [options.maxSources=8] - The most URLs fetched per claim; the rest stay unchecked
+ * @param {number} [options.timeoutMs=8000] - How long to wait for each page
+ * @param {Function} [options.fetch] - The fetch implementation, e.g. one pointed at a stub server
+ * @returns {{verify: Function}} The verifier
+ */
+export function createSourceVerifier({
+  maxSources = DEFAULT_MAX_SOURCES,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  fetch: fetchImpl = (...args) => fetch(...args)
+} = {}) {
+  /**
+   * Verifies the given URLs in parallel.
+   * 
+   * @param {Array<{url: string, passage: string}>} citations - Each URL with the text that cites it
+   * @param {AbortSignal} [signal] - Cancels the verification
+   * @returns {Promise<Map<string, SourceVerification>>} The verification of each URL
+   */
+  const verify = async (citations, signal) => {
+    const results = new Map();
+    await Promise.all(citations.map(async ({ url, passage }, i) => {
+      if (i >= maxSources) {
+        results.set(url, { status: 'unchecked', httpStatus: null, support: null });
+        return;
+      }
+      results.set(url, await verifyUrl(url, passage, fetchImpl, timeoutMs, signal));
+    }));
+    return results;
+  };
+
+  return { verify };
+}
+
+/**
+ * Fetches one URL and checks it against the passage citing it.
+ * 
+ * @param {string} url - The cited URL
+ * @param {string} passage - The text that cites it
+ * @param {Function} fetchImpl - The fetch implementation
+ * @param {number} timeoutMs - How long to wait for the page
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<SourceVerification>} The verification
+ */
+async function verifyUrl(url, passage, fetchImpl, timeoutMs, signal) {
+  if (!/^https?:\/\//i.test(url)) {
+    return { status: 'dead', httpStatus: null, support: null };
+  }
+  if (isPrivateUrl(url)) {
+    return { status: 'private', httpStatus: null, support: null };
+  }
+
+  const timeout = AbortSignal.timeout(timeoutMs);
+  let response;
+  try {
+    response = await fetchImpl(url, {
+      credentials: 'omit',
+      redirect: 'follow',
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    });
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw error;
+    }
+    console.warn('Could not fetch source:', url, error);
+    return { status: 'unreachable', httpStatus: null, support: null };
+  }
+
+  const httpStatus = response.status;
+  // A public URL may redirect into the local network; the page is then not read
+  if (response.url && isPrivateUrl(response.url)) {
+    return { status: 'private', httpStatus: null, support: null };
+  }
+  if ([401, 403, 429].includes(httpStatus)) {
+    return { status: 'blocked', httpStatus, support: null };
+  }
+  if (!response.ok) {
+    return { status: 'dead', httpStatus, support: null };
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (contentType && !/text\/|html|xml|json/i.test(contentType)) {
+    return { status: 'blocked', httpStatus, support: null };
+  }
+
+  let text;
+  try {
+    text = extractText((await response.text()).slice(0, MAX_PAGE_CHARS));
+  } catch (error) {
+    console.warn('Could not read source:', url, error);
+    return { status: 'blocked', httpStatus, support: null };
+  }
+
+  const support = measureSupport(passage, text);
+  if (support === null) {
+    return { status: 'reachable', httpStatus, support };
+  }
+  return { status: support >= SUPPORT_THRESHOLD ? 'supported' : 'unsupported', httpStatus, support };
+}
+
+/**
+ * Checks whether a URL points at the user's own machine or network: a
+ * loopback, link-local, private or otherwise non-public IP address, or a
+ * local host name. Host names are not resolved, so a public name that
+ * resolves to a private address is not caught.
+ * 
+ * @param {string} url - The URL
+ * @returns {boolean} True if the URL must not be opened; also for URLs that cannot be parsed
+ */
+export function isPrivateUrl(url) {
+  let hostname;
+  try {
+    // The URL parser normalizes IPv4 in any notation, e.g. 0x7f.1 or 2130706433
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return true;
+  }
+  // Single-label names such as "intranet" only resolve inside a network
+  if (LOCAL_HOST_NAME.test(hostname) || (!hostname.includes('.') && !hostname.startsWith('['))) {
+    return true;
+  }
+  const ipv4 = hostname.match(/^(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (ipv4) {
+    return isPrivateIpv4(ipv4.slice(1).map(Number));
+  }
+  if (hostname.startsWith('[')) {
+    return isPrivateIpv6(hostname.slice(1, -1));
+  }
+  return false;
+}
+
+/**
+ * Checks whether an IPv4 address is not publicly routable.
+ * 
+ * @param {number[]} octets - The four octets
+ * @returns {boolean} True for this-network, private, shared, loopback, link-local,
+ *     multicast and reserved addresses
+ */
+function isPrivateIpv4([a, b]) {
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168);
+}
+
+/**
+ * Checks whether an IPv6 address is not publicly routable.
+ * 
+ * @param {string} address - The address as normalized by the URL parser, without brackets
+ * @returns {boolean} True for the unspecified and loopback addresses, unique local and
+ *     link-local addresses, and IPv4-mapped private addresses
+ */
+function isPrivateIpv6(address) {
+  if (address === '::' || address === '::1' || /^f[cd]/.test(address) || /^fe[89ab]/.test(address)) {
+    return true;
+  }
+  // The parser writes ::ffff:127.0.0.1 as ::ffff:7f00:1
+  const mapped = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mapped) {
+    const [high, low] = mapped.slice(1).map(hex => parseInt(hex, 16));
+    return isPrivateIpv4([high >> 8, high & 0xff, low >> 8, low & 0xff]);
+  }
+  return false;
+}
+
+/**
+ * Reduces an HTML page to its visible text. A regular expression pass is
+ * enough for word matching and also works in the service worker, which has
+ * no DOMParser.
+ * 
+ * @param {string} html - The page source
+ * @returns {string} The lower-cased text
+ */
+export function extractText(html) {
+  return html
+    .replace(/<(script|style|noscript|template)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code)))
+    .replace(/&[a-z]+;/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+}
+
+/**
+ * Measures how much of a passage a page covers: the share of the passage's
+ * key words (numbers and longer non-stopwords) that appear on the page.
+ * 
+ * @param {string} passage - The text citing the page
+ * @param {string} pageText - The page text from extractText()
+ * @returns {number|null} The share from 0 to 1, null if the passage has no key words
+ */
+export function measureSupport(passage, pageText) {
+  const words = new Set((passage.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}.,%-]*[\p{L}\p{N}%]|\p{N}/gu) || [])
+    .map(word => word.replace(/,/g, ''))
+    .filter(word => /\d/.test(word) || (word.length >= MIN_WORD_LENGTH && !STOPWORDS.has(word))));
+  if (words.size === 0) {
+    return null;
+  }
+  const pageWords = new Set((pageText.match(/[\p{L}\p{N}][\p{L}\p{N}.,%-]*[\p{L}\p{N}%]|\p{N}/gu) || [])
+    .map(word => word.replace(/,/g, '')));
+  const found = Array.from(words).filter(word => pageWords.has(word)).length;
+  return Math.round((found / words.size) * 100) / 100;
+}
+
+/**
+ * Collects, for every source of the verdicts, the text that cites it: the
+ * summary and context sentences with its reference and the findings listing it.
+ * 
+ * @param {Object[]} verdicts - Provider verdicts, before sources are merged
+ * @returns {Array<{url: string, passage: string}>} The citations, one per URL
+ */
+export function collectCitations(verdicts) {
+  const passages = new Map();
+  verdicts.forEach(verdict => {
+    const sentences = `${verdict.summary || ''} ${verdict.context || ''}`.split(/(?<=[.!?])\s+/);
+    (verdict.sources || []).forEach(source => {
+      const reference = new RegExp(`\\[(?:\\d+,\\s*)*${source.index}(?:,\\s*\\d+)*\\]`);
+      const citing = sentences.filter(sentence => reference.test(sentence));
+      (verdict.findings || [])
+        .filter(finding => (finding.sources || []).includes(source.index))
+        .forEach(finding => citing.push(finding.claim));
+      const passage = citing.join(' ').replace(/\[[\d,\s]+\]/g, '');
+      passages.set(source.url, `${passages.get(source.url) || ''} ${passage}`.trim());
+    });
+  });
+  return Array.from(passages, ([url, passage]) => ({ url, passage }));
+}
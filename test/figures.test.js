@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Tests for the figure extraction in figures.js.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractFigures } from '../figures.js';
+
+/**
+ * Extracts the figures of a text as [text, value, unit] triples.
+ * 
+ * @param {string} text - The text
+ * @returns {Array<Array>} The figures
+ */
+function figuresOf(text) {
+  return extractFigures(text).map(figure => [figure.text, figure.value, figure.unit]);
+}
+
+test('extracts a plain integer at the end of a sentence', () => {
+  assert.deepEqual(figuresOf('There were 40.'), [['40', 40, null]]);
+  assert.deepEqual(figuresOf('The answer is 42'), [['42', 42, null]]);
+});
+
+test('extracts both sides of a ratio', () => {
+  assert.deepEqual(figuresOf('The vote was 3 to 1.'), [['3', 3, null], ['1', 1, null]]);
+  assert.deepEqual(figuresOf('They won 2:1'), [['2', 2, null], ['1', 1, null]]);
+});
+
+test('applies the scale of an amount of money and drops the word after it', () => {
+  assert.deepEqual(figuresOf('Revenue hit $3.2 billion last year.'), [['$3.2 billion', 3.2e9, 'USD']]);
+  assert.deepEqual(figuresOf('The deal was worth €5m in total.'), [['€5m', 5e6, 'EUR']]);
+  assert.deepEqual(figuresOf('It cost £40.'), [['£40', 40, 'GBP']]);
+});
+
+test('keeps the unit after a number and leaves other words out', () => {
+  assert.deepEqual(figuresOf('About 1,200 people came.'), [['1,200 people', 1200, 'people']]);
+  assert.deepEqual(figuresOf('Prices rose 4.1% in 2023.'), [['4.1%', 4.1, '%']]);
+  assert.deepEqual(figuresOf('It fell by 2 percentage points.'), [['2 percentage points', 2, 'percentage points']]);
+  assert.deepEqual(figuresOf('Sales grew 12 in March.'), [['12', 12, null]]);
+});
+
+test('treats years as dates rather than figures', () => {
+  const [figure] = extractFigures('Unemployment fell 2 percent in 2023.');
+  assert.equal(figure.text, '2 percent');
+  assert.equal(figure.comparison, 'fell');
+  assert.equal(figure.date, '2023');
+});
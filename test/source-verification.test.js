@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Tests for the source verifier in source-verification.js,
+ * run against a stub HTTP server.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createSourceVerifier, isPrivateUrl } from '../source-verification.js';
+
+// The stub runs on a loopback address, which the verifier never opens, so
+// the cited URLs use this public-looking host and are mapped to the stub
+const STUB_HOST = 'http://stub.test';
+const PASSAGE = 'The Eiffel Tower was completed in 1889 for the World Fair in Paris.';
+
+const PAGES = {
+  '/supported': [200, 'text/html', '<html><body><p>Completed in 1889, the Eiffel Tower opened for the World Fair in Paris.</p></body></html>'],
+  '/unsupported': [200, 'text/html', '<html><body><p>Recipes for a quick weeknight dinner.</p></body></html>'],
+  '/dead': [404, 'text/html', 'Not found'],
+  '/blocked': [403, 'text/html', 'Forbidden'],
+  '/image': [200, 'image/png', 'PNG']
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    if (request.url === '/hang') {
+      // Never answers, so the request times out
+      return;
+    }
+    if (request.url === '/to-local') {
+      response.writeHead(302, { location: `${baseUrl}/supported` });
+      response.end();
+      return;
+    }
+    const [status, type, body] = PAGES[request.url] || [404, 'text/plain', 'Not found'];
+    response.writeHead(status, { 'content-type': type });
+    response.end(body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+/**
+ * A fetch that sends requests for the stub host to the stub server. The
+ * final URL of a response that was not redirected is mapped back, so only
+ * redirects reveal the loopback address.
+ * 
+ * @param {string} url - The requested URL
+ * @param {Object} options - The fetch options
+ * @returns {Promise<Response>} The response
+ */
+async function stubFetch(url, options) {
+  const target = url.replace(STUB_HOST, baseUrl);
+  const response = await fetch(target, options);
+  if (response.url === target) {
+    Object.defineProperty(response, 'url', { value: url });
+  }
+  return response;
+}
+
+/**
+ * Verifies one path of the stub server.
+ * 
+ * @param {string} path - The path, e.g. '/dead'
+ * @param {Object} [options] - Verifier options
+ * @returns {Promise<Object>} The verification
+ */
+async function verifyPath(path, options = {}) {
+  const url = `${STUB_HOST}${path}`;
+  const results = await createSourceVerifier({ fetch: stubFetch, ...options }).verify([{ url, passage: PASSAGE }]);
+  return results.get(url);
+}
+
+test('marks a page that mentions the claim as supported', async () => {
+  const result = await verifyPath('/supported');
+  assert.equal(result.status, 'supported');
+  assert.equal(result.httpStatus, 200);
+  assert.ok(result.support >= 0.5);
+});
+
+test('marks a page that does not mention the claim as unsupported', async () => {
+  const result = await verifyPath('/unsupported');
+  assert.equal(result.status, 'unsupported');
+  assert.ok(result.support < 0.5);
+});
+
+test('marks a missing page as a dead link', async () => {
+  assert.deepEqual(await verifyPath('/dead'), { status: 'dead', httpStatus: 404, support: null });
+});
+
+test('marks a page that does not answer in time as unreachable', async () => {
+  assert.deepEqual(await verifyPath('/hang', { timeoutMs: 200 }), { status: 'unreachable', httpStatus: null, support: null });
+});
+
+test('marks a refused or non-text page as blocked', async () => {
+  assert.deepEqual(await verifyPath('/blocked'), { status: 'blocked', httpStatus: 403, support: null });
+  assert.equal((await verifyPath('/image')).status, 'blocked');
+});
+
+test('leaves the sources over the limit unchecked', async () => {
+  const citations = ['/supported', '/dead'].map(path => ({ url: `${STUB_HOST}${path}`, passage: PASSAGE }));
+  const results = await createSourceVerifier({ fetch: stubFetch, maxSources: 1 }).verify(citations);
+  assert.equal(results.get(`${STUB_HOST}/supported`).status, 'supported');
+  assert.equal(results.get(`${STUB_HOST}/dead`).status, 'unchecked');
+});
+
+test('never opens a private address, directly or after a redirect', async () => {
+  let requested = 0;
+  const countingFetch = (...args) => {
+    requested++;
+    return fetch(...args);
+  };
+  const direct = await createSourceVerifier({ fetch: countingFetch }).verify([{ url: `${baseUrl}/supported`, passage: PASSAGE }]);
+  assert.equal(direct.get(`${baseUrl}/supported`).status, 'private');
+  assert.equal(requested, 0);
+
+  assert.deepEqual(await verifyPath('/to-local'), { status: 'private', httpStatus: null, support: null });
+});
+
+test('recognises local and private hosts', () => {
+  const localUrls = [
+    'http://localhost:8080/', 'http://printer.local/', 'http://intranet/', 'http://127.0.0.1/',
+    'http://10.1.2.3/', 'http://172.20.0.1/', 'http://192.168.1.1/', 'http://169.254.169.254/',
+    'http://[::1]/', 'http://[fd00::1]/', 'http://[::ffff:127.0.0.1]/', 'not a url'
+  ];
+  const publicUrls = ['https://example.com/', 'http://8.8.8.8/', 'https://[2606:4700::1111]/', 'http://172.32.0.1/'];
+  localUrls.forEach(url => assert.equal(isPrivateUrl(url), true, url));
+  publicUrls.forEach(url => assert.equal(isPrivateUrl(url), false, url));
+});
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Groups timed transcript segments into claim-sized chunks.
+ * Caption segments are a few words each and often split sentences, so they
+ * are joined until a sentence ends or the chunk is long enough to hold a
+ * claim. Each chunk keeps the time range it covers, so a result can seek the
+ * video back to the claim.
+ */
+
+// Constants
+const MIN_CHUNK_LENGTH = 80;
+const MAX_CHUNK_LENGTH = 400;
+// Chunks shorter than this are small talk ("thanks for watching") and are dropped
+const MIN_CHECKWORTHY_LENGTH = 40;
+const MAX_CHUNKS = 30;
+
+/**
+ * @typedef {Object} TranscriptSegment
+ * @property {number} start - Start time in seconds
+ * @property {number} [end] - End time in seconds, if the source gives one
+ * @property {string} text - The caption text
+ */
+
+/**
+ * @typedef {Object} TranscriptChunk
+ * @property {number} start - Start time of the first segment in seconds
+ * @property {number} end - End time of the last segment in seconds
+ * @property {string} text - The joined text
+ */
+
+/**
+ * Joins timed segments into chunks of one or a few sentences. Captions
+ * without punctuation, such as auto-generated ones, are cut by length.
+ * Long videos are sampled evenly so the chunks cover the whole video.
+ * 
+ * @param {TranscriptSegment[]} segments - The segments in time order
+ * @param {Object} [options={}] - Chunking options
+ * @param {number} [options.maxChunks=30] - The most chunks returned
+ * @returns {TranscriptChunk[]} The chunks in time order
+ */
+export function chunkTranscript(segments, { maxChunks = MAX_CHUNKS } = {}) {
+  const chunks = [];
+  let current = null;
+
+  segments.forEach((segment, i) => {
+    const text = segment.text.replace(/\s+/g, ' ').trim();
+    if (!text) {
+      return;
+    }
+    const next = segments[i + 1];
+    const end = segment.end ?? (next ? next.start : segment.start);
+    if (!current) {
+      current = { start: segment.start, end, text };
+    } else {
+      current.end = end;
+      current.text += ` ${text}`;
+    }
+
+    const sentenceEnds = /[.!?。！？]["”’)]*$/.test(current.text);
+    if ((sentenceEnds && current.text.length >= MIN_CHUNK_LENGTH) || current.text.length >= MAX_CHUNK_LENGTH) {
+      chunks.push(current);
+      current = null;
+    }
+  });
+  if (current) {
+    chunks.push(current);
+  }
+
+  const checkworthy = chunks.filter(chunk => chunk.text.length >= MIN_CHECKWORTHY_LENGTH);
+  return sampleEvenly(checkworthy, maxChunks);
+}
+
+/**
+ * Picks up to max items spread evenly over the list, keeping their order.
+ * 
+ * @param {Array} items - The items
+ * @param {number} max - The most items to keep
+ * @returns {Array} The picked items
+ */
+function sampleEvenly(items, max) {
+  if (items.length <= max) {
+    return items;
+  }
+  const step = items.length / max;
+  return Array.from({ length: max }, (_, i) => items[Math.floor(i * step)]);
+}
@@ -0,0 +1,370 @@
+/**
+ * @fileoverview Turns raw model output into structured fact check verdicts.
+ * Providers are asked for a JSON verdict matching VERDICT_SCHEMA; replies that
+ * are not valid JSON fall back to the legacy markdown parser.
+ */
+
+export const VERDICT_SCHEMA_VERSION = 1;
+
+export const FINDING_VERDICTS = ['true', 'mostly-true', 'mixed', 'mostly-false', 'false', 'unverifiable'];
+
+/**
+ * JSON schema of a single provider verdict.
+ * Only the subset of JSON schema understood by validate() is used.
+ */
+export const VERDICT_SCHEMA = {
+  type: 'object',
+  required: ['schemaVersion', 'score', 'summary', 'sources'],
+  properties: {
+    schemaVersion: { type: 'integer', enum: [VERDICT_SCHEMA_VERSION] },
+    language: { type: 'string' },
+    score: { type: ['number', 'null'], minimum: 0, maximum: 100 },
+    summary: { type: 'string' },
+    context: { type: 'string' },
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['claim', 'verdict'],
+        properties: {
+          claim: { type: 'string' },
+          verdict: { type: 'string', enum: FINDING_VERDICTS },
+          explanation: { type: 'string' },
+          sources: { type: 'array', items: { type: 'integer' } }
+        }
+      }
+    },
+    sources: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['index', 'title', 'url'],
+        properties: {
+          index: { type: 'integer', minimum: 1 },
+          title: { type: 'string' },
+          url: { type: 'string' },
+          domain: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Output format appended to every provider's system prompt, see
+ * buildCheckPrompts() in provider-config.js.
+ */
+export const VERDICT_FORMAT_INSTRUCTIONS = `Respond with a single JSON object and nothing else. Keep the JSON keys in English exactly as shown, but write every text value in the detected language:
+
+{
+  "schemaVersion": ${VERDICT_SCHEMA_VERSION},
+  "language": "<ISO 639-1 code of the detected language>",
+  "score": <truth percentage from 0 to 100, or null if it cannot be determined>,
+  "summary": "<your fact check with inline source references, e.g. [1], [2]>",
+  "context": "<your context with inline source references, e.g. [1], [2]>",
+  "findings": [
+    { "claim": "<one claim from the text>", "verdict": "${FINDING_VERDICTS.join('" | "')}", "explanation": "<one sentence>", "sources": [<source indices>] }
+  ],
+  "sources": [
+    { "index": 1, "title": "<source title>", "url": "<source URL>", "domain": "<source domain>" }
+  ]
+}`;
+
+/**
+ * Maps a truth score onto the finding verdict scale, using the same bands as
+ * the truth meter colours.
+ * 
+ * @param {number|null} score - The truth score from 0 to 100
+ * @returns {string} One of FINDING_VERDICTS
+ */
+export function scoreToVerdict(score) {
+  if (typeof score !== 'number') return 'unverifiable';
+  if (score >= 80) return 'true';
+  if (score >= 60) return 'mostly-true';
+  if (score >= 40) return 'mixed';
+  if (score >= 20) return 'mostly-false';
+  return 'false';
+}
+
+/**
+ * Returns the JSON type name of a value, distinguishing integers and null.
+ * 
+ * @param {*} value - The value to inspect
+ * @returns {string} The JSON type name
+ */
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validates a value against a JSON schema subset (type, enum, required,
+ * properties, additionalProperties, items, minimum and maximum).
+ * 
+ * @param {Object} schema - The schema to validate against
+ * @param {*} value - The value to validate
+ * @param {string} [path='$'] - The path of the value, used in error messages
+ * @returns {string[]} The validation errors, empty if the value is valid
+ */
+export function validate(schema, value, path = '$') {
+  const errors = [];
+  const actualType = jsonType(value);
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = allowed.some(type => type === actualType || (type === 'number' && actualType === 'integer'));
+    if (!matches) {
+      return [`${path} should be ${allowed.join(' or ')}, got ${actualType}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} should be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+  }
+
+  if (actualType === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (key in value) {
+        errors.push(...validate(propertySchema, value[key], `${path}.${key}`));
+      }
+    });
+    if (schema.additionalProperties) {
+      Object.entries(value)
+        .filter(([key]) => !(schema.properties && key in schema.properties))
+        .forEach(([key, item]) => errors.push(...validate(schema.additionalProperties, item, `${path}.${key}`)));
+    }
+  }
+
+  if (actualType === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+  }
+
+  return errors;
+}
+
+/**
+ * Extracts the domain from a URL.
+ * 
+ * @param {string} url - The URL
+ * @returns {string} The host name without a leading "www.", or an empty string
+ */
+export function getDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Creates an empty verdict.
+ * 
+ * @returns {Object} A verdict with no score, findings or sources
+ */
+export function createEmptyVerdict() {
+  return {
+    schemaVersion: VERDICT_SCHEMA_VERSION,
+    language: 'und',
+    score: null,
+    summary: 'No fact check provided.',
+    context: 'No context provided.',
+    findings: [],
+    sources: []
+  };
+}
+
+/**
+ * Parses a model reply into a verdict.
+ * JSON replies are validated against VERDICT_SCHEMA; anything else goes
+ * through the legacy markdown parser.
+ * 
+ * @param {string} raw - The raw model output
+ * @returns {Object} The verdict
+ */
+export function parseVerdict(raw) {
+  if (!raw) {
+    return createEmptyVerdict();
+  }
+
+  const json = extractJson(raw);
+  if (json) {
+    const verdict = normalizeVerdict(json);
+    const errors = validate(VERDICT_SCHEMA, verdict);
+    if (errors.length === 0) {
+      return verdict;
+    }
+    console.warn('Verdict failed schema validation, falling back to markdown parser:', errors);
+  }
+
+  return fromLegacyResult(parseResult(raw));
+}
+
+/**
+ * Pulls the JSON object out of a model reply, tolerating code fences and
+ * surrounding prose.
+ * 
+ * @param {string} raw - The raw model output
+ * @returns {Object|null} The parsed object, or null if there is none
+ */
+function extractJson(raw) {
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return null;
+  }
+  try {
+    const value = JSON.parse(raw.slice(start, end + 1));
+    return jsonType(value) === 'object' ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fills in defaults and repairs harmless deviations (a score given as "85%",
+ * missing source indices or domains) before validation.
+ * 
+ * @param {Object} json - The verdict as returned by the model
+ * @returns {Object} The normalized verdict
+ */
+function normalizeVerdict(json) {
+  const verdict = { ...createEmptyVerdict(), ...json };
+
+  if (typeof verdict.score === 'string') {
+    const value = parseFloat(verdict.score);
+    verdict.score = isNaN(value) ? null : value;
+  }
+  if (typeof verdict.score === 'number') {
+    verdict.score = Math.round(verdict.score);
+  }
+
+  if (Array.isArray(verdict.sources)) {
+    verdict.sources = verdict.sources.map((source, i) => source && typeof source === 'object' ? {
+      ...source,
+      index: Number.isInteger(source.index) ? source.index : i + 1,
+      domain: source.domain || getDomain(source.url)
+    } : source);
+  }
+
+  if (Array.isArray(verdict.findings)) {
+    // Entries that are not objects are left for validate() to reject
+    verdict.findings = verdict.findings.map(finding => finding && typeof finding === 'object' ? {
+      explanation: '',
+      sources: [],
+      ...finding,
+      verdict: typeof finding.verdict === 'string' ? finding.verdict.toLowerCase().replace(/\s+/g, '-') : finding.verdict
+    } : finding);
+  }
+
+  return verdict;
+}
+
+/**
+ * Converts the output of the legacy markdown parser into a verdict.
+ * 
+ * @param {Object} parsed - The result of parseResult()
+ * @returns {Object} The verdict
+ */
+function fromLegacyResult(parsed) {
+  const score = parseInt(parsed.truthPercentage);
+  return {
+    ...createEmptyVerdict(),
+    score: isNaN(score) ? null : score,
+    summary: parsed.factCheck,
+    context: parsed.context,
+    sources: parsed.sources.map(source => ({
+      index: parseInt(source.index),
+      title: source.title,
+      url: source.url,
+      domain: getDomain(source.url)
+    }))
+  };
+}
+
+/**
+ * Parses a legacy markdown fact check result into a structured object.
+ * Only used as a fallback when the model does not return JSON.
+ * 
+ * @param {string} result - The raw fact check result from the API
+ * @returns {Object} The parsed result with truthPercentage, factCheck, context, and sources
+ */
+export function parseResult(result) {
+  const data = {
+    truthPercentage: 'N/A',
+    factCheck: 'No fact check provided.',
+    context: 'No context provided.',
+    sources: []
+  };
+
+  if (!result) {
+    return data;
+  }
+  
+  console.log('Parsing raw result:', result);
+
+  const sections = result.split('\n\n');
+  let currentSection = '';
+
+  sections.forEach(section => {
+    if (section.startsWith('Sources:')) {
+      currentSection = 'sources';
+      extractSources(section, data);
+    } else if (section.startsWith('Truth:')) {
+      currentSection = 'truth';
+      data.truthPercentage = section.split(':')[1].trim();
+    } else if (section.startsWith('Fact Check:')) {
+      currentSection = 'factCheck';
+      data.factCheck = section.split(':').slice(1).join(':').trim();
+    } else if (section.startsWith('Context:')) {
+      currentSection = 'context';
+      data.context = section.split(':').slice(1).join(':').trim();
+    } else if (currentSection === 'factCheck') {
+      data.factCheck += ' ' + section.trim();
+    } else if (currentSection === 'context') {
+      data.context += ' ' + section.trim();
+    }
+  });
+
+  console.log('Parsed result:', data);
+  return data;
+}
+
+/**
+ * Parses the sources section of the fact check result.
+ * 
+ * @param {string} section - The sources section text
+ * @param {Object} data - The result object to update with sources
+ */
+export function extractSources(section, data) {
+  const sourceLines = section.split('\n').slice(1);
+  console.log('Source lines:', sourceLines);
+  
+  sourceLines.forEach(line => {
+    const match = line.match(/(\d+)\.\s+(.+)/);
+    if (match) {
+      const [, index, content] = match;
+      const urlMatch = content.match(/\[(.+?)\]\((.+?)\)/);
+      if (urlMatch) {
+        data.sources.push({ index, title: urlMatch[1], url: urlMatch[2] });
+      } else {
+        data.sources.push({ index, title: content, url: '#' });
+      }
+    }
+  });
+}